@@ -30,4 +30,11 @@ export default [
       ],
     },
   },
+  {
+    files: ['server.js', 'server/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+      sourceType: 'commonjs',
+    },
+  },
 ]
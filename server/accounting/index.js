@@ -0,0 +1,284 @@
+// Token and cost accounting for AI calls.
+//
+// Every chat, streamed chat, image generation and image edit made through a
+// metered provider is written to a ledger with the user, the tool, the model,
+// token counts, latency and an estimated cost (see pricing.js). Reports
+// aggregate the ledger by tool, day, user and model.
+//
+// Cache hits never reach the provider, so they are not recorded.
+const path = require('path');
+const { createPricingFromEnv, roundCost } = require('./pricing');
+const { createMemoryStore } = require('./stores/memory');
+const { createFileStore } = require('./stores/file');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_REPORT_DAYS = 30;
+const MAX_REPORTED_USERS = 20;
+
+const dayOf = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Tool name for a request path under /api: '/tools/timeline' -> 'timeline',
+// '/chat/advanced/stream' -> 'chat/advanced'
+const toolForPath = (requestPath) => {
+  return requestPath
+    .replace(/^\/+/, '')
+    .replace(/^tools\//, '')
+    .replace(/\/stream$/, '') || 'unknown';
+};
+
+const emptyTotals = () => ({
+  calls: 0,
+  errors: 0,
+  cancelled: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  images: 0,
+  cost: 0,
+  unpricedCalls: 0,
+  latencyMs: 0
+});
+
+const addRecord = (totals, record) => {
+  totals.calls += 1;
+  if (record.status === 'error') totals.errors += 1;
+  if (record.status === 'cancelled') totals.cancelled += 1;
+  totals.promptTokens += record.promptTokens || 0;
+  totals.completionTokens += record.completionTokens || 0;
+  if (record.kind === 'image' && record.status === 'ok') totals.images += 1;
+  if (record.cost === null && record.status === 'ok') totals.unpricedCalls += 1;
+  totals.cost += record.cost || 0;
+  totals.latencyMs += record.latencyMs || 0;
+};
+
+// Replace the latency sum with an average and tidy the floating point cost
+const finishTotals = ({ latencyMs, ...totals }) => ({
+  ...totals,
+  cost: roundCost(totals.cost),
+  avgLatencyMs: totals.calls ? Math.round(latencyMs / totals.calls) : 0
+});
+
+const groupBy = (records, keyOf) => {
+  const groups = new Map();
+  for (const record of records) {
+    const key = keyOf(record);
+    if (!groups.has(key)) groups.set(key, emptyTotals());
+    addRecord(groups.get(key), record);
+  }
+  return [...groups].map(([key, totals]) => [key, finishTotals(totals)]);
+};
+
+/**
+ * Aggregate ledger records for the admin report.
+ * @param {Object[]} records - Ledger records
+ * @returns {Object} - { totals, byTool, byDay, byModel, byUser }
+ */
+const summarize = (records) => {
+  const totals = emptyTotals();
+  records.forEach(record => addRecord(totals, record));
+  const byCost = (a, b) => b.cost - a.cost;
+
+  return {
+    totals: finishTotals(totals),
+    byTool: groupBy(records, record => record.tool).map(([tool, t]) => ({ tool, ...t })).sort(byCost),
+    byDay: groupBy(records, record => record.day).map(([day, t]) => ({ day, ...t })).sort((a, b) => a.day.localeCompare(b.day)),
+    byModel: groupBy(records, record => record.model || 'unknown').map(([model, t]) => ({ model, ...t })).sort(byCost),
+    byUser: groupBy(records, record => record.uid || 'anonymous').map(([uid, t]) => ({ uid, ...t })).sort(byCost).slice(0, MAX_REPORTED_USERS)
+  };
+};
+
+/**
+ * Ledger of AI calls. Store failures are logged and never fail the request
+ * that made the call.
+ * @param {Object} options
+ * @param {Object|null} options.store - Store implementing append/list, or null to disable
+ * @param {Object} options.pricing - Pricing from createPricing
+ * @param {Function} [options.now] - Clock, overridable for tests
+ * @returns {Object} - Ledger with record, report, meter and meterRequests
+ */
+const createLedger = ({ store, pricing, now = Date.now }) => {
+  const record = async ({ kind, model, usage, image, ...fields }) => {
+    if (!store) return;
+    const time = now();
+    const cost = fields.status !== 'ok'
+      ? 0
+      : kind === 'image'
+        ? pricing.imageCost(model, image)
+        : pricing.textCost(model, usage);
+
+    try {
+      await store.append({
+        at: new Date(time).toISOString(),
+        day: dayOf(time),
+        kind,
+        model: model || null,
+        promptTokens: usage ? usage.promptTokens : null,
+        completionTokens: usage ? usage.completionTokens : null,
+        cost,
+        ...fields
+      });
+    } catch (error) {
+      console.error('Usage ledger write failed:', error);
+    }
+  };
+
+  /**
+   * Wrap a provider so every call it makes is recorded against `context`.
+   * The wrapper has the same interface as the provider.
+   * @param {Object} llm - Provider implementing chat, streamChat, generateImage and editImage
+   * @param {Object} context - { uid, tool }
+   * @returns {Object} - Metered provider
+   */
+  const meter = (llm, { uid = null, tool = 'unknown' } = {}) => {
+    const modelFor = (request, tier) => request.model || (llm.models && llm.models[request.tier || tier]);
+    const base = { uid, tool, provider: llm.name };
+
+    // Time a single-response call and record it whether it succeeds or fails
+    const timed = async (kind, request, tier, call, describe) => {
+      const started = Date.now();
+      try {
+        const response = await call(request);
+        record({ ...base, kind, status: 'ok', latencyMs: Date.now() - started, ...describe(response) });
+        return response;
+      } catch (error) {
+        record({ ...base, kind, status: 'error', latencyMs: Date.now() - started, model: modelFor(request, tier) });
+        throw error;
+      }
+    };
+
+    const imageOptions = (request) => ({ size: request.size || '1024x1024', quality: request.quality || 'standard' });
+
+    return {
+      ...llm,
+
+      chat(request) {
+        return timed('chat', request, 'standard', req => llm.chat(req), response => ({
+          model: response.model,
+          usage: response.usage
+        }));
+      },
+
+      // Recorded once the stream ends: 'ok' with the final usage, 'error' if
+      // the provider fails, or 'cancelled' if the client goes away first
+      async *streamChat(request) {
+        const started = Date.now();
+        let recorded = false;
+        const finish = (fields) => {
+          recorded = true;
+          record({ ...base, kind: 'chat', latencyMs: Date.now() - started, ...fields });
+        };
+
+        try {
+          for await (const event of llm.streamChat(request)) {
+            if (event.type === 'done') {
+              finish({ status: 'ok', model: event.model, usage: event.usage });
+            }
+            yield event;
+          }
+        } catch (error) {
+          if (!recorded) {
+            finish({ status: request.signal && request.signal.aborted ? 'cancelled' : 'error', model: modelFor(request, 'standard') });
+          }
+          throw error;
+        } finally {
+          if (!recorded) {
+            finish({ status: 'cancelled', model: modelFor(request, 'standard') });
+          }
+        }
+      },
+
+      generateImage(request) {
+        return timed('image', request, 'image', req => llm.generateImage(req), response => ({
+          model: response.model,
+          image: imageOptions(request)
+        }));
+      },
+
+      editImage(request) {
+        return timed('image', request, 'imageEdit', req => llm.editImage(req), response => ({
+          model: response.model,
+          image: imageOptions(request)
+        }));
+      }
+    };
+  };
+
+  return {
+    enabled: Boolean(store),
+    store: store ? store.name : 'none',
+    record,
+    meter,
+
+    // Express middleware exposing a provider metered for the signed-in user
+    // and the requested tool as req.llm (mount after requireAuth)
+    meterRequests(llm) {
+      return (req, res, next) => {
+        req.llm = meter(llm, { uid: req.user ? req.user.uid : null, tool: toolForPath(req.path) });
+        next();
+      };
+    },
+
+    /**
+     * Aggregate spend between two UTC days (inclusive).
+     * @param {Object} [options]
+     * @param {string} [options.from] - YYYY-MM-DD, default 30 days before `to`
+     * @param {string} [options.to] - YYYY-MM-DD, default today
+     * @param {string} [options.uid] - Only include calls by this user
+     * @returns {Promise<Object>} - { from, to, ...summarize(records) }
+     */
+    async report({ from, to, uid } = {}) {
+      const end = to || dayOf(now());
+      const start = from || dayOf(Date.parse(end) - (DEFAULT_REPORT_DAYS - 1) * DAY_MS);
+      let records = store ? await store.list({ from: start, to: end }) : [];
+      if (uid) {
+        records = records.filter(entry => entry.uid === uid);
+      }
+      return { from: start, to: end, ...summarize(records) };
+    }
+  };
+};
+
+/**
+ * Build the ledger selected by the environment:
+ *   ACCOUNTING_STORE - file (default), memory, or none
+ *   ACCOUNTING_DIR   - directory for the file store (default .data/accounting)
+ *   LLM_PRICES_FILE  - JSON price overrides (see pricing.js)
+ * @param {Object} [env=process.env]
+ * @returns {Object} - Ledger instance
+ */
+const createLedgerFromEnv = (env = process.env) => {
+  const pricing = createPricingFromEnv(env);
+
+  switch ((env.ACCOUNTING_STORE || 'file').toLowerCase()) {
+    case 'none':
+    case 'off':
+      return createLedger({ store: null, pricing });
+    case 'memory':
+      return createLedger({ store: createMemoryStore(), pricing });
+    case 'file':
+      return createLedger({
+        store: createFileStore({
+          dir: env.ACCOUNTING_DIR || path.join(__dirname, '..', '..', '.data', 'accounting')
+        }),
+        pricing
+      });
+    default:
+      throw new Error(`Unknown ACCOUNTING_STORE "${env.ACCOUNTING_STORE}"`);
+  }
+};
+
+let activeLedger = null;
+
+// Shared ledger for the server, created on first use
+const getLedger = () => {
+  if (!activeLedger) {
+    activeLedger = createLedgerFromEnv();
+  }
+  return activeLedger;
+};
+
+module.exports = {
+  createLedger,
+  createLedgerFromEnv,
+  getLedger,
+  summarize
+};
@@ -0,0 +1,70 @@
+const fs = require('fs');
+
+// Estimated list prices in USD. Text models are priced per million tokens,
+// images per generated image by quality and size. Models are matched by
+// prefix, so dated snapshots (gpt-4o-mini-2024-07-18) use their base price.
+// LLM_PRICES_FILE points at a JSON file with the same shape to add or
+// override entries; models without a price are recorded with a null cost.
+const DEFAULT_PRICES = {
+  text: {
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 }
+  },
+  images: {
+    'dall-e-3': {
+      standard: { '1024x1024': 0.04, '1024x1792': 0.08, '1792x1024': 0.08 },
+      hd: { '1024x1024': 0.08, '1024x1792': 0.12, '1792x1024': 0.12 }
+    },
+    'dall-e-2': {
+      standard: { '256x256': 0.016, '512x512': 0.018, '1024x1024': 0.02 }
+    }
+  }
+};
+
+// Longest matching prefix wins, so gpt-4o-mini is not priced as gpt-4o
+const findPrice = (table, model) => {
+  if (!model) return null;
+  const match = Object.keys(table)
+    .filter(name => model === name || model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? table[match] : null;
+};
+
+// Round to a millionth of a dollar; a short chat costs well under a cent
+const roundCost = (cost) => Math.round(cost * 1e6) / 1e6;
+
+/**
+ * Build a price lookup.
+ * @param {Object} [prices=DEFAULT_PRICES] - { text, images } price tables
+ * @returns {Object} - Pricing with textCost and imageCost, both returning USD or null
+ */
+const createPricing = (prices = DEFAULT_PRICES) => ({
+  textCost(model, usage) {
+    const price = findPrice(prices.text || {}, model);
+    if (!price || !usage) return null;
+    return roundCost((usage.promptTokens * price.input + usage.completionTokens * price.output) / 1e6);
+  },
+
+  imageCost(model, { size = '1024x1024', quality = 'standard' } = {}) {
+    const price = findPrice(prices.images || {}, model);
+    const bySize = price && (price[quality] || price.standard);
+    if (!bySize || bySize[size] === undefined) return null;
+    return bySize[size];
+  }
+});
+
+// Pricing with any overrides from LLM_PRICES_FILE merged over the defaults
+const createPricingFromEnv = (env = process.env) => {
+  if (!env.LLM_PRICES_FILE) return createPricing();
+
+  const overrides = JSON.parse(fs.readFileSync(env.LLM_PRICES_FILE, 'utf8'));
+  return createPricing({
+    text: { ...DEFAULT_PRICES.text, ...overrides.text },
+    images: { ...DEFAULT_PRICES.images, ...overrides.images }
+  });
+};
+
+module.exports = { DEFAULT_PRICES, createPricing, createPricingFromEnv, roundCost };
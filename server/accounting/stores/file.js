@@ -0,0 +1,55 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Ledger store that appends one JSON line per record to `<dir>/<day>.jsonl`,
+ * so a report only reads the days it covers and old days can be archived or
+ * deleted by hand.
+ * @param {Object} options
+ * @param {string} options.dir - Directory holding the ledger files
+ * @returns {Object} - Store implementing append and list
+ */
+const createFileStore = ({ dir }) => {
+  const fileFor = (day) => path.join(dir, `${day}.jsonl`);
+
+  return {
+    name: 'file',
+
+    async append(record) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.appendFile(fileFor(record.day), `${JSON.stringify(record)}\n`);
+    },
+
+    async list({ from, to }) {
+      let files;
+      try {
+        files = await fs.readdir(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const days = files
+        .filter(file => file.endsWith('.jsonl'))
+        .map(file => file.slice(0, -'.jsonl'.length))
+        .filter(day => day >= from && day <= to)
+        .sort();
+
+      const records = [];
+      for (const day of days) {
+        const lines = (await fs.readFile(fileFor(day), 'utf8')).split('\n');
+        for (const line of lines) {
+          if (!line.trim()) continue;
+          try {
+            records.push(JSON.parse(line));
+          } catch {
+            // A partly written line from a crash; skip it rather than fail the report
+          }
+        }
+      }
+      return records;
+    }
+  };
+};
+
+module.exports = { createFileStore };
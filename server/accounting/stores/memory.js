@@ -0,0 +1,27 @@
+/**
+ * In-process ledger store. Records are lost on restart; the oldest record is
+ * dropped once maxRecords is reached.
+ * @param {Object} [options]
+ * @param {number} [options.maxRecords=50000] - Upper bound on stored records
+ * @returns {Object} - Store implementing append and list
+ */
+const createMemoryStore = ({ maxRecords = 50000 } = {}) => {
+  const records = [];
+
+  return {
+    name: 'memory',
+
+    async append(record) {
+      records.push(record);
+      if (records.length > maxRecords) {
+        records.shift();
+      }
+    },
+
+    async list({ from, to }) {
+      return records.filter(record => record.day >= from && record.day <= to);
+    }
+  };
+};
+
+module.exports = { createMemoryStore };
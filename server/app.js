@@ -0,0 +1,133 @@
+// Express application for the API and, in production, the built client.
+//
+// createApp() wires middleware and routers without binding a port, so tests
+// can import it and server.js only has to listen. Services default to the
+// shared instances selected by the environment; pass your own (e.g. the mock
+// provider) to override them.
+const express = require('express');
+const path = require('path');
+const cors = require('cors');
+const { getProvider } = require('./llm');
+const { getCache } = require('./cache');
+const { getLedger } = require('./accounting');
+const { getPrompts } = require('./prompts');
+const { getBible } = require('./bible');
+const { createVerifier, requireAuth } = require('./auth');
+const { createUsageTrackerFromEnv } = require('./usage');
+const { notFound, errorHandler } = require('./errors');
+const { createHealthRouter } = require('./routes/health');
+const { createUsageRouter } = require('./routes/usage');
+const { createChatRouter } = require('./routes/chat');
+const { createBibleCommentaryRouter } = require('./routes/bible-commentary');
+const { createVerseAnalyzerRouter } = require('./routes/verse-analyzer');
+const { createTimelineRouter } = require('./routes/timeline');
+const { createMapsRouter } = require('./routes/maps');
+const { createCharacterStudyRouter } = require('./routes/character-study');
+const { createPersonalStudyRouter } = require('./routes/personal-study');
+const { createThemeThreadRouter } = require('./routes/theme-thread');
+const { createVisualParallelsRouter } = require('./routes/visual-parallels');
+const { createImagesRouter } = require('./routes/images');
+const { createPassagesRouter } = require('./routes/passages');
+const { createConcordanceRouter } = require('./routes/concordance');
+const { createWordStudyRouter } = require('./routes/word-study');
+const { createCrossReferencesRouter } = require('./routes/cross-references');
+const { createPerspectivesRouter } = require('./routes/perspectives');
+
+const DIST_DIR = path.join(__dirname, '..', 'dist');
+
+// Routers behind authentication, each given the same services
+const API_ROUTERS = [
+  createUsageRouter,
+  createChatRouter,
+  createBibleCommentaryRouter,
+  createVerseAnalyzerRouter,
+  createTimelineRouter,
+  createMapsRouter,
+  createCharacterStudyRouter,
+  createPersonalStudyRouter,
+  createThemeThreadRouter,
+  createVisualParallelsRouter,
+  createImagesRouter,
+  createPassagesRouter,
+  createConcordanceRouter,
+  createWordStudyRouter,
+  createCrossReferencesRouter,
+  createPerspectivesRouter
+];
+
+// CORS_ORIGINS="https://a.example,https://b.example" -> ['https://a.example', ...]
+const parseOrigins = (value) => (value || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+/**
+ * Build the Express app.
+ * @param {Object} [services] - Overrides for the shared services
+ * @param {Object} [services.llm] - AI provider (LLM_PROVIDER)
+ * @param {Object} [services.cache] - Response cache (CACHE_STORE)
+ * @param {Object} [services.ledger] - Usage ledger (ACCOUNTING_STORE)
+ * @param {Object} [services.prompts] - Prompt registry (PROMPTS_DIR, PROMPT_VERSIONS)
+ * @param {Object} [services.bible] - Bible text (ESV_API_KEY, BIBLE_DEFAULT_TRANSLATION, CROSS_REFERENCES_FILE)
+ * @param {Object} [services.usage] - Rate limits and quotas (see usage.js)
+ * @param {Object} [services.verifier] - ID token verifier (AUTH_VERIFIER)
+ * @param {Object} [services.env=process.env] - Environment for the remaining settings
+ * @returns {Object} - Express app; the services are available as app.locals.services
+ */
+const createApp = ({
+  env = process.env,
+  llm = getProvider(),
+  cache = getCache(),
+  ledger = getLedger(),
+  prompts = getPrompts(),
+  bible = getBible(),
+  usage = createUsageTrackerFromEnv(env),
+  verifier = createVerifier(env)
+} = {}) => {
+  const app = express();
+  const services = { env, llm, cache, ledger, prompts, bible, usage, verifier };
+  app.locals.services = services;
+
+  // Behind a reverse proxy, TRUST_PROXY (number of hops) makes req.ip the
+  // client's address, which the per-IP rate limit depends on
+  if (env.TRUST_PROXY) {
+    app.set('trust proxy', Number(env.TRUST_PROXY) || env.TRUST_PROXY);
+  }
+
+  // The client reaches the API through the Vite proxy (or the same origin in
+  // production), so cross-origin access is only granted to CORS_ORIGINS
+  const corsOrigins = parseOrigins(env.CORS_ORIGINS);
+  app.use(cors({
+    origin: corsOrigins.length > 0 ? corsOrigins : false,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Cache-Control']
+  }));
+
+  // Large limits for the base64 images sent to the image editor
+  app.use(express.json({ limit: '50mb' }));
+  app.use(express.urlencoded({ limit: '50mb', extended: true }));
+
+  app.use('/api', createHealthRouter(services));
+
+  // Every other API route is rate limited per IP and requires a signed-in
+  // user. Routes call the provider through req.llm, which records tokens and
+  // cost for the user and the tool (see accounting/).
+  app.use('/api', usage.limitIp(), requireAuth(verifier), ledger.meterRequests(llm));
+  API_ROUTERS.forEach(createRouter => app.use('/api', createRouter(services)));
+  app.use('/api', notFound);
+
+  // The built client, with index.html for every other path so client-side
+  // routes survive a reload. A plain middleware rather than app.get('*')
+  // sidesteps path-to-regexp's wildcard parsing.
+  if (env.NODE_ENV === 'production') {
+    app.use(express.static(DIST_DIR));
+    app.use((req, res) => {
+      res.sendFile(path.join(DIST_DIR, 'index.html'));
+    });
+  }
+
+  app.use(errorHandler);
+  return app;
+};
+
+module.exports = { createApp };
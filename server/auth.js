@@ -0,0 +1,133 @@
+// Authentication for the API. Every /api route except the health check
+// requires a Firebase ID token sent as `Authorization: Bearer <token>`.
+//
+// AUTH_VERIFIER selects how tokens are checked:
+//   firebase - verify with firebase-admin (default). Only the project id is
+//              needed; with FIREBASE_AUTH_EMULATOR_HOST set, tokens from the
+//              Auth emulator are accepted instead.
+//   stub     - trust the token without checking its signature, for offline
+//              development and tests. The token is either a plain uid or an
+//              unverified JWT whose `sub` is used. Refused in production.
+const { ApiError } = require('./errors');
+
+const decodeJwtPayload = (token) => {
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  try {
+    return JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+};
+
+const createFirebaseVerifier = ({ projectId, emulatorHost }) => {
+  let firebaseAuth = null;
+
+  // firebase-admin is initialised on first use so the server can start (and
+  // serve the health check) before the project id is configured
+  const getFirebaseAuth = () => {
+    if (!firebaseAuth) {
+      if (!projectId) {
+        throw new Error('FIREBASE_PROJECT_ID is not set');
+      }
+      const { initializeApp, getApps } = require('firebase-admin/app');
+      const { getAuth } = require('firebase-admin/auth');
+      const app = getApps().find(existing => existing.name === 'api-auth') ||
+        initializeApp({ projectId }, 'api-auth');
+      firebaseAuth = getAuth(app);
+    }
+    return firebaseAuth;
+  };
+
+  return {
+    name: emulatorHost ? 'firebase-emulator' : 'firebase',
+    async verify(token) {
+      const decoded = await getFirebaseAuth().verifyIdToken(token);
+      return { uid: decoded.uid, email: decoded.email || null, emailVerified: decoded.email_verified === true };
+    }
+  };
+};
+
+const createStubVerifier = () => ({
+  name: 'stub',
+  async verify(token) {
+    const payload = decodeJwtPayload(token);
+    const uid = payload ? payload.sub || payload.user_id : token;
+    if (!uid) {
+      throw new Error('Token has no subject');
+    }
+    return {
+      uid,
+      email: (payload && payload.email) || null,
+      emailVerified: Boolean(payload && payload.email_verified === true)
+    };
+  }
+});
+
+/**
+ * Build the token verifier selected by the environment (see above).
+ * @param {Object} [env=process.env]
+ * @returns {Object} - Verifier with a name and verify(token) => { uid, email, emailVerified }
+ */
+const createVerifier = (env = process.env) => {
+  switch ((env.AUTH_VERIFIER || 'firebase').toLowerCase()) {
+    case 'firebase':
+      return createFirebaseVerifier({
+        projectId: env.FIREBASE_PROJECT_ID || env.VITE_FIREBASE_PROJECT_ID || env.GOOGLE_CLOUD_PROJECT,
+        emulatorHost: env.FIREBASE_AUTH_EMULATOR_HOST
+      });
+    case 'stub':
+      if (env.NODE_ENV === 'production') {
+        throw new Error('AUTH_VERIFIER=stub is not allowed in production');
+      }
+      return createStubVerifier();
+    default:
+      throw new Error(`Unknown AUTH_VERIFIER "${env.AUTH_VERIFIER}"`);
+  }
+};
+
+/**
+ * Express middleware that rejects requests without a valid ID token and
+ * attaches the caller as `req.user = { uid, email, emailVerified }`.
+ * @param {Object} verifier - Verifier from createVerifier
+ * @returns {Function} - Express middleware
+ */
+const requireAuth = (verifier) => async (req, res, next) => {
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  if (!match) {
+    return next(new ApiError('Sign in to use this feature', { status: 401, code: 'UNAUTHENTICATED' }));
+  }
+
+  try {
+    req.user = await verifier.verify(match[1].trim());
+  } catch (error) {
+    console.warn(`Rejected ${req.method} ${req.originalUrl}: ${error.message}`);
+    return next(new ApiError('Your session has expired, please sign in again', { status: 401, code: 'INVALID_TOKEN' }));
+  }
+  next();
+};
+
+const parseList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Express middleware that only lets administrators through. Admins are
+ * listed by uid in ADMIN_UIDS or by email in ADMIN_EMAILS (comma separated).
+ * An email only counts once the user has verified it, since anyone can sign
+ * up with an address they do not own. Mount after requireAuth.
+ * @param {Object} [env=process.env]
+ * @returns {Function} - Express middleware
+ */
+const requireAdmin = (env = process.env) => {
+  const uids = parseList(env.ADMIN_UIDS);
+  const emails = parseList(env.ADMIN_EMAILS).map(email => email.toLowerCase());
+
+  return (req, res, next) => {
+    const { uid, email, emailVerified } = req.user || {};
+    if (uids.includes(uid) || (email && emailVerified && emails.includes(email.toLowerCase()))) {
+      return next();
+    }
+    next(new ApiError('This page is only available to administrators', { status: 403, code: 'FORBIDDEN' }));
+  };
+};
+
+module.exports = { createVerifier, requireAuth, requireAdmin };
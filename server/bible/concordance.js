@@ -0,0 +1,427 @@
+// Full-text search over a local translation: a word index built on first use
+// and a small query language.
+//
+//   grace                    verses containing the word
+//   believ*                  any word starting with "believ"
+//   "living water"           the words next to each other, in order
+//   faith hope               both words (AND may be written out)
+//   faith OR hope            either word
+//   love -hate, love NOT hate  the first without the second
+//   shepherd NEAR/5 sheep    within five words of each other, in either order
+//   (faith OR hope) NEAR love
+//
+// Operators are upper case, so "and", "or" and "not" are searched for as
+// words. Case, punctuation and apostrophes are ignored ("LORD's" is "lords").
+const { badRequest } = require('../errors');
+const { findBook, formatRange, getBook } = require('../../shared/scripture');
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_TERMS = 20;
+// Words a wildcard may stand for ("a*" would match thousands)
+const MAX_EXPANSION = 200;
+const DEFAULT_NEAR = 10;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const normalize = (word) => word.toLowerCase().replace(/['’]/g, '');
+
+// Words of a verse with their offsets in its text, for positions and highlights
+const tokenize = (text) => {
+  const tokens = [];
+  const pattern = /[A-Za-z0-9]+(?:['’][A-Za-z]+)*/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    tokens.push({ word: normalize(match[0]), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+};
+
+/* -----------------------------------------
+   Query parsing
+----------------------------------------- */
+
+// 'faith OR "living water"' -> [{ type: 'word', value: 'faith' }, { type: 'OR' }, { type: 'phrase', value: 'living water' }]
+const lex = (query) => {
+  const tokens = [];
+  const pattern = /\s*(?:(\()|(\))|"([^"]*)"|(-)(?=[^\s-])|(NEAR)(?:\/(\d+))?(?=[\s("]|$)|(AND|OR|NOT)(?=[\s("]|$)|([^\s()"]+))/y;
+  let at = 0;
+  while (at < query.length) {
+    if (!query.slice(at).trim()) break;
+    pattern.lastIndex = at;
+    const match = pattern.exec(query);
+    if (!match) {
+      throw badRequest('Unbalanced quotation marks in the search');
+    }
+    at = pattern.lastIndex;
+    const [, open, close, phrase, minus, near, distance, operator, word] = match;
+    if (open) tokens.push({ type: '(' });
+    else if (close) tokens.push({ type: ')' });
+    else if (phrase !== undefined) tokens.push({ type: 'phrase', value: phrase });
+    else if (minus) tokens.push({ type: 'NOT' });
+    else if (near) tokens.push({ type: 'NEAR', distance: distance ? Number(distance) : DEFAULT_NEAR });
+    else if (operator) tokens.push({ type: operator });
+    else tokens.push({ type: 'word', value: word });
+  }
+  return tokens;
+};
+
+// A word of the query: exact, or a prefix when it ends with *
+const parseWord = (value) => {
+  const prefix = value.endsWith('*');
+  const term = normalize(value.replace(/\*+$/, '')).replace(/[^a-z0-9]/g, '');
+  if (!term) {
+    throw badRequest(`"${value}" has no letters to search for`);
+  }
+  if (prefix && term.length < 2) {
+    throw badRequest(`"${value}" is too short for a wildcard; use at least two letters`);
+  }
+  return { type: 'term', term, prefix };
+};
+
+/**
+ * Parse a search into a tree of
+ *   { type: 'term', term, prefix }      { type: 'phrase', terms }
+ *   { type: 'near', left, right, distance }
+ *   { type: 'and', include, exclude }   { type: 'or', children }
+ * @param {string} query
+ * @returns {Object}
+ * @throws {ApiError} - 400 explaining what is wrong with the search
+ */
+const parseQuery = (query) => {
+  const tokens = lex(query);
+  let at = 0;
+  let terms = 0;
+  const peek = () => tokens[at] && tokens[at].type;
+
+  const countTerm = (node) => {
+    terms += 1;
+    if (terms > MAX_TERMS) {
+      throw badRequest(`Searches are limited to ${MAX_TERMS} words`);
+    }
+    return node;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[at];
+    if (!token) {
+      throw badRequest('The search ends too soon');
+    }
+    at += 1;
+    if (token.type === '(') {
+      const node = parseOr();
+      if (peek() !== ')') {
+        throw badRequest('Missing ) in the search');
+      }
+      at += 1;
+      return node;
+    }
+    // A hyphenated word is searched as a phrase, as the text splits it: burnt-offering
+    if (token.type === 'word' || token.type === 'phrase') {
+      const words = token.value.split(token.type === 'word' ? /[^A-Za-z0-9'’*]+/ : /\s+/).filter(Boolean);
+      if (words.length === 0) {
+        throw badRequest(token.type === 'word' ? `"${token.value}" has no letters to search for` : '"" is an empty phrase');
+      }
+      const phraseTerms = words.map(word => countTerm(parseWord(word)));
+      return phraseTerms.length === 1 ? phraseTerms[0] : { type: 'phrase', terms: phraseTerms };
+    }
+    throw badRequest(`Unexpected ${token.type} in the search`);
+  };
+
+  const parseNear = () => {
+    let node = parsePrimary();
+    while (peek() === 'NEAR') {
+      const { distance } = tokens[at];
+      at += 1;
+      node = { type: 'near', left: node, right: parsePrimary(), distance };
+    }
+    return node;
+  };
+
+  const parseAnd = () => {
+    const include = [];
+    const exclude = [];
+    while (peek() && peek() !== 'OR' && peek() !== ')') {
+      if (peek() === 'AND') {
+        at += 1;
+        continue;
+      }
+      if (peek() === 'NOT') {
+        at += 1;
+        exclude.push(parseNear());
+      } else {
+        include.push(parseNear());
+      }
+    }
+    if (include.length === 0) {
+      throw badRequest(exclude.length
+        ? 'A search needs at least one word to find, not only words to leave out'
+        : 'The search is empty');
+    }
+    return include.length === 1 && exclude.length === 0 ? include[0] : { type: 'and', include, exclude };
+  };
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek() === 'OR') {
+      at += 1;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const tree = parseOr();
+  if (at < tokens.length) {
+    throw badRequest(`Unexpected ${tokens[at].type} in the search`);
+  }
+  return tree;
+};
+
+/* -----------------------------------------
+   Index and evaluation
+----------------------------------------- */
+
+const intersect = (sets) => {
+  const [smallest, ...rest] = [...sets].sort((a, b) => a.size - b.size);
+  return new Set([...smallest].filter(index => rest.every(set => set.has(index))));
+};
+
+const union = (sets) => {
+  const all = new Set();
+  sets.forEach(set => set.forEach(index => all.add(index)));
+  return all;
+};
+
+// Spans [first, last] of the tokens where a term, phrase or nearby pair matches
+const spansIn = (node, tokens, matches) => {
+  if (node.type === 'term') {
+    return tokens.flatMap((token, i) => (matches(node, token.word) ? [[i, i]] : []));
+  }
+  if (node.type === 'phrase') {
+    const spans = [];
+    for (let i = 0; i + node.terms.length <= tokens.length; i++) {
+      if (node.terms.every((term, k) => matches(term, tokens[i + k].word))) {
+        spans.push([i, i + node.terms.length - 1]);
+      }
+    }
+    return spans;
+  }
+  if (node.type === 'near') {
+    const left = spansIn(node.left, tokens, matches);
+    const right = spansIn(node.right, tokens, matches);
+    const gap = (a, b) => Math.max(a[0], b[0]) - Math.min(a[1], b[1]) - 1;
+    const close = (span, others) => others.some(other => gap(span, other) <= node.distance);
+    return [
+      ...left.filter(span => close(span, right)),
+      ...right.filter(span => close(span, left))
+    ];
+  }
+  if (node.type === 'and') {
+    return node.include.flatMap(child => spansIn(child, tokens, matches));
+  }
+  return node.children.flatMap(child => spansIn(child, tokens, matches));
+};
+
+/**
+ * Concordance over one translation.
+ * @param {Object} translation - A local translation with verses()
+ * @returns {Object} - { search(query, options) }
+ */
+const createConcordance = (translation) => {
+  let index = null;
+
+  // Built on first search: every verse, and for each word the verses containing it
+  const getIndex = () => {
+    if (index) return index;
+    const verses = translation.verses();
+    const postings = new Map();
+    verses.forEach((verse, i) => {
+      for (const { word } of tokenize(verse.text)) {
+        const list = postings.get(word);
+        if (!list) postings.set(word, [i]);
+        else if (list[list.length - 1] !== i) list.push(i);
+      }
+    });
+    index = { verses, postings, words: [...postings.keys()].sort() };
+    return index;
+  };
+
+  // Index words a query term stands for
+  const expand = ({ term, prefix }) => {
+    const { postings, words } = getIndex();
+    if (!prefix) return postings.has(term) ? [term] : [];
+
+    // Binary search for the first word at or after the prefix
+    let low = 0;
+    let high = words.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (words[middle] < term) low = middle + 1;
+      else high = middle;
+    }
+    const expanded = [];
+    for (let i = low; i < words.length && words[i].startsWith(term); i++) {
+      expanded.push(words[i]);
+      if (expanded.length > MAX_EXPANSION) {
+        throw badRequest(`Too many words start with "${term}"; add more letters`);
+      }
+    }
+    return expanded;
+  };
+
+  const search = (query, { books = null, testament = null, limit = DEFAULT_LIMIT, offset = 0 } = {}) => {
+    const text = String(query || '').trim();
+    if (!text) {
+      throw badRequest('q is required, e.g. ?q=living water');
+    }
+    if (text.length > MAX_QUERY_LENGTH) {
+      throw badRequest(`Searches are limited to ${MAX_QUERY_LENGTH} characters`);
+    }
+    const tree = parseQuery(text);
+
+    const bookIds = books && books.map((name) => {
+      const book = findBook(name);
+      if (!book) throw badRequest(`Unknown book "${name}"`);
+      return book.id;
+    });
+    if (testament && !['OT', 'NT'].includes(testament)) {
+      throw badRequest('testament must be OT or NT');
+    }
+
+    const { verses, postings } = getIndex();
+
+    // The words each query term matches, worked out once
+    const expansions = new Map();
+    const wordsFor = (node) => {
+      if (!expansions.has(node)) expansions.set(node, new Set(expand(node)));
+      return expansions.get(node);
+    };
+    const matches = (node, word) => wordsFor(node).has(word);
+
+    const versesWith = (node) => union([...wordsFor(node)].map(word => new Set(postings.get(word))));
+
+    // Verses where a node matches
+    const evaluate = (node) => {
+      switch (node.type) {
+        case 'term':
+          return versesWith(node);
+        case 'phrase':
+        case 'near': {
+          const parts = node.type === 'phrase' ? node.terms : [node.left, node.right];
+          const candidates = intersect(parts.map(evaluate));
+          return new Set([...candidates].filter(i => spansIn(node, tokenize(verses[i].text), matches).length > 0));
+        }
+        case 'and': {
+          const found = intersect(node.include.map(evaluate));
+          const excluded = union(node.exclude.map(evaluate));
+          return new Set([...found].filter(i => !excluded.has(i)));
+        }
+        default:
+          return union(node.children.map(evaluate));
+      }
+    };
+
+    const inFilter = (verse) => (
+      (!bookIds || bookIds.includes(verse.book)) &&
+      (!testament || getBook(verse.book).testament === testament)
+    );
+    const found = [...evaluate(tree)].sort((a, b) => a - b).map(i => verses[i]).filter(inFilter);
+
+    // Hits per book, in canon order, for narrowing a broad search
+    const byBook = new Map();
+    found.forEach((verse) => {
+      const entry = byBook.get(verse.book);
+      if (entry) {
+        entry.count += 1;
+        entry.lastChapter = verse.chapter;
+      } else {
+        byBook.set(verse.book, { count: 1, firstChapter: verse.chapter, lastChapter: verse.chapter });
+      }
+    });
+
+    const page = Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const start = Math.max(Number(offset) || 0, 0);
+
+    return {
+      query: text,
+      translation: translation.abbreviation,
+      total: found.length,
+      offset: start,
+      limit: page,
+      books: [...byBook].map(([book, entry]) => ({ book, name: getBook(book).name, ...entry })),
+      results: found.slice(start, start + page).map((verse) => {
+        const tokens = tokenize(verse.text);
+        const highlighted = new Set();
+        spansIn(tree, tokens, matches).forEach(([first, last]) => {
+          for (let i = first; i <= last; i++) highlighted.add(i);
+        });
+        const point = { chapter: verse.chapter, verse: verse.verse };
+        return {
+          reference: formatRange({ book: verse.book, start: point, end: point }),
+          osis: `${verse.book}.${verse.chapter}.${verse.verse}`,
+          book: verse.book,
+          chapter: verse.chapter,
+          verse: verse.verse,
+          text: verse.text,
+          highlights: [...highlighted].sort((a, b) => a - b).map(i => [tokens[i].start, tokens[i].end])
+        };
+      })
+    };
+  };
+
+  /**
+   * Rank verses by the words of a question rather than match a query: every
+   * verse holding any of the words is scored by the words it holds, rarer
+   * words counting for more (log of verses / verses with the word), and only
+   * then cut to the limit, so verses late in the canon compete with early ones.
+   * @param {string[]} words - Plain words; no query syntax
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Verses returned (default 50, at most 200)
+   * @param {number} [options.maxVerses] - Words in more verses than this are left out
+   * @param {number} [options.maxWords] - The rarest this many words are used
+   * @returns {Object} - { translation, words: [{ word, verses, weight }],
+   *   results: [{ reference, osis, book, chapter, verse, text, score, words }], best first }
+   */
+  const rank = (words, { limit = DEFAULT_LIMIT, maxVerses = Infinity, maxWords = Infinity } = {}) => {
+    const { verses, postings } = getIndex();
+    const used = [...new Set(words.map(word => normalize(String(word)).replace(/[^a-z0-9]/g, '')))]
+      .filter(word => postings.has(word) && postings.get(word).length <= maxVerses)
+      .map(word => ({ word, verses: postings.get(word).length, weight: Math.log(verses.length / postings.get(word).length) }))
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, maxWords);
+
+    const scores = new Map();
+    used.forEach(({ word, weight }) => postings.get(word).forEach((i) => {
+      const entry = scores.get(i) || { score: 0, words: [] };
+      entry.score += weight;
+      entry.words.push(word);
+      scores.set(i, entry);
+    }));
+
+    const page = Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    return {
+      translation: translation.abbreviation,
+      words: used,
+      results: [...scores]
+        .sort(([a, first], [b, second]) => second.score - first.score || a - b)
+        .slice(0, page)
+        .map(([i, { score, words: found }]) => {
+          const verse = verses[i];
+          const point = { chapter: verse.chapter, verse: verse.verse };
+          return {
+            reference: formatRange({ book: verse.book, start: point, end: point }),
+            osis: `${verse.book}.${verse.chapter}.${verse.verse}`,
+            book: verse.book,
+            chapter: verse.chapter,
+            verse: verse.verse,
+            text: verse.text,
+            score,
+            words: found
+          };
+        })
+    };
+  };
+
+  return { search, rank };
+};
+
+module.exports = { createConcordance };
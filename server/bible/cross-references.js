@@ -0,0 +1,150 @@
+// Cross-references between verses, read from a tab-separated file in the
+// format of OpenBible.info's cross-reference data:
+//
+//   From Verse	To Verse	Votes
+//   Gen.1.1	Heb.11.3	85
+//   Gen.1.1	John.1.1-John.1.3	90
+//
+// References are OSIS ids and votes rank the references of a verse, higher
+// first. The Votes column may be left out, as in the bundled file
+// (data/cross-references.tsv): a short curated set for frequently studied
+// verses, most verses have none, listed closest first with no votes.
+// OpenBible's full data (CC BY) can be used instead with CROSS_REFERENCES_FILE.
+// Lines starting with # and lines that cannot be read, such as the header,
+// are skipped.
+const fs = require('fs');
+const path = require('path');
+const { formatRange, getBook, rangeOsis, verseCount } = require('../../shared/scripture');
+
+const BUNDLED_FILE = path.join(__dirname, 'data', 'cross-references.tsv');
+
+const OSIS_POINT = /^(\w+)\.(\d+)\.(\d+)$/;
+
+// "Gen.1.1" -> { book, chapter, verse }, or null if the verse does not exist
+const readPoint = (text) => {
+  const match = OSIS_POINT.exec(text);
+  const book = match && getBook(match[1]);
+  if (!book) return null;
+  const chapter = Number(match[2]);
+  const verse = Number(match[3]);
+  const count = verseCount(book, chapter);
+  return count && verse >= 1 && verse <= count ? { book: book.id, chapter, verse } : null;
+};
+
+// "John.1.1-John.1.3" -> { book, start, end }; ranges across books are not used
+const readRange = (text) => {
+  const [from, to = from] = text.split('-');
+  const start = readPoint(from);
+  const end = readPoint(to);
+  if (!start || !end || start.book !== end.book) return null;
+  return {
+    book: start.book,
+    start: { chapter: start.chapter, verse: start.verse },
+    end: { chapter: end.chapter, verse: end.verse }
+  };
+};
+
+const pointKey = (book, chapter, verse) => `${book}.${chapter}.${verse}`;
+
+// Every verse of a range: whole chapters (verse null) run to their last verse
+const eachVerse = ({ book, start, end }, visit) => {
+  for (let chapter = start.chapter; chapter <= end.chapter; chapter++) {
+    const first = chapter === start.chapter && start.verse !== null ? start.verse : 1;
+    const last = chapter === end.chapter && end.verse !== null ? end.verse : verseCount(getBook(book), chapter);
+    for (let verse = first; verse <= last; verse++) visit(chapter, verse);
+  }
+};
+
+const comparePoints = (a, b) => a.chapter - b.chapter || a.verse - b.verse;
+
+// Whether a cross-reference lies inside the passage it was found for
+const within = (range, ranges) => ranges.some(other => other.book === range.book &&
+  comparePoints(range.start, { chapter: other.start.chapter, verse: other.start.verse || 1 }) >= 0 &&
+  comparePoints(range.end, { chapter: other.end.chapter, verse: other.end.verse || Infinity }) <= 0);
+
+/**
+ * @param {Object} [options]
+ * @param {Function} [options.loadText] - Returns the file's text (default: the bundled file)
+ * @param {string} [options.source] - Description of the data, returned with every lookup
+ * @param {boolean} [options.complete] - Whether the data covers every verse (false for the bundled file)
+ * @returns {Object} - Cross-references with related(ranges, options), coverage() and source
+ */
+const createCrossReferences = ({
+  loadText = () => fs.readFileSync(BUNDLED_FILE, 'utf8'),
+  source = 'Curated cross-references for frequently studied verses',
+  complete = false
+} = {}) => {
+  let index = null;
+
+  // Verse key -> [{ range, votes, order }], built on first use; votes is null
+  // without a Votes column, and order is the line's place in the file
+  const getIndex = () => {
+    if (index) return index;
+    index = new Map();
+    let order = 0;
+    for (const line of loadText().split('\n')) {
+      if (!line.trim() || line.startsWith('#')) continue;
+      const [from, to, votes = ''] = line.split('\t');
+      const point = readPoint(from);
+      const range = to && readRange(to.trim());
+      if (!point || !range || (votes.trim() && !/^-?\d+$/.test(votes.trim()))) continue;
+
+      const key = pointKey(point.book, point.chapter, point.verse);
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push({ range, votes: votes.trim() ? Number(votes) : null, order: order++ });
+    }
+    return index;
+  };
+
+  /**
+   * Cross-references of a passage, best first. A reference found from
+   * several verses of the passage has their votes added together; references
+   * inside the passage itself and ones voted down are left out. Without
+   * votes, references found from more of the passage's verses come first,
+   * then the order of the file.
+   * @param {Object[]} ranges - From a reference parsed by shared/scripture
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Most references returned (default 20)
+   * @returns {Object} - { total, results: [{ reference, osis, book, start, end, votes, from: ['John 3:16'] }] },
+   *   votes null when the data has none
+   */
+  const related = (ranges, { limit = 20 } = {}) => {
+    const found = new Map();
+
+    for (const range of ranges) {
+      eachVerse(range, (chapter, verse) => {
+        for (const { range: target, votes, order } of getIndex().get(pointKey(range.book, chapter, verse)) || []) {
+          if ((votes !== null && votes <= 0) || within(target, ranges)) continue;
+          const osis = rangeOsis(target);
+          if (!found.has(osis)) found.set(osis, { range: target, votes: null, order, from: [] });
+          const entry = found.get(osis);
+          if (votes !== null) entry.votes = (entry.votes || 0) + votes;
+          entry.order = Math.min(entry.order, order);
+          entry.from.push(formatRange({ book: range.book, start: { chapter, verse }, end: { chapter, verse } }));
+        }
+      });
+    }
+
+    // Equal votes in the order of the file
+    const sorted = [...found.entries()].sort(([, a], [, b]) =>
+      (b.votes || 0) - (a.votes || 0) || b.from.length - a.from.length || a.order - b.order);
+    return {
+      total: sorted.length,
+      results: sorted.slice(0, limit).map(([osis, { range, votes, from }]) => ({
+        reference: formatRange(range),
+        osis,
+        ...range,
+        votes,
+        from
+      }))
+    };
+  };
+
+  // { verses, complete }: how many verses have cross-references, and whether
+  // the data covers every verse or only a selection
+  const coverage = () => ({ verses: getIndex().size, complete });
+
+  return { related, coverage, source };
+};
+
+module.exports = { createCrossReferences };
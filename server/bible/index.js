@@ -0,0 +1,446 @@
+// Bible text for passage lookups.
+//
+// Translations are adapters with the same interface:
+//   { id, name, abbreviation, local, copyright, passage(range) }
+// where passage() resolves to [{ chapter, verse, text, paragraph }] for one
+// range of a reference parsed by shared/scripture. The bundled KJV and ASV are
+// always available and work offline; the ESV is added as an upstream adapter when
+// ESV_API_KEY is set, so its key never reaches the browser. Local translations
+// also have verses(), every verse in canon order, which the concordance
+// (./concordance.js) indexes for full-text search. The lexicon
+// (./lexicon.js) adds the Hebrew and Greek texts and Strong's dictionaries for word study,
+// and ./cross-references.js the ranked cross-references of each verse.
+const fs = require('fs');
+const path = require('path');
+const { ApiError, badRequest } = require('../errors');
+const { checkReference, formatRange, getBook } = require('../../shared/scripture');
+const { createKjvTranslation } = require('./translations/kjv');
+const { createAsvTranslation } = require('./translations/asv');
+const { createEsvTranslation } = require('./translations/esv');
+const { createConcordance } = require('./concordance');
+const { createLexicon, loadMorphGnt, strongNumber } = require('./lexicon');
+const { createCrossReferences } = require('./cross-references');
+
+// Longest passage returned at once (Psalm 119 has 176 verses)
+const MAX_VERSES = 250;
+
+// Most translations shown side by side
+const MAX_PARALLEL = 4;
+
+// Most verses studied word by word at once
+const MAX_STUDY_VERSES = 5;
+
+// Most occurrences of a lemma returned at once
+const MAX_OCCURRENCES = 200;
+
+// Most cross-references returned at once, and the verses of each one quoted
+const MAX_CROSS_REFERENCES = 50;
+const QUOTED_VERSES = 3;
+
+const verseKey = ({ book, chapter, verse }) => `${book}.${chapter}.${verse}`;
+
+/**
+ * Align the verses of several lookups into rows. A verse missing from one
+ * translation (the ESV leaves out Matthew 17:21, for example) is placed after
+ * the verse that precedes it in the translations that have it.
+ * @param {Object[]} passages - [{ id, verses }] in column order; verses may be null
+ * @returns {Object[]} - [{ book, chapter, verse, paragraph, texts: { [id]: text|null } }]
+ */
+const alignVerses = (passages) => {
+  const rows = [];
+  const byKey = new Map();
+
+  for (const { verses } of passages) {
+    let previous = -1;
+    for (const verse of verses || []) {
+      const key = verseKey(verse);
+      if (!byKey.has(key)) {
+        const row = { book: verse.book, chapter: verse.chapter, verse: verse.verse, paragraph: verse.paragraph, texts: {} };
+        rows.splice(previous + 1, 0, row);
+        byKey.set(key, row);
+      }
+      previous = rows.indexOf(byKey.get(key));
+    }
+  }
+
+  for (const row of rows) {
+    passages.forEach(({ id, verses }) => {
+      const match = verses && verses.find(verse => verseKey(verse) === verseKey(row));
+      row.texts[id] = match ? match.text : null;
+    });
+  }
+  return rows;
+};
+
+// Public description of a translation, as sent to the client
+const describeTranslation = ({ id, name, abbreviation, local, copyright }) => ({
+  id,
+  name,
+  abbreviation,
+  local,
+  copyright
+});
+
+/**
+ * @param {Object} options
+ * @param {Object[]} options.translations - Translation adapters
+ * @param {string} [options.defaultTranslation] - Id used when a lookup names none (default: the first)
+ * @param {Object} [options.lexicon] - From createLexicon; without one word study is unavailable
+ * @param {Object} [options.crossReferences] - From createCrossReferences (default: the bundled set)
+ * @returns {Object} - Bible with lookup(query, options), parallel(query, options),
+ *   search(query, options), rank(words, options), wordStudy(query), wordStudyTexts(),
+ *   lexiconEntry(strong, options), related(query, options) and translations()
+ */
+const createBible = ({
+  translations,
+  defaultTranslation = translations[0].id,
+  lexicon = null,
+  crossReferences = createCrossReferences()
+}) => {
+  const byId = new Map(translations.map(translation => [translation.id, translation]));
+  if (!byId.has(defaultTranslation)) {
+    throw new Error(`Unknown default translation "${defaultTranslation}"`);
+  }
+
+  // Only local translations can be searched; an upstream one would mean fetching every verse
+  const searchable = translations.filter(translation => typeof translation.verses === 'function');
+  const defaultSearch = byId.get(defaultTranslation).verses ? defaultTranslation : searchable[0] && searchable[0].id;
+  const concordances = new Map();
+
+  const concordanceFor = (translationId) => {
+    const id = String(translationId).toLowerCase();
+    const translation = byId.get(id);
+    const ids = searchable.map(local => local.id);
+    if (!translation) {
+      throw badRequest(`Unknown translation "${translationId}"`, { translations: ids });
+    }
+    if (!translation.verses) {
+      throw badRequest(`The ${translation.abbreviation} cannot be searched`, { translations: ids });
+    }
+    if (!concordances.has(id)) concordances.set(id, createConcordance(translation));
+    return concordances.get(id);
+  };
+
+  const bible = {
+    defaultTranslation,
+
+    translations() {
+      return translations.map(describeTranslation);
+    },
+
+    hasTranslation(id) {
+      return byId.has(String(id).toLowerCase());
+    },
+
+    /**
+     * Look up a passage.
+     * @param {string} query - Reference such as "John 3:16-18", "Psalm 23" or "Gen 1; Rom 8:28"
+     * @param {Object} [options]
+     * @param {string} [options.translation] - Translation id
+     * @returns {Promise<Object>} - { reference, osis, translation, verses }
+     * @throws {ApiError} - 400 for unreadable references, 404 if the passage does not exist
+     */
+    async lookup(query, { translation: translationId = defaultTranslation } = {}) {
+      const translation = byId.get(String(translationId).toLowerCase());
+      if (!translation) {
+        throw badRequest(`Unknown translation "${translationId}"`, { translations: [...byId.keys()] });
+      }
+
+      const { reference, error, missing } = checkReference(query);
+      if (missing) {
+        throw new ApiError(error, { status: 404, code: 'PASSAGE_NOT_FOUND' });
+      }
+      if (error) {
+        throw badRequest(error);
+      }
+
+      const verses = [];
+      for (const range of reference.ranges) {
+        verses.push(...(await translation.passage(range)).map(verse => ({ book: range.book, ...verse })));
+        if (verses.length > MAX_VERSES) {
+          throw badRequest(`Passages are limited to ${MAX_VERSES} verses`);
+        }
+      }
+      // The canon allows it, but this translation numbers it differently
+      if (verses.length === 0) {
+        throw new ApiError(`${reference.label} was not found in the ${translation.abbreviation}`, {
+          status: 404,
+          code: 'PASSAGE_NOT_FOUND'
+        });
+      }
+
+      return {
+        reference: reference.label,
+        osis: reference.osis,
+        translation: describeTranslation(translation),
+        verses
+      };
+    },
+
+    /**
+     * Look up a passage in several translations, aligned verse by verse.
+     * A translation that fails (an upstream error, or a verse it numbers
+     * differently) gets an `error` and null texts instead of failing the rest.
+     * @param {string} query - Reference, as for lookup()
+     * @param {Object} [options]
+     * @param {string[]} [options.translations] - Translation ids in column order (default: all)
+     * @returns {Promise<Object>} - { reference, osis, translations: [{ ...translation, error }], rows }
+     * @throws {ApiError} - As for lookup(), when every translation fails
+     */
+    async parallel(query, { translations: ids = translations.map(translation => translation.id) } = {}) {
+      const unique = [...new Set(ids.map(id => String(id).toLowerCase()))];
+      if (unique.length === 0) {
+        throw badRequest('Choose at least one translation');
+      }
+      if (unique.length > MAX_PARALLEL) {
+        throw badRequest(`At most ${MAX_PARALLEL} translations can be compared at once`);
+      }
+      const unknown = unique.find(id => !byId.has(id));
+      if (unknown) {
+        throw badRequest(`Unknown translation "${unknown}"`, { translations: [...byId.keys()] });
+      }
+
+      const results = await Promise.allSettled(unique.map(id => bible.lookup(query, { translation: id })));
+      const found = results.find(result => result.status === 'fulfilled');
+      if (!found) {
+        throw results[0].reason;
+      }
+
+      return {
+        reference: found.value.reference,
+        osis: found.value.osis,
+        translations: results.map((result, index) => ({
+          ...describeTranslation(byId.get(unique[index])),
+          error: result.status === 'rejected' ? result.reason.message : null
+        })),
+        rows: alignVerses(results.map((result, index) => ({
+          id: unique[index],
+          verses: result.status === 'fulfilled' ? result.value.verses : null
+        })))
+      };
+    },
+
+    /**
+     * Search the text of a local translation (see ./concordance.js for the query syntax).
+     * @param {string} query - e.g. '"living water"' or 'shepherd NEAR/5 sheep'
+     * @param {Object} [options]
+     * @param {string} [options.translation] - Local translation id (default: the default, if local)
+     * @param {string[]} [options.books] - Only these books (names or OSIS ids)
+     * @param {string} [options.testament] - Only 'OT' or 'NT'
+     * @param {number} [options.limit] - Verses per page (default 50, at most 200)
+     * @param {number} [options.offset] - Verses to skip
+     * @returns {Object} - { query, translation, total, offset, limit,
+     *   books: [{ book, name, count, firstChapter, lastChapter }],
+     *   results: [{ reference, osis, book, chapter, verse, text, highlights: [[start, end]] }] }
+     * @throws {ApiError} - 400 for unreadable searches and translations that cannot be searched
+     */
+    search(query, { translation: translationId = defaultSearch, ...options } = {}) {
+      return concordanceFor(translationId).search(query, options);
+    },
+
+    /**
+     * Rank the verses of a local translation by some words, rarer words counting
+     * for more (see rank() in ./concordance.js); used to ground chat answers.
+     * @param {string[]} words
+     * @param {Object} [options]
+     * @param {string} [options.translation] - Local translation id (default: the default, if local)
+     * @param {number} [options.limit] - Verses returned (default 50, at most 200)
+     * @param {number} [options.maxVerses] - Words in more verses than this are left out
+     * @param {number} [options.maxWords] - The rarest this many words are used
+     * @returns {Object} - { translation, words, results }
+     * @throws {ApiError} - 400 for translations that cannot be searched
+     */
+    rank(words, { translation: translationId = defaultSearch, ...options } = {}) {
+      return concordanceFor(translationId).rank(words, options);
+    },
+
+    /**
+     * Which testaments word study has a tagged text for. The Greek New
+     * Testament is there only when MorphGNT's files are given (MORPHGNT_DIR).
+     * @returns {Object} - { oldTestament, newTestament }, both false without a lexicon
+     */
+    wordStudyTexts() {
+      return lexicon ? lexicon.texts() : { oldTestament: false, newTestament: false };
+    },
+
+    /**
+     * The original-language words of a passage: Hebrew for the Old Testament, Greek for the New.
+     * @param {string} query - Reference of at most 5 verses, e.g. "Genesis 1:1-3"
+     * @returns {Object} - { reference, osis, verses: [{ reference, osis, book, chapter, verse, words }] }, words as
+     *   from lexicon.studyPassage(); Old Testament verses are numbered as in the KJV, with psalm
+     *   titles in verse 1
+     * @throws {ApiError} - 400 for unreadable or long references, 404 when the passage has no tagged text
+     */
+    wordStudy(query) {
+      if (!lexicon) {
+        throw new ApiError('Word study is not available', { status: 503, code: 'LEXICON_UNAVAILABLE' });
+      }
+
+      const { reference, error, missing } = checkReference(query);
+      if (missing) {
+        throw new ApiError(error, { status: 404, code: 'PASSAGE_NOT_FOUND' });
+      }
+      if (error) {
+        throw badRequest(error);
+      }
+
+      const untagged = reference.ranges.find(range => !lexicon.hasBook(range.book));
+      if (untagged) {
+        throw new ApiError(
+          `New Testament word study is not available: this server has no tagged Greek text for ${getBook(untagged.book).name}. ` +
+          'Greek words can still be looked up by Strong\'s number (e.g. G26).',
+          { status: 404, code: 'NO_ORIGINAL_TEXT' }
+        );
+      }
+
+      const verses = [];
+      for (const range of reference.ranges) {
+        verses.push(...lexicon.studyPassage(range).map(({ chapter, verse, words }) => ({
+          reference: formatRange({ book: range.book, start: { chapter, verse }, end: { chapter, verse } }),
+          osis: `${range.book}.${chapter}.${verse}`,
+          book: range.book,
+          chapter,
+          verse,
+          words
+        })));
+        if (verses.length > MAX_STUDY_VERSES) {
+          throw badRequest(`Word study is limited to ${MAX_STUDY_VERSES} verses at a time`);
+        }
+      }
+      if (verses.length === 0) {
+        throw new ApiError(`${reference.label} was not found in the original-language text`, {
+          status: 404,
+          code: 'PASSAGE_NOT_FOUND'
+        });
+      }
+
+      return { reference: reference.label, osis: reference.osis, verses };
+    },
+
+    /**
+     * A Strong's dictionary entry, with the verses using the lemma (Greek ones only when MorphGNT is loaded).
+     * @param {string} strong - e.g. "H7225" or "G26"
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Occurrences per page (default 50, at most 200)
+     * @param {number} [options.offset] - Occurrences to skip
+     * @returns {Object} - { ...entry, occurrences: { total, offset, limit, books, results } | null }
+     * @throws {ApiError} - 400 for malformed numbers, 404 for numbers not in the dictionary
+     */
+    lexiconEntry(strong, { limit = 50, offset = 0 } = {}) {
+      if (!lexicon) {
+        throw new ApiError('Word study is not available', { status: 503, code: 'LEXICON_UNAVAILABLE' });
+      }
+
+      const id = strongNumber(strong);
+      if (!id) {
+        throw badRequest(`"${strong}" is not a Strong's number; use H or G and a number, such as H7225 or G26`);
+      }
+      const found = lexicon.entry(id);
+      if (!found) {
+        throw new ApiError(`${id} is not in Strong's dictionary`, { status: 404, code: 'LEXICON_ENTRY_NOT_FOUND' });
+      }
+
+      const page = {
+        limit: Math.min(Math.max(Number(limit) || 50, 1), MAX_OCCURRENCES),
+        offset: Math.max(Number(offset) || 0, 0)
+      };
+      const occurrences = lexicon.occurrences(id, page);
+      return { ...found, occurrences: occurrences && { ...occurrences, ...page } };
+    },
+
+    /**
+     * Ranked cross-references of a passage, each quoted from a local translation.
+     * @param {string} query - Reference, as for lookup()
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Most references (default 20, at most 50)
+     * @returns {Promise<Object>} - { reference, osis, source, coverage: { verses, complete },
+     *   translation, total, results: [{ reference, osis, votes, from, text }] }, best first;
+     *   votes are null for data without them, such as the bundled set
+     * @throws {ApiError} - As for lookup()
+     */
+    async related(query, { limit = 20 } = {}) {
+      const { reference, error, missing } = checkReference(query);
+      if (missing) {
+        throw new ApiError(error, { status: 404, code: 'PASSAGE_NOT_FOUND' });
+      }
+      if (error) {
+        throw badRequest(error);
+      }
+
+      const count = Math.min(Math.max(Number(limit) || 20, 1), MAX_CROSS_REFERENCES);
+      const { total, results } = crossReferences.related(reference.ranges, { limit: count });
+
+      // Quoted from a local translation, so a long list makes no upstream requests
+      const translation = defaultSearch ? byId.get(defaultSearch) : null;
+      const quote = async (range) => {
+        if (!translation) return null;
+        const verses = await translation.passage(range);
+        const text = verses.slice(0, QUOTED_VERSES).map(verse => verse.text).join(' ');
+        return verses.length > QUOTED_VERSES ? `${text} …` : text;
+      };
+
+      return {
+        reference: reference.label,
+        osis: reference.osis,
+        source: crossReferences.source,
+        coverage: crossReferences.coverage(),
+        translation: translation ? translation.abbreviation : null,
+        total,
+        results: await Promise.all(results.map(async ({ reference: label, osis, votes, from, ...range }) => ({
+          reference: label,
+          osis,
+          votes,
+          from,
+          text: await quote(range)
+        })))
+      };
+    }
+  };
+
+  return bible;
+};
+
+/**
+ * Build the Bible selected by the environment:
+ *   ESV_API_KEY                - adds the ESV through the ESV API
+ *   BIBLE_DEFAULT_TRANSLATION - kjv (default), asv or esv
+ *   CROSS_REFERENCES_FILE     - cross-references in OpenBible.info's format (default: the bundled set)
+ *   MORPHGNT_DIR              - MorphGNT's *-morphgnt.txt files, for Greek New Testament word study
+ * @param {Object} [env=process.env]
+ * @returns {Object} - Bible instance
+ */
+const createBibleFromEnv = (env = process.env) => {
+  const translations = [createKjvTranslation(), createAsvTranslation()];
+  if (env.ESV_API_KEY) {
+    translations.push(createEsvTranslation({ apiKey: env.ESV_API_KEY }));
+  }
+
+  return createBible({
+    translations,
+    defaultTranslation: (env.BIBLE_DEFAULT_TRANSLATION || 'kjv').toLowerCase(),
+    lexicon: createLexicon(env.MORPHGNT_DIR ? { loadGreek: () => loadMorphGnt(env.MORPHGNT_DIR) } : {}),
+    crossReferences: env.CROSS_REFERENCES_FILE
+      ? createCrossReferences({
+        loadText: () => fs.readFileSync(env.CROSS_REFERENCES_FILE, 'utf8'),
+        source: `Cross-references from ${path.basename(env.CROSS_REFERENCES_FILE)}`,
+        complete: true
+      })
+      : createCrossReferences()
+  });
+};
+
+let activeBible = null;
+
+// Shared Bible for the server, created on first use
+const getBible = () => {
+  if (!activeBible) {
+    activeBible = createBibleFromEnv();
+  }
+  return activeBible;
+};
+
+module.exports = {
+  createBible,
+  createBibleFromEnv,
+  getBible
+};
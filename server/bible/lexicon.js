@@ -0,0 +1,316 @@
+// Original-language word study. Open datasets are loaded on first use:
+//   morphhb  - the OpenScriptures Hebrew Bible (Westminster Leningrad Codex),
+//              with each word's Strong's number and morphology (CC BY 4.0)
+//   strongs  - Strong's Hebrew and Greek dictionaries from Open Scriptures (CC BY-SA)
+//   MorphGNT - the SBL Greek New Testament with each word's lemma and
+//              morphology (CC BY-SA), when its files are given (MORPHGNT_DIR).
+//              It is not published on npm, so it is not bundled. Lemmas are
+//              matched to Strong's numbers through the Greek dictionary.
+// Without MorphGNT, verses can be studied in the Old Testament only, and the
+// Word Study tool says so; Greek entries can still be looked up by number.
+// morphhb numbers Old Testament verses as the KJV does (Malachi has four
+// chapters, Joel 2:28 exists), with each psalm's title merged into verse 1,
+// so the title's words are part of that verse's words.
+const fs = require('fs');
+const path = require('path');
+const { BOOKS, findBook, formatRange, getBook } = require('../../shared/scripture');
+const { describeMorphology, describeGreekMorphology } = require('./morphology');
+
+// MorphGNT numbers the New Testament books from 1 (Matthew) in canon order
+const NEW_TESTAMENT = BOOKS.filter(book => book.testament === 'NT');
+
+// Inseparable prefixes marked in morphhb lemmas ("Hc/H1961" is "and" + H1961)
+const PREFIXES = {
+  b: 'in',
+  c: 'and',
+  d: 'the',
+  i: '(question)',
+  k: 'like',
+  l: 'to',
+  m: 'from',
+  s: 'which'
+};
+
+const STRONG = /^([HG])0*(\d{1,5})$/i;
+
+/**
+ * Normalise a Strong's number: "h07225" -> "H7225"
+ * @param {string} value
+ * @returns {string|null}
+ */
+const strongNumber = (value) => {
+  const match = STRONG.exec(String(value || '').trim());
+  return match ? `${match[1].toUpperCase()}${match[2]}` : null;
+};
+
+// "Hc/H1961" -> "H1961"; prefixes have a letter instead of a number
+const mainStrong = (lemma) => {
+  const part = String(lemma || '').split('/').find(segment => /^H\d+/.test(segment));
+  return part ? strongNumber(part.match(/^H\d+/)[0]) : null;
+};
+
+// Words Strong's uses to qualify a sense rather than to give one
+const QUALIFIERS = /^((properly|literally|figuratively|specifically|probably|perhaps|generally)\s*)+/i;
+
+// "(absolutely) to create; ..." -> "to create", "perhaps properly, to arrange" -> "to arrange"
+const glossOf = (definition) => {
+  const text = String(definition || '').trim();
+  const senses = text.replace(/\([^)]*\)/g, '').replace(/\s+/g, ' ').split(/[;,]/).map(sense => sense.replace(QUALIFIERS, '').trim());
+  return senses.find(Boolean) || text;
+};
+
+// Lemmas compared as composed Unicode, so oxia and tonos accents match
+const normalizeGreek = (text) => String(text || '').normalize('NFC');
+
+/**
+ * Read the MorphGNT files in a directory (61-Mt-morphgnt.txt ... 87-Re-morphgnt.txt).
+ * @param {string} dir
+ * @returns {string} - Their lines, in canon order
+ */
+const loadMorphGnt = (dir) => fs.readdirSync(dir)
+  .filter(name => /morphgnt\.txt$/i.test(name))
+  .sort()
+  .map(name => fs.readFileSync(path.join(dir, name), 'utf8'))
+  .join('\n');
+
+/**
+ * @param {Object} [options]
+ * @param {Function} [options.loadHebrew] - Returns morphhb's { 'Book name': [chapter][verse][word] }
+ * @param {Function} [options.loadDictionary] - Returns { H1: {...}, G1: {...} }
+ * @param {Function} [options.loadGreek] - Returns MorphGNT's lines; without it there is no Greek text
+ * @returns {Object} - Lexicon with entry(), hasBook(), texts(), studyPassage() and occurrences()
+ */
+const createLexicon = ({
+  loadHebrew = () => require('morphhb'),
+  loadDictionary = () => require('strongs'),
+  loadGreek = null
+} = {}) => {
+  let dictionary = null;
+  let hebrew = null;
+  let greek = null;
+
+  const getDictionary = () => {
+    if (!dictionary) dictionary = loadDictionary();
+    return dictionary;
+  };
+
+  // Words by OSIS book id, and for each Strong's number the verses using it
+  const getHebrew = () => {
+    if (hebrew) return hebrew;
+    const books = new Map();
+    const verses = [];
+    const byStrong = new Map();
+
+    for (const [name, chapters] of Object.entries(loadHebrew())) {
+      const book = findBook(name);
+      if (!book) {
+        throw new Error(`Hebrew text has an unknown book "${name}"`);
+      }
+      books.set(book.id, chapters);
+      chapters.forEach((chapterVerses, c) => chapterVerses.forEach((words, v) => {
+        const index = verses.push({ book: book.id, chapter: c + 1, verse: v + 1 }) - 1;
+        for (const [, lemma] of words) {
+          const strong = mainStrong(lemma);
+          if (!strong) continue;
+          const list = byStrong.get(strong);
+          if (!list) byStrong.set(strong, [index]);
+          else if (list[list.length - 1] !== index) list.push(index);
+        }
+      }));
+    }
+
+    // morphhb's books are not in canon order
+    const order = new Map([...books.keys()].map(id => [id, BOOKS.indexOf(getBook(id))]));
+    const canonIndex = (index) => order.get(verses[index].book) * 1e6 + verses[index].chapter * 1e3 + verses[index].verse;
+    byStrong.forEach(list => list.sort((a, b) => canonIndex(a) - canonIndex(b)));
+
+    hebrew = { books, verses, byStrong, describe: (...args) => describeWord(...args) };
+    return hebrew;
+  };
+
+  // The same for MorphGNT, whose lines are one word each, verse by verse:
+  // "040101 P- -------- Ἐν Ἐν ἐν ἐν" is book, chapter, verse, part of speech,
+  // parse code, text, word, normalized word and lemma
+  const getGreek = () => {
+    if (greek) return greek;
+    const books = new Map();
+    const verses = [];
+    const byStrong = new Map();
+    greek = { books, verses, byStrong, describe: (...args) => describeGreekWord(...args) };
+    if (!loadGreek) return greek;
+
+    const strongByLemma = new Map();
+    for (const [id, found] of Object.entries(getDictionary())) {
+      const lemma = id.startsWith('G') && normalizeGreek(found.lemma);
+      if (lemma && !strongByLemma.has(lemma)) strongByLemma.set(lemma, id);
+    }
+
+    let current = null;
+    let words = null;
+    let index = -1;
+    for (const line of String(loadGreek()).split(/\r?\n/)) {
+      const [bcv, pos, parse, , text, , lemma] = line.trim().split(/\s+/);
+      if (!lemma) continue;
+      if (bcv !== current) {
+        const book = NEW_TESTAMENT[Number(bcv.slice(0, 2)) - 1];
+        if (!book) {
+          throw new Error(`Greek text has an unknown book "${bcv.slice(0, 2)}"`);
+        }
+        const chapter = Number(bcv.slice(2, 4));
+        const verse = Number(bcv.slice(4, 6));
+        if (!books.has(book.id)) books.set(book.id, []);
+        const chapters = books.get(book.id);
+        if (!chapters[chapter - 1]) chapters[chapter - 1] = [];
+        words = [];
+        chapters[chapter - 1][verse - 1] = words;
+        index = verses.push({ book: book.id, chapter, verse }) - 1;
+        current = bcv;
+      }
+      const strong = strongByLemma.get(normalizeGreek(lemma)) || null;
+      words.push({ text, lemma, strong, pos, parse });
+      if (!strong) continue;
+      const list = byStrong.get(strong);
+      if (!list) byStrong.set(strong, [index]);
+      else if (list[list.length - 1] !== index) list.push(index);
+    }
+    return greek;
+  };
+
+  // The text a book is read in: the Greek for the New Testament
+  const textOf = (book) => (getBook(book) && getBook(book).testament === 'NT' ? getGreek() : getHebrew());
+
+  /**
+   * Dictionary entry for a Strong's number.
+   * @param {string} strong - e.g. "H7225" or "G26"
+   * @returns {Object|null} - { strong, language, lemma, transliteration, pronunciation, gloss,
+   *   definition, kjvUsage, derivation }
+   */
+  const entry = (strong) => {
+    const id = strongNumber(strong);
+    const found = id && getDictionary()[id];
+    if (!found) return null;
+    return {
+      strong: id,
+      language: id.startsWith('H') ? 'hebrew' : 'greek',
+      lemma: found.lemma,
+      transliteration: found.xlit || found.translit || null,
+      pronunciation: found.pron || null,
+      gloss: glossOf(found.strongs_def),
+      definition: (found.strongs_def || '').trim(),
+      kjvUsage: found.kjv_def || null,
+      derivation: found.derivation || null
+    };
+  };
+
+  // One word of the Hebrew text with its dictionary entry and morphology
+  const describeWord = ([text, lemma, morph], position) => {
+    const strong = mainStrong(lemma);
+    const found = strong ? entry(strong) : null;
+    const morphology = describeMorphology(morph);
+    return {
+      position: position + 1,
+      text: text.replace(/\//g, ''),
+      segments: text.split('/'),
+      language: morphology.language,
+      prefixes: lemma.split('/').filter(part => /^H[a-z]$/.test(part)).map(part => ({
+        code: part.slice(1),
+        gloss: PREFIXES[part.slice(1)] || null
+      })),
+      strong,
+      lemma: found ? found.lemma : null,
+      transliteration: found ? found.transliteration : null,
+      gloss: found ? found.gloss : null,
+      morphology
+    };
+  };
+
+  // One word of the Greek text; MorphGNT's lemma stands in for a lemma without a Strong's number
+  const describeGreekWord = ({ text, lemma, strong, pos, parse }, position) => {
+    const found = strong ? entry(strong) : null;
+    return {
+      position: position + 1,
+      text,
+      segments: [text],
+      language: 'greek',
+      prefixes: [],
+      strong,
+      lemma: found ? found.lemma : lemma,
+      transliteration: found ? found.transliteration : null,
+      gloss: found ? found.gloss : null,
+      morphology: describeGreekMorphology(pos, parse)
+    };
+  };
+
+  /**
+   * Whether there is a tagged text of a book: the 39 books of the Hebrew Bible,
+   * and the 27 of the New Testament when MorphGNT is loaded.
+   * @param {string} book - OSIS id
+   * @returns {boolean}
+   */
+  const hasBook = (book) => textOf(book).books.has(book);
+
+  /**
+   * The words of the verses in one range of a reference, with their lemmas and morphology.
+   * @param {Object} range - { book, start, end } from shared/scripture
+   * @returns {Object[]} - [{ chapter, verse, words }], words in reading order
+   */
+  const studyPassage = ({ book, start, end }) => {
+    const { books, describe } = textOf(book);
+    const chapters = books.get(book) || [];
+    const verses = [];
+
+    for (let chapter = start.chapter; chapter <= Math.min(end.chapter, chapters.length); chapter++) {
+      (chapters[chapter - 1] || []).forEach((words, i) => {
+        const verse = i + 1;
+        const afterStart = chapter > start.chapter || !start.verse || verse >= start.verse;
+        const beforeEnd = chapter < end.chapter || !end.verse || verse <= end.verse;
+        if (afterStart && beforeEnd) {
+          verses.push({ chapter, verse, words: words.map(describe) });
+        }
+      });
+    }
+    return verses;
+  };
+
+  /**
+   * Verses of the Hebrew or Greek text using a lemma.
+   * @param {string} strong - Strong's number
+   * @param {Object} [options] - { limit, offset }
+   * @returns {Object|null} - { total, books: [{ book, name, count }], results: [{ reference, osis, book, chapter, verse, forms }] },
+   *   or null for Greek numbers when MorphGNT is not loaded
+   */
+  const occurrences = (strong, { limit = 50, offset = 0 } = {}) => {
+    const id = strongNumber(strong);
+    if (!id || (id.startsWith('G') && !loadGreek)) return null;
+
+    const { books, verses, byStrong, describe } = id.startsWith('H') ? getHebrew() : getGreek();
+    const found = byStrong.get(id) || [];
+
+    const counts = new Map();
+    found.forEach(index => counts.set(verses[index].book, (counts.get(verses[index].book) || 0) + 1));
+
+    return {
+      total: found.length,
+      books: [...counts].map(([book, count]) => ({ book, name: getBook(book).name, count })),
+      results: found.slice(offset, offset + limit).map((index) => {
+        const point = verses[index];
+        const at = { chapter: point.chapter, verse: point.verse };
+        const words = books.get(point.book)[point.chapter - 1][point.verse - 1];
+        return {
+          reference: formatRange({ book: point.book, start: at, end: at }),
+          osis: `${point.book}.${point.chapter}.${point.verse}`,
+          ...point,
+          // The forms the lemma takes in this verse
+          forms: words.map(describe).filter(word => word.strong === id).map(word => word.text)
+        };
+      })
+    };
+  };
+
+  // Which testaments have a tagged text
+  const texts = () => ({ oldTestament: true, newTestament: Boolean(loadGreek) });
+
+  return { entry, hasBook, texts, studyPassage, occurrences };
+};
+
+module.exports = { createLexicon, loadMorphGnt, strongNumber };
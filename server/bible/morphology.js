@@ -0,0 +1,148 @@
+// Readable descriptions of the OpenScriptures Hebrew Bible morphology codes
+// (morphhb's parsing/HebrewMorphologyCodes.html). A code has one part per
+// segment of the word, separated by slashes: "C/Vqw3ms" is a conjunction
+// followed by a verb. In the morphhb data the language prefix is left off
+// Hebrew words and kept on Aramaic ones ("AVqrmsa").
+//
+// Greek words use MorphGNT's codes instead: a two-letter part of speech
+// ("V-", "RA") and an eight-letter parse code with one column each for
+// person, tense, voice, mood, case, number, gender and degree ("3AAI-S--").
+
+const PARTS_OF_SPEECH = {
+  A: 'adjective',
+  C: 'conjunction',
+  D: 'adverb',
+  N: 'noun',
+  P: 'pronoun',
+  R: 'preposition',
+  S: 'suffix',
+  T: 'particle',
+  V: 'verb'
+};
+
+const HEBREW_STEMS = {
+  q: 'qal', N: 'niphal', p: 'piel', P: 'pual', h: 'hiphil', H: 'hophal', t: 'hithpael',
+  o: 'polel', O: 'polal', r: 'hithpolel', m: 'poel', M: 'poal', k: 'palel', K: 'pulal',
+  Q: 'qal passive', l: 'pilpel', L: 'polpal', f: 'hithpalpel', D: 'nithpael', j: 'pealal',
+  i: 'pilel', u: 'hothpaal', c: 'tiphil', v: 'hishtaphel', w: 'nithpalel', y: 'nithpoel', z: 'hithpoel'
+};
+
+const ARAMAIC_STEMS = {
+  q: 'peal', Q: 'peil', u: 'hithpeel', p: 'pael', P: 'ithpaal', M: 'hithpaal', a: 'aphel',
+  h: 'haphel', s: 'saphel', e: 'shaphel', H: 'hophal', i: 'ithpeel', t: 'hishtaphel',
+  v: 'ishtaphel', w: 'hithaphel', o: 'polel', z: 'ithpoel', r: 'hithpolel', f: 'hithpalpel',
+  b: 'hephal', c: 'tiphel', m: 'poel', l: 'palpel', L: 'ithpalpel', O: 'ithpolel', G: 'ittaphal'
+};
+
+const CONJUGATIONS = {
+  p: 'perfect', q: 'sequential perfect', i: 'imperfect', w: 'sequential imperfect',
+  h: 'cohortative', j: 'jussive', v: 'imperative', r: 'active participle',
+  s: 'passive participle', a: 'infinitive absolute', c: 'infinitive construct'
+};
+
+const TYPES = {
+  A: { a: 'adjective', c: 'cardinal number', g: 'gentilic', o: 'ordinal number' },
+  N: { c: 'common', g: 'gentilic', p: 'proper name' },
+  P: { d: 'demonstrative', f: 'indefinite', i: 'interrogative', p: 'personal', r: 'relative' },
+  R: { d: 'with the definite article' },
+  S: { d: 'directional he', h: 'paragogic he', n: 'paragogic nun', p: 'pronominal' },
+  T: {
+    a: 'affirmation', d: 'definite article', e: 'exhortation', i: 'interrogative', j: 'interjection',
+    m: 'demonstrative', n: 'negative', o: 'direct object marker', r: 'relative'
+  }
+};
+
+const PERSONS = { 1: 'first person', 2: 'second person', 3: 'third person' };
+const GENDERS = { b: 'both genders', c: 'common', f: 'feminine', m: 'masculine' };
+const NUMBERS = { d: 'dual', p: 'plural', s: 'singular' };
+const STATES = { a: 'absolute', c: 'construct', d: 'determined' };
+
+// The fields that follow the part of speech (and type or stem)
+const FIELDS = {
+  A: [GENDERS, NUMBERS, STATES],
+  N: [GENDERS, NUMBERS, STATES],
+  P: [PERSONS, GENDERS, NUMBERS],
+  S: [PERSONS, GENDERS, NUMBERS],
+  V: [PERSONS, GENDERS, NUMBERS, STATES]
+};
+
+// One segment: "Vqw3ms" -> "verb, qal, sequential imperfect, third person, masculine, singular"
+const describeSegment = (segment, language) => {
+  const [pos, ...rest] = segment;
+  const name = PARTS_OF_SPEECH[pos];
+  if (!name) return segment;
+
+  const words = [name];
+  let fields = rest;
+  if (pos === 'V') {
+    const stems = language === 'aramaic' ? ARAMAIC_STEMS : HEBREW_STEMS;
+    words.push(stems[rest[0]], CONJUGATIONS[rest[1]]);
+    fields = rest.slice(2);
+  } else if (TYPES[pos] && rest.length) {
+    words.push(TYPES[pos][rest[0]]);
+    fields = rest.slice(1);
+  }
+  // Participles and infinitives have no person; 'x' marks a value left out
+  (FIELDS[pos] || []).forEach((values, i) => {
+    const code = fields[i];
+    if (code && code !== 'x') words.push(values[code]);
+  });
+  return words.filter(Boolean).join(', ');
+};
+
+/**
+ * Describe a morphology code from morphhb.
+ * @param {string} code - e.g. "C/Vqw3ms", "Td/Ncmpa" or "AVqrmsa" (Aramaic)
+ * @returns {Object} - { code, language: 'hebrew'|'aramaic', parts: ['conjunction', 'verb, qal, ...'] }
+ */
+const describeMorphology = (code) => {
+  const text = String(code || '');
+  const aramaic = /^A[A-Z]/.test(text);
+  const language = aramaic ? 'aramaic' : 'hebrew';
+  const segments = (aramaic ? text.slice(1) : text).split('/').filter(Boolean);
+  return { code: text, language, parts: segments.map(segment => describeSegment(segment, language)) };
+};
+
+const GREEK_PARTS_OF_SPEECH = {
+  'A-': 'adjective',
+  'C-': 'conjunction',
+  'D-': 'adverb',
+  'I-': 'interjection',
+  'N-': 'noun',
+  'P-': 'preposition',
+  'RA': 'definite article',
+  'RD': 'demonstrative pronoun',
+  'RI': 'interrogative or indefinite pronoun',
+  'RP': 'personal pronoun',
+  'RR': 'relative pronoun',
+  'V-': 'verb',
+  'X-': 'particle'
+};
+
+// The columns of a parse code, in order; '-' marks a column that does not apply
+const GREEK_FIELDS = [
+  PERSONS,
+  { P: 'present', I: 'imperfect', F: 'future', A: 'aorist', X: 'perfect', Y: 'pluperfect' },
+  { A: 'active', M: 'middle', P: 'passive' },
+  { I: 'indicative', D: 'imperative', S: 'subjunctive', O: 'optative', N: 'infinitive', P: 'participle' },
+  { N: 'nominative', G: 'genitive', D: 'dative', A: 'accusative', V: 'vocative' },
+  { S: 'singular', P: 'plural' },
+  { M: 'masculine', F: 'feminine', N: 'neuter' },
+  { C: 'comparative', S: 'superlative' }
+];
+
+/**
+ * Describe a MorphGNT part of speech and parse code.
+ * @param {string} pos - e.g. "V-" or "RA"
+ * @param {string} parse - e.g. "3AAI-S--"
+ * @returns {Object} - { code: 'V- 3AAI-S--', language: 'greek', parts: ['verb, third person, aorist, ...'] }
+ */
+const describeGreekMorphology = (pos, parse) => {
+  const words = [GREEK_PARTS_OF_SPEECH[pos] || pos];
+  String(parse || '').split('').forEach((code, i) => {
+    if (code !== '-' && GREEK_FIELDS[i]) words.push(GREEK_FIELDS[i][code]);
+  });
+  return { code: `${pos} ${parse}`, language: 'greek', parts: [words.filter(Boolean).join(', ')] };
+};
+
+module.exports = { describeMorphology, describeGreekMorphology };
@@ -0,0 +1,94 @@
+// Verse text for the verses a tool result quotes (character study key verses,
+// personal study memory verses). The model's wording is often paraphrased or
+// from another translation, so each quote is looked up by its reference and
+// its text replaced with the translation's. Each quote gains:
+//   quotedText  - what the model wrote
+//   translation - abbreviation of the translation `text` comes from, or null
+//   textStatus  - 'verified'    the model's text matches the translation
+//                 'mismatch'    it does not
+//                 'filled'      the model gave no text
+//                 'unavailable' the reference could not be looked up; `text` is the model's
+
+// Share of the quoted words that must appear in the verse for the quote to
+// count as accurate. Partial quotes are fine; punctuation, capitalisation and
+// small slips are ignored.
+const MATCH_THRESHOLD = 0.8;
+
+// Share of the words of a range of verses that the quote must include. The
+// check above alone passes a quote of one verse under a reference to several,
+// since that verse's words are all in the range; the quote has to span the range.
+const RANGE_THRESHOLD = 0.6;
+
+const words = (text) => String(text || '').toLowerCase().replace(/['’]/g, '').match(/[a-z0-9]+/g) || [];
+
+// Share of the words of `quoted` found in `text`, each word counted as often as it occurs
+const coverage = (quoted, text) => {
+  const counts = new Map();
+  words(text).forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+
+  const quotedWords = words(quoted);
+  let found = 0;
+  for (const word of quotedWords) {
+    if (counts.get(word) > 0) {
+      found += 1;
+      counts.set(word, counts.get(word) - 1);
+    }
+  }
+  return found / quotedWords.length;
+};
+
+// `text` is the verses of the reference joined; `verseCount` how many there are
+const statusFor = (quotedText, text, verseCount) => {
+  if (!words(quotedText).length) return 'filled';
+  if (coverage(quotedText, text) < MATCH_THRESHOLD) return 'mismatch';
+  return verseCount < 2 || coverage(text, quotedText) >= RANGE_THRESHOLD ? 'verified' : 'mismatch';
+};
+
+/**
+ * Replace the text of quoted verses with the text of a translation.
+ * Quotes that were filled before keep their original `quotedText`, so a
+ * study can be switched between translations.
+ * @param {Object} bible - From createBible
+ * @param {Object[]} quotes - [{ reference, text, ... }]
+ * @param {Object} [options]
+ * @param {string} [options.translation] - Translation id (default: the Bible's default)
+ * @returns {Promise<Object[]>} - Copies of the quotes with the fields described above
+ */
+const fillQuotes = (bible, quotes, { translation = bible.defaultTranslation } = {}) => {
+  return Promise.all(quotes.map(async (quote) => {
+    const quotedText = quote.quotedText !== undefined ? quote.quotedText : (quote.text || '');
+    try {
+      const passage = await bible.lookup(quote.reference, { translation });
+      const text = passage.verses.map(verse => verse.text).join(' ');
+      return {
+        ...quote,
+        text,
+        quotedText,
+        translation: passage.translation.abbreviation,
+        textStatus: statusFor(quotedText, text, passage.verses.length)
+      };
+    } catch {
+      return { ...quote, text: quotedText, quotedText, translation: null, textStatus: 'unavailable' };
+    }
+  }));
+};
+
+/**
+ * Fill the quotes in the lists of a tool result. The result is not modified.
+ * @param {Object} bible - From createBible
+ * @param {Object} result - Tool result
+ * @param {string[]} lists - Top-level fields holding quotes, from schemas.quotations
+ * @param {Object} [options] - As for fillQuotes
+ * @returns {Promise<Object>} - The result with its quotes filled
+ */
+const fillResultQuotes = async (bible, result, lists = [], options) => {
+  const filled = { ...result };
+  for (const list of lists) {
+    if (Array.isArray(result[list])) {
+      filled[list] = await fillQuotes(bible, result[list], options);
+    }
+  }
+  return filled;
+};
+
+module.exports = { fillQuotes, fillResultQuotes };
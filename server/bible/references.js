@@ -0,0 +1,88 @@
+// Checks the scripture references in AI results against the canon.
+//
+// Each tool lists the fields that hold references as paths into its result:
+//   'events[].scripture'        - a field of every item of a list
+//   'locations[].verses[]'      - every string of a nested list
+//   'elementA.reference'        - a single field
+// With `strip`, an item whose reference names chapters or verses that do not
+// exist ("Genesis 51:3") is removed from the innermost list; otherwise the
+// text is kept and only reported. Either way the problem is returned as a
+// warning the UI shows next to the item:
+//   { path: 'events[2].scripture', reference: 'Genesis 51:3', message: 'Genesis has 50 chapters', removed: false }
+// Removed items are reported against the list that held them ('locations[0].verses').
+const { checkReference, findReferenceProblems } = require('../../shared/scripture');
+
+// Impossible references in one field: the whole text, or references inside prose
+const problemsIn = (text) => {
+  if (typeof text !== 'string' || !text.trim()) return [];
+  const { error, missing } = checkReference(text);
+  if (missing) {
+    return [{ reference: text.trim(), message: error }];
+  }
+  return findReferenceProblems(text).map(({ text: reference, problem }) => ({ reference, message: problem }));
+};
+
+// 'locations[].verses[]' -> { lists: ['locations', 'verses'], field: [] }
+// 'events[].scripture'   -> { lists: ['events'], field: ['scripture'] }
+const parsePath = (path) => {
+  const lists = path.split('[]');
+  const field = lists.pop().split('.').filter(Boolean);
+  return { lists: lists.map(part => part.split('.').filter(Boolean)), field };
+};
+
+const valueAt = (node, keys) => keys.reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), node);
+const pathOf = (base, keys) => [base, ...keys].filter(Boolean).join('.');
+
+// Every array at the list path, with the object holding it and its path
+const listsAt = (node, lists, base = '') => {
+  const [keys, ...rest] = lists;
+  const owner = valueAt(node, keys.slice(0, -1));
+  const key = keys[keys.length - 1];
+  if (!owner || typeof owner !== 'object' || !Array.isArray(owner[key])) return [];
+  const path = pathOf(base, keys);
+  if (rest.length === 0) {
+    return [{ owner, key, path }];
+  }
+  return owner[key].flatMap((item, index) => listsAt(item, rest, `${path}[${index}]`));
+};
+
+/**
+ * Check and clean the references in a tool result. The result is not modified.
+ * @param {Object} result - Parsed tool result
+ * @param {Object[]} fields - [{ path, strip }] as described above
+ * @returns {Object} - { value, warnings }
+ */
+const checkResultReferences = (result, fields = []) => {
+  const value = structuredClone(result);
+  const warnings = [];
+  const warn = (problems, path, removed) => {
+    problems.forEach(problem => warnings.push({ path, ...problem, removed }));
+  };
+
+  for (const { path, strip = false } of fields) {
+    const { lists, field } = parsePath(path);
+
+    if (lists.length === 0) {
+      warn(problemsIn(valueAt(value, field)), path, false);
+      continue;
+    }
+
+    for (const { owner, key, path: listPath } of listsAt(value, lists)) {
+      const kept = [];
+      for (const item of owner[key]) {
+        const problems = problemsIn(field.length ? valueAt(item, field) : item);
+        if (problems.length && strip) {
+          warn(problems, listPath, true);
+          continue;
+        }
+        warn(problems, pathOf(`${listPath}[${kept.length}]`, field), false);
+        kept.push(item);
+      }
+      owner[key] = kept;
+    }
+  }
+
+  return { value, warnings };
+};
+
+module.exports = { checkResultReferences };
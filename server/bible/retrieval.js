@@ -0,0 +1,188 @@
+// Passages retrieved from the local Bible text to ground a chat answer. For a
+// question the sources are, in order:
+//   named           - passages the question names ("What does John 3:16 mean?")
+//   cross-reference - the best cross-references of those passages
+//   search          - verses found by the concordance for the question's words,
+//                     every verse holding any of them ranked by the words it
+//                     holds, rarer words counting for more
+// Sources are numbered from 1 so the model can cite them ([1], [2, 3]); see
+// shared/scripture/citations.js.
+const {
+  findCitations,
+  findReferenceProblems,
+  findReferences,
+  formatRange,
+  parseReference
+} = require('../../shared/scripture');
+
+// Sources given to the model for one question
+const MAX_SOURCES = 8;
+// Named passages used, and the verses quoted from each
+const MAX_NAMED = 3;
+const MAX_NAMED_VERSES = 6;
+// Cross-references added for each named passage
+const CROSS_REFERENCES_PER_PASSAGE = 2;
+// Question words searched; words in more verses than this say little about the question
+const MAX_WORDS = 6;
+const MAX_WORD_VERSES = 1500;
+// Ranked verses considered, some of which the named passages already cover
+const SEARCH_CANDIDATES = 50;
+
+const STOPWORDS = new Set((
+  'a about above after again against all also am an and any are as at be because been before being below between both ' +
+  'but by can could did do does doing down during each few for from further had has have having he her here hers herself ' +
+  'him himself his how i if in into is it its itself just me more most my myself no nor not now of off on once only or ' +
+  'other our ours ourselves out over own same she should so some such than that the their theirs them themselves then ' +
+  'there these they this those through to too under until up very was we were what when where which while who whom why ' +
+  'will with would you your yours yourself yourselves ' +
+  'bible verse verses scripture scriptures passage passages chapter book say says said tell explain mean means meaning ' +
+  'please thing things way does know get make many much one use used ' +
+  'teach teaches teaching taught learn learned show shows give gives talk talks describe describes ' +
+  'help understand think want need like look find see important relate relates relationship difference'
+).split(' '));
+
+// Content words of a question, without the references it names
+const questionWords = (question, named) => {
+  let text = question;
+  named.forEach(({ text: reference }) => {
+    text = text.replace(reference, ' ');
+  });
+  const words = text.toLowerCase().replace(/[’']/g, '').match(/[a-z]+/g) || [];
+  return [...new Set(words.filter(word => word.length > 2 && !STOPWORDS.has(word)))];
+};
+
+// Whether a verse lies in a source's range
+const covers = (source, { book, chapter, verse }) => source.ranges.some(range => range.book === book &&
+  (chapter > range.start.chapter || (chapter === range.start.chapter && verse >= (range.start.verse || 1))) &&
+  (chapter < range.end.chapter || (chapter === range.end.chapter && verse <= (range.end.verse || Infinity))));
+
+// Passages the question names, quoted up to MAX_NAMED_VERSES verses
+const namedSources = async (bible, named) => {
+  const sources = [];
+  for (const { reference } of named.slice(0, MAX_NAMED)) {
+    try {
+      const { verses } = await bible.lookup(reference.label);
+      const quoted = verses.slice(0, MAX_NAMED_VERSES);
+      const first = quoted[0];
+      const last = quoted[quoted.length - 1];
+      // "Romans 8" is quoted as "Romans 8:1-6"; a passage across books keeps its first book
+      const range = {
+        book: first.book,
+        start: { chapter: first.chapter, verse: first.verse },
+        end: last.book === first.book ? { chapter: last.chapter, verse: last.verse } : { chapter: first.chapter, verse: first.verse }
+      };
+      sources.push({
+        reference: verses.length > quoted.length || last.book !== first.book ? formatRange(range) : reference.label,
+        text: quoted.filter(verse => verse.book === first.book).map(verse => verse.text).join(' '),
+        reason: 'named',
+        ranges: [range]
+      });
+    } catch (error) {
+      console.warn(`Could not quote ${reference.label} for the chat:`, error.message);
+    }
+  }
+  return sources;
+};
+
+// The best cross-references of the named passages
+const crossReferenceSources = async (bible, named) => {
+  const sources = [];
+  for (const source of named) {
+    try {
+      const { results } = await bible.related(source.reference, { limit: CROSS_REFERENCES_PER_PASSAGE });
+      results.forEach(result => sources.push({
+        reference: result.reference,
+        text: result.text,
+        reason: 'cross-reference',
+        ranges: [],
+        osis: result.osis
+      }));
+    } catch (error) {
+      console.warn(`No cross-references for ${source.reference}:`, error.message);
+    }
+  }
+  return sources;
+};
+
+// Verses holding the question's words, best first
+const searchSources = (bible, words) => {
+  if (words.length === 0) return [];
+  let results;
+  try {
+    ({ results } = bible.rank(words, { limit: SEARCH_CANDIDATES, maxVerses: MAX_WORD_VERSES, maxWords: MAX_WORDS }));
+  } catch {
+    // No translation the concordance can search
+    return [];
+  }
+  return results.map(verse => ({
+    reference: verse.reference,
+    text: verse.text,
+    reason: 'search',
+    ranges: [],
+    osis: verse.osis,
+    point: { book: verse.book, chapter: verse.chapter, verse: verse.verse }
+  }));
+};
+
+/**
+ * Retrieve passages for the latest question of a conversation.
+ * @param {Object} bible - From createBible
+ * @param {Object[]} messages - Chat history, ending with the user's question
+ * @param {Object} [options]
+ * @param {string} [options.passage] - What the conversation is about, used when the questions name no passage
+ * @returns {Promise<Object[]>} - [{ id, reference, text, reason }], numbered from 1
+ */
+const retrievePassages = async (bible, messages, { passage = null } = {}) => {
+  const questions = messages.filter(message => message.role === 'user').map(message => String(message.content || ''));
+  const question = questions[questions.length - 1] || '';
+
+  // A follow-up that names no passage keeps talking about the one named before it
+  let named = findReferences(question);
+  if (named.length === 0 && questions.length > 1) {
+    named = findReferences(questions[questions.length - 2]);
+  }
+  const pinned = named.length === 0 && passage ? parseReference(passage) : null;
+  if (pinned) {
+    named = [{ text: passage, reference: pinned }];
+  }
+
+  const sources = await namedSources(bible, named);
+  const seen = new Set();
+  const add = (source) => {
+    const key = source.osis || source.reference;
+    if (sources.length >= MAX_SOURCES || seen.has(key)) return;
+    if (source.point && sources.some(other => covers(other, source.point))) return;
+    seen.add(key);
+    sources.push(source);
+  };
+
+  (await crossReferenceSources(bible, sources.slice())).forEach(add);
+  searchSources(bible, questionWords(question, findReferences(question))).forEach(add);
+
+  return sources.map(({ reference, text, reason }, index) => ({ id: index + 1, reference, text, reason }));
+};
+
+/**
+ * The sources an answer cites, and what in it cannot be checked.
+ * @param {string} content - The model's answer
+ * @param {Object[]} sources - From retrievePassages
+ * @returns {Object} - { citations: [{ id, reference, count }] in the order first cited,
+ *   unknownCitations: numbers cited that match no source,
+ *   referenceWarnings: [{ reference, message }] for references to verses that do not exist }
+ */
+const checkCitations = (content, sources) => {
+  const counts = new Map();
+  const unknown = new Set();
+  findCitations(content).forEach(({ numbers }) => numbers.forEach((number) => {
+    if (sources.some(source => source.id === number)) counts.set(number, (counts.get(number) || 0) + 1);
+    else unknown.add(number);
+  }));
+
+  return {
+    citations: [...counts].map(([id, count]) => ({ id, reference: sources.find(source => source.id === id).reference, count })),
+    unknownCitations: [...unknown],
+    referenceWarnings: findReferenceProblems(content).map(({ text, problem }) => ({ reference: text, message: problem }))
+  };
+};
+
+module.exports = { retrievePassages, checkCitations };
@@ -0,0 +1,86 @@
+// Theme threads built from the text itself. The model only suggests what to
+// search for (the theme's key words, their other forms as wildcards, synonyms
+// and set phrases); the occurrences and the per-book density come from the
+// concordance, so every occurrence is a verse that really contains one of
+// the search terms.
+const { getBook } = require('../../shared/scripture');
+
+// Verses listed in a thread; the per-book counts cover every match
+const MAX_OCCURRENCES = 200;
+// Terms the model may suggest
+const MAX_TERMS = 10;
+// The concordance's limits on one search
+const MAX_COMBINED_LENGTH = 200;
+const MAX_COMBINED_WORDS = 20;
+
+const OPERATORS = /^(AND|OR|NOT|NEAR(\/\d+)?)$/;
+const wordCount = (query) => (query.match(/[^\s()"-]+/g) || []).filter(word => !OPERATORS.test(word)).length;
+
+/**
+ * Run a theme's search terms through the concordance.
+ * @param {Object} bible - From createBible
+ * @param {Object} plan - Model output: { theme, summary, searchTerms: [{ query, note }], memoryAids }
+ * @returns {Object} - The plan with
+ *   searchTerms: [{ query, note, count, error }] - verses each term finds on its own, or why it was skipped
+ *   occurrences: [{ ref, osis, book, chapter, verse, text, highlights }] - in canon order, at most 200
+ *   totalOccurrences: number of verses matching any term
+ *   timeline: [{ book, start, end, density }] - chapters spanned and verse count per book
+ *   translation: abbreviation of the translation searched
+ */
+const groundTheme = (bible, plan) => {
+  const searchTerms = [];
+  const usable = [];
+
+  for (const { query, note = '' } of (plan.searchTerms || []).slice(0, MAX_TERMS)) {
+    const term = String(query || '').trim();
+    if (!term || searchTerms.some(existing => existing.query === term)) continue;
+    try {
+      const { total } = bible.search(term, { limit: 1 });
+      searchTerms.push({ query: term, note, count: total, error: null });
+      if (total > 0) usable.push(term);
+    } catch (error) {
+      searchTerms.push({ query: term, note, count: 0, error: error.message });
+    }
+  }
+
+  // One search for every term, so a verse matching several is counted once
+  const combined = [];
+  for (const term of usable) {
+    const next = [...combined, `(${term})`].join(' OR ');
+    if (next.length > MAX_COMBINED_LENGTH || wordCount(next) > MAX_COMBINED_WORDS) {
+      const skipped = searchTerms.find(entry => entry.query === term);
+      skipped.error = 'Left out of the thread to keep the search short';
+      continue;
+    }
+    combined.push(`(${term})`);
+  }
+
+  if (combined.length === 0) {
+    return { ...plan, searchTerms, occurrences: [], totalOccurrences: 0, timeline: [], translation: null };
+  }
+
+  const found = bible.search(combined.join(' OR '), { limit: MAX_OCCURRENCES });
+  return {
+    ...plan,
+    searchTerms,
+    occurrences: found.results.map(verse => ({
+      ref: verse.reference,
+      osis: verse.osis,
+      book: getBook(verse.book).name,
+      chapter: verse.chapter,
+      verse: verse.verse,
+      text: verse.text,
+      highlights: verse.highlights
+    })),
+    totalOccurrences: found.total,
+    timeline: found.books.map(entry => ({
+      book: entry.name,
+      start: entry.firstChapter,
+      end: entry.lastChapter,
+      density: entry.count
+    })),
+    translation: found.translation
+  };
+};
+
+module.exports = { groundTheme };
@@ -0,0 +1,91 @@
+// American Standard Version (1901), public domain, from the `holy-bible`
+// package: one array of verses and a map from verse ids (book * 1000000 +
+// chapter * 1000 + verse, books numbered 1-66 in canon order) to their place
+// in it. The text is indexed by book, chapter and verse on first use. It has no
+// paragraph marks, and its numbering is the KJV's.
+const { BOOKS } = require('../../../shared/scripture');
+
+// Verses the ASV leaves out are empty or "[]" in the package (3 John 1:15)
+const isMissing = (text) => !text || text === '[]';
+
+// verse id -> index, verses -> Map(bookId -> [chapter][verse] -> { text, paragraph })
+const buildIndex = (ids, verses) => {
+  const index = new Map();
+
+  for (const [id, position] of Object.entries(ids)) {
+    const number = Number(id);
+    const book = BOOKS[Math.floor(number / 1e6) - 1];
+    if (!book) {
+      throw new Error(`ASV text has an unknown verse id "${id}"`);
+    }
+    const text = verses[position];
+    if (isMissing(text)) continue;
+    const chapter = Math.floor((number % 1e6) / 1e3);
+    const verse = number % 1e3;
+    if (!index.has(book.id)) index.set(book.id, []);
+    const chapters = index.get(book.id);
+    chapters[chapter - 1] = chapters[chapter - 1] || [];
+    chapters[chapter - 1][verse - 1] = { text: text.trim(), paragraph: false };
+  }
+
+  // Object keys of numbers come out in ascending order, which is canon order
+  return index;
+};
+
+/**
+ * @param {Object} [options]
+ * @param {Function} [options.loadIds] - Returns { verseId: index }, overridable for tests
+ * @param {Function} [options.loadVerses] - Returns [text], overridable for tests
+ * @returns {Object} - Translation (see ../index.js)
+ */
+const createAsvTranslation = ({
+  loadIds = () => require('holy-bible/indexes/verse-index-map.json'),
+  loadVerses = () => require('holy-bible/bibles/asv.json')
+} = {}) => {
+  let index = null;
+  const getIndex = () => {
+    if (!index) index = buildIndex(loadIds(), loadVerses());
+    return index;
+  };
+
+  return {
+    id: 'asv',
+    name: 'American Standard Version',
+    abbreviation: 'ASV',
+    local: true,
+    copyright: null,
+
+    async passage({ book, start, end }) {
+      const chapters = getIndex().get(book) || [];
+      const verses = [];
+
+      for (let chapter = start.chapter; chapter <= Math.min(end.chapter, chapters.length); chapter++) {
+        (chapters[chapter - 1] || []).forEach((entry, i) => {
+          const verse = i + 1;
+          const afterStart = chapter > start.chapter || !start.verse || verse >= start.verse;
+          const beforeEnd = chapter < end.chapter || !end.verse || verse <= end.verse;
+          if (entry && afterStart && beforeEnd) {
+            verses.push({ chapter, verse, ...entry });
+          }
+        });
+      }
+
+      return verses;
+    },
+
+    // Every verse in canon order, for the concordance
+    verses() {
+      const verses = [];
+      for (const [book, chapters] of getIndex()) {
+        chapters.forEach((entries, c) => {
+          (entries || []).forEach((entry, v) => {
+            if (entry) verses.push({ book, chapter: c + 1, verse: v + 1, text: entry.text });
+          });
+        });
+      }
+      return verses;
+    }
+  };
+};
+
+module.exports = { createAsvTranslation };
@@ -0,0 +1,86 @@
+// English Standard Version through the ESV API (https://api.esv.org), used
+// when ESV_API_KEY is set. The key stays on the server.
+const { ApiError } = require('../../errors');
+const { formatRange } = require('../../../shared/scripture');
+
+const ESV_API_URL = 'https://api.esv.org/v3/passage/text/';
+
+// How long a passage may take before the request is given up
+const ESV_TIMEOUT_MS = 10000;
+
+const ESV_COPYRIGHT = 'Scripture quotations marked "ESV" are from the ESV® Bible (The Holy Bible, ' +
+  'English Standard Version®), copyright © 2001 by Crossway, a publishing ministry of Good News ' +
+  'Publishers. Used by permission. All rights reserved.';
+
+// "[16] For God so loved ... [17] For God did not ..." -> one entry per verse.
+// Markers may carry the chapter ("[4:1]"); otherwise a verse number lower
+// than the previous one means the passage moved into the next chapter.
+const splitVerses = (text, startChapter) => {
+  const parts = text.split(/\[(?:(\d+):)?(\d+)\]/);
+  const verses = [];
+  let chapter = startChapter;
+
+  for (let i = 1; i < parts.length; i += 3) {
+    const verse = Number(parts[i + 1]);
+    if (parts[i]) {
+      chapter = Number(parts[i]);
+    } else if (verses.length > 0 && verse < verses[verses.length - 1].verse) {
+      chapter += 1;
+    }
+    verses.push({
+      chapter,
+      verse,
+      paragraph: /\n\s*$/.test(parts[i - 1]),
+      text: parts[i + 2].replace(/\s+/g, ' ').trim()
+    });
+  }
+
+  return verses;
+};
+
+/**
+ * @param {Object} options
+ * @param {string} options.apiKey - ESV API token
+ * @param {Function} [options.fetch] - fetch implementation, overridable for tests
+ * @param {number} [options.timeout] - Milliseconds before a request is abandoned with 504
+ * @returns {Object} - Translation (see ../index.js)
+ */
+const createEsvTranslation = ({ apiKey, fetch = globalThis.fetch, timeout = ESV_TIMEOUT_MS }) => ({
+  id: 'esv',
+  name: 'English Standard Version',
+  abbreviation: 'ESV',
+  local: false,
+  copyright: ESV_COPYRIGHT,
+
+  async passage(range) {
+    const params = new URLSearchParams({
+      q: formatRange(range),
+      'include-headings': 'false',
+      'include-footnotes': 'false',
+      'include-verse-numbers': 'true',
+      'include-short-copyright': 'false',
+      'include-passage-references': 'false'
+    });
+
+    let response;
+    try {
+      response = await fetch(`${ESV_API_URL}?${params}`, {
+        headers: { Authorization: `Token ${apiKey}` },
+        signal: AbortSignal.timeout(timeout)
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new ApiError(`ESV API did not answer within ${timeout / 1000} seconds`, { status: 504, code: 'UPSTREAM_TIMEOUT' });
+      }
+      throw new ApiError(`ESV API could not be reached: ${error.message}`, { status: 502, code: 'UPSTREAM_ERROR' });
+    }
+    if (!response.ok) {
+      throw new ApiError(`ESV API request failed with status ${response.status}`, { status: 502, code: 'UPSTREAM_ERROR' });
+    }
+
+    const data = await response.json();
+    return data.passages && data.passages.length > 0 ? splitVerses(data.passages[0], range.start.chapter) : [];
+  }
+});
+
+module.exports = { createEsvTranslation };
@@ -0,0 +1,87 @@
+// King James Version (1769 Oxford text) from the public-domain `kjv` package.
+// The text is indexed by book, chapter and verse on first use.
+const { findBook } = require('../../../shared/scripture');
+
+// The package's names that findBook does not recognise
+const BOOK_NAMES = {
+  "Solomon's Song": 'Song'
+};
+
+// "# And God said, Let there [be] light" -> paragraph start, italics removed
+const cleanVerse = (raw) => ({
+  paragraph: raw.startsWith('#'),
+  text: raw.replace(/^#\s*/, '').replace(/\[([^\]]*)\]/g, '$1')
+});
+
+// { 'Genesis 1:1': '...' } -> Map(bookId -> [chapter][verse] -> { text, paragraph })
+const buildIndex = (verses) => {
+  const index = new Map();
+
+  for (const [reference, raw] of Object.entries(verses)) {
+    const [, name, chapter, verse] = /^(.+) (\d+):(\d+)$/.exec(reference);
+    const book = findBook(name) || findBook(BOOK_NAMES[name]);
+    if (!book) {
+      throw new Error(`KJV text has an unknown book "${name}"`);
+    }
+    if (!index.has(book.id)) index.set(book.id, []);
+    const chapters = index.get(book.id);
+    chapters[chapter - 1] = chapters[chapter - 1] || [];
+    chapters[chapter - 1][verse - 1] = cleanVerse(raw);
+  }
+
+  return index;
+};
+
+/**
+ * @param {Object} [options]
+ * @param {Function} [options.loadVerses] - Returns { 'Book C:V': text }, overridable for tests
+ * @returns {Object} - Translation (see ../index.js)
+ */
+const createKjvTranslation = ({ loadVerses = () => require('kjv/json/verses-1769.json') } = {}) => {
+  let index = null;
+  const getIndex = () => {
+    if (!index) index = buildIndex(loadVerses());
+    return index;
+  };
+
+  return {
+    id: 'kjv',
+    name: 'King James Version',
+    abbreviation: 'KJV',
+    local: true,
+    copyright: null,
+
+    async passage({ book, start, end }) {
+      const chapters = getIndex().get(book) || [];
+      const verses = [];
+
+      for (let chapter = start.chapter; chapter <= Math.min(end.chapter, chapters.length); chapter++) {
+        (chapters[chapter - 1] || []).forEach((entry, i) => {
+          const verse = i + 1;
+          const afterStart = chapter > start.chapter || !start.verse || verse >= start.verse;
+          const beforeEnd = chapter < end.chapter || !end.verse || verse <= end.verse;
+          if (afterStart && beforeEnd) {
+            verses.push({ chapter, verse, ...entry });
+          }
+        });
+      }
+
+      return verses;
+    },
+
+    // Every verse in canon order, for the concordance
+    verses() {
+      const verses = [];
+      for (const [book, chapters] of getIndex()) {
+        chapters.forEach((entries, c) => {
+          (entries || []).forEach((entry, v) => {
+            if (entry) verses.push({ book, chapter: c + 1, verse: v + 1, text: entry.text });
+          });
+        });
+      }
+      return verses;
+    }
+  };
+};
+
+module.exports = { createKjvTranslation };
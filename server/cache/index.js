@@ -0,0 +1,166 @@
+const path = require('path');
+const crypto = require('crypto');
+const { createMemoryStore } = require('./stores/memory');
+const { createFileStore } = require('./stores/file');
+
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Normalize user input so trivially different requests share an entry:
+// strings are trimmed, lower-cased and whitespace-collapsed, object keys sorted.
+const normalizeInput = (value) => {
+  if (typeof value === 'string') {
+    return value.trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeInput);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .reduce((normalized, key) => ({ ...normalized, [key]: normalizeInput(value[key]) }), {});
+  }
+  return value;
+};
+
+// Version derived from the system prompt(s); editing a prompt changes the
+// version and so retires every entry generated with the old wording.
+const promptVersion = (messages) => crypto
+  .createHash('sha256')
+  .update(messages.filter(message => message.role === 'system').map(message => message.content).join('\n'))
+  .digest('hex')
+  .substring(0, 12);
+
+// Content address for a response: route + normalized input + prompt version
+const cacheKey = ({ route, input, version }) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ route, input: normalizeInput(input), version }))
+  .digest('hex')
+  .substring(0, 32);
+
+// The client forces a fresh completion with `regenerate: true` in the body
+// or a `Cache-Control: no-cache` request header.
+const wantsRegenerate = (req) => {
+  return req.body?.regenerate === true || /no-cache/i.test(req.get('Cache-Control') || '');
+};
+
+/**
+ * Response cache shared by every user. Store failures are logged and treated
+ * as misses so a broken cache never breaks a route.
+ * @param {Object} options
+ * @param {Object|null} options.store - Store implementing get/set/delete/clear, or null to disable
+ * @param {number} [options.ttlSeconds] - Lifetime of an entry
+ * @returns {Object} - Cache with get, set, wrap, invalidate and clear
+ */
+const createCache = ({ store, ttlSeconds = DEFAULT_TTL_SECONDS }) => {
+  const get = async (key) => {
+    if (!store) return undefined;
+    try {
+      const entry = await store.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        await store.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    } catch (error) {
+      console.error('Response cache read failed:', error);
+      return undefined;
+    }
+  };
+
+  const set = async (key, value) => {
+    if (!store) return;
+    try {
+      await store.set(key, { value, createdAt: Date.now(), expiresAt: Date.now() + ttlSeconds * 1000 });
+    } catch (error) {
+      console.error('Response cache write failed:', error);
+    }
+  };
+
+  return {
+    enabled: Boolean(store),
+    store: store ? store.name : 'none',
+    key: cacheKey,
+    get,
+    set,
+
+    /**
+     * Return the cached value for `descriptor`, or run `generate` and cache
+     * its result. With `regenerate` the cache is skipped and overwritten.
+     * @param {Object} descriptor - { route, input, version, regenerate }
+     * @param {Function} generate - Async function producing the value
+     * @returns {Promise<{ value: any, cached: boolean }>}
+     */
+    async wrap({ regenerate = false, ...descriptor }, generate) {
+      const key = cacheKey(descriptor);
+      if (!regenerate) {
+        const hit = await get(key);
+        if (hit !== undefined) {
+          console.log(`Response cache hit for ${descriptor.route}`);
+          return { value: hit, cached: true };
+        }
+      }
+      const value = await generate();
+      await set(key, value);
+      return { value, cached: false };
+    },
+
+    async invalidate(descriptor) {
+      if (store) await store.delete(cacheKey(descriptor));
+    },
+
+    async clear() {
+      if (store) await store.clear();
+    }
+  };
+};
+
+/**
+ * Build the cache selected by the environment:
+ *   CACHE_STORE       - memory (default), file, or none
+ *   CACHE_DIR         - directory for the file store (default .cache/responses)
+ *   CACHE_TTL_SECONDS - entry lifetime (default 7 days)
+ * @param {Object} [env=process.env]
+ * @returns {Object} - Cache instance
+ */
+const createCacheFromEnv = (env = process.env) => {
+  const ttlSeconds = Number(env.CACHE_TTL_SECONDS) || DEFAULT_TTL_SECONDS;
+
+  switch ((env.CACHE_STORE || 'memory').toLowerCase()) {
+    case 'none':
+    case 'off':
+      return createCache({ store: null, ttlSeconds });
+    case 'file':
+      return createCache({
+        store: createFileStore({
+          dir: env.CACHE_DIR || path.join(__dirname, '..', '..', '.cache', 'responses')
+        }),
+        ttlSeconds
+      });
+    case 'memory':
+      return createCache({ store: createMemoryStore(), ttlSeconds });
+    default:
+      throw new Error(`Unknown CACHE_STORE "${env.CACHE_STORE}"`);
+  }
+};
+
+let activeCache = null;
+
+// Shared cache for the server, created on first use
+const getCache = () => {
+  if (!activeCache) {
+    activeCache = createCacheFromEnv();
+  }
+  return activeCache;
+};
+
+module.exports = {
+  createCache,
+  createCacheFromEnv,
+  getCache,
+  cacheKey,
+  normalizeInput,
+  promptVersion,
+  wantsRegenerate
+};
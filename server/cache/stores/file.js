@@ -0,0 +1,41 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Cache store that keeps one JSON file per entry at `<dir>/<key>.json`, so
+ * cached responses survive restarts and can be inspected or deleted by hand.
+ * @param {Object} options
+ * @param {string} options.dir - Directory holding the cache files
+ * @returns {Object} - Store implementing get, set, delete and clear
+ */
+const createFileStore = ({ dir }) => {
+  const fileFor = (key) => path.join(dir, `${key}.json`);
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return undefined;
+        throw error;
+      }
+    },
+
+    async set(key, entry) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(fileFor(key), JSON.stringify(entry));
+    },
+
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+
+    async clear() {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  };
+};
+
+module.exports = { createFileStore };
@@ -0,0 +1,37 @@
+/**
+ * In-process cache store. Entries are lost on restart; the oldest entry is
+ * evicted once maxEntries is reached.
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries=500] - Upper bound on stored entries
+ * @returns {Object} - Store implementing get, set, delete and clear
+ */
+const createMemoryStore = ({ maxEntries = 500 } = {}) => {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      return entries.get(key);
+    },
+
+    async set(key, entry) {
+      // Re-inserting moves the key to the end, so eviction drops the oldest write
+      entries.delete(key);
+      entries.set(key, entry);
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async clear() {
+      entries.clear();
+    }
+  };
+};
+
+module.exports = { createMemoryStore };
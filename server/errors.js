@@ -0,0 +1,88 @@
+// Error handling shared by every API route. Failures are sent as
+//
+//   { "error": { "code": "INVALID_REQUEST", "message": "Query is required" } }
+//
+// with extra fields inside `error` where they help the client: `fields` for
+// schema mismatches and `retryAfter` for rate limits. Routes throw (or pass to
+// next) an ApiError or LLMError and leave the response to errorHandler.
+const { LLMError } = require('./llm/errors');
+
+class ApiError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL', details, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    if (cause) this.cause = cause;
+  }
+}
+
+// Shorthand for the most common failure: a missing or malformed input
+const badRequest = (message, details) => new ApiError(message, { status: 400, code: 'INVALID_REQUEST', details });
+
+// Express 4 does not catch rejected promises, so async handlers are wrapped
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+// Status, code, message and extra fields for any thrown value
+const describeError = (error) => {
+  if (error instanceof ApiError) {
+    return { status: error.status, code: error.code, message: error.message, details: error.details };
+  }
+  if (error instanceof LLMError) {
+    return {
+      status: error.status,
+      code: error.code,
+      message: error.message,
+      details: error.fields && { fields: error.fields }
+    };
+  }
+  // Raised by express.json for unparseable or oversized bodies
+  if (error.type === 'entity.parse.failed') {
+    return { status: 400, code: 'INVALID_JSON', message: 'Request body is not valid JSON' };
+  }
+  if (error.type === 'entity.too.large') {
+    return { status: 413, code: 'PAYLOAD_TOO_LARGE', message: 'Request body is too large' };
+  }
+  return { status: 500, code: 'INTERNAL', message: error.message || 'Something went wrong' };
+};
+
+/**
+ * Body for an error in the shared format; also used for SSE error events.
+ * @param {Error} error - ApiError, LLMError or any other error
+ * @returns {Object} - { error: { code, message, ...details } }
+ */
+const errorBody = (error) => {
+  const { code, message, details } = describeError(error);
+  return { error: { code, message, ...details } };
+};
+
+// Catch-all for /api paths that no router handled
+const notFound = (req, res, next) => {
+  next(new ApiError(`No API route for ${req.method} ${req.originalUrl}`, { status: 404, code: 'NOT_FOUND' }));
+};
+
+// Last middleware in the app. Streams that already started report their own
+// errors as SSE events, so only log those.
+// eslint-disable-next-line no-unused-vars -- Express recognises error handlers by their four arguments
+const errorHandler = (error, req, res, next) => {
+  const { status } = describeError(error);
+  if (status >= 500) {
+    console.error(`${req.method} ${req.originalUrl} failed:`, error);
+  }
+  if (res.headersSent) {
+    return res.end();
+  }
+  res.status(status).json(errorBody(error));
+};
+
+module.exports = {
+  ApiError,
+  badRequest,
+  asyncHandler,
+  errorBody,
+  notFound,
+  errorHandler
+};
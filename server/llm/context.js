@@ -0,0 +1,125 @@
+// Context-window management for long conversations. Messages are counted in
+// tokens (gpt-tokenizer's o200k encoding, exact for the GPT-4o family and
+// close enough for other models), and when a conversation no longer fits its
+// budget the oldest turns are condensed into a summary. The summary is rolling:
+// the client sends back the one it was given ({ content, covers }, covering
+// the first `covers` messages), and only the turns dropped since are added to it.
+// System messages, which hold the prompt and any pinned passage, are never condensed.
+const { countTokens } = require('gpt-tokenizer');
+const { badRequest } = require('../errors');
+
+// Prompt and answer tokens per request, unless CHAT_CONTEXT_TOKENS says otherwise
+const DEFAULT_CONTEXT_TOKENS = 8000;
+// Role and separator tokens each message adds to its content
+const MESSAGE_OVERHEAD = 4;
+// Room kept for the summary, and the summary's completion limit
+const SUMMARY_TOKENS = 400;
+// Characters of each condensed message shown to the summarizer
+const TRANSCRIPT_MESSAGE_LENGTH = 2000;
+
+/**
+ * Tokens a list of chat messages takes up in a prompt.
+ * @param {Object[]} messages - [{ role, content }]
+ * @returns {number}
+ */
+const messageTokens = (messages) => messages.reduce(
+  (sum, message) => sum + countTokens(String(message.content || '')) + MESSAGE_OVERHEAD,
+  0
+);
+
+/**
+ * Read the `summary` field of a request body: a summary returned with an
+ * earlier answer of the same conversation.
+ * @param {Object} [value] - { content, covers }
+ * @param {number} historyLength - Messages in the conversation now
+ * @returns {Object|null} - The summary, or null when missing or not for this conversation
+ */
+const readSummary = (value, historyLength) => {
+  if (!value || typeof value.content !== 'string' || !value.content.trim()) return null;
+  const covers = Number(value.covers);
+  return Number.isInteger(covers) && covers > 0 && covers < historyLength ? { content: value.content, covers } : null;
+};
+
+const transcript = (messages) => messages
+  .map(({ role, content }) => {
+    const text = String(content || '');
+    const shown = text.length > TRANSCRIPT_MESSAGE_LENGTH ? `${text.slice(0, TRANSCRIPT_MESSAGE_LENGTH)} …` : text;
+    return `${role === 'user' ? 'User' : 'Assistant'}: ${shown}`;
+  })
+  .join('\n\n');
+
+/**
+ * Fit a conversation into a context budget, condensing its oldest turns into
+ * a summary when it does not fit. The latest question is always kept, and
+ * recent turns are kept whole, starting at a question.
+ * @param {Object} options
+ * @param {Object} options.llm - Provider (usually req.llm) used for summaries
+ * @param {Object} options.prompts - Prompt registry, for the `chat-summary` prompt
+ * @param {Object[]} options.system - System messages, always kept
+ * @param {Object[]} options.history - User and assistant messages, oldest first
+ * @param {Object|null} [options.summary] - From readSummary
+ * @param {number} options.contextTokens - Budget for the prompt and the answer
+ * @param {number} options.maxTokens - Completion limit of the request
+ * @returns {Promise<Object>} - { messages, context: { tokens, budget, condensed, summary } },
+ *   condensed being the number of messages the summary stands for (0 when none)
+ * @throws {ApiError} - 400 when the latest question alone does not fit
+ */
+const fitConversation = async ({ llm, prompts, system, history, summary = null, contextTokens, maxTokens }) => {
+  const available = contextTokens - maxTokens - messageTokens(system);
+  const whole = messageTokens(history);
+  if (whole <= available) {
+    return {
+      messages: [...system, ...history],
+      context: { tokens: messageTokens(system) + whole, budget: contextTokens, condensed: 0, summary: null }
+    };
+  }
+
+  // Keep turns from the end while they fit beside the summary
+  const room = available - SUMMARY_TOKENS - MESSAGE_OVERHEAD;
+  let start = history.length;
+  let used = 0;
+  while (start > 0) {
+    const tokens = messageTokens([history[start - 1]]);
+    if (used + tokens > room && start < history.length) break;
+    used += tokens;
+    start--;
+  }
+  if (used > room) {
+    throw badRequest('This message is too long for the conversation. Please shorten it.');
+  }
+  // A kept turn starts with its question
+  while (start < history.length - 1 && history[start].role !== 'user') start++;
+
+  const prompt = prompts.get('chat-summary');
+  let content;
+  if (summary && summary.covers === start) {
+    content = summary.content;
+  } else {
+    const previous = summary && summary.covers < start ? summary : null;
+    const condensed = history.slice(previous ? previous.covers : 0, start);
+    const response = await llm.chat({
+      task: 'chat-summary',
+      input: { questions: condensed.filter(message => message.role === 'user').map(message => message.content) },
+      tier: 'fast',
+      messages: [
+        { role: 'system', content: prompt.render('system') },
+        { role: 'user', content: prompt.render('user', { previous: previous ? previous.content : '', transcript: transcript(condensed) }) }
+      ],
+      maxTokens: SUMMARY_TOKENS,
+      temperature: 0.3
+    });
+    content = response.content.trim();
+  }
+
+  const messages = [
+    ...system,
+    { role: 'system', content: prompt.render('summary', { summary: content }) },
+    ...history.slice(start)
+  ];
+  return {
+    messages,
+    context: { tokens: messageTokens(messages), budget: contextTokens, condensed: start, summary: { content, covers: start } }
+  };
+};
+
+module.exports = { DEFAULT_CONTEXT_TOKENS, fitConversation, messageTokens, readSummary };
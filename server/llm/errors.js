@@ -0,0 +1,25 @@
+// Error raised by LLM providers so routes can tell configuration problems
+// apart from upstream failures without inspecting vendor-specific errors.
+class LLMError extends Error {
+  constructor(message, { code = 'PROVIDER_ERROR', status = 502, cause } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.code = code;
+    this.status = status;
+    if (cause) this.cause = cause;
+  }
+}
+
+// Raised when structured output is still unusable after the repair attempts.
+// `code` is INVALID_JSON when the content never parsed and SCHEMA_MISMATCH when
+// it parsed but had the wrong shape; `fields` lists the offending paths.
+class LLMResponseError extends LLMError {
+  constructor(message, { code = 'SCHEMA_MISMATCH', errors = [], cause } = {}) {
+    super(message, { code, status: 502, cause });
+    this.name = 'LLMResponseError';
+    this.errors = errors;
+    this.fields = [...new Set(errors.map(error => error.path))];
+  }
+}
+
+module.exports = { LLMError, LLMResponseError };
@@ -0,0 +1,110 @@
+const path = require('path');
+const { createOpenAIProvider } = require('./providers/openai');
+const { createFixtureProvider } = require('./providers/fixture');
+const { createMockProvider } = require('./providers/mock');
+const { LLMError, LLMResponseError } = require('./errors');
+
+// Model used for each tier when nothing is configured. Routes ask for a tier,
+// never a model name, so switching providers doesn't touch route code.
+//   fast      - short conversational replies (basic chat)
+//   standard  - long-form and structured tool output
+//   image     - image generation, imageFallback if the first attempt fails
+//   imageEdit - masked image edits
+const DEFAULT_MODELS = {
+  fast: 'gpt-3.5-turbo',
+  standard: 'gpt-4o-mini',
+  image: 'dall-e-3',
+  imageFallback: 'dall-e-2',
+  imageEdit: 'dall-e-2'
+};
+
+// LLM_MODEL sets every text tier at once (handy for a single local model);
+// LLM_MODEL_<TIER> overrides one tier.
+const resolveModels = (env) => ({
+  fast: env.LLM_MODEL_FAST || env.LLM_MODEL || DEFAULT_MODELS.fast,
+  standard: env.LLM_MODEL_STANDARD || env.LLM_MODEL || DEFAULT_MODELS.standard,
+  image: env.LLM_MODEL_IMAGE || DEFAULT_MODELS.image,
+  imageFallback: env.LLM_MODEL_IMAGE_FALLBACK || DEFAULT_MODELS.imageFallback,
+  imageEdit: env.LLM_MODEL_IMAGE_EDIT || DEFAULT_MODELS.imageEdit
+});
+
+/**
+ * Build a provider from environment variables.
+ *
+ *   LLM_PROVIDER=openai             (default) uses OPENAI_API_KEY
+ *   LLM_PROVIDER=openai-compatible  uses LLM_BASE_URL and optional LLM_API_KEY
+ *   LLM_PROVIDER=fixture            replays files from LLM_FIXTURES_DIR
+ *   LLM_PROVIDER=mock               canned offline responses for every tool
+ *
+ * @param {Object} [env=process.env] - Environment to read settings from
+ * @returns {Object} - Provider implementing chat, streamChat, generateImage and editImage
+ */
+const createProvider = (env = process.env) => {
+  const kind = (env.LLM_PROVIDER || 'openai').toLowerCase();
+  const models = resolveModels(env);
+
+  switch (kind) {
+    case 'openai':
+      return createOpenAIProvider({
+        name: 'openai',
+        apiKey: env.OPENAI_API_KEY,
+        models
+      });
+
+    case 'openai-compatible':
+    case 'local':
+      return createOpenAIProvider({
+        name: 'openai-compatible',
+        apiKey: env.LLM_API_KEY,
+        baseURL: env.LLM_BASE_URL,
+        models,
+        supportsImages: env.LLM_SUPPORTS_IMAGES === 'true',
+        allowMissingKey: true,
+        // Not every compatible server understands stream_options
+        streamUsage: env.LLM_STREAM_USAGE === 'true'
+      });
+
+    case 'fixture': {
+      // LLM_FIXTURES_RECORD=true forwards misses to OpenAI and saves the result
+      const upstream = env.LLM_FIXTURES_RECORD === 'true'
+        ? createProvider({ ...env, LLM_PROVIDER: 'openai' })
+        : null;
+      return createFixtureProvider({
+        dir: env.LLM_FIXTURES_DIR || path.join(__dirname, '..', '..', 'fixtures', 'llm'),
+        models,
+        upstream,
+        strict: env.LLM_FIXTURES_STRICT === 'true'
+      });
+    }
+
+    case 'mock':
+      return createMockProvider({ models });
+
+    default:
+      throw new LLMError(`Unknown LLM_PROVIDER "${env.LLM_PROVIDER}"`, { code: 'NOT_CONFIGURED', status: 500 });
+  }
+};
+
+let activeProvider = null;
+
+// Shared provider for the server, created on first use
+const getProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createProvider();
+  }
+  return activeProvider;
+};
+
+// Swap the shared provider (tests, scripts)
+const setProvider = (provider) => {
+  activeProvider = provider;
+};
+
+module.exports = {
+  DEFAULT_MODELS,
+  createProvider,
+  getProvider,
+  setProvider,
+  LLMError,
+  LLMResponseError
+};
@@ -0,0 +1,414 @@
+// Canned, schema-valid responses for the mock provider. Each tool has a few
+// curated entries matched by keyword against the request, plus a template
+// used for anything else, so the same request always gets the same answer.
+
+const normalize = (value) => String(value || '').toLowerCase().trim();
+
+// First entry whose keywords appear in the text, or null
+const matchEntry = (entries, text) => {
+  const normalized = normalize(text);
+  return entries.find(entry => entry.keys.some(key => normalized.includes(key))) || null;
+};
+
+// Capitalize a free-form query for use in titles
+const toTitle = (text) => String(text || 'Your Query')
+  .trim()
+  .replace(/\s+/g, ' ')
+  .replace(/\b\w/g, c => c.toUpperCase());
+
+/* -----------------------------------------
+   Timeline
+----------------------------------------- */
+const TIMELINES = [
+  {
+    keys: ['exodus', 'moses'],
+    response: {
+      title: 'The Exodus from Egypt',
+      description: 'Key events from Israel\'s slavery in Egypt to the covenant at Sinai.',
+      events: [
+        { date: 'c. 1526 BC', title: 'Birth of Moses', description: 'Moses is born and hidden from Pharaoh\'s decree, then raised in Pharaoh\'s household.', scripture: 'Exodus 2:1-10' },
+        { date: 'c. 1446 BC', title: 'The Burning Bush', description: 'God calls Moses at Horeb to deliver Israel.', scripture: 'Exodus 3:1-12' },
+        { date: 'c. 1446 BC', title: 'The Passover', description: 'The tenth plague and the institution of the **Passover**.', scripture: 'Exodus 12:1-32' },
+        { date: 'c. 1446 BC', title: 'Crossing the Red Sea', description: 'Israel passes through the sea on dry ground.', scripture: 'Exodus 14:21-31' },
+        { date: 'c. 1446 BC', title: 'Covenant at Sinai', description: 'God gives the Ten Commandments.', scripture: 'Exodus 20:1-17' }
+      ],
+      additionalInfo: 'Dates follow the early-date chronology based on 1 Kings 6:1.'
+    }
+  },
+  {
+    keys: ['acts', 'early church'],
+    response: {
+      title: 'The Book of Acts',
+      description: 'The spread of the gospel from Jerusalem to Rome.',
+      events: [
+        { date: 'c. AD 30', title: 'Ascension', description: 'Jesus ascends after commissioning the apostles.', scripture: 'Acts 1:6-11' },
+        { date: 'c. AD 30', title: 'Pentecost', description: 'The Holy Spirit is poured out and about three thousand believe.', scripture: 'Acts 2:1-41' },
+        { date: 'c. AD 34', title: 'Conversion of Saul', description: 'Saul meets the risen Jesus on the road to Damascus.', scripture: 'Acts 9:1-19' },
+        { date: 'c. AD 49', title: 'Council of Jerusalem', description: 'The church affirms Gentiles are saved by grace.', scripture: 'Acts 15:1-29' },
+        { date: 'c. AD 60', title: 'Paul Arrives in Rome', description: 'Paul preaches under house arrest.', scripture: 'Acts 28:16-31' }
+      ],
+      additionalInfo: 'Acts covers roughly thirty years of church history.'
+    }
+  }
+];
+
+const timelineTemplate = (query) => ({
+  title: `Timeline: ${toTitle(query)}`,
+  description: `A mock timeline generated offline for "${query}".`,
+  events: [
+    { date: 'c. 2000 BC', title: 'Call of Abraham', description: 'God calls Abram to leave Ur.', scripture: 'Genesis 12:1-9' },
+    { date: 'c. 1000 BC', title: 'David Becomes King', description: 'David is anointed king over all Israel.', scripture: '2 Samuel 5:1-5' },
+    { date: 'c. 586 BC', title: 'Fall of Jerusalem', description: 'Babylon destroys the temple.', scripture: '2 Kings 25:1-21' },
+    { date: 'c. AD 30', title: 'Resurrection of Jesus', description: 'Jesus rises on the third day.', scripture: 'Matthew 28:1-10' }
+  ],
+  additionalInfo: 'This is mock data for offline development.'
+});
+
+/* -----------------------------------------
+   Maps
+----------------------------------------- */
+const MAPS = [
+  {
+    keys: ['paul', 'missionary'],
+    response: {
+      title: 'Paul\'s First Missionary Journey',
+      overview: 'Paul and Barnabas travel from Antioch through Cyprus and Galatia.',
+      locations: [
+        { name: 'Antioch of Syria', description: 'Sending church of the journey.', coordinates: [36.2021, 36.1606], verses: ['Acts 13:1-3'], shortDescription: 'Sending church' },
+        { name: 'Paphos', description: 'Sergius Paulus believes after Elymas is blinded.', coordinates: [34.7720, 32.4297], verses: ['Acts 13:6-12'], shortDescription: 'Proconsul believes' },
+        { name: 'Pisidian Antioch', description: 'Paul preaches in the synagogue.', coordinates: [38.3061, 31.1892], verses: ['Acts 13:14-52'], shortDescription: 'Synagogue sermon' },
+        { name: 'Lystra', description: 'Paul heals a lame man and is later stoned.', coordinates: [37.5786, 32.4536], verses: ['Acts 14:8-20'], shortDescription: 'Paul stoned' }
+      ]
+    }
+  },
+  {
+    keys: ['jesus', 'galilee'],
+    response: {
+      title: 'Jesus\' Ministry in Galilee',
+      overview: 'Towns around the Sea of Galilee where Jesus taught and healed.',
+      locations: [
+        { name: 'Nazareth', description: 'Jesus\' hometown.', coordinates: [32.6996, 35.3035], verses: ['Luke 4:16-30'], shortDescription: 'Hometown' },
+        { name: 'Capernaum', description: 'Base of Jesus\' Galilean ministry.', coordinates: [32.8803, 35.5733], verses: ['Matthew 4:13', 'Mark 2:1-12'], shortDescription: 'Ministry base' },
+        { name: 'Cana', description: 'Water turned into wine.', coordinates: [32.7469, 35.3397], verses: ['John 2:1-11'], shortDescription: 'First sign' }
+      ]
+    }
+  }
+];
+
+const mapTemplate = (query) => ({
+  title: `Map: ${toTitle(query)}`,
+  overview: `Mock locations generated offline for "${query}".`,
+  locations: [
+    { name: 'Jerusalem', description: 'City of David and site of the temple.', coordinates: [31.7683, 35.2137], verses: ['2 Samuel 5:6-7'], shortDescription: 'City of David' },
+    { name: 'Bethlehem', description: 'Birthplace of David and of Jesus.', coordinates: [31.7054, 35.2024], verses: ['Micah 5:2', 'Luke 2:4-7'], shortDescription: 'Birthplace of Jesus' },
+    { name: 'Jericho', description: 'First city taken in Canaan.', coordinates: [31.8667, 35.4500], verses: ['Joshua 6:1-27'], shortDescription: 'Walls fell' }
+  ]
+});
+
+/* -----------------------------------------
+   Character study
+----------------------------------------- */
+const characterTemplate = (name, overrides = {}) => ({
+  character: {
+    name,
+    alternateNames: [],
+    shortDescription: `${name} is a figure in the biblical narrative (mock data).`,
+    testament: 'Old Testament',
+    timePeriod: 'Unknown',
+    ...overrides.character
+  },
+  biography: {
+    summary: `Mock biography for ${name}.`,
+    background: 'Generated offline for development.',
+    keyEvents: [
+      { title: 'Key event', description: 'A representative event.', reference: 'Genesis 1:1' }
+    ],
+    ...overrides.biography
+  },
+  relationships: overrides.relationships || [
+    { name: 'God', relationship: 'Creator', description: 'Every biblical character stands before God.', reference: 'Psalm 139:1-4' }
+  ],
+  verses: overrides.verses || [
+    { reference: 'Psalm 139:14', text: 'I will praise thee; for I am fearfully and wonderfully made.', significance: 'Each person is made by God.' }
+  ],
+  attributes: {
+    qualities: ['Faithful'],
+    flaws: ['Human frailty'],
+    roles: ['Servant of God'],
+    ...overrides.attributes
+  },
+  legacy: {
+    impact: 'Mock legacy summary.',
+    lessons: ['God works through ordinary people.'],
+    inOtherTexts: 'None recorded in mock data.',
+    ...overrides.legacy
+  },
+  visualElements: {
+    symbols: ['Scroll'],
+    settings: ['Israel'],
+    artifacts: ['Staff'],
+    ...overrides.visualElements
+  }
+});
+
+const CHARACTERS = [
+  {
+    keys: ['moses'],
+    response: characterTemplate('Moses', {
+      character: { alternateNames: ['Lawgiver'], shortDescription: 'Prophet who led Israel out of Egypt and received the Law at Sinai.', timePeriod: '~1500-1400 BC' },
+      biography: {
+        summary: 'Raised in Pharaoh\'s court, Moses was called by God to lead Israel out of slavery.',
+        background: 'Born to Levite parents during Israel\'s oppression in Egypt.',
+        keyEvents: [
+          { title: 'The Burning Bush', description: 'God reveals His name and calls Moses.', reference: 'Exodus 3:1-15' },
+          { title: 'Crossing the Red Sea', description: 'God parts the sea for Israel.', reference: 'Exodus 14:21-31' },
+          { title: 'The Ten Commandments', description: 'Moses receives the Law on Sinai.', reference: 'Exodus 20:1-17' }
+        ]
+      },
+      relationships: [
+        { name: 'Aaron', relationship: 'Brother', description: 'Spoke for Moses before Pharaoh.', reference: 'Exodus 4:14-16' },
+        { name: 'Joshua', relationship: 'Successor', description: 'Led Israel into Canaan after Moses.', reference: 'Deuteronomy 34:9' }
+      ],
+      verses: [
+        { reference: 'Exodus 3:14', text: 'And God said unto Moses, I AM THAT I AM.', significance: 'God reveals His covenant name to Moses.' },
+        { reference: 'Deuteronomy 34:10', text: 'And there arose not a prophet since in Israel like unto Moses, whom the LORD knew face to face.', significance: 'Summarizes Moses\' unique relationship with God.' }
+      ],
+      attributes: { qualities: ['Humble', 'Faithful intercessor'], flaws: ['Anger', 'Striking the rock'], roles: ['Prophet', 'Lawgiver', 'Leader'] },
+      legacy: { impact: 'Mediator of the Sinai covenant.', lessons: ['God equips those He calls.'], inOtherTexts: 'Mentioned by Josephus and Philo.' },
+      visualElements: { symbols: ['Burning bush', 'Stone tablets'], settings: ['Egypt', 'Sinai'], artifacts: ['Staff', 'Tablets of the Law'] }
+    })
+  },
+  {
+    keys: ['paul', 'saul of tarsus'],
+    response: characterTemplate('Paul', {
+      character: { alternateNames: ['Saul of Tarsus'], shortDescription: 'Apostle to the Gentiles and author of many New Testament letters.', testament: 'New Testament', timePeriod: 'First Century AD' },
+      biography: {
+        summary: 'A former persecutor of the church who became its foremost missionary.',
+        background: 'A Pharisee from Tarsus trained under Gamaliel.',
+        keyEvents: [
+          { title: 'Damascus Road', description: 'Paul encounters the risen Christ.', reference: 'Acts 9:1-19' },
+          { title: 'First Missionary Journey', description: 'Paul and Barnabas are sent out.', reference: 'Acts 13:1-3' }
+        ]
+      },
+      verses: [
+        { reference: 'Philippians 1:21', text: 'For to me to live is Christ, and to die is gain.', significance: 'Paul\'s summary of his life.' }
+      ],
+      attributes: { qualities: ['Zealous', 'Bold'], flaws: ['Former persecutor'], roles: ['Apostle', 'Missionary', 'Author'] }
+    })
+  }
+];
+
+/* -----------------------------------------
+   Personal study
+----------------------------------------- */
+const personalStudyTemplate = (topic, scriptures = ['Psalm 119:105', 'Joshua 1:8']) => ({
+  studyPlan: {
+    title: `Study Plan: ${toTitle(topic)}`,
+    description: `A mock study plan generated offline for "${topic}".`,
+    duration: '5 days',
+    difficulty: 'Beginner',
+    mainScriptures: scriptures,
+    keywords: [normalize(topic) || 'scripture']
+  },
+  learningObjectives: [
+    `Understand what Scripture teaches about ${topic}.`,
+    'Apply the passage to daily life.'
+  ],
+  sessions: scriptures.map((reference, index) => ({
+    title: `Session ${index + 1}`,
+    focus: `Reading ${reference}`,
+    scriptures: [reference],
+    activities: [
+      { type: 'Read', description: `Read ${reference} slowly twice.` },
+      { type: 'Reflect', description: 'What does this passage reveal about God?' },
+      { type: 'Apply', description: 'Write down one way to live this out today.' }
+    ],
+    questions: ['What stands out to you in this passage?'],
+    resources: [
+      { type: 'Article', title: 'Reading the Bible Well', description: 'Mock resource for offline development.' }
+    ]
+  })),
+  memoryVerses: [
+    { reference: 'Psalm 119:105', text: 'Thy word is a lamp unto my feet, and a light unto my path.', reason: 'Scripture guides every step of study.' }
+  ],
+  additionalResources: [
+    { type: 'Book', title: 'How to Read the Bible for All Its Worth', description: 'An introduction to interpretation.' }
+  ],
+  studyMethods: [
+    { name: 'SOAP', description: 'Scripture, Observation, Application, Prayer.', steps: ['Read the Scripture', 'Write an observation', 'Note an application', 'Pray'] }
+  ],
+  prayerFocus: [`Ask for understanding about ${topic}.`],
+  applicationIdeas: ['Share one insight with a friend this week.']
+});
+
+const PERSONAL_STUDIES = [
+  { keys: ['prayer'], response: personalStudyTemplate('prayer', ['Matthew 6:5-15', 'Philippians 4:6-7', 'James 5:13-18']) },
+  { keys: ['grace'], response: personalStudyTemplate('grace', ['Ephesians 2:1-10', 'Romans 5:1-11', 'Titus 2:11-14']) }
+];
+
+/* -----------------------------------------
+   Theme thread
+----------------------------------------- */
+const THEMES = [
+  {
+    keys: ['covenant'],
+    response: {
+      theme: 'Covenant',
+      summary: 'God binds Himself to His people through a series of covenants (Genesis 9:9, Genesis 17:7, Jeremiah 31:31) fulfilled in Christ (Luke 22:20).',
+      searchTerms: [
+        { query: 'covenant*', note: 'The key word' },
+        { query: 'testament', note: 'The New Testament word for covenant' },
+        { query: 'sware OR oath', note: 'God binding Himself by oath' }
+      ],
+      memoryAids: ['Noah, Abraham, Moses, David, New: five covenants, one promise.']
+    }
+  }
+];
+
+const themeTemplate = (theme) => ({
+  theme: toTitle(theme),
+  summary: `A mock theme thread generated offline for "${theme}".`,
+  searchTerms: [{ query: `"${String(theme).replace(/"/g, '').trim()}"`, note: 'The theme itself' }],
+  memoryAids: [`Trace "${theme}" from creation to new creation.`]
+});
+
+/* -----------------------------------------
+   Visual parallels
+----------------------------------------- */
+const parallelTemplate = (title, summary, elementA, elementB, connections, visualElements) => ({
+  title,
+  summary,
+  elementA: { keywords: [], testament: 'Old', ...elementA },
+  elementB: { keywords: [], testament: 'New', ...elementB },
+  connections,
+  visualElements
+});
+
+const PARALLELS = [
+  {
+    keys: ['passover', 'lamb'],
+    response: parallelTemplate(
+      'The Passover Lamb and Christ',
+      'The Passover lamb prefigures Christ, whose blood delivers from judgment.',
+      { name: 'The Passover Lamb', reference: 'Exodus 12:1-13', description: 'An unblemished lamb whose blood marked Israel\'s doors.', significance: 'Death passed over the marked houses.', keyVerses: ['Exodus 12:5', 'Exodus 12:13'], keywords: ['Blood', 'Deliverance'] },
+      { name: 'Jesus Christ', reference: '1 Corinthians 5:7', description: 'Christ our Passover is sacrificed for us.', significance: 'His death secures deliverance from sin.', keyVerses: ['John 1:29', '1 Peter 1:19'], keywords: ['Sacrifice', 'Redemption'] },
+      { symbolic: 'Both are **without blemish**.', thematic: 'Deliverance through substitution.', prophetic: 'John the Baptist names Jesus the Lamb of God.', theological: 'Substitutionary atonement.' },
+      { color: 'Crimson and white', symbol: 'A doorframe marked with blood', visualDescription: 'A doorway at dusk with a crimson-marked lintel opening onto a dawn-lit cross.' }
+    )
+  }
+];
+
+const parallelFallback = (query) => parallelTemplate(
+  `Parallel: ${toTitle(query)}`,
+  `A mock parallel generated offline for "${query}".`,
+  { name: 'Adam', reference: 'Genesis 2:7', description: 'The first man.', significance: 'Head of the old humanity.', keyVerses: ['Genesis 2:7'] },
+  { name: 'Christ', reference: '1 Corinthians 15:45', description: 'The last Adam.', significance: 'Head of the new humanity.', keyVerses: ['Romans 5:12-19'] },
+  { symbolic: 'Two representative heads.', thematic: 'Death and life.', prophetic: 'Genesis 3:15 anticipates the victor.', theological: 'Federal headship.' },
+  { color: 'Green and gold', symbol: 'Two trees', visualDescription: 'A garden tree facing a cross on a hill.' }
+);
+
+/* -----------------------------------------
+   Free-text answers (chat, commentary, verse analysis)
+----------------------------------------- */
+const CHAT_ANSWERS = [
+  { keys: ['john 3:16'], response: 'John 3:16 summarizes the gospel: God\'s love, the gift of His Son, and eternal life through faith. Compare Romans 5:8 and 1 John 4:9.' },
+  { keys: ['grace'], response: 'Grace is God\'s unmerited favor. Paul explains in Ephesians 2:8-9 that salvation is by grace through faith, not by works.' },
+  { keys: ['prayer', 'pray'], response: 'Jesus taught His disciples to pray in Matthew 6:9-13. Paul urges believers to pray without ceasing (1 Thessalonians 5:17).' }
+];
+
+const chatFallback = (question) => `This is a mock answer for offline development. You asked: "${question}". For further study, see Psalm 119:105 and 2 Timothy 3:16.`;
+
+// An answer citing the passages the route retrieved, by number
+const groundedAnswer = (question, sources) => {
+  const [first, second] = sources;
+  return `This is a mock answer for offline development, grounded in the retrieved passages. You asked: "${question}". ` +
+    `${first} speaks to it directly [1].` +
+    (second ? ` ${second} sheds further light on it [2].` : '') +
+    ' For further study, see Psalm 119:105.';
+};
+
+const commentary = ({ book, chapter }) => `# ${book} ${chapter}
+
+## Historical Context
+Mock commentary for ${book} chapter ${chapter}, generated offline.
+
+## Key Verses
+- ${book} ${chapter}:1 opens the chapter.
+
+## Themes
+1. God's faithfulness
+2. Human response
+
+## Application
+Read ${book} ${chapter} slowly and note what it reveals about God.`;
+
+const verseAnalysis = ({ verse }) => `## Translation Check
+Mock analysis of "${verse}", generated offline.
+
+## Historical Context
+Written to God's people in their historical setting.
+
+## Theological Significance
+The verse points to God's character and purposes.
+
+## Related Verses
+- Psalm 119:105
+- 2 Timothy 3:16`;
+
+/* -----------------------------------------
+   Lookup
+----------------------------------------- */
+const lastUserMessage = (messages = []) => {
+  const message = [...messages].reverse().find(m => m.role === 'user');
+  return message ? message.content : '';
+};
+
+/**
+ * Build the canned completion for a task.
+ * @param {string} task - Task id passed by the route (e.g. 'timeline')
+ * @param {Object} input - Request fields the route passed along
+ * @param {Array} messages - Chat messages, used when input has no query
+ * @returns {string|null} - Completion text, or null if the task is unknown
+ */
+const mockCompletion = (task, input = {}, messages = []) => {
+  const query = input.query || input.theme || lastUserMessage(messages);
+  const pick = (entries, fallback) => {
+    const entry = matchEntry(entries, query);
+    return entry ? entry.response : fallback(query);
+  };
+
+  switch (task) {
+    case 'timeline':
+      return JSON.stringify(pick(TIMELINES, timelineTemplate));
+    case 'maps':
+      return JSON.stringify(pick(MAPS, mapTemplate));
+    case 'character-study':
+      return JSON.stringify(pick(CHARACTERS, q => characterTemplate(toTitle(q))));
+    case 'personal-study':
+      return JSON.stringify(pick(PERSONAL_STUDIES, q => personalStudyTemplate(q)));
+    case 'theme-thread':
+      return JSON.stringify(pick(THEMES, themeTemplate));
+    case 'visual-parallels':
+      return JSON.stringify(pick(PARALLELS, parallelFallback));
+    case 'bible-commentary':
+      return commentary(input);
+    case 'verse-analyzer':
+      return input.conversationHistory && input.conversationHistory.length > 0
+        ? pick(CHAT_ANSWERS, chatFallback)
+        : verseAnalysis(input);
+    case 'chat':
+      return pick(CHAT_ANSWERS, chatFallback);
+    case 'chat-summary':
+      return `This is a mock summary for offline development. Earlier, the user asked: ${(input.questions || []).join(' / ')}`;
+    case 'chat-title':
+      return toTitle(String(input.question || '').split(/\s+/).slice(0, 6).join(' ').replace(/[?.!]+$/, ''));
+    case 'advanced-chat':
+      return input.sources && input.sources.length > 0
+        ? groundedAnswer(query, input.sources)
+        : pick(CHAT_ANSWERS, chatFallback);
+    default:
+      return null;
+  }
+};
+
+module.exports = { mockCompletion };
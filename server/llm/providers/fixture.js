@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { LLMError } = require('../errors');
+const { streamFromCompletion } = require('../streaming');
+const { createMockProvider } = require('./mock');
+
+// Fixture key: a stable hash of everything that influences the completion
+const fixtureKey = (kind, request) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ kind, ...request }))
+  .digest('hex')
+  .substring(0, 16);
+
+/**
+ * Deterministic provider that replays recorded responses from JSON files.
+ * Each fixture lives at `<dir>/<key>.json` where the key is derived from the
+ * request (see fixtureKey). When an upstream provider is given, misses are
+ * forwarded to it and the result is recorded, which is how fixtures are made.
+ * Other misses get the mock provider's response, which has the shape each
+ * tool's schema expects, or fail with the missing key when `strict`.
+ * @param {Object} options
+ * @param {string} options.dir - Directory holding fixture files
+ * @param {Object} options.models - Model name per tier, reported back to callers
+ * @param {Object} [options.upstream] - Provider used to record missing fixtures
+ * @param {boolean} [options.strict=false] - Fail on a missing fixture instead of answering like the mock provider
+ * @returns {Object} - Provider implementing chat, streamChat, generateImage and editImage
+ */
+const createFixtureProvider = ({ dir, models, upstream = null, strict = false }) => {
+  const mock = createMockProvider({ models });
+  const readFixture = (key) => {
+    const file = path.join(dir, `${key}.json`);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  };
+
+  const writeFixture = (key, request, response) => {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(
+      path.join(dir, `${key}.json`),
+      JSON.stringify({ request, response }, null, 2)
+    );
+  };
+
+  // Look up a fixture, record it from upstream, or fall back to the mock provider
+  const replay = async (kind, request, generateFallback, callUpstream) => {
+    const key = fixtureKey(kind, request);
+    const fixture = readFixture(key);
+    if (fixture) return fixture.response;
+
+    if (upstream) {
+      const response = await callUpstream();
+      writeFixture(key, request, response);
+      return response;
+    }
+
+    if (strict) {
+      throw new LLMError(`No recorded fixture for ${key} (${kind} request, ${path.join(dir, `${key}.json`)})`, {
+        code: 'FIXTURE_MISSING',
+        status: 500
+      });
+    }
+    return generateFallback();
+  };
+
+  const provider = {
+    name: 'fixture',
+    models,
+    supportsImages: true,
+    isConfigured: () => true,
+
+    // `task` and `input` only pick the mock's response; they are not part of the key
+    async chat({ tier = 'standard', model, task, input, messages, maxTokens, temperature, responseFormat }) {
+      const resolvedModel = model || models[tier];
+      const request = { model: resolvedModel, messages, responseFormat: responseFormat || null };
+
+      return replay('chat', request,
+        () => mock.chat({ tier, model, task, input, messages, responseFormat }),
+        () => upstream.chat({ tier, model, messages, maxTokens, temperature, responseFormat }));
+    },
+
+    // Streams replay the same fixture as chat, split into word-sized deltas
+    streamChat({ signal, ...request }) {
+      return streamFromCompletion(provider.chat(request), { signal });
+    },
+
+    async generateImage({ tier = 'image', model, prompt, size = '1024x1024', quality, responseFormat = 'url' }) {
+      const resolvedModel = model || models[tier];
+      const request = { model: resolvedModel, prompt, size, responseFormat };
+
+      return replay('image', request,
+        () => mock.generateImage({ tier, model, prompt, responseFormat }),
+        () => upstream.generateImage({ tier, model, prompt, size, quality, responseFormat }));
+    },
+
+    async editImage({ tier = 'imageEdit', model, image, mask, prompt, size = '1024x1024' }) {
+      const resolvedModel = model || models[tier];
+      // Image bytes are hashed rather than embedded so fixture keys stay short
+      const imageHash = crypto.createHash('sha256').update(image).digest('hex');
+      const request = { model: resolvedModel, prompt, size, imageHash, masked: !!mask };
+
+      return replay('image-edit', request,
+        () => mock.editImage({ tier, model, prompt }),
+        () => upstream.editImage({ tier, model, image, mask, prompt, size }));
+    }
+  };
+
+  return provider;
+};
+
+module.exports = { createFixtureProvider, fixtureKey };
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const { mockCompletion } = require('../mock/responses');
+const { streamFromCompletion } = require('../streaming');
+
+const PALETTE = ['#4f46e5', '#0d9488', '#b45309', '#be185d', '#15803d', '#7c3aed'];
+
+// 1x1 transparent PNG returned for base64 image requests
+const PLACEHOLDER_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+const escapeXml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Solid-color SVG labelled with the start of the prompt; color derived from the prompt
+const placeholderSvg = (prompt) => {
+  const hash = crypto.createHash('sha256').update(prompt || '').digest();
+  const color = PALETTE[hash[0] % PALETTE.length];
+  const label = escapeXml(String(prompt || '').trim().replace(/\s+/g, ' ').substring(0, 60));
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="1024" height="1024">`
+    + `<rect width="1024" height="1024" fill="${color}"/>`
+    + `<text x="512" y="512" font-size="28" fill="#fff" text-anchor="middle" font-family="sans-serif">${label}</text>`
+    + `</svg>`;
+  return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+};
+
+// Rough token estimate so usage numbers look plausible in mock mode
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+/**
+ * Offline provider returning canned, schema-valid responses for each tool.
+ * Routes identify themselves with `task` and pass their request fields as
+ * `input`; the mock matches those against curated entries in mock/responses.
+ * @param {Object} options
+ * @param {Object} options.models - Model name per tier, reported back to callers
+ * @returns {Object} - Provider implementing chat, streamChat, generateImage and editImage
+ */
+const createMockProvider = ({ models }) => {
+  const provider = {
+    name: 'mock',
+    models,
+    supportsImages: true,
+    isConfigured: () => true,
+
+    async chat({ tier = 'standard', model, task, input, messages, responseFormat }) {
+      let content = mockCompletion(task, input, messages);
+      if (content === null) {
+        content = responseFormat === 'json' ? '{}' : 'Mock response.';
+      }
+
+      const promptTokens = messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+      const completionTokens = estimateTokens(content);
+      return {
+        content,
+        model: model || models[tier],
+        usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+      };
+    },
+
+    // Short pauses between chunks so streaming is visible in the UI
+    streamChat({ signal, ...request }) {
+      return streamFromCompletion(provider.chat(request), { delayMs: 30, signal });
+    },
+
+    async generateImage({ tier = 'image', model, prompt, responseFormat = 'url' }) {
+      return responseFormat === 'b64_json'
+        ? { b64Json: PLACEHOLDER_PNG, model: model || models[tier] }
+        : { url: placeholderSvg(prompt), model: model || models[tier] };
+    },
+
+    async editImage({ tier = 'imageEdit', model, prompt }) {
+      return { url: placeholderSvg(`Edited: ${prompt}`), model: model || models[tier] };
+    }
+  };
+
+  return provider;
+};
+
+module.exports = { createMockProvider };
@@ -0,0 +1,174 @@
+const { OpenAI, toFile } = require('openai');
+const { LLMError } = require('../errors');
+
+// Normalize the SDK usage block so callers never depend on vendor field names
+const toUsage = (usage) => usage ? {
+  promptTokens: usage.prompt_tokens || 0,
+  completionTokens: usage.completion_tokens || 0,
+  totalTokens: usage.total_tokens || 0
+} : null;
+
+// Re-throw SDK failures as LLMError. The upstream status describes the
+// server's request, not the caller's, so it is not passed on: a rejected key
+// is the server's fault (502, and its message may quote part of the key), a
+// rate limit means trying again later (503), and a request refused as
+// invalid, such as one over the context length, is the caller's (400).
+const wrapError = (error, fallbackMessage) => {
+  if (error instanceof LLMError) return error;
+  if (error.status === 401 || error.status === 403) {
+    return new LLMError('The AI provider rejected the server\'s credentials', { code: 'PROVIDER_AUTH', status: 502, cause: error });
+  }
+  if (error.status === 429) {
+    return new LLMError('The AI provider is busy; please try again shortly', { code: 'PROVIDER_RATE_LIMITED', status: 503, cause: error });
+  }
+  if (error.status === 400) {
+    return new LLMError(error.message || fallbackMessage, { code: 'PROVIDER_REJECTED', status: 400, cause: error });
+  }
+  return new LLMError(error.message || fallbackMessage, { status: 502, cause: error });
+};
+
+/**
+ * Provider for the OpenAI API and any server that speaks the same protocol
+ * (llama.cpp server, Ollama, vLLM, LM Studio) when given a baseURL.
+ * @param {Object} options
+ * @param {string} options.name - Provider name reported by /api/health
+ * @param {string} [options.apiKey] - API key; required unless allowMissingKey is set
+ * @param {string} [options.baseURL] - Override for the API endpoint
+ * @param {Object} options.models - Model name per tier (fast, standard, image, ...)
+ * @param {boolean} [options.supportsImages=true] - Whether image routes may use this provider
+ * @param {boolean} [options.allowMissingKey=false] - Local servers usually ignore the key
+ * @param {boolean} [options.streamUsage=true] - Ask for token usage on streamed completions
+ * @returns {Object} - Provider implementing chat, streamChat, generateImage and editImage
+ */
+const createOpenAIProvider = ({
+  name = 'openai',
+  apiKey,
+  baseURL,
+  models,
+  supportsImages = true,
+  allowMissingKey = false,
+  streamUsage = true
+}) => {
+  let client = null;
+
+  const isConfigured = () => allowMissingKey ? !!baseURL : !!apiKey;
+
+  const getClient = () => {
+    if (!isConfigured()) {
+      throw new LLMError(`AI provider "${name}" is not configured`, { code: 'NOT_CONFIGURED', status: 500 });
+    }
+    if (!client) {
+      client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL });
+    }
+    return client;
+  };
+
+  const requireImages = () => {
+    if (!supportsImages) {
+      throw new LLMError(`AI provider "${name}" does not support image generation`, { code: 'UNSUPPORTED', status: 501 });
+    }
+  };
+
+  return {
+    name,
+    models,
+    supportsImages,
+    isConfigured,
+
+    async chat({ tier = 'standard', model, messages, maxTokens, temperature, responseFormat }) {
+      const resolvedModel = model || models[tier];
+      try {
+        const response = await getClient().chat.completions.create({
+          model: resolvedModel,
+          messages,
+          max_tokens: maxTokens,
+          temperature,
+          ...(responseFormat === 'json' && { response_format: { type: 'json_object' } })
+        });
+
+        return {
+          content: response.choices[0].message.content,
+          model: response.model || resolvedModel,
+          usage: toUsage(response.usage)
+        };
+      } catch (error) {
+        throw wrapError(error, 'Chat completion failed');
+      }
+    },
+
+    async *streamChat({ tier = 'standard', model, messages, maxTokens, temperature, signal }) {
+      let resolvedModel = model || models[tier];
+      let usage = null;
+      try {
+        const stream = await getClient().chat.completions.create({
+          model: resolvedModel,
+          messages,
+          max_tokens: maxTokens,
+          temperature,
+          stream: true,
+          ...(streamUsage && { stream_options: { include_usage: true } })
+        }, { signal });
+
+        for await (const chunk of stream) {
+          if (chunk.model) resolvedModel = chunk.model;
+          if (chunk.usage) usage = toUsage(chunk.usage);
+          const delta = chunk.choices[0] && chunk.choices[0].delta.content;
+          if (delta) yield { type: 'delta', content: delta };
+        }
+      } catch (error) {
+        throw wrapError(error, 'Chat completion stream failed');
+      }
+
+      yield { type: 'done', model: resolvedModel, usage };
+    },
+
+    async generateImage({ tier = 'image', model, prompt, size = '1024x1024', quality, responseFormat = 'url' }) {
+      requireImages();
+      const resolvedModel = model || models[tier];
+      try {
+        const result = await getClient().images.generate({
+          model: resolvedModel,
+          prompt,
+          n: 1,
+          size,
+          ...(quality && { quality }),
+          response_format: responseFormat
+        });
+
+        const image = result.data && result.data[0];
+        return {
+          url: image ? image.url : undefined,
+          b64Json: image ? image.b64_json : undefined,
+          model: resolvedModel
+        };
+      } catch (error) {
+        throw wrapError(error, 'Image generation failed');
+      }
+    },
+
+    async editImage({ tier = 'imageEdit', model, image, mask, prompt, size = '1024x1024' }) {
+      requireImages();
+      const resolvedModel = model || models[tier];
+      try {
+        const result = await getClient().images.edit({
+          model: resolvedModel,
+          image: await toFile(image, 'image.png', { type: 'image/png' }),
+          ...(mask && { mask: await toFile(mask, 'mask.png', { type: 'image/png' }) }),
+          prompt,
+          n: 1,
+          size,
+          response_format: 'url'
+        });
+
+        return {
+          url: result.data[0].url,
+          model: resolvedModel
+        };
+      } catch (error) {
+        throw wrapError(error, 'Image edit failed');
+      }
+    }
+  };
+};
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,29 @@
+// Helpers for providers that produce a whole completion at once but still
+// need to honour the streamChat contract used by the SSE routes.
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Split text into word-sized pieces, keeping whitespace attached
+const splitIntoChunks = (text) => String(text || '').match(/\S+\s*|\s+/g) || [];
+
+/**
+ * Replay a finished completion as a stream of delta events.
+ * @param {Promise<Object>} completionPromise - Resolves to { content, model, usage }
+ * @param {Object} [options]
+ * @param {number} [options.delayMs=0] - Pause between chunks, to make streaming visible
+ * @param {AbortSignal} [options.signal] - Stops the replay when aborted
+ * @yields {Object} - { type: 'delta', content } events, then { type: 'done', model, usage }
+ */
+async function* streamFromCompletion(completionPromise, { delayMs = 0, signal } = {}) {
+  const completion = await completionPromise;
+
+  for (const chunk of splitIntoChunks(completion.content)) {
+    if (signal && signal.aborted) return;
+    if (delayMs) await sleep(delayMs);
+    yield { type: 'delta', content: chunk };
+  }
+
+  yield { type: 'done', model: completion.model, usage: completion.usage };
+}
+
+module.exports = { streamFromCompletion };
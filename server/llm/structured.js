@@ -0,0 +1,87 @@
+// Structured (JSON) completions: parse the model output, validate it against a
+// schema and, when it is malformed, ask the model to repair it before giving up.
+const { validate } = require('./schema');
+const { LLMResponseError } = require('./errors');
+
+const DEFAULT_REPAIR_ATTEMPTS = 1;
+const MAX_LISTED_ERRORS = 20;
+
+// Models sometimes wrap JSON in code fences or add a sentence around it, so
+// fall back to the outermost object before declaring the content unparseable.
+const parseJSON = (content) => {
+  const text = (content || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      return JSON.parse(text.slice(start, end + 1));
+    }
+    throw error;
+  }
+};
+
+const describeErrors = (errors) => {
+  return errors
+    .slice(0, MAX_LISTED_ERRORS)
+    .map(error => `- ${error.path}: ${error.message}`)
+    .join('\n');
+};
+
+const repairMessage = (failure) => {
+  const problem = failure.code === 'INVALID_JSON'
+    ? `It was not valid JSON (${failure.cause.message}).`
+    : `It did not match the required format:\n${describeErrors(failure.errors)}`;
+  return `Your previous response could not be used. ${problem}\n` +
+    'Reply with the corrected JSON object only, following the format from the instructions exactly.';
+};
+
+// Parse and validate one completion; returns { data } or { failure }
+const check = (content, schema) => {
+  let data;
+  try {
+    data = parseJSON(content);
+  } catch (error) {
+    return { failure: new LLMResponseError('AI response was not valid JSON', { code: 'INVALID_JSON', cause: error }) };
+  }
+
+  const errors = validate(schema, data);
+  if (errors.length > 0) {
+    const fields = errors.slice(0, 5).map(error => error.path).join(', ');
+    return { failure: new LLMResponseError(`AI response did not match the expected format (${fields})`, { errors }) };
+  }
+  return { data };
+};
+
+/**
+ * Run a chat completion that must return JSON matching `schema`. Invalid
+ * output is sent back to the model with the validation errors for repair.
+ * @param {Object} llm - Provider implementing chat
+ * @param {Object} request - Arguments for llm.chat
+ * @param {Object} schema - Schema the parsed response must satisfy
+ * @param {Object} [options]
+ * @param {number} [options.repairAttempts=1] - Extra completions allowed for repairs
+ * @returns {Promise<Object>} - Parsed, validated data
+ * @throws {LLMResponseError} - If the output is still invalid after all repairs
+ */
+const chatJSON = async (llm, request, schema, { repairAttempts = DEFAULT_REPAIR_ATTEMPTS } = {}) => {
+  let messages = request.messages;
+
+  for (let attempt = 0; ; attempt++) {
+    const response = await llm.chat({ ...request, messages, responseFormat: 'json' });
+    const { data, failure } = check(response.content, schema);
+    if (!failure) return data;
+
+    console.warn(`Structured response failed validation (attempt ${attempt + 1}): ${failure.message}`);
+    if (attempt >= repairAttempts) throw failure;
+
+    messages = [
+      ...messages,
+      { role: 'assistant', content: response.content || '' },
+      { role: 'user', content: repairMessage(failure) }
+    ];
+  }
+};
+
+module.exports = { chatJSON, parseJSON };
@@ -0,0 +1,213 @@
+// Prompt templates for the AI routes, loaded from server/prompts/templates.
+//
+// Each file is one version of one prompt, named `<name>.v<N>.md`, and holds
+// one or more named parts (usually `system` and `user`) introduced by a
+// `<!-- part -->` line. Parts are rendered with variables:
+//   {{name}}              - replaced with the variable's value
+//   {{#name}}...{{/name}} - kept only when the variable is set and not empty
+//
+// The newest version of each prompt is used unless PROMPT_VERSIONS pins one,
+// e.g. PROMPT_VERSIONS=timeline=v1,maps=v2. Routes return the id of the
+// version they used (`timeline@v2`) as `promptVersion`, and the client saves
+// it with the result, so every stored study can be traced to its prompt.
+// Older versions are kept for that, so a pin is checked against what the
+// routes need of the prompt (REQUIREMENTS) and refused at load if it falls short.
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_FILE = /^([a-z0-9-]+)\.(v\d+)\.md$/;
+const PART_MARKER = /^<!--\s*([a-z0-9-]+)\s*-->\s*$/;
+const SECTION = /\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g;
+const VARIABLE = /\{\{(\w+)\}\}/g;
+
+const versionNumber = (version) => Number(version.slice(1));
+
+// What the routes need of each prompt: the parts they render and, for answers
+// read with a schema from server/schemas.js, the first version written for it
+const REQUIREMENTS = {
+  'advanced-chat': { parts: ['system', 'sources', 'no-sources', 'passage'] },
+  'bible-commentary': { parts: ['system', 'user'] },
+  'biblical-image': { parts: ['prompt'] },
+  'character-study': { parts: ['system'] },
+  'chat': { parts: ['system'] },
+  'chat-summary': { parts: ['system', 'user', 'summary'] },
+  'chat-title': { parts: ['system', 'user'] },
+  'edit-biblical-image': { parts: ['prompt', 'without-mask'] },
+  'maps': { parts: ['system'] },
+  'parallel-image': { parts: ['prompt'] },
+  'personal-study': { parts: ['system'] },
+  'perspectives': { parts: ['tradition-note'] },
+  'theme-thread': { parts: ['system'], schemaSince: 'v2' },
+  'timeline': { parts: ['system'] },
+  'verse-analyzer': { parts: ['system', 'follow-up', 'user'] },
+  'visual-parallels': { parts: ['system'] }
+};
+
+// Why a template cannot serve its routes, or null when it can
+const incompatibility = (template, { parts = [], schemaSince } = {}) => {
+  const missing = parts.filter(part => !template.parts.includes(part));
+  if (missing.length > 0) {
+    return `it has no ${missing.map(part => `"${part}"`).join(', ')} part`;
+  }
+  if (schemaSince && versionNumber(template.version) < versionNumber(schemaSince)) {
+    return `its answers do not match the current schema, first used by ${template.name}.${schemaSince}`;
+  }
+  return null;
+};
+
+// Split a template file into its parts: { system: '...', user: '...' }
+const parseParts = (text, file) => {
+  const parts = {};
+  let current = null;
+
+  for (const line of text.split('\n')) {
+    const marker = PART_MARKER.exec(line);
+    if (marker) {
+      current = marker[1];
+      parts[current] = [];
+    } else if (current) {
+      parts[current].push(line);
+    } else if (line.trim()) {
+      throw new Error(`Prompt template ${file} has text before its first <!-- part --> marker`);
+    }
+  }
+
+  if (!current) {
+    throw new Error(`Prompt template ${file} has no parts`);
+  }
+  return Object.fromEntries(Object.entries(parts).map(([name, lines]) => [name, lines.join('\n').trim()]));
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === false || value === '';
+
+const createTemplate = ({ name, version, parts }) => {
+  const id = `${name}@${version}`;
+
+  return {
+    id,
+    name,
+    version,
+    parts: Object.keys(parts),
+
+    /**
+     * Fill in one part of the template.
+     * @param {string} part - Part name, e.g. 'system'
+     * @param {Object} [variables] - Values for {{placeholders}}
+     * @returns {string} - Rendered text
+     * @throws {Error} - If the part does not exist or a placeholder has no value
+     */
+    render(part, variables = {}) {
+      if (parts[part] === undefined) {
+        throw new Error(`Prompt ${id} has no "${part}" part`);
+      }
+
+      return parts[part]
+        .replace(SECTION, (match, key, body) => (isEmpty(variables[key]) ? '' : body))
+        .replace(VARIABLE, (match, key) => {
+          if (variables[key] === undefined || variables[key] === null) {
+            throw new Error(`Prompt ${id} (${part}) needs a value for "${key}"`);
+          }
+          return String(variables[key]);
+        })
+        .trim();
+    }
+  };
+};
+
+// PROMPT_VERSIONS="timeline=v1,maps=v2" -> { timeline: 'v1', maps: 'v2' }
+const parsePins = (value) => {
+  return Object.fromEntries((value || '')
+    .split(',')
+    .map(pin => pin.trim())
+    .filter(Boolean)
+    .map(pin => pin.split('=').map(part => part.trim())));
+};
+
+/**
+ * Load every template in `dir` and pick the active version of each prompt.
+ * @param {Object} options
+ * @param {string} options.dir - Directory of `<name>.v<N>.md` files
+ * @param {Object} [options.pins] - { [name]: version } overriding the newest version
+ * @param {Object} [options.requirements] - { [name]: { parts, schemaSince } } the active versions must meet
+ * @returns {Object} - Registry with get(name) and list()
+ * @throws {Error} - For unknown pins and active versions that do not meet the requirements
+ */
+const createPromptRegistry = ({ dir, pins = {}, requirements = {} }) => {
+  const versions = new Map(); // name -> Map(version -> template)
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = TEMPLATE_FILE.exec(file);
+    if (!match) continue;
+    const [, name, version] = match;
+    const parts = parseParts(fs.readFileSync(path.join(dir, file), 'utf8'), file);
+    if (!versions.has(name)) versions.set(name, new Map());
+    versions.get(name).set(version, createTemplate({ name, version, parts }));
+  }
+
+  const active = new Map();
+  for (const [name, byVersion] of versions) {
+    const version = pins[name] ||
+      [...byVersion.keys()].sort((a, b) => versionNumber(b) - versionNumber(a))[0];
+    if (!byVersion.has(version)) {
+      throw new Error(`PROMPT_VERSIONS pins ${name} to ${version}, but there is no ${name}.${version}.md`);
+    }
+    const problem = incompatibility(byVersion.get(version), requirements[name]);
+    if (problem) {
+      throw new Error(pins[name]
+        ? `PROMPT_VERSIONS pins ${name} to ${version}, which the server cannot use: ${problem}`
+        : `Prompt template ${name}.${version}.md cannot be used: ${problem}`);
+    }
+    active.set(name, byVersion.get(version));
+  }
+
+  for (const name of Object.keys(pins)) {
+    if (!versions.has(name)) {
+      throw new Error(`PROMPT_VERSIONS names unknown prompt "${name}"`);
+    }
+  }
+
+  return {
+    // Active version of a prompt
+    get(name) {
+      if (!active.has(name)) {
+        throw new Error(`Unknown prompt "${name}"`);
+      }
+      return active.get(name);
+    },
+
+    // Every prompt with its available and active versions
+    list() {
+      return [...versions].map(([name, byVersion]) => ({
+        name,
+        active: active.get(name).version,
+        versions: [...byVersion.keys()].sort((a, b) => versionNumber(a) - versionNumber(b))
+      }));
+    }
+  };
+};
+
+// Image models take a single paragraph, so collapse the template's line breaks
+const toImagePrompt = (text) => text.replace(/\s+/g, ' ').trim();
+
+const createPromptRegistryFromEnv = (env = process.env) => createPromptRegistry({
+  dir: env.PROMPTS_DIR || path.join(__dirname, 'templates'),
+  pins: parsePins(env.PROMPT_VERSIONS),
+  requirements: REQUIREMENTS
+});
+
+let activeRegistry = null;
+
+// Shared registry for the server, loaded on first use
+const getPrompts = () => {
+  if (!activeRegistry) {
+    activeRegistry = createPromptRegistryFromEnv();
+  }
+  return activeRegistry;
+};
+
+module.exports = {
+  createPromptRegistry,
+  createPromptRegistryFromEnv,
+  getPrompts,
+  toImagePrompt
+};
@@ -0,0 +1,66 @@
+// Perspectives a user can choose for the chat, commentary and verse analysis:
+// a persona (the voice the answer is written in) and a tradition lens (the
+// theological tradition the passage is read from). Either can be left unset.
+// Their instructions are parts of the `perspectives` prompt template, added to
+// the system prompt of each route, so a change to them is versioned like any
+// other prompt and cached answers are kept apart by perspective.
+const { badRequest } = require('../errors');
+
+const PERSONAS = [
+  { id: 'pastoral', label: 'Pastoral', description: 'Warm and encouraging, with practical application' },
+  { id: 'academic', label: 'Academic', description: 'Scholarly, with original languages and historical context' },
+  { id: 'youth', label: 'Youth teacher', description: 'Plain language and everyday examples for teenagers' },
+  { id: 'apologetics', label: 'Apologetics', description: 'Answers the questions a skeptic would ask' }
+];
+
+const TRADITIONS = [
+  { id: 'reformed', label: 'Reformed' },
+  { id: 'catholic', label: 'Catholic' },
+  { id: 'orthodox', label: 'Orthodox' },
+  { id: 'wesleyan', label: 'Wesleyan' },
+  { id: 'pentecostal', label: 'Pentecostal' }
+];
+
+// One choice of a perspective: a known id, or null when unset
+const readChoice = (value, options, name) => {
+  if (value === undefined || value === null || value === '') return null;
+  const id = String(value).toLowerCase();
+  if (!options.some(option => option.id === id)) {
+    throw badRequest(`Unknown ${name} "${value}"`, { [`${name}s`]: options.map(option => option.id) });
+  }
+  return id;
+};
+
+/**
+ * Read the `perspective` field of a request body.
+ * @param {Object} [value] - { persona, tradition }, either unset for none
+ * @returns {Object} - { persona, tradition }, ids or null
+ * @throws {ApiError} - 400 for unknown personas and traditions
+ */
+const readPerspective = (value) => {
+  if (value !== undefined && value !== null && typeof value !== 'object') {
+    throw badRequest('Perspective must be an object with a persona and a tradition');
+  }
+  return {
+    persona: readChoice(value && value.persona, PERSONAS, 'persona'),
+    tradition: readChoice(value && value.tradition, TRADITIONS, 'tradition')
+  };
+};
+
+/**
+ * Add a perspective's instructions to a system prompt.
+ * @param {Object} prompts - Prompt registry
+ * @param {string} system - Rendered system prompt of the route
+ * @param {Object} perspective - From readPerspective
+ * @returns {string} - The system prompt, unchanged when no perspective is set
+ */
+const withPerspective = (prompts, system, { persona, tradition }) => {
+  const template = prompts.get('perspectives');
+  return [
+    system,
+    persona && template.render(`persona-${persona}`),
+    tradition && `${template.render(`tradition-${tradition}`)} ${template.render('tradition-note')}`
+  ].filter(Boolean).join('\n\n');
+};
+
+module.exports = { PERSONAS, TRADITIONS, readPerspective, withPerspective };
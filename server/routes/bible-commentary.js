@@ -0,0 +1,66 @@
+const express = require('express');
+const { asyncHandler, badRequest } = require('../errors');
+const { promptVersion, wantsRegenerate } = require('../cache');
+const { streamWithCache } = require('../sse');
+const { requireLLM } = require('./common');
+const { readPerspective, withPerspective } = require('../prompts/perspectives');
+const { findBook } = require('../../shared/scripture');
+
+// Input and messages for a chapter commentary, shared by the JSON and streaming endpoints
+const readCommentaryRequest = (prompts, body) => {
+  if (!body.book || !body.chapter) {
+    throw badRequest('Book and chapter are required');
+  }
+  const canonBook = findBook(body.book);
+  if (!canonBook) {
+    throw badRequest(`Unknown book "${body.book}"`);
+  }
+  const number = Number(body.chapter);
+  if (!Number.isInteger(number) || number < 1 || number > canonBook.chapters) {
+    throw badRequest(`${canonBook.name} has ${canonBook.chapters} chapter${canonBook.chapters === 1 ? '' : 's'}`);
+  }
+  const book = canonBook.name;
+  const chapter = String(number);
+
+  const prompt = prompts.get('bible-commentary');
+  const messages = [
+    { role: 'system', content: withPerspective(prompts, prompt.render('system'), readPerspective(body.perspective)) },
+    { role: 'user', content: prompt.render('user', { book, chapter }) }
+  ];
+  const request = {
+    task: 'bible-commentary',
+    input: { book, chapter },
+    tier: 'standard',
+    messages,
+    maxTokens: 1200,
+    temperature: 0.6
+  };
+  const entry = { route: 'bible-commentary', input: { book, chapter }, version: promptVersion(messages) };
+  return { prompt, request, entry };
+};
+
+const createBibleCommentaryRouter = ({ llm, usage, cache, prompts }) => {
+  const router = express.Router();
+  const guards = [requireLLM(llm), usage.limitUser('tools')];
+
+  router.post('/tools/bible-commentary', guards, asyncHandler(async (req, res) => {
+    const { prompt, request, entry } = readCommentaryRequest(prompts, req.body);
+
+    const { value: commentary, cached } = await cache.wrap({ ...entry, regenerate: wantsRegenerate(req) }, async () => {
+      const response = await req.llm.chat(request);
+      return response.content;
+    });
+
+    res.json({ commentary, cached, promptVersion: prompt.id });
+  }));
+
+  // Server-Sent Events, see server/sse.js
+  router.post('/tools/bible-commentary/stream', guards, asyncHandler(async (req, res) => {
+    const { prompt, request, entry } = readCommentaryRequest(prompts, req.body);
+    await streamWithCache(req, res, { cache, entry, request, meta: { promptVersion: prompt.id } });
+  }));
+
+  return router;
+};
+
+module.exports = { createBibleCommentaryRouter };
@@ -0,0 +1,20 @@
+const express = require('express');
+const schemas = require('../schemas');
+const { requireLLM, queryToolHandler } = require('./common');
+
+const createCharacterStudyRouter = (deps) => {
+  const router = express.Router();
+
+  router.post('/tools/character-study', requireLLM(deps.llm), deps.usage.limitUser('tools'),
+    queryToolHandler(deps, {
+      name: 'character-study',
+      schema: schemas.characterStudy,
+      references: schemas.references.characterStudy,
+      quotations: schemas.quotations.characterStudy,
+      maxTokens: 2500
+    }));
+
+  return router;
+};
+
+module.exports = { createCharacterStudyRouter };
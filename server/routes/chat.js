@@ -0,0 +1,173 @@
+const express = require('express');
+const { ApiError, asyncHandler, badRequest } = require('../errors');
+const { streamCompletion } = require('../sse');
+const { requireLLM, requireMessages } = require('./common');
+const { checkCitations, retrievePassages } = require('../bible/retrieval');
+const { readPerspective, withPerspective } = require('../prompts/perspectives');
+const { DEFAULT_CONTEXT_TOKENS, fitConversation, messageTokens, readSummary } = require('../llm/context');
+
+// Most characters of the first answer given to the model when naming a conversation
+const TITLE_ANSWER_LENGTH = 1000;
+const MAX_TITLE_LENGTH = 80;
+// Completion limit of an Advanced Chat answer
+const ADVANCED_MAX_TOKENS = 800;
+// A pinned passage longer than this is named but not quoted
+const PINNED_TOKENS = 1500;
+// Characters kept of a pinned verse typed as text rather than as a reference
+const PINNED_TEXT_LENGTH = 1000;
+
+// '"Grace in Ephesians 2."' -> 'Grace in Ephesians 2'
+const cleanTitle = (text) => String(text || '')
+  .split('\n')[0]
+  .replace(/^title:\s*/i, '')
+  .replace(/^["'“‘*]+|["'”’*]+$/g, '')
+  .replace(/[.!:;,]+$/, '')
+  .trim()
+  .slice(0, MAX_TITLE_LENGTH);
+
+// System message pinning the passage a conversation is about, such as the
+// chapter of a commentary, quoted when it is a reference short enough to quote
+const pinPassage = async (prompt, bible, passage) => {
+  try {
+    const { reference, verses } = await bible.lookup(passage);
+    const text = verses.map(verse => `${verse.chapter}:${verse.verse} ${verse.text}`).join('\n');
+    const quoted = messageTokens([{ content: text }]) <= PINNED_TOKENS;
+    return { role: 'system', content: prompt.render('passage', { passage: reference, text: quoted ? text : '' }) };
+  } catch {
+    // A verse typed as text
+    const text = passage.length > PINNED_TEXT_LENGTH ? `${passage.slice(0, PINNED_TEXT_LENGTH)} …` : passage;
+    return { role: 'system', content: prompt.render('passage', { passage: `the verse "${text}"`, text: '' }) };
+  }
+};
+
+// Messages and request for an Advanced Chat answer, shared by the JSON and
+// streaming endpoints. Passages retrieved for the latest question are
+// numbered in the system prompt so the answer can cite them ([1], [2, 3]);
+// the client sends its history with earlier citations already resolved.
+// System messages from the caller, such as the commentary's follow-up
+// questions naming their chapter, are kept after the grounding prompt, and
+// `passage` pins what the conversation is about. Long conversations are
+// fitted into the context budget (see server/llm/context.js).
+const readAdvancedRequest = async ({ prompts, bible, contextTokens }, llm, { messages, perspective, passage, summary }) => {
+  requireMessages(messages);
+  if (passage !== undefined && passage !== null && typeof passage !== 'string') {
+    throw badRequest('Passage must be a reference or verse text');
+  }
+  const pinned = passage && passage.trim() ? passage.trim() : null;
+  const prompt = prompts.get('advanced-chat');
+  const sources = await retrievePassages(bible, messages, { passage: pinned });
+  const list = sources.map(({ id, reference, text }) => `[${id}] ${reference}: ${text}`).join('\n');
+  const system = [
+    withPerspective(prompts, prompt.render('system'), readPerspective(perspective)),
+    sources.length > 0 ? prompt.render('sources', { sources: list }) : prompt.render('no-sources')
+  ].join('\n\n');
+
+  const history = messages.filter(message => message.role !== 'system');
+  const { messages: fitted, context } = await fitConversation({
+    llm,
+    prompts,
+    system: [
+      { role: 'system', content: system },
+      ...(pinned ? [await pinPassage(prompt, bible, pinned)] : []),
+      ...messages.filter(message => message.role === 'system')
+    ],
+    history,
+    summary: readSummary(summary, history.length),
+    contextTokens,
+    maxTokens: ADVANCED_MAX_TOKENS
+  });
+
+  const request = {
+    task: 'advanced-chat',
+    input: { sources: sources.map(source => source.reference) },
+    tier: 'standard',
+    messages: fitted,
+    maxTokens: ADVANCED_MAX_TOKENS,
+    temperature: 0.7
+  };
+  return { prompt, sources, request, context };
+};
+
+// Free-form chat: the quick model, the advanced model and its streaming variant
+const createChatRouter = ({ llm, usage, prompts, bible, env = process.env }) => {
+  const router = express.Router();
+  const guards = [requireLLM(llm), usage.limitUser('chat')];
+  const contextTokens = Number(env.CHAT_CONTEXT_TOKENS) || DEFAULT_CONTEXT_TOKENS;
+
+  router.post('/chat', guards, asyncHandler(async (req, res) => {
+    const { messages, perspective } = req.body;
+    requireMessages(messages);
+
+    const prompt = prompts.get('chat');
+    const system = withPerspective(prompts, prompt.render('system'), readPerspective(perspective));
+    const response = await req.llm.chat({
+      task: 'chat',
+      tier: 'fast',
+      messages: [{ role: 'system', content: system }, ...messages],
+      maxTokens: 500,
+      temperature: 0.7
+    });
+    res.json({ message: response.content, model: response.model, promptVersion: prompt.id });
+  }));
+
+  router.post('/chat/advanced', guards, asyncHandler(async (req, res) => {
+    const { prompt, sources, request, context } = await readAdvancedRequest({ prompts, bible, contextTokens }, req.llm, req.body);
+    const response = await req.llm.chat(request);
+    res.json({
+      message: response.content,
+      sources,
+      ...checkCitations(response.content, sources),
+      context,
+      model: response.model,
+      promptVersion: prompt.id
+    });
+  }));
+
+  // A short title for a saved conversation, from its first question and answer
+  router.post('/chat/title', guards, asyncHandler(async (req, res) => {
+    const { messages } = req.body;
+    requireMessages(messages);
+    const question = messages.find(message => message.role === 'user');
+    const answer = messages.find(message => message.role === 'assistant');
+    if (!question) {
+      throw badRequest('A question is required');
+    }
+
+    const prompt = prompts.get('chat-title');
+    const variables = {
+      question: String(question.content),
+      answer: answer ? String(answer.content).slice(0, TITLE_ANSWER_LENGTH) : ''
+    };
+    const response = await req.llm.chat({
+      task: 'chat-title',
+      input: { question: variables.question },
+      tier: 'fast',
+      messages: [
+        { role: 'system', content: prompt.render('system') },
+        { role: 'user', content: prompt.render('user', variables) }
+      ],
+      maxTokens: 20,
+      temperature: 0.3
+    });
+    const title = cleanTitle(response.content);
+    if (!title) {
+      throw new ApiError('The model returned an empty title', { status: 502, code: 'PROVIDER_ERROR' });
+    }
+    res.json({ title, promptVersion: prompt.id });
+  }));
+
+  // Server-Sent Events, see server/sse.js
+  router.post('/chat/advanced/stream', guards, asyncHandler(async (req, res) => {
+    const { prompt, sources, request, context } = await readAdvancedRequest({ prompts, bible, contextTokens }, req.llm, req.body);
+    await streamCompletion(res, req.llm, request, ({ content }) => ({
+      sources,
+      ...checkCitations(content, sources),
+      context,
+      promptVersion: prompt.id
+    }));
+  }));
+
+  return router;
+};
+
+module.exports = { createChatRouter };
@@ -0,0 +1,83 @@
+// Building blocks shared by the tool routers
+const { ApiError, asyncHandler, badRequest } = require('../errors');
+const { promptVersion, wantsRegenerate } = require('../cache');
+const { chatJSON } = require('../llm/structured');
+const { checkResultReferences } = require('../bible/references');
+const { fillResultQuotes } = require('../bible/quotes');
+
+// Reject AI routes up front when the provider has no credentials
+const requireLLM = (llm) => (req, res, next) => {
+  if (!llm.isConfigured()) {
+    return next(new ApiError('AI provider is not configured', { status: 500, code: 'NOT_CONFIGURED' }));
+  }
+  next();
+};
+
+const ROLES = ['system', 'user', 'assistant'];
+
+// Reject a chat history that is empty or has messages the model cannot take
+const requireMessages = (messages) => {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw badRequest('Messages are required');
+  }
+  const invalid = messages.findIndex(message => !message || !ROLES.includes(message.role) || typeof message.content !== 'string');
+  if (invalid !== -1) {
+    throw badRequest(`Message ${invalid + 1} must have a role (${ROLES.join(', ')}) and text content`);
+  }
+};
+
+/**
+ * Handler for the tools that turn a free-text `query` into JSON matching a
+ * schema (timeline, maps, character study, ...). Results are shared through
+ * the response cache, checked for impossible scripture references, and
+ * returned with `referenceWarnings`, `cached` and `promptVersion`. Quoted
+ * verses get their text from the translation named by `translation` in the
+ * request body (see server/bible/quotes.js).
+ * @param {Object} deps - { cache, prompts, bible }
+ * @param {Object} options
+ * @param {string} options.name - Tool name; also the route, task and prompt name
+ * @param {Object} options.schema - Schema from server/schemas
+ * @param {number} options.maxTokens - Completion limit
+ * @param {number} [options.temperature=0.7]
+ * @param {Object[]} [options.references] - Reference fields from schemas.references
+ * @param {string[]} [options.quotations] - Quoted verse lists from schemas.quotations
+ * @returns {Function} - Express handler
+ */
+const queryToolHandler = ({ cache, prompts, bible }, { name, schema, maxTokens, temperature = 0.7, references, quotations }) => {
+  return asyncHandler(async (req, res) => {
+    const { query, translation } = req.body;
+    if (typeof query !== 'string' || !query.trim()) {
+      throw badRequest('Query is required');
+    }
+    if (translation !== undefined && !bible.hasTranslation(translation)) {
+      throw badRequest(`Unknown translation "${translation}"`);
+    }
+
+    const prompt = prompts.get(name);
+    const messages = [
+      { role: 'system', content: prompt.render('system') },
+      { role: 'user', content: query }
+    ];
+
+    const { value: result, cached } = await cache.wrap({
+      route: name,
+      input: { query },
+      version: promptVersion(messages),
+      regenerate: wantsRegenerate(req)
+    }, () => chatJSON(req.llm, {
+      task: name,
+      input: { query },
+      tier: 'standard',
+      messages,
+      maxTokens,
+      temperature
+    }, schema));
+
+    // Checked after the cache so stored results pick up changes to the canon
+    const { value, warnings } = checkResultReferences(result, references);
+    const filled = quotations ? await fillResultQuotes(bible, value, quotations, { translation }) : value;
+    res.json({ ...filled, referenceWarnings: warnings, cached, promptVersion: prompt.id });
+  });
+};
+
+module.exports = { requireLLM, requireMessages, queryToolHandler };
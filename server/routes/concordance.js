@@ -0,0 +1,23 @@
+const express = require('express');
+const { asyncHandler } = require('../errors');
+
+// Full-text search of the local Bible text
+const createConcordanceRouter = ({ bible }) => {
+  const router = express.Router();
+
+  // ?q="living water"&book=John,Rev&testament=NT&limit=50&offset=0&translation=kjv
+  router.get('/concordance', asyncHandler(async (req, res) => {
+    const { q, book, testament, limit, offset, translation } = req.query;
+    res.json(bible.search(typeof q === 'string' ? q : '', {
+      translation,
+      books: typeof book === 'string' && book.trim() ? book.split(',').map(name => name.trim()).filter(Boolean) : null,
+      testament: typeof testament === 'string' && testament ? testament.toUpperCase() : null,
+      limit,
+      offset
+    }));
+  }));
+
+  return router;
+};
+
+module.exports = { createConcordanceRouter };
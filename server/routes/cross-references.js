@@ -0,0 +1,20 @@
+const express = require('express');
+const { asyncHandler, badRequest } = require('../errors');
+
+// Ranked cross-references from the cross-reference data (server/bible/cross-references.js)
+const createCrossReferencesRouter = ({ bible }) => {
+  const router = express.Router();
+
+  // ?q=John+3:16&limit=20
+  router.get('/cross-references', asyncHandler(async (req, res) => {
+    const { q, limit } = req.query;
+    if (typeof q !== 'string' || !q.trim()) {
+      throw badRequest('q is required, e.g. ?q=John 3:16');
+    }
+    res.json(await bible.related(q, { limit }));
+  }));
+
+  return router;
+};
+
+module.exports = { createCrossReferencesRouter };
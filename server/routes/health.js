@@ -0,0 +1,20 @@
+const express = require('express');
+
+// Public status endpoint, mounted ahead of authentication
+const createHealthRouter = ({ llm }) => {
+  const router = express.Router();
+
+  router.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      env: {
+        apiKeySet: llm.isConfigured(),
+        provider: llm.name
+      }
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createHealthRouter };
@@ -0,0 +1,156 @@
+const express = require('express');
+const { ApiError, asyncHandler, badRequest } = require('../errors');
+const { toImagePrompt } = require('../prompts');
+const { requireLLM } = require('./common');
+
+// Image prompt for a visual parallel. The wording avoids literal religious
+// imagery, which keeps requests clear of content policy refusals.
+const buildParallelImagePrompt = (template, parallelData) => {
+  const { title, elementA, elementB } = parallelData;
+  const visualElements = parallelData.visualElements || {};
+  const bothElements = elementA && elementB;
+  const differentTestaments = bothElements && elementA.testament && elementB.testament &&
+    elementA.testament !== elementB.testament;
+
+  return toImagePrompt(template.render('prompt', {
+    title: title || '',
+    visualDescription: visualElements.visualDescription,
+    elementA: bothElements ? elementA.name : '',
+    elementB: bothElements ? elementB.name : '',
+    testamentA: differentTestaments ? elementA.testament : '',
+    testamentB: differentTestaments ? elementB.testament : '',
+    color: visualElements.color,
+    symbol: visualElements.symbol
+  }));
+};
+
+// Raw bytes of a base64 data URL sent by the client
+const decodeDataUrl = (dataUrl) => Buffer.from(dataUrl.split(',')[1] || '', 'base64');
+
+// Image generation and editing, plus the proxy the editor uses to load
+// generated images without tripping over CORS
+const createImagesRouter = ({ llm, usage, prompts }) => {
+  const router = express.Router();
+  const guards = [requireLLM(llm), usage.limitUser('images')];
+
+  router.post('/tools/biblical-image', guards, asyncHandler(async (req, res) => {
+    const { prompt } = req.body;
+    if (!prompt) {
+      throw badRequest('Prompt is required');
+    }
+
+    const template = prompts.get('biblical-image');
+    const response = await req.llm.generateImage({
+      task: 'biblical-image',
+      tier: 'image',
+      prompt: toImagePrompt(template.render('prompt', { request: prompt })),
+      size: '1024x1024',
+      quality: 'standard',
+      responseFormat: 'url'
+    });
+
+    res.json({ image: response.url, promptVersion: template.id });
+  }));
+
+  router.post('/tools/edit-biblical-image', guards, asyncHandler(async (req, res) => {
+    const { prompt, imageData, maskData } = req.body;
+    if (!prompt) {
+      throw badRequest('Prompt is required');
+    }
+    if (!imageData) {
+      throw badRequest('Image data is required');
+    }
+
+    const template = prompts.get('edit-biblical-image');
+    const enhancedPrompt = toImagePrompt(template.render('prompt', { request: prompt }));
+
+    // With a mask the provider inpaints the masked area (DALL-E 2 only).
+    // There is no edit without a mask, so the request is regenerated from
+    // the prompt with extra guidance instead.
+    const response = maskData
+      ? await req.llm.editImage({
+        task: 'edit-biblical-image',
+        tier: 'imageEdit',
+        image: decodeDataUrl(imageData),
+        mask: decodeDataUrl(maskData),
+        prompt: enhancedPrompt,
+        size: '1024x1024'
+      })
+      : await req.llm.generateImage({
+        task: 'edit-biblical-image',
+        tier: 'image',
+        prompt: `${enhancedPrompt} ${toImagePrompt(template.render('without-mask'))}`,
+        size: '1024x1024',
+        quality: 'standard',
+        responseFormat: 'url'
+      });
+
+    res.json({ image: response.url, promptVersion: template.id });
+  }));
+
+  router.post('/tools/generate-parallel-image', guards, asyncHandler(async (req, res) => {
+    const { parallelData } = req.body;
+    if (!parallelData) {
+      throw badRequest('Parallel data is required');
+    }
+
+    const template = prompts.get('parallel-image');
+    const prompt = buildParallelImagePrompt(template, parallelData);
+
+    // DALL-E 3 returns a URL; if it fails, fall back to DALL-E 2 with inline base64
+    try {
+      const result = await req.llm.generateImage({
+        task: 'parallel-image',
+        tier: 'image',
+        prompt,
+        size: '1024x1024',
+        quality: 'standard'
+      });
+      if (!result.url) {
+        throw new Error('Image generation returned no URL');
+      }
+      return res.json({ image: result.url, prompt, format: 'url', promptVersion: template.id });
+    } catch (error) {
+      console.warn('Falling back to base64 image generation:', error.message);
+    }
+
+    const fallback = await req.llm.generateImage({
+      task: 'parallel-image',
+      tier: 'imageFallback',
+      prompt,
+      size: '1024x1024',
+      responseFormat: 'b64_json'
+    });
+    if (!fallback.b64Json) {
+      throw new ApiError('Both image generation methods failed', { status: 502, code: 'PROVIDER_ERROR' });
+    }
+    res.json({
+      image: `data:image/png;base64,${fallback.b64Json}`,
+      prompt,
+      format: 'dataUrl',
+      promptVersion: template.id
+    });
+  }));
+
+  router.post('/proxy-image', asyncHandler(async (req, res) => {
+    const { imageUrl } = req.body;
+    if (!imageUrl) {
+      throw badRequest('Image URL is required');
+    }
+
+    const imageResponse = await fetch(imageUrl);
+    if (!imageResponse.ok) {
+      throw new ApiError(`Failed to fetch image: ${imageResponse.status}`, { status: 502, code: 'UPSTREAM_ERROR' });
+    }
+
+    const imageBuffer = await imageResponse.arrayBuffer();
+    res.json({
+      imageData: Buffer.from(imageBuffer).toString('base64'),
+      contentType: imageResponse.headers.get('content-type') || 'image/jpeg'
+    });
+  }));
+
+  return router;
+};
+
+module.exports = { createImagesRouter };
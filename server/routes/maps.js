@@ -0,0 +1,20 @@
+const express = require('express');
+const schemas = require('../schemas');
+const { requireLLM, queryToolHandler } = require('./common');
+
+// The Maps page calls /api/maps, outside the /api/tools prefix
+const createMapsRouter = (deps) => {
+  const router = express.Router();
+
+  router.post('/maps', requireLLM(deps.llm), deps.usage.limitUser('tools'),
+    queryToolHandler(deps, {
+      name: 'maps',
+      schema: schemas.maps,
+      references: schemas.references.maps,
+      maxTokens: 2000
+    }));
+
+  return router;
+};
+
+module.exports = { createMapsRouter };
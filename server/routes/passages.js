@@ -0,0 +1,54 @@
+const express = require('express');
+const { asyncHandler, badRequest } = require('../errors');
+const { fillQuotes } = require('../bible/quotes');
+
+// Most quotes checked in one request (a study has a handful)
+const MAX_QUOTES = 50;
+
+// Scripture text from the bundled translations (and the ESV, if configured)
+const createPassagesRouter = ({ bible }) => {
+  const router = express.Router();
+
+  // ?q=John+3:16-18&translation=kjv
+  router.get('/passages', asyncHandler(async (req, res) => {
+    const { q, translation } = req.query;
+    if (typeof q !== 'string' || !q.trim()) {
+      throw badRequest('q is required, e.g. ?q=John 3:16');
+    }
+    res.json(await bible.lookup(q, { translation }));
+  }));
+
+  // ?q=John+3:16-18&translations=kjv,esv (default: every translation)
+  router.get('/passages/parallel', asyncHandler(async (req, res) => {
+    const { q, translations } = req.query;
+    if (typeof q !== 'string' || !q.trim()) {
+      throw badRequest('q is required, e.g. ?q=John 3:16');
+    }
+    const ids = typeof translations === 'string' ? translations.split(',').map(id => id.trim()).filter(Boolean) : undefined;
+    res.json(await bible.parallel(q, { translations: ids }));
+  }));
+
+  router.get('/passages/translations', (req, res) => {
+    res.json({ translations: bible.translations(), default: bible.defaultTranslation });
+  });
+
+  // Refill quoted verses in another translation, e.g. when a study switches
+  // translation: { translation, quotes: [{ reference, text }] } -> { quotes }
+  router.post('/passages/quotes', asyncHandler(async (req, res) => {
+    const { quotes, translation } = req.body;
+    if (!Array.isArray(quotes) || quotes.some(quote => !quote || typeof quote.reference !== 'string')) {
+      throw badRequest('quotes must be a list of { reference, text }');
+    }
+    if (quotes.length > MAX_QUOTES) {
+      throw badRequest(`At most ${MAX_QUOTES} quotes can be checked at once`);
+    }
+    if (translation !== undefined && !bible.hasTranslation(translation)) {
+      throw badRequest(`Unknown translation "${translation}"`);
+    }
+    res.json({ quotes: await fillQuotes(bible, quotes, { translation }) });
+  }));
+
+  return router;
+};
+
+module.exports = { createPassagesRouter };
@@ -0,0 +1,20 @@
+const express = require('express');
+const schemas = require('../schemas');
+const { requireLLM, queryToolHandler } = require('./common');
+
+const createPersonalStudyRouter = (deps) => {
+  const router = express.Router();
+
+  router.post('/tools/personal-study', requireLLM(deps.llm), deps.usage.limitUser('tools'),
+    queryToolHandler(deps, {
+      name: 'personal-study',
+      schema: schemas.personalStudy,
+      references: schemas.references.personalStudy,
+      quotations: schemas.quotations.personalStudy,
+      maxTokens: 3000
+    }));
+
+  return router;
+};
+
+module.exports = { createPersonalStudyRouter };
@@ -0,0 +1,15 @@
+const express = require('express');
+const { PERSONAS, TRADITIONS } = require('../prompts/perspectives');
+
+// Personas and tradition lenses the chat, commentary and verse analysis accept
+const createPerspectivesRouter = () => {
+  const router = express.Router();
+
+  router.get('/perspectives', (req, res) => {
+    res.json({ personas: PERSONAS, traditions: TRADITIONS });
+  });
+
+  return router;
+};
+
+module.exports = { createPerspectivesRouter };
@@ -0,0 +1,46 @@
+const express = require('express');
+const { asyncHandler, badRequest } = require('../errors');
+const { promptVersion, wantsRegenerate } = require('../cache');
+const { chatJSON } = require('../llm/structured');
+const { checkResultReferences } = require('../bible/references');
+const { groundTheme } = require('../bible/themes');
+const schemas = require('../schemas');
+const { requireLLM } = require('./common');
+
+const createThemeThreadRouter = ({ llm, usage, cache, prompts, bible }) => {
+  const router = express.Router();
+
+  router.post('/tools/theme-thread', requireLLM(llm), usage.limitUser('tools'), asyncHandler(async (req, res) => {
+    const { theme } = req.body;
+    if (typeof theme !== 'string' || !theme.trim()) {
+      throw badRequest('Theme is required');
+    }
+
+    const prompt = prompts.get('theme-thread');
+    const messages = [
+      { role: 'system', content: prompt.render('system') },
+      { role: 'user', content: theme }
+    ];
+
+    // The model's search plan is cached; the verses are searched on every request
+    const { value: plan, cached } = await cache.wrap({
+      route: 'theme-thread',
+      input: { theme },
+      version: promptVersion(messages),
+      regenerate: wantsRegenerate(req)
+    }, () => chatJSON(req.llm, {
+      task: 'theme-thread',
+      input: { theme },
+      tier: 'standard',
+      messages
+    }, schemas.themeThread));
+
+    const { value: checked, warnings } = checkResultReferences(plan, schemas.references.themeThread);
+    const thread = groundTheme(bible, checked);
+    res.json({ ...thread, referenceWarnings: warnings, cached, promptVersion: prompt.id });
+  }));
+
+  return router;
+};
+
+module.exports = { createThemeThreadRouter };
@@ -0,0 +1,19 @@
+const express = require('express');
+const schemas = require('../schemas');
+const { requireLLM, queryToolHandler } = require('./common');
+
+const createTimelineRouter = (deps) => {
+  const router = express.Router();
+
+  router.post('/tools/timeline', requireLLM(deps.llm), deps.usage.limitUser('tools'),
+    queryToolHandler(deps, {
+      name: 'timeline',
+      schema: schemas.timeline,
+      references: schemas.references.timeline,
+      maxTokens: 2000
+    }));
+
+  return router;
+};
+
+module.exports = { createTimelineRouter };
@@ -0,0 +1,28 @@
+const express = require('express');
+const { requireAdmin } = require('../auth');
+const { asyncHandler, badRequest } = require('../errors');
+
+const isDay = (value) => value === undefined || /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// Quota for the signed-in user and the spend report for administrators
+const createUsageRouter = ({ usage, ledger, env }) => {
+  const router = express.Router();
+
+  // Today's usage and remaining quota for the signed-in user
+  router.get('/usage', (req, res) => {
+    res.json(usage.usageFor(req.user.uid));
+  });
+
+  // Spend report: ?from=YYYY-MM-DD&to=YYYY-MM-DD&uid=
+  router.get('/admin/usage-report', requireAdmin(env), asyncHandler(async (req, res) => {
+    const { from, to, uid } = req.query;
+    if (!isDay(from) || !isDay(to)) {
+      throw badRequest('from and to must be dates in YYYY-MM-DD format');
+    }
+    res.json(await ledger.report({ from, to, uid }));
+  }));
+
+  return router;
+};
+
+module.exports = { createUsageRouter };
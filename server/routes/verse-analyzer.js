@@ -0,0 +1,108 @@
+const express = require('express');
+const { asyncHandler, badRequest } = require('../errors');
+const { promptVersion, wantsRegenerate } = require('../cache');
+const { streamCompletion, streamWithCache } = require('../sse');
+const { requireLLM, requireMessages } = require('./common');
+const { readPerspective, withPerspective } = require('../prompts/perspectives');
+const { DEFAULT_CONTEXT_TOKENS, fitConversation, readSummary } = require('../llm/context');
+
+// Most cross-references given to the model with a verse
+const PROMPT_CROSS_REFERENCES = 8;
+// Completion limit of an analysis or an answer to a follow-up question
+const MAX_TOKENS = 1000;
+
+// "- Romans 5:8: But God commendeth..." lines for the prompt, or '' when the
+// verse was given as text rather than a reference, or has no cross-references
+const crossReferenceList = async (bible, verse) => {
+  try {
+    const { results } = await bible.related(verse, { limit: PROMPT_CROSS_REFERENCES });
+    return results.map(({ reference, text }) => `- ${reference}${text ? `: ${text}` : ''}`).join('\n');
+  } catch {
+    return '';
+  }
+};
+
+// Input and messages for a verse analysis, shared by the JSON and streaming
+// endpoints. Follow-up questions reuse the conversation history and are never
+// cached; only the initial analysis of a verse is shared between users. Like
+// Advanced Chat, a long history is fitted into the context budget, with the
+// `summary` returned by the last answer (see server/llm/context.js). The
+// verse's cross-references are part of the prompt, so the model discusses
+// related verses from the cross-reference data instead of choosing its own.
+const readAnalysisRequest = async ({ prompts, bible, contextTokens }, llm, body) => {
+  const { verse, conversationHistory, summary } = body;
+  if (typeof verse !== 'string' || !verse.trim()) {
+    throw badRequest('Verse is required');
+  }
+  const perspective = readPerspective(body.perspective);
+
+  const prompt = prompts.get('verse-analyzer');
+  const request = {
+    task: 'verse-analyzer',
+    input: { verse, conversationHistory },
+    tier: 'standard',
+    temperature: 0.7,
+    maxTokens: MAX_TOKENS
+  };
+
+  if (Array.isArray(conversationHistory) && conversationHistory.length > 0) {
+    requireMessages(conversationHistory);
+    const history = conversationHistory.filter(message => message.role !== 'system');
+    const { messages, context } = await fitConversation({
+      llm,
+      prompts,
+      system: [
+        { role: 'system', content: withPerspective(prompts, prompt.render('follow-up', { verse }), perspective) },
+        ...conversationHistory.filter(message => message.role === 'system')
+      ],
+      history,
+      summary: readSummary(summary, history.length),
+      contextTokens,
+      maxTokens: MAX_TOKENS
+    });
+    return { prompt, request: { ...request, messages }, entry: null, context };
+  }
+
+  const messages = [
+    { role: 'system', content: withPerspective(prompts, prompt.render('system'), perspective) },
+    { role: 'user', content: prompt.render('user', { verse, crossReferences: await crossReferenceList(bible, verse) }) }
+  ];
+  const entry = { route: 'verse-analyzer', input: { verse }, version: promptVersion(messages) };
+  return { prompt, request: { ...request, messages }, entry, context: null };
+};
+
+const createVerseAnalyzerRouter = ({ llm, usage, cache, prompts, bible, env = process.env }) => {
+  const router = express.Router();
+  const guards = [requireLLM(llm), usage.limitUser('tools')];
+  const contextTokens = Number(env.CHAT_CONTEXT_TOKENS) || DEFAULT_CONTEXT_TOKENS;
+
+  router.post('/tools/verse-analyzer', guards, asyncHandler(async (req, res) => {
+    const { prompt, request, entry, context } = await readAnalysisRequest({ prompts, bible, contextTokens }, req.llm, req.body);
+
+    const generate = async () => {
+      const completion = await req.llm.chat(request);
+      return completion.content;
+    };
+    const { value: analysis, cached } = entry
+      ? await cache.wrap({ ...entry, regenerate: wantsRegenerate(req) }, generate)
+      : { value: await generate(), cached: false };
+
+    res.json({ analysis, cached, context, promptVersion: prompt.id });
+  }));
+
+  // Server-Sent Events, see server/sse.js
+  router.post('/tools/verse-analyzer/stream', guards, asyncHandler(async (req, res) => {
+    const { prompt, request, entry, context } = await readAnalysisRequest({ prompts, bible, contextTokens }, req.llm, req.body);
+    const meta = { context, promptVersion: prompt.id };
+
+    if (entry) {
+      await streamWithCache(req, res, { cache, entry, request, meta });
+    } else {
+      await streamCompletion(res, req.llm, request, meta);
+    }
+  }));
+
+  return router;
+};
+
+module.exports = { createVerseAnalyzerRouter };
@@ -0,0 +1,21 @@
+const express = require('express');
+const schemas = require('../schemas');
+const { requireLLM, queryToolHandler } = require('./common');
+
+// Parallels between biblical themes; the illustration for a parallel comes
+// from /api/tools/generate-parallel-image (see images.js)
+const createVisualParallelsRouter = (deps) => {
+  const router = express.Router();
+
+  router.post('/tools/visual-parallels', requireLLM(deps.llm), deps.usage.limitUser('tools'),
+    queryToolHandler(deps, {
+      name: 'visual-parallels',
+      schema: schemas.visualParallels,
+      references: schemas.references.visualParallels,
+      maxTokens: 2500
+    }));
+
+  return router;
+};
+
+module.exports = { createVisualParallelsRouter };
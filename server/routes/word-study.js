@@ -0,0 +1,28 @@
+const express = require('express');
+const { asyncHandler } = require('../errors');
+
+// Original-language words of a passage and Strong's dictionary entries
+const createWordStudyRouter = ({ bible }) => {
+  const router = express.Router();
+
+  // ?q=Genesis 1:1-3
+  router.get('/word-study', asyncHandler(async (req, res) => {
+    const { q } = req.query;
+    res.json(bible.wordStudy(typeof q === 'string' ? q : ''));
+  }));
+
+  // { oldTestament, newTestament }: which passages can be studied
+  router.get('/word-study/texts', (req, res) => {
+    res.json(bible.wordStudyTexts());
+  });
+
+  // /lexicon/H7225?limit=50&offset=0
+  router.get('/lexicon/:strong', asyncHandler(async (req, res) => {
+    const { limit, offset } = req.query;
+    res.json(bible.lexiconEntry(req.params.strong, { limit, offset }));
+  }));
+
+  return router;
+};
+
+module.exports = { createWordStudyRouter };
@@ -0,0 +1,291 @@
+// Response schemas for the structured tools. Each one mirrors the JSON format
+// described in the tool's system prompt; only the fields the UI depends on are
+// required, the rest are type-checked when present.
+
+const string = { type: 'string' };
+const stringList = { type: 'array', items: string };
+
+const timeline = {
+  type: 'object',
+  required: ['title', 'events'],
+  properties: {
+    title: string,
+    description: string,
+    events: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['date', 'title', 'description'],
+        properties: {
+          date: string,
+          title: string,
+          description: string,
+          scripture: string
+        }
+      }
+    },
+    additionalInfo: string
+  }
+};
+
+const maps = {
+  type: 'object',
+  required: ['title', 'locations'],
+  properties: {
+    title: string,
+    overview: string,
+    locations: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'coordinates'],
+        properties: {
+          name: string,
+          description: string,
+          coordinates: {
+            type: 'array',
+            minItems: 2,
+            maxItems: 2,
+            items: { type: 'number', minimum: -180, maximum: 180 }
+          },
+          verses: stringList,
+          shortDescription: string
+        }
+      }
+    }
+  }
+};
+
+const characterStudy = {
+  type: 'object',
+  required: ['character', 'biography'],
+  properties: {
+    character: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: string,
+        alternateNames: stringList,
+        shortDescription: string,
+        testament: string,
+        timePeriod: string
+      }
+    },
+    biography: {
+      type: 'object',
+      properties: {
+        summary: string,
+        background: string,
+        keyEvents: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['title'],
+            properties: { title: string, description: string, reference: string }
+          }
+        }
+      }
+    },
+    relationships: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: { name: string, relationship: string, description: string, reference: string }
+      }
+    },
+    verses: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['reference'],
+        properties: { reference: string, text: string, significance: string }
+      }
+    },
+    attributes: {
+      type: 'object',
+      properties: { qualities: stringList, flaws: stringList, roles: stringList }
+    },
+    legacy: {
+      type: 'object',
+      properties: { impact: string, lessons: stringList, inOtherTexts: string }
+    },
+    visualElements: {
+      type: 'object',
+      properties: { symbols: stringList, settings: stringList, artifacts: stringList }
+    }
+  }
+};
+
+const resource = {
+  type: 'object',
+  required: ['title'],
+  properties: { type: string, title: string, description: string }
+};
+
+const personalStudy = {
+  type: 'object',
+  required: ['studyPlan', 'sessions'],
+  properties: {
+    studyPlan: {
+      type: 'object',
+      required: ['title'],
+      properties: {
+        title: string,
+        description: string,
+        duration: string,
+        difficulty: string,
+        mainScriptures: stringList,
+        keywords: stringList
+      }
+    },
+    learningObjectives: stringList,
+    sessions: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['title'],
+        properties: {
+          title: string,
+          focus: string,
+          scriptures: stringList,
+          activities: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['type', 'description'],
+              properties: { type: string, description: string }
+            }
+          },
+          questions: stringList,
+          resources: { type: 'array', items: resource }
+        }
+      }
+    },
+    memoryVerses: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['reference'],
+        properties: { reference: string, text: string, reason: string }
+      }
+    },
+    additionalResources: { type: 'array', items: resource },
+    studyMethods: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: { name: string, description: string, steps: stringList }
+      }
+    },
+    prayerFocus: stringList,
+    applicationIdeas: stringList
+  }
+};
+
+const parallelElement = {
+  type: 'object',
+  required: ['name', 'reference', 'description'],
+  properties: {
+    name: string,
+    reference: string,
+    description: string,
+    significance: string,
+    keyVerses: stringList,
+    keywords: stringList,
+    testament: string
+  }
+};
+
+// The model only plans the thread; server/bible/themes.js finds the verses
+const themeThread = {
+  type: 'object',
+  required: ['theme', 'searchTerms'],
+  properties: {
+    theme: string,
+    summary: string,
+    searchTerms: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['query'],
+        properties: { query: string, note: string }
+      }
+    },
+    memoryAids: stringList
+  }
+};
+
+const visualParallels = {
+  type: 'object',
+  required: ['title', 'elementA', 'elementB', 'connections'],
+  properties: {
+    title: string,
+    summary: string,
+    elementA: parallelElement,
+    elementB: parallelElement,
+    connections: {
+      type: 'object',
+      properties: { symbolic: string, thematic: string, prophetic: string, theological: string }
+    },
+    visualElements: {
+      type: 'object',
+      properties: { color: string, symbol: string, visualDescription: string }
+    }
+  }
+};
+
+// Fields of each tool's result that hold scripture references, checked
+// against the canon by server/bible/references.js. `strip` removes list items
+// whose reference does not exist; other fields are only flagged.
+const references = {
+  timeline: [
+    { path: 'events[].scripture' }
+  ],
+  maps: [
+    { path: 'locations[].verses[]', strip: true }
+  ],
+  characterStudy: [
+    { path: 'biography.keyEvents[].reference' },
+    { path: 'relationships[].reference' },
+    { path: 'verses[].reference', strip: true }
+  ],
+  personalStudy: [
+    { path: 'studyPlan.mainScriptures[]', strip: true },
+    { path: 'sessions[].scriptures[]', strip: true },
+    { path: 'memoryVerses[].reference', strip: true }
+  ],
+  themeThread: [
+    { path: 'summary' },
+    { path: 'memoryAids[]' }
+  ],
+  visualParallels: [
+    { path: 'elementA.reference' },
+    { path: 'elementA.keyVerses[]', strip: true },
+    { path: 'elementB.reference' },
+    { path: 'elementB.keyVerses[]', strip: true }
+  ]
+};
+
+// Lists of quoted verses ({ reference, text }) whose text is replaced with a
+// translation's by server/bible/quotes.js
+const quotations = {
+  characterStudy: ['verses'],
+  personalStudy: ['memoryVerses']
+};
+
+module.exports = {
+  timeline,
+  maps,
+  characterStudy,
+  personalStudy,
+  themeThread,
+  visualParallels,
+  references,
+  quotations
+};
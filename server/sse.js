@@ -0,0 +1,106 @@
+// Server-Sent Events helpers for routes that stream completions.
+// Events sent to the client:
+//   delta - { content } with the next piece of text
+//   done  - { content, model, usage, ...meta } once the completion has finished
+//   error - { error: { code, message } } if the provider fails mid-stream
+const { wantsRegenerate } = require('./cache');
+const { errorBody } = require('./errors');
+
+const openEventStream = (res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // stop proxies from buffering the stream
+  });
+  res.flushHeaders();
+};
+
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Stream a chat completion to the client as SSE. The upstream request is
+ * aborted if the client disconnects (e.g. the user pressed Stop).
+ * @param {Object} res - Express response
+ * @param {Object} llm - Provider implementing streamChat
+ * @param {Object} request - Arguments for llm.streamChat
+ * @param {Object|Function} [meta] - Extra fields for the done event, e.g. { promptVersion },
+ *   or a function of the final { content, model, usage } returning them
+ * @returns {Promise<Object|null>} - Final { content, model, usage }, or null if cancelled or failed
+ */
+const streamCompletion = async (res, llm, request, meta = {}) => {
+  openEventStream(res);
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  let content = '';
+  try {
+    for await (const event of llm.streamChat({ ...request, signal: controller.signal })) {
+      if (event.type === 'delta') {
+        content += event.content;
+        sendEvent(res, 'delta', { content: event.content });
+      } else if (event.type === 'done') {
+        const result = { content, model: event.model, usage: event.usage };
+        sendEvent(res, 'done', { ...result, ...(typeof meta === 'function' ? meta(result) : meta) });
+        res.end();
+        return result;
+      }
+    }
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.error('Streaming error:', error);
+      sendEvent(res, 'error', errorBody(error));
+    }
+  }
+
+  if (controller.signal.aborted) {
+    console.log('Stream cancelled by client');
+  } else {
+    res.end();
+  }
+  return null;
+};
+
+// Replay a cached completion as a one-chunk stream, so clients handle cache
+// hits with the same code path as live completions.
+const sendCachedCompletion = (res, content, meta = {}) => {
+  openEventStream(res);
+  sendEvent(res, 'delta', { content });
+  sendEvent(res, 'done', { content, cached: true, ...meta });
+  res.end();
+};
+
+/**
+ * Stream a completion through the response cache: hits are replayed as a
+ * single chunk, and only streams that finish are stored.
+ * @param {Object} req - Express request (for the regenerate flag and req.llm)
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {Object} options.cache - Response cache
+ * @param {Object} options.entry - Cache descriptor { route, input, version }
+ * @param {Object} options.request - Arguments for llm.streamChat
+ * @param {Object} [options.meta] - Extra fields for the done event
+ */
+const streamWithCache = async (req, res, { cache, entry, request, meta = {} }) => {
+  const key = cache.key(entry);
+
+  if (!wantsRegenerate(req)) {
+    const content = await cache.get(key);
+    if (content !== undefined) {
+      console.log(`Response cache hit for ${entry.route}`);
+      return sendCachedCompletion(res, content, meta);
+    }
+  }
+
+  const result = await streamCompletion(res, req.llm, request, meta);
+  if (result) {
+    await cache.set(key, result.content);
+  }
+};
+
+module.exports = { openEventStream, sendEvent, streamCompletion, sendCachedCompletion, streamWithCache };
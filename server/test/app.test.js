@@ -0,0 +1,173 @@
+// Requests through the whole app: error shape, authentication, rate limits,
+// daily quotas and chat validation, with the offline services of ./helpers.js.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createProvider } = require('../llm');
+const { LLMError } = require('../llm/errors');
+const { DEFAULT_LIMITS, createUsageTracker } = require('../usage');
+const { buildApp, token, USER } = require('./helpers');
+const QUESTION = [{ role: 'user', content: 'What is grace?' }];
+
+describe('errors', () => {
+  it('answers unknown API routes with 404 in the error shape', async () => {
+    const res = await request(buildApp()).get('/api/nothing-here').set('Authorization', USER);
+    assert.equal(res.status, 404);
+    assert.equal(res.body.error.code, 'NOT_FOUND');
+    assert.equal(typeof res.body.error.message, 'string');
+  });
+
+  it('answers unreadable JSON with 400 INVALID_JSON', async () => {
+    const res = await request(buildApp())
+      .post('/api/chat')
+      .set('Authorization', USER)
+      .set('Content-Type', 'application/json')
+      .send('{"messages": [');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, 'INVALID_JSON');
+  });
+});
+
+describe('authentication', () => {
+  it('serves the health check without signing in', async () => {
+    const res = await request(buildApp()).get('/api/health');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.env.provider, 'mock');
+  });
+
+  it('refuses requests without a token', async () => {
+    const res = await request(buildApp()).post('/api/chat').send({ messages: QUESTION });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error.code, 'UNAUTHENTICATED');
+  });
+
+  it('refuses tokens the verifier cannot read', async () => {
+    const res = await request(buildApp())
+      .post('/api/chat')
+      .set('Authorization', `Bearer ${token({ email: 'nobody@example.com' })}`)
+      .send({ messages: QUESTION });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error.code, 'INVALID_TOKEN');
+  });
+
+  it('opens the usage report only to verified administrator addresses', async () => {
+    const app = buildApp({ env: { ADMIN_EMAILS: 'admin@example.com' } });
+    const report = (payload) => request(app).get('/api/admin/usage-report').set('Authorization', `Bearer ${token(payload)}`);
+
+    assert.equal((await report({ sub: 'a1', email: 'admin@example.com' })).status, 403);
+    assert.equal((await report({ sub: 'u2', email: 'someone@example.com', email_verified: true })).status, 403);
+    const res = await report({ sub: 'a1', email: 'admin@example.com', email_verified: true });
+    assert.equal(res.status, 200);
+  });
+});
+
+describe('rate limits', () => {
+  it('limits each user per minute with Retry-After', async () => {
+    const app = buildApp({ usage: createUsageTracker({ limits: { ...DEFAULT_LIMITS, chat: { perMinute: 2, perDay: 100 } } }) });
+    const send = (user) => request(app).post('/api/chat').set('Authorization', `Bearer ${user}`).send({ messages: QUESTION });
+
+    assert.equal((await send('u1')).status, 200);
+    assert.equal((await send('u1')).status, 200);
+    const res = await send('u1');
+    assert.equal(res.status, 429);
+    assert.equal(res.body.error.code, 'RATE_LIMITED');
+    assert.ok(Number(res.headers['retry-after']) > 0);
+    // Other users have their own limit
+    assert.equal((await send('u2')).status, 200);
+  });
+
+  it('limits each IP address before authentication', async () => {
+    const app = buildApp({ usage: createUsageTracker({ ipPerMinute: 1 }) });
+    assert.equal((await request(app).get('/api/usage')).status, 401);
+    const res = await request(app).get('/api/usage').set('Authorization', USER);
+    assert.equal(res.status, 429);
+    assert.equal(res.body.error.code, 'RATE_LIMITED');
+  });
+});
+
+describe('daily quotas', () => {
+  const quotaApp = () => buildApp({ usage: createUsageTracker({ limits: { ...DEFAULT_LIMITS, tools: { perMinute: 100, perDay: 2 } } }) });
+  const timeline = (app, query) => request(app).post('/api/tools/timeline').set('Authorization', USER).send({ query });
+  const used = async (app) => (await request(app).get('/api/usage').set('Authorization', USER)).body.classes.tools.used;
+
+  it('does not count requests rejected before the provider is called', async () => {
+    const app = quotaApp();
+    assert.equal((await timeline(app, { a: 1 })).status, 400);
+    assert.equal(await used(app), 0);
+    assert.equal((await timeline(app, 'The kings of Judah')).status, 200);
+    assert.equal(await used(app), 1);
+  });
+
+  it('does not count cached answers', async () => {
+    const app = quotaApp();
+    assert.equal((await timeline(app, 'The kings of Judah')).status, 200);
+    assert.equal((await timeline(app, 'The kings of Judah')).status, 200);
+    assert.equal(await used(app), 1);
+    assert.equal((await timeline(app, 'The judges of Israel')).status, 200);
+    const res = await timeline(app, 'The prophets of Israel');
+    assert.equal(res.status, 429);
+    assert.equal(res.body.error.code, 'QUOTA_EXCEEDED');
+  });
+
+  it('does not let concurrent requests go over the quota', async () => {
+    const app = quotaApp();
+    const statuses = (await Promise.all(['Kings', 'Judges', 'Prophets'].map(query => timeline(app, query))))
+      .map(res => res.status)
+      .sort();
+    assert.deepEqual(statuses, [200, 200, 429]);
+    assert.equal(await used(app), 2);
+  });
+
+  it('does not count failed provider calls', async () => {
+    const failing = createProvider({ LLM_PROVIDER: 'mock' });
+    failing.chat = async () => {
+      throw new LLMError('Provider unavailable', { code: 'PROVIDER_ERROR', status: 502 });
+    };
+    const app = buildApp({ llm: failing, usage: createUsageTracker({ limits: { ...DEFAULT_LIMITS, tools: { perMinute: 100, perDay: 2 } } }) });
+    assert.equal((await timeline(app, 'The kings of Judah')).status, 502);
+    assert.equal(await used(app), 0);
+  });
+});
+
+describe('chat validation', () => {
+  const chat = (body) => request(buildApp()).post('/api/chat').set('Authorization', USER).send(body);
+
+  it('requires messages', async () => {
+    for (const body of [{}, { messages: [] }, { messages: 'hello' }]) {
+      const res = await chat(body);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error.code, 'INVALID_REQUEST');
+    }
+  });
+
+  it('rejects messages without a known role and text content', async () => {
+    const invalid = [
+      [null],
+      [{ role: 'user' }],
+      [{ role: 'tool', content: 'hi' }],
+      [{ role: 'user', content: { text: 'hi' } }]
+    ];
+    for (const messages of invalid) {
+      const res = await chat({ messages });
+      assert.equal(res.status, 400, JSON.stringify(messages));
+      assert.equal(res.body.error.code, 'INVALID_REQUEST');
+    }
+  });
+
+  it('answers valid messages with the model and prompt version', async () => {
+    const res = await chat({ messages: QUESTION });
+    assert.equal(res.status, 200);
+    assert.equal(typeof res.body.message, 'string');
+    assert.equal(typeof res.body.model, 'string');
+    assert.equal(res.body.promptVersion, 'chat@v1');
+  });
+
+  it('rejects tool queries that are not text', async () => {
+    const res = await request(buildApp())
+      .post('/api/tools/timeline')
+      .set('Authorization', USER)
+      .send({ query: { a: 1 } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, 'INVALID_REQUEST');
+  });
+});
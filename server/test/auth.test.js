@@ -0,0 +1,24 @@
+// Token verifiers chosen from the environment
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createVerifier } = require('../auth');
+
+describe('createVerifier', () => {
+  it('reads the Auth emulator host from the environment it is given', () => {
+    assert.equal(createVerifier({ AUTH_VERIFIER: 'firebase' }).name, 'firebase');
+    assert.equal(createVerifier({ AUTH_VERIFIER: 'firebase', FIREBASE_AUTH_EMULATOR_HOST: 'localhost:9099' }).name, 'firebase-emulator');
+  });
+
+  it('refuses the stub verifier in production', () => {
+    assert.throws(() => createVerifier({ AUTH_VERIFIER: 'stub', NODE_ENV: 'production' }), /not allowed in production/);
+  });
+
+  it('reads the uid from a plain token or a JWT subject with the stub verifier', async () => {
+    const verifier = createVerifier({ AUTH_VERIFIER: 'stub' });
+    assert.equal((await verifier.verify('test-user')).uid, 'test-user');
+    const jwt = [{ alg: 'none' }, { sub: 'u7', email: 'a@example.com', email_verified: true }, 'signature']
+      .map(part => (typeof part === 'string' ? part : Buffer.from(JSON.stringify(part)).toString('base64url')))
+      .join('.');
+    assert.deepEqual(await verifier.verify(jwt), { uid: 'u7', email: 'a@example.com', emailVerified: true });
+  });
+});
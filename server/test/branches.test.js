@@ -0,0 +1,79 @@
+// Branching conversations (src/utils/branches.js, shared with the client)
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  EMPTY_TREE,
+  addMessage,
+  branchMessages,
+  pathSummary,
+  pathTo,
+  readTree,
+  selectBranch,
+  selectMessage,
+  siblingsOf,
+  storedTree,
+  treeFromMessages,
+  updateMessage
+} = require('../../src/utils/branches.js');
+
+const contents = (path) => path.map(node => node.content);
+
+// Q1 -> A1, then A1 answered again as A1b, which has a reply Q2 -> A2
+const branched = () => {
+  let tree = treeFromMessages([{ role: 'user', content: 'Q1' }, { role: 'assistant', content: 'A1' }]);
+  tree = addMessage(selectMessage(tree, '1'), { role: 'assistant', content: 'A1b' });
+  tree = addMessage(tree, { role: 'user', content: 'Q2' });
+  return addMessage(tree, { role: 'assistant', content: 'A2' });
+};
+
+describe('conversation branches', () => {
+  it('adds messages after the last one shown', () => {
+    const tree = addMessage(addMessage(EMPTY_TREE, { role: 'user', content: 'Q1' }), { role: 'assistant', content: 'A1' });
+    assert.deepEqual(tree.nodes.map(({ id, parentId }) => [id, parentId]), [['1', null], ['2', '1']]);
+    assert.equal(tree.leafId, '2');
+    assert.deepEqual(EMPTY_TREE.nodes, []);
+  });
+
+  it('keeps a regenerated answer beside the first one', () => {
+    const tree = branched();
+    assert.deepEqual(contents(pathTo(tree)), ['Q1', 'A1b', 'Q2', 'A2']);
+    assert.deepEqual(contents(siblingsOf(tree, '3')), ['A1', 'A1b']);
+    assert.deepEqual(contents(siblingsOf(tree, '4')), ['Q2']);
+    assert.deepEqual(siblingsOf(tree, '99'), []);
+  });
+
+  it('switches branches, following the newest replies', () => {
+    const tree = branched();
+    assert.deepEqual(contents(pathTo(selectBranch(tree, '2'))), ['Q1', 'A1']);
+    assert.deepEqual(contents(pathTo(selectBranch(tree, '3'))), ['Q1', 'A1b', 'Q2', 'A2']);
+    assert.deepEqual(contents(pathTo(selectBranch(tree, '1'))), ['Q1', 'A1b', 'Q2', 'A2']);
+  });
+
+  it('updates one message without changing the others', () => {
+    const tree = updateMessage(branched(), '5', { content: 'A2 edited', streaming: true });
+    assert.equal(pathTo(tree)[3].content, 'A2 edited');
+    assert.equal(branched().nodes[4].content, 'A2');
+  });
+
+  it('stores the tree without transient or undefined fields, beside the branch shown', () => {
+    const tree = updateMessage(branched(), '5', { streaming: true, sources: undefined, summary: { content: 'S', covers: 2 } });
+    const stored = storedTree(tree);
+    assert.equal('streaming' in stored.nodes[4], false);
+    assert.equal('sources' in stored.nodes[4], false);
+
+    const messages = branchMessages(stored);
+    assert.deepEqual(messages.map(message => message.content), ['Q1', 'A1b', 'Q2', 'A2']);
+    assert.equal('id' in messages[0] || 'parentId' in messages[0], false);
+    assert.deepEqual(pathSummary(pathTo(stored)), { content: 'S', covers: 2 });
+  });
+
+  it('reads saved conversations with and without branches', () => {
+    const tree = branched();
+    assert.deepEqual(readTree({ branches: storedTree(tree), messages: [] }), storedTree(tree));
+
+    const older = readTree({ messages: [{ role: 'user', content: 'Q1' }, { role: 'assistant', content: 'A1' }] });
+    assert.deepEqual(contents(pathTo(older)), ['Q1', 'A1']);
+    assert.deepEqual(readTree({}), EMPTY_TREE);
+    assert.equal(pathSummary(pathTo(older)), null);
+  });
+});
@@ -0,0 +1,97 @@
+// The response cache: keys, wrap and regenerate, expiry, and its stores
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCache, cacheKey, normalizeInput, promptVersion } = require('../cache');
+const { createMemoryStore } = require('../cache/stores/memory');
+const { createFileStore } = require('../cache/stores/file');
+
+const ENTRY = { route: 'timeline', input: { query: 'The Kings of Judah' }, version: 'v1' };
+
+// A generator counting how often it runs
+const counter = () => {
+  let calls = 0;
+  const generate = async () => `answer ${++calls}`;
+  return { generate, calls: () => calls };
+};
+
+describe('cache keys', () => {
+  it('share an entry between trivially different inputs', () => {
+    assert.deepEqual(normalizeInput({ b: '  Hello   World ', a: ['X'] }), { a: ['x'], b: 'hello world' });
+    assert.equal(cacheKey(ENTRY), cacheKey({ ...ENTRY, input: { query: '  the kings  of JUDAH' } }));
+    assert.notEqual(cacheKey(ENTRY), cacheKey({ ...ENTRY, version: 'v2' }));
+    assert.notEqual(cacheKey(ENTRY), cacheKey({ ...ENTRY, route: 'maps' }));
+  });
+
+  it('version prompts by their system messages only', () => {
+    const system = { role: 'system', content: 'You are a historian.' };
+    assert.equal(promptVersion([system, { role: 'user', content: 'a' }]), promptVersion([system, { role: 'user', content: 'b' }]));
+    assert.notEqual(promptVersion([system]), promptVersion([{ role: 'system', content: 'You are a poet.' }]));
+  });
+});
+
+describe('createCache', () => {
+  it('generates once and then answers from the cache until asked to regenerate', async () => {
+    const cache = createCache({ store: createMemoryStore() });
+    const { generate, calls } = counter();
+
+    assert.deepEqual(await cache.wrap(ENTRY, generate), { value: 'answer 1', cached: false });
+    assert.deepEqual(await cache.wrap(ENTRY, generate), { value: 'answer 1', cached: true });
+    assert.deepEqual(await cache.wrap({ ...ENTRY, regenerate: true }, generate), { value: 'answer 2', cached: false });
+    assert.deepEqual(await cache.wrap(ENTRY, generate), { value: 'answer 2', cached: true });
+    assert.equal(calls(), 2);
+  });
+
+  it('drops expired entries', async () => {
+    const cache = createCache({ store: createMemoryStore(), ttlSeconds: -1 });
+    const { generate, calls } = counter();
+    await cache.wrap(ENTRY, generate);
+    assert.equal((await cache.wrap(ENTRY, generate)).cached, false);
+    assert.equal(calls(), 2);
+  });
+
+  it('treats a failing store as a miss', async () => {
+    const broken = { name: 'broken', get: async () => { throw new Error('down'); }, set: async () => { throw new Error('down'); } };
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      const cache = createCache({ store: broken });
+      assert.deepEqual(await cache.wrap(ENTRY, async () => 'fresh'), { value: 'fresh', cached: false });
+    } finally {
+      console.error = originalError;
+    }
+  });
+
+  it('does nothing without a store', async () => {
+    const cache = createCache({ store: null });
+    const { generate, calls } = counter();
+    await cache.wrap(ENTRY, generate);
+    await cache.wrap(ENTRY, generate);
+    assert.equal(cache.enabled, false);
+    assert.equal(calls(), 2);
+  });
+});
+
+describe('stores', () => {
+  it('evicts the oldest memory entry past its limit', async () => {
+    const store = createMemoryStore({ maxEntries: 2 });
+    await store.set('a', 1);
+    await store.set('b', 2);
+    await store.set('c', 3);
+    assert.equal(await store.get('a'), undefined);
+    assert.equal(await store.get('c'), 3);
+  });
+
+  it('keeps file entries across stores on the same directory', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-'));
+    try {
+      await createFileStore({ dir }).set('key', { value: 'kept', expiresAt: Date.now() + 1000 });
+      assert.equal((await createFileStore({ dir }).get('key')).value, 'kept');
+      assert.equal(await createFileStore({ dir }).get('missing'), undefined);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,58 @@
+// Canon metadata (shared/scripture/canon.js) and the checks built on it
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { BOOKS, CANONS, GENRES, canonBooks, checkReference, findBook, getBook, verseCount } = require('../../shared/scripture');
+
+const sum = (numbers) => numbers.reduce((total, n) => total + n, 0);
+
+describe('canon metadata', () => {
+  it('has the 66 books of the Protestant canon with KJV chapter and verse counts', () => {
+    const books = canonBooks();
+    assert.equal(books.length, 66);
+    assert.equal(sum(books.map(book => book.chapters)), 1189);
+    assert.equal(sum(books.map(book => sum(book.verses))), 31102);
+    assert.deepEqual([books[0].id, books[38].id, books[39].id, books[65].id], ['Gen', 'Mal', 'Matt', 'Rev']);
+  });
+
+  it('gives every book a testament, a known genre and consistent chapters', () => {
+    for (const book of BOOKS) {
+      assert.ok(book.testament === 'OT' || book.testament === 'NT', book.id);
+      assert.ok(GENRES[book.genre], book.id);
+      if (book.verses) assert.equal(book.verses.length, book.chapters, book.id);
+    }
+  });
+
+  it('lists the Catholic and Orthodox canons with their deuterocanonical books', () => {
+    assert.equal(canonBooks('catholic').length, 78);
+    assert.equal(canonBooks('orthodox').length, 82);
+    assert.ok(canonBooks('catholic').some(book => book.id === 'Sir' && book.deuterocanonical));
+    assert.ok(!canonBooks('protestant').some(book => book.deuterocanonical));
+    assert.ok(CANONS.orthodox.books.includes('3Macc'));
+    assert.throws(() => canonBooks('gnostic'), /Unknown canon/);
+  });
+
+  it('counts the verses of a chapter when they are known', () => {
+    assert.equal(verseCount(getBook('Ps'), 119), 176);
+    assert.equal(verseCount(getBook('Ps'), 151), null);
+    assert.equal(verseCount(getBook('Tob'), 3), null);
+  });
+
+  it('finds books by name, abbreviation and OSIS id', () => {
+    assert.equal(findBook('Song of Songs').id, 'Song');
+    assert.equal(findBook('1 Cor').id, '1Cor');
+    assert.equal(findBook('Pss').id, 'Ps');
+    assert.equal(findBook('Hezekiah'), null);
+  });
+});
+
+describe('references checked against the canon', () => {
+  it('rejects chapters and verses past the end of a book', () => {
+    assert.equal(checkReference('Obadiah 1:22').error, 'Obadiah has 21 verses');
+    assert.equal(checkReference('Sirach 52:1').error, 'Sirach has 51 chapters');
+    assert.equal(checkReference('Psalm 117:3').error, 'Psalms 117 has 2 verses');
+  });
+
+  it('checks deuterocanonical books without verse counts by chapter alone', () => {
+    assert.equal(checkReference('Tobit 3:99').reference.osis, 'Tob.3.99');
+  });
+});
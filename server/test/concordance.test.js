@@ -0,0 +1,86 @@
+// Concordance search: the query language, filters, highlights and ranking
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createConcordance } = require('../bible/concordance');
+
+const VERSES = [
+  ['Ps', 23, 1, 'The LORD is my shepherd; I shall not want.'],
+  ['Isa', 53, 6, 'All we like sheep have gone astray; we have turned every one to his own way.'],
+  ['John', 4, 10, 'Jesus answered and said unto her, If thou knewest the gift of God, thou wouldest have asked of him, and he would have given thee living water.'],
+  ['John', 10, 11, 'I am the good shepherd: the good shepherd giveth his life for the sheep.'],
+  ['Rom', 5, 2, 'By whom also we have access by faith into this grace wherein we stand, and rejoice in hope of the glory of God.'],
+  ['1Cor', 13, 13, 'And now abideth faith, hope, charity, these three; but the greatest of these is charity.'],
+  ['Heb', 11, 1, 'Now faith is the substance of things hoped for, the evidence of things not seen.'],
+  ['1John', 4, 8, 'He that loveth not knoweth not God; for God is love.']
+].map(([book, chapter, verse, text]) => ({ book, chapter, verse, text }));
+
+const concordance = createConcordance({ abbreviation: 'TEST', verses: () => VERSES });
+const referencesFor = (query, options) => concordance.search(query, options).results.map(result => result.reference);
+
+describe('concordance search', () => {
+  it('finds words, ignoring case and punctuation', () => {
+    assert.deepEqual(referencesFor('shepherd'), ['Psalm 23:1', 'John 10:11']);
+    assert.deepEqual(referencesFor('lord'), ['Psalm 23:1']);
+  });
+
+  it('combines words with AND, OR and NOT', () => {
+    assert.deepEqual(referencesFor('faith hope'), ['Romans 5:2', '1 Corinthians 13:13']);
+    assert.deepEqual(referencesFor('faith AND hope'), referencesFor('faith hope'));
+    assert.deepEqual(referencesFor('charity OR love'), ['1 Corinthians 13:13', '1 John 4:8']);
+    assert.deepEqual(referencesFor('faith -grace'), ['1 Corinthians 13:13', 'Hebrews 11:1']);
+    assert.deepEqual(referencesFor('faith NOT grace'), referencesFor('faith -grace'));
+    assert.deepEqual(referencesFor('(charity OR grace) hope'), ['Romans 5:2', '1 Corinthians 13:13']);
+  });
+
+  it('searches lower-case operators as words', () => {
+    assert.deepEqual(referencesFor('faith and'), ['Romans 5:2', '1 Corinthians 13:13']);
+  });
+
+  it('matches wildcards and phrases', () => {
+    assert.deepEqual(referencesFor('hope*'), ['Romans 5:2', '1 Corinthians 13:13', 'Hebrews 11:1']);
+    assert.deepEqual(referencesFor('"living water"'), ['John 4:10']);
+    assert.deepEqual(referencesFor('"water living"'), []);
+  });
+
+  it('finds words near each other in either order', () => {
+    assert.deepEqual(referencesFor('shepherd NEAR/5 sheep'), ['John 10:11']);
+    assert.deepEqual(referencesFor('sheep NEAR/5 shepherd'), ['John 10:11']);
+    assert.deepEqual(referencesFor('shepherd NEAR/3 sheep'), []);
+  });
+
+  it('highlights the words that matched', () => {
+    const [result] = concordance.search('"living water"').results;
+    assert.deepEqual(result.highlights.map(([start, end]) => result.text.slice(start, end)), ['living', 'water']);
+  });
+
+  it('filters by book and testament and counts hits per book', () => {
+    assert.deepEqual(referencesFor('faith', { books: ['Hebrews'] }), ['Hebrews 11:1']);
+    assert.deepEqual(referencesFor('sheep OR shepherd', { testament: 'OT' }), ['Psalm 23:1', 'Isaiah 53:6']);
+    const { books, total } = concordance.search('faith', { limit: 1 });
+    assert.equal(total, 3);
+    assert.deepEqual(books.map(({ book, count }) => [book, count]), [['Rom', 1], ['1Cor', 1], ['Heb', 1]]);
+  });
+
+  it('refuses searches it cannot run', () => {
+    const failures = [
+      [''],
+      ['"living water'],
+      ['h*'],
+      ['faith OR'],
+      ['faith', { books: ['Hezekiah'] }],
+      ['faith', { testament: 'Apocrypha' }]
+    ];
+    failures.forEach(([query, options]) => {
+      assert.throws(() => concordance.search(query, options), { status: 400 }, query);
+    });
+  });
+});
+
+describe('concordance ranking', () => {
+  it('scores verses by the rarer words of a question first', () => {
+    const { results, words } = concordance.rank(['faith', 'substance', 'unknown']);
+    assert.deepEqual(words.map(entry => entry.word), ['substance', 'faith']);
+    assert.equal(results[0].reference, 'Hebrews 11:1');
+    assert.deepEqual(results[0].words, ['substance', 'faith']);
+  });
+});
@@ -0,0 +1,115 @@
+// Fitting long conversations into the context window with a rolling summary
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { fitConversation, messageTokens, readSummary } = require('../llm/context');
+const { getPrompts } = require('../prompts');
+
+const SYSTEM = [{ role: 'system', content: 'You are a Bible study assistant.' }];
+const MAX_TOKENS = 100;
+// Room fitConversation keeps for the summary message
+const SUMMARY_ROOM = 404;
+
+// Alternating questions and answers of about 100 tokens each, ending with a question
+const conversation = (length) => Array.from({ length }, (_, i) => ({
+  role: i % 2 === 0 ? 'user' : 'assistant',
+  content: `${i % 2 === 0 ? 'Question' : 'Answer'} ${i}: ${'grace '.repeat(100)}`
+}));
+
+// A budget with room for the summary and the last `kept` messages of a history
+const budgetFor = (history, kept) => messageTokens(SYSTEM) + MAX_TOKENS + SUMMARY_ROOM + messageTokens(history.slice(-kept));
+
+// A provider answering every summary request with the same text, keeping the requests
+const summarizer = () => {
+  const requests = [];
+  return {
+    requests,
+    async chat(request) {
+      requests.push(request);
+      return { content: ` Summary ${requests.length} `, model: 'mock-fast' };
+    }
+  };
+};
+
+const fit = (llm, history, contextTokens, summary = null) => fitConversation({
+  llm,
+  prompts: getPrompts(),
+  system: SYSTEM,
+  history,
+  summary,
+  contextTokens,
+  maxTokens: MAX_TOKENS
+});
+
+describe('messageTokens', () => {
+  it('counts the content of each message and its overhead', () => {
+    assert.equal(messageTokens([]), 0);
+    assert.ok(messageTokens([{ role: 'user', content: 'grace '.repeat(100) }]) > 100);
+    assert.equal(messageTokens([{ role: 'user', content: null }]), 4);
+  });
+});
+
+describe('readSummary', () => {
+  it('accepts a summary of part of the conversation', () => {
+    assert.deepEqual(readSummary({ content: 'Earlier turns', covers: '4' }, 7), { content: 'Earlier turns', covers: 4 });
+  });
+
+  it('ignores summaries that are empty or not for this conversation', () => {
+    assert.equal(readSummary(null, 7), null);
+    assert.equal(readSummary({ content: '  ', covers: 4 }, 7), null);
+    assert.equal(readSummary({ content: 'Earlier turns', covers: 7 }, 7), null);
+    assert.equal(readSummary({ content: 'Earlier turns', covers: 1.5 }, 7), null);
+  });
+});
+
+describe('fitConversation', () => {
+  it('sends a conversation that fits unchanged', async () => {
+    const llm = summarizer();
+    const history = conversation(3);
+    const { messages, context } = await fit(llm, history, 8000);
+
+    assert.deepEqual(messages, [...SYSTEM, ...history]);
+    assert.equal(context.condensed, 0);
+    assert.equal(context.summary, null);
+    assert.equal(llm.requests.length, 0);
+  });
+
+  it('condenses the oldest turns and keeps recent ones from a question', async () => {
+    const llm = summarizer();
+    const history = conversation(7);
+    const { messages, context } = await fit(llm, history, budgetFor(history, 3));
+
+    assert.equal(context.condensed, 4);
+    assert.deepEqual(context.summary, { content: 'Summary 1', covers: 4 });
+    assert.equal(messages.length, SYSTEM.length + 1 + 3);
+    assert.match(messages[1].content, /Summary 1/);
+    assert.deepEqual(messages.slice(2), history.slice(4));
+    assert.ok(context.tokens <= context.budget - MAX_TOKENS);
+    assert.equal(llm.requests[0].input.questions.length, 2);
+  });
+
+  it('reuses a summary that still covers the dropped turns', async () => {
+    const llm = summarizer();
+    const history = conversation(7);
+    const { context } = await fit(llm, history, budgetFor(history, 3), { content: 'Earlier', covers: 4 });
+
+    assert.deepEqual(context.summary, { content: 'Earlier', covers: 4 });
+    assert.equal(llm.requests.length, 0);
+  });
+
+  it('adds only the turns dropped since to an earlier summary', async () => {
+    const llm = summarizer();
+    const history = conversation(9);
+    const { context } = await fit(llm, history, budgetFor(history, 3), { content: 'Earlier', covers: 4 });
+
+    assert.equal(context.condensed, 6);
+    const [request] = llm.requests;
+    assert.deepEqual(request.input.questions, [history[4].content]);
+    assert.match(request.messages[1].content, /Earlier/);
+    assert.doesNotMatch(request.messages[1].content, /Question 2:/);
+  });
+
+  it('refuses a question that does not fit on its own', async () => {
+    const history = [{ role: 'user', content: 'grace '.repeat(2000) }];
+    await assert.rejects(fit(summarizer(), history, 1000), { status: 400 });
+  });
+});
@@ -0,0 +1,49 @@
+// Cross-reference files with and without votes, and their ranking
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCrossReferences } = require('../bible/cross-references');
+const { parseReference } = require('../../shared/scripture');
+
+const rangesOf = (text) => parseReference(text).ranges;
+const fromText = (lines, options) => createCrossReferences({ loadText: () => lines.join('\n'), ...options });
+
+describe('cross-references', () => {
+  it('ranks references by votes, adding the votes of a range and leaving out references inside it', () => {
+    const data = fromText([
+      'From Verse\tTo Verse\tVotes',
+      'John.3.16\tRom.5.8\t40',
+      'John.3.16\t1John.4.9-1John.4.10\t60',
+      'John.3.17\tRom.5.8\t30',
+      'John.3.16\tJohn.3.17\t90',
+      'John.3.16\tGen.22.2\t-5'
+    ], { complete: true });
+
+    const { total, results } = data.related(rangesOf('John 3:16-17'));
+    assert.equal(total, 2);
+    assert.deepEqual(results.map(entry => [entry.reference, entry.votes]), [['Romans 5:8', 70], ['1 John 4:9-10', 60]]);
+    assert.deepEqual(results[0].from, ['John 3:16', 'John 3:17']);
+    assert.deepEqual(data.coverage(), { verses: 2, complete: true });
+  });
+
+  it('keeps the order of a file without votes', () => {
+    const data = fromText(['From Verse\tTo Verse', 'Gen.1.1\tJohn.1.1-John.1.3', 'Gen.1.1\tHeb.11.3', 'Gen.1.1\tPs.33.6']);
+    const { results } = data.related(rangesOf('Genesis 1:1'));
+    assert.deepEqual(results.map(entry => entry.reference), ['John 1:1-3', 'Hebrews 11:3', 'Psalm 33:6']);
+    assert.equal(results[0].votes, null);
+    assert.equal(data.coverage().complete, false);
+  });
+
+  it('skips comments and lines it cannot read', () => {
+    const data = fromText(['# notes', 'Gen.1.1\tNope.1.1', 'Gen.99.1\tJohn.1.1', 'Gen.1.1\tJohn.1.1\tmany', 'Gen.1.1\tJohn.1.1']);
+    assert.equal(data.related(rangesOf('Genesis 1:1')).total, 1);
+  });
+
+  it('bundles a small curated set that says it is incomplete', () => {
+    const data = createCrossReferences();
+    const { verses, complete } = data.coverage();
+    assert.equal(complete, false);
+    assert.ok(verses > 100 && verses < 1000);
+    assert.ok(data.related(rangesOf('John 3:16')).total > 0);
+    assert.equal(data.related(rangesOf('Obadiah 1:3')).total, 0);
+  });
+});
@@ -0,0 +1,46 @@
+// Replaying recorded completions, and requests that have no recording
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFixtureProvider, fixtureKey } = require('../llm/providers/fixture');
+const { createMockProvider } = require('../llm/providers/mock');
+
+const MODELS = { fast: 'fast-model', standard: 'standard-model', image: 'image-model', imageEdit: 'edit-model' };
+const MESSAGES = [{ role: 'user', content: 'Timeline of the kings of Judah' }];
+
+describe('fixture provider', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('replays a recorded response', async () => {
+    const key = fixtureKey('chat', { model: 'standard-model', messages: MESSAGES, responseFormat: null });
+    fs.writeFileSync(path.join(dir, `${key}.json`), JSON.stringify({ response: { content: 'Recorded.', model: 'standard-model' } }));
+
+    const response = await createFixtureProvider({ dir, models: MODELS }).chat({ messages: MESSAGES });
+    assert.equal(response.content, 'Recorded.');
+  });
+
+  it('answers a request without a recording like the mock provider', async () => {
+    const request = { task: 'timeline', input: { query: 'The kings of Judah' }, messages: MESSAGES, responseFormat: 'json' };
+    const response = await createFixtureProvider({ dir, models: MODELS }).chat(request);
+    const expected = await createMockProvider({ models: MODELS }).chat(request);
+    assert.equal(response.content, expected.content);
+    assert.doesNotThrow(() => JSON.parse(response.content));
+  });
+
+  it('names the missing fixture when strict', async () => {
+    const provider = createFixtureProvider({ dir, models: MODELS, strict: true });
+    const key = fixtureKey('chat', { model: 'standard-model', messages: [{ role: 'user', content: 'Unrecorded' }], responseFormat: null });
+    await assert.rejects(
+      provider.chat({ messages: [{ role: 'user', content: 'Unrecorded' }] }),
+      (error) => error.code === 'FIXTURE_MISSING' && error.message.includes(`No recorded fixture for ${key}`)
+    );
+  });
+});
@@ -0,0 +1,46 @@
+// Shared by the tests: the app with offline services, and signed-in requests.
+// The bearer token is the uid for the stub verifier, or an unsigned JWT.
+const { createApp } = require('../app');
+const { createProvider } = require('../llm');
+const { createCacheFromEnv } = require('../cache');
+const { createLedgerFromEnv } = require('../accounting');
+const { getPrompts } = require('../prompts');
+const { getBible } = require('../bible');
+const { createVerifier } = require('../auth');
+const { createUsageTracker } = require('../usage');
+
+const buildApp = ({ env = {}, llm = createProvider({ LLM_PROVIDER: 'mock' }), usage = createUsageTracker() } = {}) => createApp({
+  env,
+  llm,
+  cache: createCacheFromEnv({ CACHE_STORE: 'memory' }),
+  ledger: createLedgerFromEnv({ ACCOUNTING_STORE: 'memory' }),
+  prompts: getPrompts(),
+  bible: getBible(),
+  usage,
+  verifier: createVerifier({ AUTH_VERIFIER: 'stub' })
+});
+
+// An unsigned JWT, which the stub verifier reads without checking
+const token = (payload) => [{ alg: 'none' }, payload, 'signature']
+  .map(part => (typeof part === 'string' ? part : Buffer.from(JSON.stringify(part)).toString('base64url')))
+  .join('.');
+
+const USER = 'Bearer u1';
+
+// supertest parser keeping an event stream as text
+const readText = (res, callback) => {
+  let text = '';
+  res.setEncoding('utf8');
+  res.on('data', chunk => {
+    text += chunk;
+  });
+  res.on('end', () => callback(null, text));
+};
+
+// "event: delta\ndata: {...}\n\n..." -> [{ event, data }]
+const parseEvents = (text) => text.split('\n\n').filter(block => block.trim()).map((block) => {
+  const [eventLine, dataLine] = block.split('\n');
+  return { event: eventLine.replace(/^event: /, ''), data: JSON.parse(dataLine.replace(/^data: /, '')) };
+});
+
+module.exports = { buildApp, token, USER, readText, parseEvents };
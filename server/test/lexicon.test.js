@@ -0,0 +1,103 @@
+// Word study: the tagged Hebrew and Greek texts and Strong's dictionary
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createLexicon, strongNumber } = require('../bible/lexicon');
+const { getBible } = require('../bible');
+const { parseReference } = require('../../shared/scripture');
+const { buildApp, USER } = require('./helpers');
+
+const DICTIONARY = {
+  H7225: { lemma: 'רֵאשִׁית', xlit: 'rêʼshîyth', strongs_def: '(properly) the first, in place, time (specifically, a firstfruit)' },
+  H1254: { lemma: 'בָּרָא', xlit: 'bârâʼ', strongs_def: '(absolutely) to create; (qualified) to cut down' },
+  G26: { lemma: 'ἀγάπη', strongs_def: ' love, i.e. affection or benevolence' },
+  G1510: { lemma: 'εἰμί', strongs_def: 'I exist (used only when emphatic)' }
+};
+
+const HEBREW = {
+  Genesis: [[
+    [['ב/ראשית', 'Hb/H7225', 'R/Ncfsa'], ['ברא', 'H1254', 'Vqp3ms']],
+    [['ו/ה/ארץ', 'Hc/Hd/H776', 'C/Td/Ncbsa']]
+  ]],
+  Ruth: [[[['ראשית', 'H7225', 'Ncfsa']]]]
+};
+
+// MorphGNT lines for 1 John 4:8, the 23rd book of the New Testament
+const GREEK = [
+  '230408 RA ----NSM- ὁ ὁ ὁ ὁ',
+  '230408 N- ----NSF- ἀγάπη ἀγάπη ἀγάπη ἀγάπη',
+  '230408 V- 3PAI-S-- ἐστίν. ἐστίν ἐστί(ν) εἰμί'
+].join('\n');
+
+const lexiconWith = (options) => createLexicon({ loadHebrew: () => HEBREW, loadDictionary: () => DICTIONARY, ...options });
+const rangeOf = (text) => parseReference(text).ranges[0];
+
+describe('createLexicon', () => {
+  it('reads Strong\'s numbers and dictionary entries', () => {
+    assert.equal(strongNumber('h07225'), 'H7225');
+    assert.equal(strongNumber('7225'), null);
+
+    const found = lexiconWith().entry('H1254');
+    assert.equal(found.language, 'hebrew');
+    assert.equal(found.gloss, 'to create');
+    assert.equal(lexiconWith().entry('G26').gloss, 'love');
+    assert.equal(lexiconWith().entry('H9999'), null);
+  });
+
+  it('describes the Hebrew words of a passage with prefixes and morphology', () => {
+    const [first, second] = lexiconWith().studyPassage(rangeOf('Genesis 1:1-2'));
+    assert.deepEqual(first.words.map(word => [word.text, word.strong, word.gloss]), [
+      ['בראשית', 'H7225', 'the first'],
+      ['ברא', 'H1254', 'to create']
+    ]);
+    assert.deepEqual(first.words[0].prefixes, [{ code: 'b', gloss: 'in' }]);
+    assert.deepEqual(second.words[0].prefixes.map(prefix => prefix.gloss), ['and', 'the']);
+    assert.equal(second.words[0].gloss, null);
+  });
+
+  it('finds the verses using a lemma in canon order', () => {
+    const { total, books, results } = lexiconWith().occurrences('H7225');
+    assert.equal(total, 2);
+    assert.deepEqual(books.map(book => book.name), ['Genesis', 'Ruth']);
+    assert.deepEqual(results[0].forms, ['בראשית']);
+  });
+
+  it('studies the New Testament only with a Greek text', () => {
+    const hebrewOnly = lexiconWith();
+    assert.deepEqual(hebrewOnly.texts(), { oldTestament: true, newTestament: false });
+    assert.equal(hebrewOnly.hasBook('1John'), false);
+    assert.equal(hebrewOnly.occurrences('G26'), null);
+
+    const both = lexiconWith({ loadGreek: () => GREEK });
+    assert.deepEqual(both.texts(), { oldTestament: true, newTestament: true });
+    const [verse] = both.studyPassage(rangeOf('1 John 4:8'));
+    assert.deepEqual(verse.words.map(word => [word.strong, word.lemma]), [[null, 'ὁ'], ['G26', 'ἀγάπη'], ['G1510', 'εἰμί']]);
+    assert.equal(both.occurrences('G26').results[0].reference, '1 John 4:8');
+  });
+});
+
+describe('bundled word study', () => {
+  const bible = getBible();
+
+  it('studies Old Testament verses in the bundled Hebrew text', () => {
+    const { verses } = bible.wordStudy('Genesis 1:1');
+    assert.deepEqual(verses[0].words.slice(0, 3).map(word => word.strong), ['H7225', 'H1254', 'H430']);
+  });
+
+  it('numbers psalms with their titles in verse 1', () => {
+    const [verse] = bible.wordStudy('Psalm 51:1').verses;
+    assert.ok(verse.words.some(word => word.strong === 'H5416'), 'the title names Nathan');
+  });
+
+  it('explains that the New Testament cannot be studied without a Greek text', () => {
+    assert.throws(() => bible.wordStudy('John 1:1'), { status: 404, code: 'NO_ORIGINAL_TEXT' });
+    assert.equal(bible.lexiconEntry('G26').occurrences, null);
+    assert.equal(bible.lexiconEntry('H7225', { limit: 2 }).occurrences.results.length, 2);
+  });
+
+  it('tells the client which testaments can be studied', async () => {
+    const res = await request(buildApp()).get('/api/word-study/texts').set('Authorization', USER);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { oldTestament: true, newTestament: false });
+  });
+});
@@ -0,0 +1,79 @@
+// Filling and checking the verses quoted in tool results
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { fillQuotes, fillResultQuotes } = require('../bible/quotes');
+
+const VERSES = {
+  'John 11:35': ['Jesus wept.'],
+  'John 3:16-17': [
+    'For God so loved the world, that he gave his only begotten Son, that whosoever believeth in him should not perish, but have everlasting life.',
+    'For God sent not his Son into the world to condemn the world; but that the world through him might be saved.'
+  ]
+};
+
+// A Bible with the verses above, in one translation
+const bible = {
+  defaultTranslation: 'kjv',
+  async lookup(reference, { translation }) {
+    if (!VERSES[reference]) throw new Error(`No text for ${reference}`);
+    return {
+      reference,
+      translation: { id: translation, abbreviation: translation.toUpperCase() },
+      verses: VERSES[reference].map(text => ({ text }))
+    };
+  }
+};
+
+const statusOf = async (reference, text) => (await fillQuotes(bible, [{ reference, text }]))[0].textStatus;
+
+describe('fillQuotes', () => {
+  it('replaces the quoted text with the translation and keeps what the model wrote', async () => {
+    const [quote] = await fillQuotes(bible, [{ reference: 'John 11:35', text: 'jesus WEPT', note: 'shortest verse' }]);
+    assert.deepEqual(quote, {
+      reference: 'John 11:35',
+      text: 'Jesus wept.',
+      quotedText: 'jesus WEPT',
+      note: 'shortest verse',
+      translation: 'KJV',
+      textStatus: 'verified'
+    });
+  });
+
+  it('accepts partial quotes and small slips, but not other wording', async () => {
+    assert.equal(await statusOf('John 3:16-17', 'For God so loved the world that he gave his only begotten Son, that whoever believeth in him should not perish, but have everlasting life. For God sent not his Son into the world to condemn the world'), 'verified');
+    assert.equal(await statusOf('John 11:35', 'Jesus cried and cried.'), 'mismatch');
+  });
+
+  it('does not verify one verse quoted under a reference to several', async () => {
+    assert.equal(await statusOf('John 3:16-17', 'For God so loved the world, that he gave his only begotten Son'), 'mismatch');
+  });
+
+  it('fills quotes without text and keeps the model text when the verse cannot be looked up', async () => {
+    assert.equal(await statusOf('John 11:35', ''), 'filled');
+    const [quote] = await fillQuotes(bible, [{ reference: 'Hezekiah 1:1', text: 'Set thine house in order' }]);
+    assert.deepEqual(quote, {
+      reference: 'Hezekiah 1:1',
+      text: 'Set thine house in order',
+      quotedText: 'Set thine house in order',
+      translation: null,
+      textStatus: 'unavailable'
+    });
+  });
+
+  it('keeps the original quote when a filled study switches translation', async () => {
+    const [kjv] = await fillQuotes(bible, [{ reference: 'John 11:35', text: 'Jesus cried.' }]);
+    const [web] = await fillQuotes(bible, [kjv], { translation: 'web' });
+    assert.equal(web.quotedText, 'Jesus cried.');
+    assert.equal(web.translation, 'WEB');
+  });
+});
+
+describe('fillResultQuotes', () => {
+  it('fills only the listed fields that hold lists', async () => {
+    const result = { keyVerses: [{ reference: 'John 11:35' }], summary: 'text', memoryVerses: 'none' };
+    const filled = await fillResultQuotes(bible, result, ['keyVerses', 'memoryVerses']);
+    assert.equal(filled.keyVerses[0].text, 'Jesus wept.');
+    assert.equal(filled.memoryVerses, 'none');
+    assert.equal(result.keyVerses[0].text, undefined);
+  });
+});
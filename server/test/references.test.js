@@ -0,0 +1,40 @@
+// Checking the scripture references in tool results
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkResultReferences } = require('../bible/references');
+
+describe('checkResultReferences', () => {
+  it('reports impossible references in list items and single fields', () => {
+    const result = {
+      events: [{ scripture: 'Genesis 51:3' }, { scripture: 'John 3:16' }, { scripture: 'See Genesis 1:1 and Jude 2:1.' }],
+      elementA: { reference: 'Psalm 151' }
+    };
+    const { value, warnings } = checkResultReferences(result, [{ path: 'events[].scripture' }, { path: 'elementA.reference' }]);
+
+    assert.deepEqual(value, result);
+    assert.deepEqual(warnings, [
+      { path: 'events[0].scripture', reference: 'Genesis 51:3', message: 'Genesis has 50 chapters', removed: false },
+      { path: 'events[2].scripture', reference: 'Jude 2:1', message: 'Jude has only one chapter', removed: false },
+      { path: 'elementA.reference', reference: 'Psalm 151', message: 'Psalms has 150 chapters', removed: false }
+    ]);
+  });
+
+  it('strips impossible references from nested lists without changing the result', () => {
+    const result = { locations: [{ verses: ['Exodus 41:1', 'Exodus 3:2', 'Obadiah 1:30'] }, { verses: ['Obadiah 1:30'] }] };
+    const { value, warnings } = checkResultReferences(result, [{ path: 'locations[].verses[]', strip: true }]);
+
+    assert.deepEqual(value.locations, [{ verses: ['Exodus 3:2'] }, { verses: [] }]);
+    assert.equal(result.locations[0].verses.length, 3);
+    assert.deepEqual(warnings.map(({ path, removed }) => [path, removed]), [
+      ['locations[0].verses', true],
+      ['locations[0].verses', true],
+      ['locations[1].verses', true]
+    ]);
+  });
+
+  it('ignores missing lists, unknown books and values that are not text', () => {
+    const result = { events: 'none', elementA: { reference: 42 }, elementB: { reference: 'Hezekiah 3:1' } };
+    const fields = [{ path: 'events[].scripture' }, { path: 'elementA.reference' }, { path: 'elementB.reference' }, { path: 'missing[].verses[]' }];
+    assert.deepEqual(checkResultReferences(result, fields).warnings, []);
+  });
+});
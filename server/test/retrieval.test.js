@@ -0,0 +1,97 @@
+// Passages retrieved for a chat question, and the citations in the answer
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { retrievePassages, checkCitations } = require('../bible/retrieval');
+const { findCitations, resolveCitations } = require('../../shared/scripture');
+
+const verse = (book, chapter, number) => ({ book, chapter, verse: number, text: `${book} ${chapter}:${number}` });
+
+// A Bible whose chapters have ten verses, with canned cross-references and search results
+const fakeBible = ({ rank = [] } = {}) => {
+  const calls = { rank: [] };
+  return {
+    calls,
+    async lookup(reference) {
+      if (reference === 'Romans 8') return { verses: Array.from({ length: 10 }, (_, i) => verse('Rom', 8, i + 1)) };
+      if (reference === 'John 3:16') return { verses: [verse('John', 3, 16)] };
+      throw new Error(`No text for ${reference}`);
+    },
+    async related(reference) {
+      if (reference !== 'John 3:16') return { results: [] };
+      return { results: [{ reference: 'Romans 5:8', osis: 'Rom.5.8', text: 'But God commendeth his love' }] };
+    },
+    rank(words) {
+      calls.rank.push(words);
+      return {
+        results: rank.map(([book, chapter, number]) => ({
+          ...verse(book, chapter, number),
+          reference: `${book} ${chapter}:${number}`,
+          osis: `${book}.${chapter}.${number}`
+        }))
+      };
+    }
+  };
+};
+
+const ask = (...questions) => questions.flatMap((content, i) => [
+  ...(i > 0 ? [{ role: 'assistant', content: 'An answer.' }] : []),
+  { role: 'user', content }
+]);
+const summary = (sources) => sources.map(({ id, reference, reason }) => [id, reference, reason]);
+
+describe('retrievePassages', () => {
+  it('numbers the named passage, its cross-references and then search results', async () => {
+    const bible = fakeBible({ rank: [['Rom', 5, 8], ['Eph', 2, 8]] });
+    const sources = await retrievePassages(bible, ask('What does John 3:16 teach about eternal life?'));
+
+    assert.deepEqual(summary(sources), [
+      [1, 'John 3:16', 'named'],
+      [2, 'Romans 5:8', 'cross-reference'],
+      [3, 'Eph 2:8', 'search']
+    ]);
+    assert.deepEqual(bible.calls.rank, [['eternal', 'life']]);
+  });
+
+  it('quotes the start of a long passage and leaves out search results inside it', async () => {
+    const bible = fakeBible({ rank: [['Rom', 8, 3], ['Rom', 8, 26]] });
+    const sources = await retrievePassages(bible, ask('What is the groaning in Romans 8?'));
+
+    assert.deepEqual(summary(sources), [[1, 'Romans 8:1-6', 'named'], [2, 'Rom 8:26', 'search']]);
+    assert.equal(sources[0].text, 'Rom 8:1 Rom 8:2 Rom 8:3 Rom 8:4 Rom 8:5 Rom 8:6');
+  });
+
+  it('keeps a follow-up on the passage named before it, or on the pinned passage', async () => {
+    const followUp = await retrievePassages(fakeBible(), ask('Explain Romans 8', 'And the groaning?'));
+    assert.equal(followUp[0].reference, 'Romans 8:1-6');
+
+    const pinned = await retrievePassages(fakeBible(), ask('Who is speaking?'), { passage: 'John 3:16' });
+    assert.equal(pinned[0].reference, 'John 3:16');
+  });
+
+  it('stops at eight sources', async () => {
+    const rank = Array.from({ length: 12 }, (_, i) => ['Ps', 119, i + 1]);
+    const sources = await retrievePassages(fakeBible({ rank }), ask('What do the psalms say about statutes?'));
+    assert.equal(sources.length, 8);
+    assert.deepEqual(sources.map(source => source.id), [1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+});
+
+describe('citations', () => {
+  const sources = [{ id: 1, reference: 'John 3:16' }, { id: 2, reference: 'Romans 5:8' }];
+
+  it('finds citation markers with their numbers', () => {
+    assert.deepEqual(findCitations('Love [1]. Grace [1, 2]. Not [a].').map(citation => citation.numbers), [[1], [1, 2]]);
+  });
+
+  it('replaces markers with references and drops unknown ones', () => {
+    assert.equal(resolveCitations('Love [1, 2, 1]. Hope [7].', sources), 'Love (John 3:16; Romans 5:8). Hope .');
+  });
+
+  it('counts the sources an answer cites and reports what it cannot check', () => {
+    assert.deepEqual(checkCitations('God loves [2]. Again [2, 9]. See Genesis 51:2.', sources), {
+      citations: [{ id: 2, reference: 'Romans 5:8', count: 2 }],
+      unknownCitations: [9],
+      referenceWarnings: [{ reference: 'Genesis 51:2', message: 'Genesis has 50 chapters' }]
+    });
+  });
+});
@@ -0,0 +1,83 @@
+// The shared scripture reference parser (shared/scripture/references.js)
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  checkReference,
+  parseReference,
+  findReferences,
+  findReferenceProblems,
+  formatReference,
+  chapterContext
+} = require('../../shared/scripture');
+
+const labelOf = (text) => parseReference(text)?.label;
+const osisOf = (text) => parseReference(text)?.osis;
+
+describe('parseReference', () => {
+  it('reads verses, ranges and lists into OSIS ids', () => {
+    const cases = [
+      ['John 3:16', 'John 3:16', 'John.3.16'],
+      ['Jn 3.16', 'John 3:16', 'John.3.16'],
+      ['John 3:16-18', 'John 3:16-18', 'John.3.16-John.3.18'],
+      ['John 3:16–4:2', 'John 3:16-4:2', 'John.3.16-John.4.2'],
+      ['John 3 vv. 16-18', 'John 3:16-18', 'John.3.16-John.3.18'],
+      ['John 3:16, 18; 4:1', 'John 3:16, 18; 4:1', 'John.3.16,John.3.18,John.4.1'],
+      ['Gen 1; Rom 8:28', 'Genesis 1; Romans 8:28', 'Gen.1,Rom.8.28']
+    ];
+    for (const [text, label, osis] of cases) {
+      assert.equal(labelOf(text), label, text);
+      assert.equal(osisOf(text), osis, text);
+    }
+  });
+
+  it('reads whole chapters with a null verse', () => {
+    assert.deepEqual(parseReference('Genesis 1-2').ranges, [
+      { book: 'Gen', start: { chapter: 1, verse: null }, end: { chapter: 2, verse: null } }
+    ]);
+    assert.equal(labelOf('Pss 23; 24'), 'Psalms 23; 24');
+  });
+
+  it('reads numbered books and single-chapter books', () => {
+    assert.equal(labelOf('1 Cor 13'), '1 Corinthians 13');
+    assert.equal(labelOf('First John 1:9'), '1 John 1:9');
+    assert.equal(labelOf('III John 4'), '3 John 4');
+    assert.equal(osisOf('Jude 3'), 'Jude.1.3');
+  });
+});
+
+describe('checkReference', () => {
+  it('says why a reference cannot be read', () => {
+    assert.deepEqual(checkReference('Genesis 51:3'), { error: 'Genesis has 50 chapters', missing: true });
+    assert.deepEqual(checkReference('John 3:99'), { error: 'John 3 has 36 verses', missing: true });
+    assert.equal(checkReference('Hezekiah 1:1').error, 'Unknown book "Hezekiah"');
+    assert.equal(checkReference('Hezekiah 1:1').missing, undefined);
+    assert.equal(parseReference(''), null);
+  });
+});
+
+describe('finding references in prose', () => {
+  it('finds references with their place in the text', () => {
+    const text = 'As Paul says in Romans 8:28 and 1 Cor 13, love (see Jn 3:16).';
+    const found = findReferences(text);
+    assert.deepEqual(found.map(({ text: match, reference }) => [match, reference.label]),
+      [['Romans 8:28', 'Romans 8:28'], ['1 Cor 13', '1 Corinthians 13'], ['Jn 3:16', 'John 3:16']]);
+    assert.equal(text.slice(found[0].index, found[0].index + found[0].length), 'Romans 8:28');
+  });
+
+  it('does not take English words for short book names', () => {
+    assert.deepEqual(findReferences('I am 3 years old. Is 5 enough? See Job 1:1.').map(({ reference }) => reference.label), ['Job 1:1']);
+    assert.equal(labelOf('Am 3:1'), 'Amos 3:1');
+  });
+
+  it('lists references that do not exist', () => {
+    assert.deepEqual(findReferenceProblems('See John 3:99 and Genesis 51:3 and Romans 8').map(({ text, problem }) => [text, problem]),
+      [['John 3:99', 'John 3 has 36 verses'], ['Genesis 51:3', 'Genesis has 50 chapters']]);
+  });
+});
+
+describe('formatting', () => {
+  it('formats ranges and their chapters', () => {
+    assert.equal(formatReference(parseReference('John 3:16, 18; 4:1').ranges), 'John 3:16, 18; 4:1');
+    assert.equal(chapterContext(parseReference('John 3:16-18').ranges), 'John 3');
+  });
+});
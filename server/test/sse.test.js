@@ -0,0 +1,84 @@
+// Streamed completions: replaying a whole completion as deltas, and the
+// Server-Sent Events routes with their done and error events and cache replays
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createProvider } = require('../llm');
+const { LLMError } = require('../llm/errors');
+const { streamFromCompletion } = require('../llm/streaming');
+const { buildApp, USER, readText, parseEvents } = require('./helpers');
+
+const collect = async (events) => {
+  const collected = [];
+  for await (const event of events) collected.push(event);
+  return collected;
+};
+
+const stream = (app, url, body) => request(app)
+  .post(url)
+  .set('Authorization', USER)
+  .set('Accept', 'text/event-stream')
+  .send(body)
+  .buffer(true)
+  .parse(readText);
+
+describe('streamFromCompletion', () => {
+  it('splits a completion into word-sized deltas and ends with done', async () => {
+    const events = await collect(streamFromCompletion(Promise.resolve({ content: 'In the beginning', model: 'm', usage: null })));
+    assert.deepEqual(events, [
+      { type: 'delta', content: 'In ' },
+      { type: 'delta', content: 'the ' },
+      { type: 'delta', content: 'beginning' },
+      { type: 'done', model: 'm', usage: null }
+    ]);
+  });
+
+  it('stops without done once aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const events = await collect(streamFromCompletion(Promise.resolve({ content: 'Cancelled text' }), { signal: controller.signal }));
+    assert.deepEqual(events, []);
+  });
+});
+
+describe('streaming routes', () => {
+  it('sends deltas and a done event with the whole answer', async () => {
+    const res = await stream(buildApp(), '/api/chat/advanced/stream', { messages: [{ role: 'user', content: 'What is grace?' }] });
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /^text\/event-stream/);
+
+    const events = parseEvents(res.body);
+    const done = events[events.length - 1];
+    assert.equal(done.event, 'done');
+    assert.ok(events.slice(0, -1).length > 1 && events.slice(0, -1).every(({ event }) => event === 'delta'));
+    assert.equal(events.slice(0, -1).map(({ data }) => data.content).join(''), done.data.content);
+    assert.equal(done.data.promptVersion, 'advanced-chat@v2');
+  });
+
+  it('sends an error event when the provider fails mid-stream', async () => {
+    const llm = createProvider({ LLM_PROVIDER: 'mock' });
+    llm.streamChat = async function* failing() {
+      yield { type: 'delta', content: 'Partial ' };
+      throw new LLMError('Provider unavailable', { code: 'PROVIDER_ERROR', status: 502 });
+    };
+    const res = await stream(buildApp({ llm }), '/api/chat/advanced/stream', { messages: [{ role: 'user', content: 'Hi' }] });
+
+    const events = parseEvents(res.body);
+    assert.deepEqual(events.map(({ event }) => event), ['delta', 'error']);
+    assert.equal(events[1].data.error.code, 'PROVIDER_ERROR');
+  });
+
+  it('replays a cached completion as one chunk unless asked to regenerate', async () => {
+    const app = buildApp();
+    const body = { book: 'Ruth', chapter: 1 };
+    const first = parseEvents((await stream(app, '/api/tools/bible-commentary/stream', body)).body);
+    const second = parseEvents((await stream(app, '/api/tools/bible-commentary/stream', body)).body);
+    const regenerated = parseEvents((await stream(app, '/api/tools/bible-commentary/stream', { ...body, regenerate: true })).body);
+
+    assert.equal(first[first.length - 1].data.cached, undefined);
+    assert.deepEqual(second.map(({ event }) => event), ['delta', 'done']);
+    assert.equal(second[1].data.cached, true);
+    assert.equal(second[1].data.content, first[first.length - 1].data.content);
+    assert.equal(regenerated[regenerated.length - 1].data.cached, undefined);
+  });
+});
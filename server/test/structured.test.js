@@ -0,0 +1,78 @@
+// Structured completions: schema validation, JSON parsing and the repair pass
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate } = require('../llm/schema');
+const { chatJSON, parseJSON } = require('../llm/structured');
+
+const SCHEMA = {
+  type: 'object',
+  required: ['title', 'events'],
+  properties: {
+    title: { type: 'string' },
+    events: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['year'],
+        properties: { year: { type: 'integer', minimum: -4000 }, kind: { enum: ['battle', 'reign'] } }
+      }
+    }
+  }
+};
+const VALID = { title: 'Kings', events: [{ year: -970, kind: 'reign' }] };
+
+// A provider answering with each of `contents` in turn, keeping the requests it gets
+const scripted = (contents) => {
+  const requests = [];
+  return {
+    requests,
+    async chat(request) {
+      requests.push(request);
+      return { content: contents[requests.length - 1], model: 'scripted' };
+    }
+  };
+};
+
+describe('validate', () => {
+  it('accepts valid values and unknown properties', () => {
+    assert.deepEqual(validate(SCHEMA, { ...VALID, extra: true }), []);
+  });
+
+  it('lists every mismatch with its path', () => {
+    const errors = validate(SCHEMA, { events: [{ year: 1.5 }, { year: -5000, kind: 'flood' }] });
+    assert.deepEqual(errors.map(error => error.path), ['title', 'events[0].year', 'events[1].year', 'events[1].kind']);
+  });
+});
+
+describe('parseJSON', () => {
+  it('reads JSON inside code fences or surrounding text', () => {
+    assert.deepEqual(parseJSON('```json\n{"a": 1}\n```'), { a: 1 });
+    assert.deepEqual(parseJSON('Here it is: {"a": 1} Hope this helps.'), { a: 1 });
+    assert.throws(() => parseJSON('no json here'));
+  });
+});
+
+describe('chatJSON', () => {
+  it('returns valid output without a repair', async () => {
+    const llm = scripted([JSON.stringify(VALID)]);
+    assert.deepEqual(await chatJSON(llm, { messages: [] }, SCHEMA), VALID);
+    assert.equal(llm.requests.length, 1);
+    assert.equal(llm.requests[0].responseFormat, 'json');
+  });
+
+  it('sends invalid output back with its errors and uses the repaired answer', async () => {
+    const llm = scripted(['{"title": "Kings", "events": []}', JSON.stringify(VALID)]);
+    assert.deepEqual(await chatJSON(llm, { messages: [{ role: 'user', content: 'Kings' }] }, SCHEMA), VALID);
+
+    const repair = llm.requests[1].messages;
+    assert.equal(repair.length, 3);
+    assert.equal(repair[1].role, 'assistant');
+    assert.match(repair[2].content, /events: must have at least 1 item/);
+  });
+
+  it('gives up with SCHEMA_MISMATCH or INVALID_JSON once the repairs run out', async () => {
+    await assert.rejects(chatJSON(scripted(['{}', '{}']), { messages: [] }, SCHEMA), { code: 'SCHEMA_MISMATCH', status: 502 });
+    await assert.rejects(chatJSON(scripted(['nope']), { messages: [] }, SCHEMA, { repairAttempts: 0 }), { code: 'INVALID_JSON' });
+  });
+});
@@ -0,0 +1,67 @@
+// Theme threads grounded in concordance searches
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { groundTheme } = require('../bible/themes');
+const { createConcordance } = require('../bible/concordance');
+
+const VERSES = [
+  ['Gen', 8, 1, 'And God remembered Noah, and every living thing.'],
+  ['Exod', 2, 24, 'And God heard their groaning, and God remembered his covenant with Abraham.'],
+  ['Exod', 6, 5, 'I have also heard the groaning of the children of Israel; and I have remembered my covenant.'],
+  ['Ps', 105, 8, 'He hath remembered his covenant for ever.'],
+  ['Luke', 1, 72, 'To perform the mercy promised to our fathers, and to remember his holy covenant.']
+].map(([book, chapter, verse, text]) => ({ book, chapter, verse, text }));
+
+const { search } = createConcordance({ abbreviation: 'TEST', verses: () => VERSES });
+const bible = { search };
+
+describe('groundTheme', () => {
+  it('lists every verse matching any term once, with the density per book', () => {
+    const plan = { theme: 'God remembers', searchTerms: [{ query: 'remember*', note: 'forms' }, { query: 'covenant' }] };
+    const thread = groundTheme(bible, plan);
+
+    assert.equal(thread.theme, 'God remembers');
+    assert.deepEqual(thread.searchTerms, [
+      { query: 'remember*', note: 'forms', count: 5, error: null },
+      { query: 'covenant', note: '', count: 4, error: null }
+    ]);
+    assert.equal(thread.totalOccurrences, 5);
+    assert.deepEqual(thread.occurrences.map(entry => [entry.ref, entry.book]), [
+      ['Genesis 8:1', 'Genesis'],
+      ['Exodus 2:24', 'Exodus'],
+      ['Exodus 6:5', 'Exodus'],
+      ['Psalm 105:8', 'Psalms'],
+      ['Luke 1:72', 'Luke']
+    ]);
+    assert.deepEqual(thread.timeline[1], { book: 'Exodus', start: 2, end: 6, density: 2 });
+    assert.equal(thread.translation, 'TEST');
+  });
+
+  it('reports terms that find nothing or cannot be searched, and skips repeats', () => {
+    const plan = { searchTerms: [{ query: 'mercy' }, { query: 'mercy' }, { query: 'manna' }, { query: '"unclosed' }, { query: ' ' }] };
+    const { searchTerms, totalOccurrences } = groundTheme(bible, plan);
+
+    assert.deepEqual(searchTerms.map(({ query, count }) => [query, count]), [['mercy', 1], ['manna', 0], ['"unclosed', 0]]);
+    assert.equal(searchTerms[1].error, null);
+    assert.match(searchTerms[2].error, /quotation marks/);
+    assert.equal(totalOccurrences, 1);
+  });
+
+  it('leaves out terms that would make the combined search too long', () => {
+    const words = ['remembered', 'covenant', 'groaning', 'heard', 'living', 'mercy', 'promised', 'fathers', 'holy', 'ever'];
+    const plan = { searchTerms: words.map(word => ({ query: `${word} NEAR/2 ${word} NEAR/2 ${word}` })) };
+    const { searchTerms } = groundTheme(bible, plan);
+
+    const skipped = searchTerms.filter(entry => entry.error);
+    assert.ok(skipped.length > 0);
+    skipped.forEach(entry => assert.equal(entry.error, 'Left out of the thread to keep the search short'));
+  });
+
+  it('returns an empty thread when no term finds anything', () => {
+    const thread = groundTheme(bible, { theme: 'Locusts', searchTerms: [{ query: 'locust*' }] });
+    assert.deepEqual(
+      [thread.occurrences, thread.totalOccurrences, thread.timeline, thread.translation],
+      [[], 0, [], null]
+    );
+  });
+});
@@ -0,0 +1,233 @@
+// Rate limits and daily quotas for the API.
+//
+// Routes are grouped into classes with their own limits:
+//   chat   - conversational routes
+//   tools  - commentary, verse analysis and the structured study tools
+//   images - image generation and editing (the most expensive calls)
+//
+// Each signed-in user gets a per-minute rate limit and a daily quota per
+// class. Every client IP also gets an overall per-minute limit across /api,
+// which is checked before authentication. A request reserves a place in the
+// daily quota when it is let through, so concurrent requests cannot go over
+// it, and gives the place back when it ends without the provider answering:
+// cached answers, requests rejected before the provider is called and failed
+// calls are free. Counters live in memory, so they reset when the server
+// restarts.
+const { ApiError } = require('./errors');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const DEFAULT_LIMITS = {
+  chat: { perMinute: 20, perDay: 200 },
+  tools: { perMinute: 10, perDay: 100 },
+  images: { perMinute: 3, perDay: 10 }
+};
+const DEFAULT_IP_PER_MINUTE = 60;
+
+// Used in quota messages shown to the user
+const CLASS_LABELS = {
+  chat: 'chat messages',
+  tools: 'tool requests',
+  images: 'image requests'
+};
+
+const readLimit = (env, name, fallback) => {
+  return env[name] === undefined || env[name] === '' ? fallback : Number(env[name]);
+};
+
+// RATE_LIMIT_<CLASS>_PER_MINUTE and QUOTA_<CLASS>_PER_DAY override the
+// defaults; 0 disables that limit.
+const resolveLimits = (env) => {
+  return Object.fromEntries(Object.entries(DEFAULT_LIMITS).map(([routeClass, limits]) => {
+    const prefix = routeClass.toUpperCase();
+    return [routeClass, {
+      perMinute: readLimit(env, `RATE_LIMIT_${prefix}_PER_MINUTE`, limits.perMinute),
+      perDay: readLimit(env, `QUOTA_${prefix}_PER_DAY`, limits.perDay)
+    }];
+  }));
+};
+
+// Quotas are per UTC calendar day
+const dayOf = (time) => new Date(time).toISOString().slice(0, 10);
+const nextDayStart = (time) => (Math.floor(time / DAY_MS) + 1) * DAY_MS;
+
+// Sets Retry-After (in seconds) and returns the error for next()
+const tooManyRequests = (res, { message, code, retryAfterMs }) => {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return new ApiError(message, { status: 429, code, details: { retryAfter } });
+};
+
+// A provider like `llm` (req.llm) that calls `answered` after each call that
+// succeeds; for a stream, when its first event arrives
+const watchedProvider = (llm, answered) => {
+  const watched = (method) => async (request) => {
+    const response = await llm[method](request);
+    answered();
+    return response;
+  };
+
+  return {
+    ...llm,
+    chat: watched('chat'),
+    generateImage: watched('generateImage'),
+    editImage: watched('editImage'),
+    async *streamChat(request) {
+      let first = true;
+      for await (const event of llm.streamChat(request)) {
+        if (first) {
+          first = false;
+          answered();
+        }
+        yield event;
+      }
+    }
+  };
+};
+
+/**
+ * Track request counts and enforce limits.
+ * @param {Object} [options]
+ * @param {Object} [options.limits] - { [class]: { perMinute, perDay } }
+ * @param {number} [options.ipPerMinute] - Requests per minute per client IP
+ * @param {Function} [options.now] - Clock, overridable for tests
+ * @returns {Object} - Tracker with limitIp, limitUser and usageFor
+ */
+const createUsageTracker = ({
+  limits = DEFAULT_LIMITS,
+  ipPerMinute = DEFAULT_IP_PER_MINUTE,
+  now = Date.now
+} = {}) => {
+  const minuteWindows = new Map(); // `${scope}:${id}` -> { start, count }
+  const dailyCounts = new Map(); // `${uid}:${class}` -> { day, count }
+
+  // Drop expired windows once the map grows, so idle clients don't leak memory
+  const pruneWindows = (time) => {
+    if (minuteWindows.size < 10000) return;
+    for (const [key, window] of minuteWindows) {
+      if (time - window.start >= MINUTE_MS) minuteWindows.delete(key);
+    }
+  };
+
+  // Fixed one-minute window; returns ms until the window resets when over the limit
+  const hitWindow = (key, limit, time) => {
+    if (!limit) return 0;
+    let window = minuteWindows.get(key);
+    if (!window || time - window.start >= MINUTE_MS) {
+      pruneWindows(time);
+      window = { start: time, count: 0 };
+      minuteWindows.set(key, window);
+    }
+    if (window.count >= limit) {
+      return window.start + MINUTE_MS - time;
+    }
+    window.count += 1;
+    return 0;
+  };
+
+  const usedToday = (uid, routeClass, time) => {
+    const entry = dailyCounts.get(`${uid}:${routeClass}`);
+    return entry && entry.day === dayOf(time) ? entry.count : 0;
+  };
+
+  const countToday = (uid, routeClass, time) => {
+    dailyCounts.set(`${uid}:${routeClass}`, { day: dayOf(time), count: usedToday(uid, routeClass, time) + 1 });
+  };
+
+  // Give back a place reserved on `day`; nothing to give back once the day is over
+  const releaseToday = (uid, routeClass, day) => {
+    const entry = dailyCounts.get(`${uid}:${routeClass}`);
+    if (entry && entry.day === day && entry.count > 0) entry.count -= 1;
+  };
+
+  return {
+    // Overall per-IP limit, applied to every /api request before authentication
+    limitIp() {
+      return (req, res, next) => {
+        const retryAfterMs = hitWindow(`ip:${req.ip}`, ipPerMinute, now());
+        if (retryAfterMs) {
+          return next(tooManyRequests(res, {
+            message: 'Too many requests, please slow down',
+            code: 'RATE_LIMITED',
+            retryAfterMs
+          }));
+        }
+        next();
+      };
+    },
+
+    // Per-user rate limit and daily quota for one route class (needs req.user
+    // and req.llm). The place reserved in the quota is kept once req.llm has
+    // answered, and given back if the response ends before that.
+    limitUser(routeClass) {
+      const { perMinute, perDay } = limits[routeClass];
+
+      return (req, res, next) => {
+        const time = now();
+        const uid = req.user.uid;
+
+        if (perDay && usedToday(uid, routeClass, time) >= perDay) {
+          return next(tooManyRequests(res, {
+            message: `You have used all ${perDay} of today's ${CLASS_LABELS[routeClass] || `${routeClass} requests`}. The quota resets at midnight UTC.`,
+            code: 'QUOTA_EXCEEDED',
+            retryAfterMs: nextDayStart(time) - time
+          }));
+        }
+
+        const retryAfterMs = hitWindow(`user:${uid}:${routeClass}`, perMinute, time);
+        if (retryAfterMs) {
+          return next(tooManyRequests(res, {
+            message: 'Too many requests, please wait a moment and try again',
+            code: 'RATE_LIMITED',
+            retryAfterMs
+          }));
+        }
+
+        // Checked and reserved in one step, so no other request gets in between
+        countToday(uid, routeClass, time);
+        let answered = false;
+        req.llm = watchedProvider(req.llm, () => {
+          answered = true;
+        });
+        res.once('close', () => {
+          if (!answered) releaseToday(uid, routeClass, dayOf(time));
+        });
+        next();
+      };
+    },
+
+    // Today's usage for a user, as returned by GET /api/usage
+    usageFor(uid) {
+      const time = now();
+      const classes = Object.fromEntries(Object.entries(limits).map(([routeClass, { perMinute, perDay }]) => {
+        const used = usedToday(uid, routeClass, time);
+        return [routeClass, {
+          used,
+          limit: perDay || null,
+          remaining: perDay ? Math.max(0, perDay - used) : null,
+          perMinute: perMinute || null
+        }];
+      }));
+
+      return {
+        day: dayOf(time),
+        resetsAt: new Date(nextDayStart(time)).toISOString(),
+        classes
+      };
+    }
+  };
+};
+
+// Tracker configured from the environment (see resolveLimits);
+// RATE_LIMIT_IP_PER_MINUTE sets the per-IP limit
+const createUsageTrackerFromEnv = (env = process.env) => createUsageTracker({
+  limits: resolveLimits(env),
+  ipPerMinute: readLimit(env, 'RATE_LIMIT_IP_PER_MINUTE', DEFAULT_IP_PER_MINUTE)
+});
+
+module.exports = {
+  DEFAULT_LIMITS,
+  createUsageTracker,
+  createUsageTrackerFromEnv
+};
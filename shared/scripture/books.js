@@ -0,0 +1,38 @@
+// Book names and abbreviations, built on the canon in canon.js
+import { BOOKS, getBook } from './canon.js';
+
+export { BOOKS, getBook };
+
+// Numbered-book prefixes: "1", "I", "1st", "First"
+const NUMBER_WORDS = { i: 1, ii: 2, iii: 3, '1st': 1, '2nd': 2, '3rd': 3, first: 1, second: 2, third: 3 };
+
+// Lookup key for a book name: "1 Cor." -> "1cor", "II Kings" -> "2kings",
+// "Song of Songs" -> "songofsongs"
+export const bookKey = (name) => {
+  const text = String(name).trim().toLowerCase().replace(/\./g, ' ');
+  const prefix = /^(?:([123])\s*|(iii|ii|i|1st|2nd|3rd|first|second|third)\s+)(?=[a-z])/.exec(text);
+  const number = prefix ? (prefix[1] || NUMBER_WORDS[prefix[2]]) : '';
+  const rest = prefix ? text.slice(prefix[0].length) : text;
+  return `${number}${rest.replace(/[^a-z]/g, '')}`;
+};
+
+// Every name the parser accepts for a book, without the number of numbered
+// books. Names with digits ("Psalm 151") cannot be told apart from a chapter
+// number, so only their aliases are accepted.
+export const bookNames = (book) => [book.number ? book.name.slice(2) : book.name, ...book.aliases]
+  .filter(name => !/\d/.test(name));
+
+const BOOKS_BY_KEY = new Map(BOOKS.flatMap(book => {
+  const names = bookNames(book);
+  const prefix = book.number ? String(book.number) : '';
+  return [book.id, ...names.map(name => `${prefix}${name}`)].map(name => [bookKey(name), book]);
+}));
+
+/**
+ * Find a book by name, abbreviation or OSIS id ("Genesis", "Gen", "1 Cor",
+ * "Song of Songs", "Pss").
+ * @param {string} name
+ * @returns {Object|null} - Entry from BOOKS
+ */
+export const findBook = (name) => (name ? BOOKS_BY_KEY.get(bookKey(name)) || null : null);
+
@@ -0,0 +1,196 @@
+// Canon metadata shared by the client and the server: every book with its
+// place in the canon, testament, genre, chapters and verse counts, and the
+// book lists of the Protestant, Catholic and Orthodox canons.
+//
+//   id        - OSIS book id ('Gen', '1Cor', 'Ps', 'Sir')
+//   name      - display name
+//   testament - 'OT' or 'NT'
+//   genre     - key of GENRES
+//   number    - 1, 2 or 3 for numbered books; their aliases omit the number
+//   aliases   - abbreviations and alternate names accepted by the parser
+//   singular  - name for a single chapter, if different ('Psalm 23')
+//   chapters  - number of chapters
+//   verses    - verses in each chapter (KJV versification), or null if unknown
+//   deuterocanonical - true for books outside the Protestant canon
+//
+// The deuterocanonical books are listed separately from the books they extend
+// (Additions to Esther, the Greek additions to Daniel), as in editions with the
+// Apocrypha. Their verse numbering differs between editions, so only the
+// single-chapter ones have verse counts; references to the others are checked
+// against the chapter count alone.
+
+export const TESTAMENTS = {
+  OT: 'Old Testament',
+  NT: 'New Testament'
+};
+
+export const GENRES = {
+  law: 'Law',
+  history: 'History',
+  wisdom: 'Wisdom and Poetry',
+  'major-prophets': 'Major Prophets',
+  'minor-prophets': 'Minor Prophets',
+  gospels: 'Gospels',
+  'pauline-epistles': 'Pauline Epistles',
+  'general-epistles': 'General Epistles',
+  apocalyptic: 'Apocalyptic'
+};
+
+const PROTESTANT_BOOKS = [
+  { id: 'Gen', name: 'Genesis', testament: 'OT', genre: 'law', aliases: ['Gen', 'Ge', 'Gn'], verses: [31, 25, 24, 26, 32, 22, 24, 22, 29, 32, 32, 20, 18, 24, 21, 16, 27, 33, 38, 18, 34, 24, 20, 67, 34, 35, 46, 22, 35, 43, 55, 32, 20, 31, 29, 43, 36, 30, 23, 23, 57, 38, 34, 34, 28, 34, 31, 22, 33, 26] },
+  { id: 'Exod', name: 'Exodus', testament: 'OT', genre: 'law', aliases: ['Exod', 'Exo', 'Ex'], verses: [22, 25, 22, 31, 23, 30, 25, 32, 35, 29, 10, 51, 22, 31, 27, 36, 16, 27, 25, 26, 36, 31, 33, 18, 40, 37, 21, 43, 46, 38, 18, 35, 23, 35, 35, 38, 29, 31, 43, 38] },
+  { id: 'Lev', name: 'Leviticus', testament: 'OT', genre: 'law', aliases: ['Lev', 'Le', 'Lv'], verses: [17, 16, 17, 35, 19, 30, 38, 36, 24, 20, 47, 8, 59, 57, 33, 34, 16, 30, 37, 27, 24, 33, 44, 23, 55, 46, 34] },
+  { id: 'Num', name: 'Numbers', testament: 'OT', genre: 'law', aliases: ['Num', 'Nu', 'Nm', 'Nb'], verses: [54, 34, 51, 49, 31, 27, 89, 26, 23, 36, 35, 16, 33, 45, 41, 50, 13, 32, 22, 29, 35, 41, 30, 25, 18, 65, 23, 31, 40, 16, 54, 42, 56, 29, 34, 13] },
+  { id: 'Deut', name: 'Deuteronomy', testament: 'OT', genre: 'law', aliases: ['Deut', 'Deu', 'Dt'], verses: [46, 37, 29, 49, 33, 25, 26, 20, 29, 22, 32, 32, 18, 29, 23, 22, 20, 22, 21, 20, 23, 30, 25, 22, 19, 19, 26, 68, 29, 20, 30, 52, 29, 12] },
+  { id: 'Josh', name: 'Joshua', testament: 'OT', genre: 'history', aliases: ['Josh', 'Jos', 'Jsh'], verses: [18, 24, 17, 24, 15, 27, 26, 35, 27, 43, 23, 24, 33, 15, 63, 10, 18, 28, 51, 9, 45, 34, 16, 33] },
+  { id: 'Judg', name: 'Judges', testament: 'OT', genre: 'history', aliases: ['Judg', 'Jdg', 'Jdgs', 'Jg'], verses: [36, 23, 31, 24, 31, 40, 25, 35, 57, 18, 40, 15, 25, 20, 20, 31, 13, 31, 30, 48, 25] },
+  { id: 'Ruth', name: 'Ruth', testament: 'OT', genre: 'history', aliases: ['Rth', 'Ru'], verses: [22, 23, 18, 22] },
+  { id: '1Sam', name: '1 Samuel', testament: 'OT', genre: 'history', number: 1, aliases: ['Sam', 'Sa', 'Sm'], verses: [28, 36, 21, 22, 12, 21, 17, 22, 27, 27, 15, 25, 23, 52, 35, 23, 58, 30, 24, 42, 15, 23, 29, 22, 44, 25, 12, 25, 11, 31, 13] },
+  { id: '2Sam', name: '2 Samuel', testament: 'OT', genre: 'history', number: 2, aliases: ['Sam', 'Sa', 'Sm'], verses: [27, 32, 39, 12, 25, 23, 29, 18, 13, 19, 27, 31, 39, 33, 37, 23, 29, 33, 43, 26, 22, 51, 39, 25] },
+  { id: '1Kgs', name: '1 Kings', testament: 'OT', genre: 'history', number: 1, aliases: ['Kgs', 'Kin', 'Ki'], verses: [53, 46, 28, 34, 18, 38, 51, 66, 28, 29, 43, 33, 34, 31, 34, 34, 24, 46, 21, 43, 29, 53] },
+  { id: '2Kgs', name: '2 Kings', testament: 'OT', genre: 'history', number: 2, aliases: ['Kgs', 'Kin', 'Ki'], verses: [18, 25, 27, 44, 27, 33, 20, 29, 37, 36, 21, 21, 25, 29, 38, 20, 41, 37, 37, 21, 26, 20, 37, 20, 30] },
+  { id: '1Chr', name: '1 Chronicles', testament: 'OT', genre: 'history', number: 1, aliases: ['Chron', 'Chr', 'Ch'], verses: [54, 55, 24, 43, 26, 81, 40, 40, 44, 14, 47, 40, 14, 17, 29, 43, 27, 17, 19, 8, 30, 19, 32, 31, 31, 32, 34, 21, 30] },
+  { id: '2Chr', name: '2 Chronicles', testament: 'OT', genre: 'history', number: 2, aliases: ['Chron', 'Chr', 'Ch'], verses: [17, 18, 17, 22, 14, 42, 22, 18, 31, 19, 23, 16, 22, 15, 19, 14, 19, 34, 11, 37, 20, 12, 21, 27, 28, 23, 9, 27, 36, 27, 21, 33, 25, 33, 27, 23] },
+  { id: 'Ezra', name: 'Ezra', testament: 'OT', genre: 'history', aliases: ['Ezr'], verses: [11, 70, 13, 24, 17, 22, 28, 36, 15, 44] },
+  { id: 'Neh', name: 'Nehemiah', testament: 'OT', genre: 'history', aliases: ['Neh', 'Ne'], verses: [11, 20, 32, 23, 19, 19, 73, 18, 38, 39, 36, 47, 31] },
+  { id: 'Esth', name: 'Esther', testament: 'OT', genre: 'history', aliases: ['Esth', 'Est', 'Es'], verses: [22, 23, 15, 17, 14, 14, 10, 17, 32, 3] },
+  { id: 'Job', name: 'Job', testament: 'OT', genre: 'wisdom', aliases: ['Jb'], verses: [22, 13, 26, 21, 27, 30, 21, 22, 35, 22, 20, 25, 28, 22, 35, 22, 16, 21, 29, 29, 34, 30, 17, 25, 6, 14, 23, 28, 25, 31, 40, 22, 33, 37, 16, 33, 24, 41, 30, 24, 34, 17] },
+  { id: 'Ps', name: 'Psalms', testament: 'OT', genre: 'wisdom', singular: 'Psalm', aliases: ['Psalm', 'Ps', 'Pss', 'Psa', 'Psm'], verses: [6, 12, 8, 8, 12, 10, 17, 9, 20, 18, 7, 8, 6, 7, 5, 11, 15, 50, 14, 9, 13, 31, 6, 10, 22, 12, 14, 9, 11, 12, 24, 11, 22, 22, 28, 12, 40, 22, 13, 17, 13, 11, 5, 26, 17, 11, 9, 14, 20, 23, 19, 9, 6, 7, 23, 13, 11, 11, 17, 12, 8, 12, 11, 10, 13, 20, 7, 35, 36, 5, 24, 20, 28, 23, 10, 12, 20, 72, 13, 19, 16, 8, 18, 12, 13, 17, 7, 18, 52, 17, 16, 15, 5, 23, 11, 13, 12, 9, 9, 5, 8, 28, 22, 35, 45, 48, 43, 13, 31, 7, 10, 10, 9, 8, 18, 19, 2, 29, 176, 7, 8, 9, 4, 8, 5, 6, 5, 6, 8, 8, 3, 18, 3, 3, 21, 26, 9, 8, 24, 13, 10, 7, 12, 15, 21, 10, 20, 14, 9, 6] },
+  { id: 'Prov', name: 'Proverbs', testament: 'OT', genre: 'wisdom', aliases: ['Prov', 'Pro', 'Prv', 'Pr'], verses: [33, 22, 35, 27, 23, 35, 27, 36, 18, 32, 31, 28, 25, 35, 33, 33, 28, 24, 29, 30, 31, 29, 35, 34, 28, 28, 27, 28, 27, 33, 31] },
+  { id: 'Eccl', name: 'Ecclesiastes', testament: 'OT', genre: 'wisdom', aliases: ['Eccl', 'Eccles', 'Ecc', 'Ec', 'Qoheleth'], verses: [18, 26, 22, 16, 20, 12, 29, 17, 18, 20, 10, 14] },
+  { id: 'Song', name: 'Song of Solomon', testament: 'OT', genre: 'wisdom', aliases: ['Song of Songs', 'Song', 'Canticles', 'Cant', 'Sg', 'SOS'], verses: [17, 17, 11, 16, 16, 13, 13, 14] },
+  { id: 'Isa', name: 'Isaiah', testament: 'OT', genre: 'major-prophets', aliases: ['Isa', 'Is'], verses: [31, 22, 26, 6, 30, 13, 25, 22, 21, 34, 16, 6, 22, 32, 9, 14, 14, 7, 25, 6, 17, 25, 18, 23, 12, 21, 13, 29, 24, 33, 9, 20, 24, 17, 10, 22, 38, 22, 8, 31, 29, 25, 28, 28, 25, 13, 15, 22, 26, 11, 23, 15, 12, 17, 13, 12, 21, 14, 21, 22, 11, 12, 19, 12, 25, 24] },
+  { id: 'Jer', name: 'Jeremiah', testament: 'OT', genre: 'major-prophets', aliases: ['Jer', 'Je', 'Jr'], verses: [19, 37, 25, 31, 31, 30, 34, 22, 26, 25, 23, 17, 27, 22, 21, 21, 27, 23, 15, 18, 14, 30, 40, 10, 38, 24, 22, 17, 32, 24, 40, 44, 26, 22, 19, 32, 21, 28, 18, 16, 18, 22, 13, 30, 5, 28, 7, 47, 39, 46, 64, 34] },
+  { id: 'Lam', name: 'Lamentations', testament: 'OT', genre: 'major-prophets', aliases: ['Lam', 'La'], verses: [22, 22, 66, 22, 22] },
+  { id: 'Ezek', name: 'Ezekiel', testament: 'OT', genre: 'major-prophets', aliases: ['Ezek', 'Eze', 'Ezk'], verses: [28, 10, 27, 17, 17, 14, 27, 18, 11, 22, 25, 28, 23, 23, 8, 63, 24, 32, 14, 49, 32, 31, 49, 27, 17, 21, 36, 26, 21, 26, 18, 32, 33, 31, 15, 38, 28, 23, 29, 49, 26, 20, 27, 31, 25, 24, 23, 35] },
+  { id: 'Dan', name: 'Daniel', testament: 'OT', genre: 'major-prophets', aliases: ['Dan', 'Da', 'Dn'], verses: [21, 49, 30, 37, 31, 28, 28, 27, 27, 21, 45, 13] },
+  { id: 'Hos', name: 'Hosea', testament: 'OT', genre: 'minor-prophets', aliases: ['Hos', 'Ho'], verses: [11, 23, 5, 19, 15, 11, 16, 14, 17, 15, 12, 14, 16, 9] },
+  { id: 'Joel', name: 'Joel', testament: 'OT', genre: 'minor-prophets', aliases: ['Jl'], verses: [20, 32, 21] },
+  { id: 'Amos', name: 'Amos', testament: 'OT', genre: 'minor-prophets', aliases: ['Am'], verses: [15, 16, 15, 13, 27, 14, 17, 14, 15] },
+  { id: 'Obad', name: 'Obadiah', testament: 'OT', genre: 'minor-prophets', aliases: ['Obad', 'Ob'], verses: [21] },
+  { id: 'Jonah', name: 'Jonah', testament: 'OT', genre: 'minor-prophets', aliases: ['Jon', 'Jnh'], verses: [17, 10, 10, 11] },
+  { id: 'Mic', name: 'Micah', testament: 'OT', genre: 'minor-prophets', aliases: ['Mic', 'Mc'], verses: [16, 13, 12, 13, 15, 16, 20] },
+  { id: 'Nah', name: 'Nahum', testament: 'OT', genre: 'minor-prophets', aliases: ['Nah', 'Na'], verses: [15, 13, 19] },
+  { id: 'Hab', name: 'Habakkuk', testament: 'OT', genre: 'minor-prophets', aliases: ['Hab', 'Hb'], verses: [17, 20, 19] },
+  { id: 'Zeph', name: 'Zephaniah', testament: 'OT', genre: 'minor-prophets', aliases: ['Zeph', 'Zep', 'Zp'], verses: [18, 15, 20] },
+  { id: 'Hag', name: 'Haggai', testament: 'OT', genre: 'minor-prophets', aliases: ['Hag', 'Hg'], verses: [15, 23] },
+  { id: 'Zech', name: 'Zechariah', testament: 'OT', genre: 'minor-prophets', aliases: ['Zech', 'Zec', 'Zc'], verses: [21, 13, 10, 14, 11, 15, 14, 23, 17, 12, 17, 14, 9, 21] },
+  { id: 'Mal', name: 'Malachi', testament: 'OT', genre: 'minor-prophets', aliases: ['Mal', 'Ml'], verses: [14, 17, 18, 6] },
+  { id: 'Matt', name: 'Matthew', testament: 'NT', genre: 'gospels', aliases: ['Matt', 'Mat', 'Mt'], verses: [25, 23, 17, 25, 48, 34, 29, 34, 38, 42, 30, 50, 58, 36, 39, 28, 27, 35, 30, 34, 46, 46, 39, 51, 46, 75, 66, 20] },
+  { id: 'Mark', name: 'Mark', testament: 'NT', genre: 'gospels', aliases: ['Mrk', 'Mk', 'Mr'], verses: [45, 28, 35, 41, 43, 56, 37, 38, 50, 52, 33, 44, 37, 72, 47, 20] },
+  { id: 'Luke', name: 'Luke', testament: 'NT', genre: 'gospels', aliases: ['Luk', 'Lk'], verses: [80, 52, 38, 44, 39, 49, 50, 56, 62, 42, 54, 59, 35, 35, 32, 31, 37, 43, 48, 47, 38, 71, 56, 53] },
+  { id: 'John', name: 'John', testament: 'NT', genre: 'gospels', aliases: ['Jhn', 'Jn'], verses: [51, 25, 36, 54, 47, 71, 53, 59, 41, 42, 57, 50, 38, 31, 27, 33, 26, 40, 42, 31, 25] },
+  { id: 'Acts', name: 'Acts', testament: 'NT', genre: 'history', aliases: ['Act', 'Ac'], verses: [26, 47, 26, 37, 42, 15, 60, 40, 43, 48, 30, 25, 52, 28, 41, 40, 34, 28, 41, 38, 40, 30, 35, 27, 27, 32, 44, 31] },
+  { id: 'Rom', name: 'Romans', testament: 'NT', genre: 'pauline-epistles', aliases: ['Rom', 'Ro', 'Rm'], verses: [32, 29, 31, 25, 21, 23, 25, 39, 33, 21, 36, 21, 14, 23, 33, 27] },
+  { id: '1Cor', name: '1 Corinthians', testament: 'NT', genre: 'pauline-epistles', number: 1, aliases: ['Cor', 'Co'], verses: [31, 16, 23, 21, 13, 20, 40, 13, 27, 33, 34, 31, 13, 40, 58, 24] },
+  { id: '2Cor', name: '2 Corinthians', testament: 'NT', genre: 'pauline-epistles', number: 2, aliases: ['Cor', 'Co'], verses: [24, 17, 18, 18, 21, 18, 16, 24, 15, 18, 33, 21, 14] },
+  { id: 'Gal', name: 'Galatians', testament: 'NT', genre: 'pauline-epistles', aliases: ['Gal', 'Ga'], verses: [24, 21, 29, 31, 26, 18] },
+  { id: 'Eph', name: 'Ephesians', testament: 'NT', genre: 'pauline-epistles', aliases: ['Eph', 'Ephes'], verses: [23, 22, 21, 32, 33, 24] },
+  { id: 'Phil', name: 'Philippians', testament: 'NT', genre: 'pauline-epistles', aliases: ['Phil', 'Php', 'Pp'], verses: [30, 30, 21, 23] },
+  { id: 'Col', name: 'Colossians', testament: 'NT', genre: 'pauline-epistles', aliases: ['Col'], verses: [29, 23, 25, 18] },
+  { id: '1Thess', name: '1 Thessalonians', testament: 'NT', genre: 'pauline-epistles', number: 1, aliases: ['Thess', 'Thes', 'Th'], verses: [10, 20, 13, 18, 28] },
+  { id: '2Thess', name: '2 Thessalonians', testament: 'NT', genre: 'pauline-epistles', number: 2, aliases: ['Thess', 'Thes', 'Th'], verses: [12, 17, 18] },
+  { id: '1Tim', name: '1 Timothy', testament: 'NT', genre: 'pauline-epistles', number: 1, aliases: ['Tim', 'Ti'], verses: [20, 15, 16, 16, 25, 21] },
+  { id: '2Tim', name: '2 Timothy', testament: 'NT', genre: 'pauline-epistles', number: 2, aliases: ['Tim', 'Ti'], verses: [18, 26, 17, 22] },
+  { id: 'Titus', name: 'Titus', testament: 'NT', genre: 'pauline-epistles', aliases: ['Tit'], verses: [16, 15, 15] },
+  { id: 'Phlm', name: 'Philemon', testament: 'NT', genre: 'pauline-epistles', aliases: ['Philem', 'Phm', 'Pm'], verses: [25] },
+  { id: 'Heb', name: 'Hebrews', testament: 'NT', genre: 'general-epistles', aliases: ['Heb'], verses: [14, 18, 19, 16, 14, 20, 28, 13, 28, 39, 40, 29, 25] },
+  { id: 'Jas', name: 'James', testament: 'NT', genre: 'general-epistles', aliases: ['Jas', 'Jm'], verses: [27, 26, 18, 17, 20] },
+  { id: '1Pet', name: '1 Peter', testament: 'NT', genre: 'general-epistles', number: 1, aliases: ['Pet', 'Pe', 'Pt'], verses: [25, 25, 22, 19, 14] },
+  { id: '2Pet', name: '2 Peter', testament: 'NT', genre: 'general-epistles', number: 2, aliases: ['Pet', 'Pe', 'Pt'], verses: [21, 22, 18] },
+  { id: '1John', name: '1 John', testament: 'NT', genre: 'general-epistles', number: 1, aliases: ['Jhn', 'Jn'], verses: [10, 29, 24, 21, 21] },
+  { id: '2John', name: '2 John', testament: 'NT', genre: 'general-epistles', number: 2, aliases: ['Jhn', 'Jn'], verses: [13] },
+  { id: '3John', name: '3 John', testament: 'NT', genre: 'general-epistles', number: 3, aliases: ['Jhn', 'Jn'], verses: [14] },
+  { id: 'Jude', name: 'Jude', testament: 'NT', genre: 'general-epistles', aliases: ['Jud', 'Jd'], verses: [25] },
+  { id: 'Rev', name: 'Revelation', testament: 'NT', genre: 'apocalyptic', aliases: ['Rev', 'Re', 'Rv', 'Revelations', 'Apocalypse'], verses: [20, 29, 22, 11, 14, 17, 17, 13, 21, 11, 19, 17, 18, 20, 8, 21, 18, 24, 21, 15, 27, 21] }
+];
+
+const DEUTEROCANONICAL_BOOKS = [
+  { id: 'Tob', name: 'Tobit', testament: 'OT', genre: 'history', aliases: ['Tob', 'Tb'], chapters: 14 },
+  { id: 'Jdt', name: 'Judith', testament: 'OT', genre: 'history', aliases: ['Jdt', 'Jdth', 'Jth'], chapters: 16 },
+  // Numbered 10:4-16:24 after the Vulgate, so chapter numbers up to 16 are accepted
+  { id: 'AddEsth', name: 'Additions to Esther', testament: 'OT', genre: 'history', aliases: ['Greek Esther', 'AddEsth', 'Add Esth', 'Esg'], chapters: 16 },
+  { id: 'Wis', name: 'Wisdom of Solomon', testament: 'OT', genre: 'wisdom', aliases: ['Wisdom', 'Wis', 'Ws'], chapters: 19 },
+  { id: 'Sir', name: 'Sirach', testament: 'OT', genre: 'wisdom', aliases: ['Ecclesiasticus', 'Ben Sira', 'Sir', 'Ecclus'], chapters: 51 },
+  { id: 'Bar', name: 'Baruch', testament: 'OT', genre: 'major-prophets', aliases: ['Bar'], chapters: 5 },
+  // Baruch 6 in Catholic Bibles
+  { id: 'EpJer', name: 'Letter of Jeremiah', testament: 'OT', genre: 'major-prophets', aliases: ['Epistle of Jeremiah', 'Epistle of Jeremy', 'EpJer', 'Ep Jer', 'LJe'], verses: [73] },
+  // Daniel 3:24-90 in Catholic Bibles
+  { id: 'PrAzar', name: 'Prayer of Azariah', testament: 'OT', genre: 'major-prophets', aliases: ['Song of the Three Young Men', 'Song of the Three Jews', 'Song of Three Children', 'PrAzar', 'Pr Azar'], verses: [68] },
+  // Daniel 13 in Catholic Bibles
+  { id: 'Sus', name: 'Susanna', testament: 'OT', genre: 'major-prophets', aliases: ['Sus'], verses: [64] },
+  // Daniel 14 in Catholic Bibles
+  { id: 'Bel', name: 'Bel and the Dragon', testament: 'OT', genre: 'major-prophets', aliases: ['Bel'], verses: [42] },
+  { id: '1Macc', name: '1 Maccabees', number: 1, testament: 'OT', genre: 'history', aliases: ['Maccabees', 'Macc', 'Mac', 'Ma'], chapters: 16 },
+  { id: '2Macc', name: '2 Maccabees', number: 2, testament: 'OT', genre: 'history', aliases: ['Maccabees', 'Macc', 'Mac', 'Ma'], chapters: 15 },
+  { id: '3Macc', name: '3 Maccabees', number: 3, testament: 'OT', genre: 'history', aliases: ['Maccabees', 'Macc', 'Mac', 'Ma'], chapters: 7 },
+  { id: '1Esd', name: '1 Esdras', number: 1, testament: 'OT', genre: 'history', aliases: ['Esdras', 'Esd'], chapters: 9 },
+  { id: 'PrMan', name: 'Prayer of Manasseh', testament: 'OT', genre: 'wisdom', aliases: ['Prayer of Manasses', 'PrMan', 'Pr Man'], verses: [15] },
+  { id: 'AddPs', name: 'Psalm 151', testament: 'OT', genre: 'wisdom', aliases: ['AddPs'], verses: [7] }
+].map(book => ({ ...book, deuterocanonical: true }));
+
+export const BOOKS = [...PROTESTANT_BOOKS, ...DEUTEROCANONICAL_BOOKS].map(book => ({
+  ...book,
+  chapters: book.verses ? book.verses.length : book.chapters,
+  verses: book.verses || null
+}));
+
+const BOOKS_BY_ID = new Map(BOOKS.map(book => [book.id, book]));
+
+// Entry from BOOKS for an OSIS id
+export const getBook = (id) => BOOKS_BY_ID.get(id) || null;
+
+const PROTESTANT_ORDER = PROTESTANT_BOOKS.map(book => book.id);
+const NEW_TESTAMENT = PROTESTANT_BOOKS.filter(book => book.testament === 'NT').map(book => book.id);
+const oldTestamentIds = (ids) => ids.split(' ');
+
+// Book order of each canon. The Catholic Old Testament follows the order of
+// the New American Bible; the Orthodox one follows the Septuagint as printed in
+// Greek Orthodox Bibles (4 Maccabees, printed as an appendix, is left out).
+export const CANONS = {
+  protestant: {
+    name: 'Protestant',
+    books: PROTESTANT_ORDER
+  },
+  catholic: {
+    name: 'Catholic',
+    books: [
+      ...oldTestamentIds('Gen Exod Lev Num Deut Josh Judg Ruth 1Sam 2Sam 1Kgs 2Kgs 1Chr 2Chr Ezra Neh Tob Jdt Esth AddEsth 1Macc 2Macc ' +
+        'Job Ps Prov Eccl Song Wis Sir Isa Jer Lam Bar EpJer Ezek Dan PrAzar Sus Bel ' +
+        'Hos Joel Amos Obad Jonah Mic Nah Hab Zeph Hag Zech Mal'),
+      ...NEW_TESTAMENT
+    ]
+  },
+  orthodox: {
+    name: 'Orthodox',
+    books: [
+      ...oldTestamentIds('Gen Exod Lev Num Deut Josh Judg Ruth 1Sam 2Sam 1Kgs 2Kgs 1Chr 2Chr 1Esd Ezra Neh Tob Jdt Esth AddEsth 1Macc 2Macc 3Macc ' +
+        'Ps AddPs PrMan Job Prov Eccl Song Wis Sir ' +
+        'Hos Amos Mic Joel Obad Jonah Nah Hab Zeph Hag Zech Mal Isa Jer Bar Lam EpJer Ezek Dan PrAzar Sus Bel'),
+      ...NEW_TESTAMENT
+    ]
+  }
+};
+
+export const DEFAULT_CANON = 'protestant';
+
+/**
+ * Books of a canon in order.
+ * @param {string} [canon='protestant'] - Key of CANONS
+ * @returns {Object[]} - Entries from BOOKS
+ * @throws {Error} - For an unknown canon
+ */
+export const canonBooks = (canon = DEFAULT_CANON) => {
+  if (!CANONS[canon]) {
+    throw new Error(`Unknown canon "${canon}"`);
+  }
+  return CANONS[canon].books.map(getBook);
+};
+
+/**
+ * Number of verses in a chapter.
+ * @param {Object} book - Entry from BOOKS
+ * @param {number} chapter
+ * @returns {number|null} - Null if the chapter does not exist or its verses are not known
+ */
+export const verseCount = (book, chapter) => (book.verses ? book.verses[chapter - 1] || null : null);
@@ -0,0 +1,32 @@
+// Numbered citations in answers grounded in retrieved passages. The server
+// numbers the passages it gives the model (1, 2, ...) and the model cites
+// them after the sentences they support: "[1]", "[2, 3]".
+
+const MARKER = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+/**
+ * Find the citation markers in a text.
+ * @param {string} text
+ * @returns {Object[]} - [{ index, length, text, numbers }] in order
+ */
+export const findCitations = (text) => [...String(text || '').matchAll(MARKER)].map(match => ({
+  index: match.index,
+  length: match[0].length,
+  text: match[0],
+  numbers: match[1].split(',').map(number => Number(number.trim()))
+}));
+
+/**
+ * Replace citation markers with the references they stand for:
+ * "[1, 2]" -> "(John 3:16; Romans 5:8)". Markers that match no source are removed.
+ * @param {string} text
+ * @param {Object[]} sources - [{ id, reference }]
+ * @returns {string}
+ */
+export const resolveCitations = (text, sources = []) => String(text || '').replace(MARKER, (marker, list) => {
+  const references = list.split(',')
+    .map(number => sources.find(source => source.id === Number(number.trim())))
+    .filter(Boolean)
+    .map(source => source.reference);
+  return references.length ? `(${[...new Set(references)].join('; ')})` : '';
+});
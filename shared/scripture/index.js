@@ -0,0 +1,22 @@
+// Scripture helpers shared by the client and the server. The server loads
+// these ES modules with require(), which needs Node.js 20.19 or later.
+export {
+  TESTAMENTS,
+  GENRES,
+  CANONS,
+  DEFAULT_CANON,
+  canonBooks,
+  verseCount
+} from './canon.js';
+export { BOOKS, findBook, getBook } from './books.js';
+export {
+  chapterContext,
+  checkReference,
+  parseReference,
+  findReferences,
+  findReferenceProblems,
+  formatRange,
+  formatReference,
+  rangeOsis
+} from './references.js';
+export { findCitations, resolveCitations } from './citations.js';
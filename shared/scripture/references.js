@@ -0,0 +1,379 @@
+// Scripture reference parsing, shared by the client and the server.
+//
+// A reference is one or more ranges, each within one book:
+//   { book: 'John', start: { chapter: 3, verse: 16 }, end: { chapter: 3, verse: 18 } }
+// A null verse means the whole chapter ("Romans 8", "Genesis 1-2").
+//
+// Accepted forms include "John 3:16", "Jn 3.16", "John 3:16-18",
+// "John 3:16–4:2", "Genesis 1-2", "John 3:16, 18; 4:1", "John 3 vv. 16-18",
+// "1 Cor 13", "Pss 23; 24" and "Jude 3" (single-chapter books take a verse).
+// Chapter and verse numbers are checked against the canon, so "Genesis 51:3"
+// is rejected.
+import { BOOKS, findBook, getBook, bookNames } from './books.js';
+import { verseCount } from './canon.js';
+
+// Two-letter abbreviations that are also English words, or too rare to be
+// worth the false positives, are only accepted in explicit references, not
+// when scanning prose.
+const PROSE_SHORT_NAMES = new Set(['gn', 'ex', 'lv', 'nm', 'dt', 'jg', 'ps', 'pr', 'jr', 'dn', 'mt', 'mk', 'lk', 'jn', 'rm', 'jm']);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const namePattern = (name) => name.split(' ').map(escapeRegExp).join('\\s+');
+const byLength = (a, b) => b.length - a.length;
+
+const proseNames = (book) => bookNames(book).filter(name => name.length > 2 || PROSE_SHORT_NAMES.has(name.toLowerCase()));
+
+const NUMBER_PREFIX = '(?:[123]\\s*|(?:III|II|I|1st|2nd|3rd|First|Second|Third)\\s+)';
+const NUMBERED_NAMES = [...new Set(BOOKS.filter(book => book.number).flatMap(proseNames))].sort(byLength);
+const PLAIN_NAMES = [...new Set(BOOKS.filter(book => !book.number).flatMap(proseNames))].sort(byLength);
+
+// A book name in prose; group 1 is the name without its number
+const BOOK_IN_PROSE = new RegExp(
+  `\\b(?:${NUMBER_PREFIX}(${NUMBERED_NAMES.map(namePattern).join('|')})|(${PLAIN_NAMES.map(namePattern).join('|')}))\\b\\.?`,
+  'gi'
+);
+
+// A numbered book starting at the current position ("2 Peter"), which ends a
+// list such as "John 3:16; 2 Peter 1:3" rather than continuing it
+const NUMBERED_BOOK_AHEAD = new RegExp(`^${NUMBER_PREFIX}(?:${NUMBERED_NAMES.map(namePattern).join('|')})\\b`, 'i');
+
+const TOKENS = {
+  space: /\s*/y,
+  number: /\d+/y,
+  chapterVerse: /[:.](?=\d)/y,
+  verseMarker: /,?\s*vv?\.\s*/y,
+  dash: /\s*[-–—]\s*/y,
+  comma: /\s*,\s*/y,
+  semicolon: /\s*;\s*/y
+};
+
+// Match a token at `position`, returning its text or null
+const take = (text, position, token) => {
+  const pattern = TOKENS[token];
+  pattern.lastIndex = position;
+  const match = pattern.exec(text);
+  return match ? match[0] : null;
+};
+
+/**
+ * Read chapters and verses for one book starting at `position`, e.g. the
+ * "3:16-18, 20; 4:1" of "John 3:16-18, 20; 4:1".
+ * @param {Object} [options]
+ * @param {boolean} [options.stopAtInvalid] - End the list before an impossible item
+ *   instead of including it, so "Romans 8, 28 verses later" still finds Romans 8
+ * @returns {Object|null} - { ranges, end } where end is the index after the last character read
+ */
+const readRanges = (text, position, book, { stopAtInvalid = false } = {}) => {
+  const singleChapter = book.chapters === 1;
+  const ranges = [];
+  let at = position;
+  let end = position; // after the last item read, before any separator
+  let chapter = null;
+  let separator = null; // what came before the current item: null, ',' or ';'
+
+  for (;;) {
+    let item = at;
+    const verseMarker = take(text, item, 'verseMarker');
+    if (verseMarker !== null) item += verseMarker.length;
+
+    const first = take(text, item, 'number');
+    if (first === null) break;
+    item += first.length;
+
+    let start;
+    const colon = take(text, item, 'chapterVerse');
+    const verseAfterColon = colon !== null ? take(text, item + colon.length, 'number') : null;
+    if (verseAfterColon !== null) {
+      start = { chapter: Number(first), verse: Number(verseAfterColon) };
+      item += colon.length + verseAfterColon.length;
+    } else if (verseMarker !== null && chapter !== null) {
+      // "John 3 vv. 16-18", "John 3:16, v. 18"
+      start = { chapter, verse: Number(first) };
+    } else if (singleChapter && ranges.length === 0 && verseMarker === null) {
+      // "Jude 3"
+      start = { chapter: 1, verse: Number(first) };
+    } else if (separator === ',' && ranges.length > 0 && ranges[ranges.length - 1].end.verse !== null) {
+      // "John 3:16, 18"
+      start = { chapter: ranges[ranges.length - 1].end.chapter, verse: Number(first) };
+    } else {
+      start = { chapter: Number(first), verse: null };
+    }
+
+    // "John 3 vv. 16" after a chapter-only item
+    if (start.verse === null) {
+      const marker = take(text, item, 'verseMarker');
+      const markedVerse = marker !== null ? take(text, item + marker.length, 'number') : null;
+      if (markedVerse !== null) {
+        start = { chapter: start.chapter, verse: Number(markedVerse) };
+        item += marker.length + markedVerse.length;
+      }
+    }
+
+    let last = { ...start };
+    const dash = take(text, item, 'dash');
+    const endFirst = dash !== null ? take(text, item + dash.length, 'number') : null;
+    if (endFirst !== null) {
+      item += dash.length + endFirst.length;
+      const endColon = take(text, item, 'chapterVerse');
+      const endVerse = endColon !== null ? take(text, item + endColon.length, 'number') : null;
+      if (endVerse !== null) {
+        // "John 3:16-4:2", "Genesis 1-2:3"
+        last = { chapter: Number(endFirst), verse: Number(endVerse) };
+        item += endColon.length + endVerse.length;
+        if (start.verse === null) start = { ...start, verse: 1 };
+      } else if (start.verse !== null) {
+        last = { chapter: start.chapter, verse: Number(endFirst) };
+      } else {
+        last = { chapter: Number(endFirst), verse: null };
+      }
+    }
+
+    const range = { book: book.id, start, end: last };
+    if (stopAtInvalid && ranges.length > 0 && rangeProblem(range)) break;
+    ranges.push(range);
+    chapter = last.chapter;
+    at = item;
+    end = item;
+
+    // Continue with ", 18" or "; 4:1", but not into "; 2 Peter 1:3"
+    const comma = take(text, at, 'comma');
+    const semicolon = comma === null ? take(text, at, 'semicolon') : null;
+    const next = comma !== null ? comma : semicolon;
+    if (next === null) break;
+    const rest = text.slice(at + next.length);
+    if (!/^(?:vv?\.\s*)?\d/.test(rest) || NUMBERED_BOOK_AHEAD.test(rest)) break;
+    separator = comma !== null ? ',' : ';';
+    at += next.length;
+  }
+
+  return ranges.length > 0 ? { ranges, end } : null;
+};
+
+const compareVerses = (a, b) => a.chapter - b.chapter || (a.verse || 0) - (b.verse || 0);
+
+// Reason a range is impossible, or null if it exists
+const rangeProblem = ({ book: id, start, end }) => {
+  const book = getBook(id);
+  const { chapters } = book;
+
+  for (const point of [start, end]) {
+    if (point.chapter < 1 || point.chapter > chapters) {
+      return chapters === 1
+        ? `${book.name} has only one chapter`
+        : `${book.name} has ${chapters} chapters`;
+    }
+    const verses = verseCount(book, point.chapter);
+    if (point.verse !== null && (point.verse < 1 || (verses !== null && point.verse > verses))) {
+      return chapters === 1
+        ? `${book.name} has ${verses} verses`
+        : `${book.name} ${point.chapter} has ${verses} verses`;
+    }
+  }
+  if (compareVerses(end, start) < 0) {
+    return `${formatRange({ book: id, start, end })} ends before it starts`;
+  }
+  return null;
+};
+
+const osisPoint = (book, { chapter, verse }) => (verse === null ? `${book}.${chapter}` : `${book}.${chapter}.${verse}`);
+
+/**
+ * OSIS id of a range: "John.3.16", "John.3.16-John.3.18", "Gen.1-Gen.2"
+ * @param {Object} range
+ * @returns {string}
+ */
+export const rangeOsis = ({ book, start, end }) => {
+  const from = osisPoint(book, start);
+  const to = osisPoint(book, end);
+  return from === to ? from : `${from}-${to}`;
+};
+
+// "Psalm 23" for a single psalm, "Psalms 23-24" for several
+const bookLabel = (book, { start, end }) => (book.singular && start.chapter === end.chapter ? book.singular : book.name);
+
+const pointLabel = (book, { chapter, verse }) => {
+  if (verse === null) return `${chapter}`;
+  return book.chapters === 1 ? `${verse}` : `${chapter}:${verse}`;
+};
+
+// "3:16-18", "3:16-4:2", "1-2" or "16" for one range, without the book name
+const rangeLabel = (book, { start, end }) => {
+  const from = pointLabel(book, start);
+  if (compareVerses(start, end) === 0) return from;
+  if (start.verse !== null && start.chapter === end.chapter) return `${from}-${end.verse}`;
+  return `${from}-${pointLabel(book, end)}`;
+};
+
+/**
+ * Display form of a range: "John 3:16-18", "Genesis 1-2", "Jude 3"
+ * @param {Object} range
+ * @returns {string}
+ */
+export const formatRange = (range) => {
+  const book = getBook(range.book);
+  return `${bookLabel(book, range)} ${rangeLabel(book, range)}`;
+};
+
+/**
+ * Display form of a list of ranges, grouping verses of the same chapter and
+ * chapters of the same book: "John 3:16-18, 20; 4:1; Romans 8:28"
+ * @param {Object[]} ranges
+ * @returns {string}
+ */
+export const formatReference = (ranges) => {
+  let label = '';
+  ranges.forEach((range, i) => {
+    const previous = ranges[i - 1];
+    const book = getBook(range.book);
+    if (!previous || previous.book !== range.book) {
+      const following = ranges.slice(i).findIndex(other => other.book !== range.book);
+      const lastInBook = ranges[following === -1 ? ranges.length - 1 : i + following - 1];
+      const name = bookLabel(book, { start: range.start, end: lastInBook.end });
+      label += `${previous ? '; ' : ''}${name} ${rangeLabel(book, range)}`;
+    } else if (previous.end.verse !== null && range.start.verse !== null && previous.end.chapter === range.start.chapter) {
+      // Same chapter: ", 20" or ", 20-4:2"
+      label += `, ${rangeLabel(book, range).replace(/^\d+:/, '')}`;
+    } else {
+      label += `; ${rangeLabel(book, range)}`;
+    }
+  });
+  return label;
+};
+
+/**
+ * Whole chapters around a reference, for reading a passage in context:
+ * "John 3:16-18" becomes "John 3", "Romans 8:28; 9:1" becomes "Romans 8-9".
+ * @param {Object[]} ranges - From a parsed reference
+ * @returns {string} - Label of the chapters, the same as the reference's when it already is whole chapters
+ */
+export const chapterContext = (ranges) => {
+  const chapters = [];
+  for (const { book, start, end } of ranges) {
+    const previous = chapters[chapters.length - 1];
+    if (previous && previous.book === book && start.chapter <= previous.end.chapter + 1) {
+      previous.end.chapter = Math.max(previous.end.chapter, end.chapter);
+    } else {
+      chapters.push({ book, start: { chapter: start.chapter, verse: null }, end: { chapter: end.chapter, verse: null } });
+    }
+  }
+  // A single-chapter book is read by verse: "Jude 1" means its first verse
+  return formatReference(chapters.map((range) => {
+    const book = getBook(range.book);
+    if (book.chapters !== 1) return range;
+    return { ...range, start: { chapter: 1, verse: 1 }, end: { chapter: 1, verse: verseCount(book, 1) } };
+  }));
+};
+
+// Reference object for ranges that have already been checked
+const toReference = (ranges) => ({
+  ranges,
+  osis: ranges.map(rangeOsis).join(','),
+  label: formatReference(ranges)
+});
+
+/**
+ * Parse a reference typed or chosen by a user, or sent by the model.
+ * @param {string} text - e.g. "John 3:16-18" or "Gen 1; Rom 8:28"
+ * @returns {Object} - { reference: { ranges, osis, label } }, or { error } explaining why it was
+ *   rejected, with `missing: true` when it reads fine but names verses that do not exist
+ */
+export const checkReference = (text) => {
+  const input = String(text || '').trim().replace(/[.,;]+$/, '');
+  const ranges = [];
+  let at = 0;
+
+  while (at < input.length) {
+    // Everything up to the chapter number is the book name: "1 Cor", "Song of Songs"
+    const bookMatch = /^((?:[123]\s*)?[^\d;,]+?)\.?\s*(?=\d)/.exec(input.slice(at));
+    const book = bookMatch && findBook(bookMatch[1]);
+    if (!book) {
+      return { error: bookMatch ? `Unknown book "${bookMatch[1].trim()}"` : `"${input}" is not a Bible reference` };
+    }
+
+    const read = readRanges(input, at + bookMatch[0].length, book);
+    if (!read) {
+      return { error: `"${input}" is not a Bible reference` };
+    }
+    ranges.push(...read.ranges);
+    at = read.end;
+
+    // Another book may follow: "John 3:16; Romans 8:28"
+    const separator = /^\s*[;,]\s*/.exec(input.slice(at));
+    if (at < input.length && !separator) {
+      return { error: `"${input}" is not a Bible reference` };
+    }
+    if (separator) at += separator[0].length;
+  }
+
+  if (ranges.length === 0) {
+    return { error: `"${input}" is not a Bible reference` };
+  }
+  for (const range of ranges) {
+    const problem = rangeProblem(range);
+    if (problem) return { error: problem, missing: true };
+  }
+  return { reference: toReference(ranges) };
+};
+
+/**
+ * Parse a reference, returning null instead of a reason when it is invalid.
+ * @param {string} text
+ * @returns {Object|null} - { ranges, osis, label }
+ */
+export const parseReference = (text) => checkReference(text).reference || null;
+
+// Every book name followed by chapters and verses in prose, valid or not:
+// [{ index, length, text, ranges, problem }] where problem is null if the
+// reference exists. Only the first range can have a problem, because lists
+// stop before an impossible item.
+const scanReferences = (text) => {
+  if (!text || typeof text !== 'string') return [];
+  const found = [];
+  BOOK_IN_PROSE.lastIndex = 0;
+
+  let match;
+  while ((match = BOOK_IN_PROSE.exec(text)) !== null) {
+    const name = match[1] || match[2];
+    const book = findBook(match[0]);
+    const space = take(text, BOOK_IN_PROSE.lastIndex, 'space');
+    const read = book && /^[A-Z]/.test(name) && space.length <= 1
+      ? readRanges(text, BOOK_IN_PROSE.lastIndex + space.length, book, { stopAtInvalid: true })
+      : null;
+    if (!read) continue;
+
+    found.push({
+      index: match.index,
+      length: read.end - match.index,
+      text: text.slice(match.index, read.end),
+      ranges: read.ranges,
+      problem: rangeProblem(read.ranges[0])
+    });
+    BOOK_IN_PROSE.lastIndex = read.end;
+  }
+
+  return found;
+};
+
+/**
+ * Find every valid scripture reference in prose. Book names must be
+ * capitalised, so "Chapter 3" or "day 5" never match.
+ * @param {string} text
+ * @returns {Object[]} - [{ index, length, text, reference: { ranges, osis, label } }] in order
+ */
+export const findReferences = (text) => {
+  return scanReferences(text)
+    .filter(found => !found.problem)
+    .map(({ index, length, text: matched, ranges }) => ({ index, length, text: matched, reference: toReference(ranges) }));
+};
+
+/**
+ * Find references in prose that name chapters or verses that do not exist,
+ * such as "Genesis 51:3" or "John 3:99".
+ * @param {string} text
+ * @returns {Object[]} - [{ index, length, text, problem }] in order
+ */
+export const findReferenceProblems = (text) => {
+  return scanReferences(text)
+    .filter(found => found.problem)
+    .map(({ index, length, text: matched, problem }) => ({ index, length, text: matched, problem }));
+};
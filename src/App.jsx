@@ -13,6 +13,9 @@ import ImagesView from './pages/tools/ImagesView';
 import CharacterStudyView from './pages/tools/CharacterStudyView';
 import PersonalStudyView from './pages/tools/PersonalStudyView';
 import ThemeThreadView from './pages/tools/ThemeThreadView';
+import ConcordanceView from './pages/tools/ConcordanceView';
+import WordStudyView from './pages/tools/WordStudyView';
+import AdminUsage from './pages/AdminUsage';
 const App = () => {
   return (
     <Router>
@@ -85,6 +88,30 @@ const App = () => {
               </PrivateRoute>
             } 
           />
+          <Route 
+            path="/tools/concordance" 
+            element={
+              <PrivateRoute>
+                <ConcordanceView />
+              </PrivateRoute>
+            } 
+          />
+          <Route 
+            path="/tools/word-study" 
+            element={
+              <PrivateRoute>
+                <WordStudyView />
+              </PrivateRoute>
+            } 
+          />
+          <Route 
+            path="/admin/usage" 
+            element={
+              <PrivateRoute>
+                <AdminUsage />
+              </PrivateRoute>
+            } 
+          />
         </Routes>
       </AuthProvider>
     </Router>
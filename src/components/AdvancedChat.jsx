@@ -2,35 +2,96 @@ import React, { useState, useEffect, useRef } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import { useAuth } from '../firebase/AuthContext';
-import { db } from '../firebase/config';
-import { collection, addDoc, serverTimestamp, updateDoc, doc, getDoc, getDocs, query, where } from 'firebase/firestore';
+import { serverTimestamp } from 'firebase/firestore';
 import axios from 'axios';
+import api from '../utils/apiClient';
 import BibleVerseModal from './common/BibleVerseModal';
-import { extractVerseReferences, containsVerseReferences } from './common/VerseReferenceParser';
+import { extractVerseReferences, containsVerseReferences, linkVerseReferences } from './common/VerseReferenceParser';
+import { streamCompletion, isAbortError } from '../utils/streamCompletion';
+import { resolveCitations } from '../../shared/scripture';
+import PerspectiveSelect from './common/PerspectiveSelect';
+import { NO_PERSPECTIVE } from '../utils/perspective';
+import ConversationList from './ConversationList';
+import CondensedNotice from './common/CondensedNotice';
+import BranchControls from './common/BranchControls';
+import MessageEditForm from './common/MessageEditForm';
+import {
+  createConversation,
+  isTooLarge,
+  loadConversation,
+  setGeneratedTitle,
+  updateConversation
+} from '../utils/conversations';
+import {
+  EMPTY_TREE,
+  addMessage,
+  branchMessages,
+  findMessage,
+  pathSummary,
+  pathTo,
+  readTree,
+  selectBranch,
+  selectMessage,
+  storedTree,
+  updateMessage
+} from '../utils/branches';
 
 // API base URL - use environment variable if available or default to relative path
 // In Vite, environment variables are accessed via import.meta.env instead of process.env
 const API_BASE_URL = import.meta.env.VITE_API_URL || '';
 
-const AdvancedChat = () => {
+// An answer's text with its numbered citations ([1], [2, 3]) replaced by the
+// references they stand for, which are then linked like any other reference
+const displayContent = (msg) => (msg.sources ? resolveCitations(msg.content, msg.sources) : msg.content);
+
+/**
+ * @param {Object} props
+ * @param {Object} [props.draft] - { text } to place in the input, e.g. a question from the word study tool
+ */
+const AdvancedChat = ({ draft }) => {
   const [input, setInput] = useState('');
-  const [messages, setMessages] = useState([]);
+  // Every message, in branches (src/utils/branches.js); `messages` is the branch on screen
+  const [tree, setTree] = useState(EMPTY_TREE);
+  const [editingId, setEditingId] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [serverStatus, setServerStatus] = useState('checking');
   const [chatTitle, setChatTitle] = useState('');
   const [currentConversationId, setCurrentConversationId] = useState(null);
+  const [perspective, setPerspective] = useState(NO_PERSPECTIVE);
+  const [showHistory, setShowHistory] = useState(false);
+  // Bumped whenever a save changes the saved conversations, so the list reloads
+  const [historyVersion, setHistoryVersion] = useState(0);
   const messagesEndRef = useRef(null);
+  const abortControllerRef = useRef(null);
+  // The open conversation, { id } once it is saved; replaced by another object
+  // when a conversation is opened or started, for saves and titles that finish after
+  const openConversationRef = useRef({ id: null });
+  // The last save, which the next one waits for
+  const saveQueueRef = useRef(Promise.resolve());
   const { currentUser } = useAuth();
+  const messages = pathTo(tree);
+  // Summary of the earliest messages once the branch outgrew the model's context
+  const contextSummary = pathSummary(messages);
   
   // Bible verse modal state
   const [isVerseModalOpen, setIsVerseModalOpen] = useState(false);
   const [selectedVerse, setSelectedVerse] = useState('');
 
+  // Prefill the input with a question handed over by another tool
+  useEffect(() => {
+    if (draft?.text) setInput(draft.text);
+  }, [draft]);
+
   // Auto-scroll to bottom when messages change
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [messages]);
+  }, [tree]);
+
+  // Cancel any in-flight response when leaving the page
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
 
   // Check server health when component mounts
   useEffect(() => {
@@ -84,110 +145,177 @@ const AdvancedChat = () => {
     };
   }, []);
 
-  // Save message to Firestore
-  const saveMessageToFirestore = async (userMessage, assistantMessage) => {
+  // Save the conversation, with all its branches, to Firestore. Saves run one
+  // after another, so answers arriving close together update one document
+  // instead of each creating one, and each goes to the conversation it was
+  // started in (`saved`, from openConversationRef), even if another is open by then.
+  const saveConversationToFirestore = (conversation) => {
+    const saved = openConversationRef.current;
+    saveQueueRef.current = saveQueueRef.current.then(() => writeConversation(saved, conversation));
+    return saveQueueRef.current;
+  };
+
+  const writeConversation = async (saved, conversation) => {
     try {
       if (!currentUser) {
         console.log('User not logged in, cannot save chat history');
         return;
       }
 
-      // Format messages for storing
-      const newMessages = [
-        {
-          role: 'user',
-          content: userMessage.content,
-          timestamp: new Date().toISOString()
-        },
-        {
-          role: 'assistant',
-          content: assistantMessage.content,
-          timestamp: new Date().toISOString()
-        }
-      ];
+      const branches = storedTree(conversation);
+      const messages = branchMessages(branches);
+      // The model and prompt behind the latest answer on screen, as the server reported them
+      const latest = [...messages].reverse().find(message => message.role === 'assistant' && message.model);
+      const model = latest ? latest.model : null;
+      const promptVersion = latest ? latest.promptVersion || null : null;
 
-      // If this is the first message in a new conversation
-      if (!currentConversationId) {
-        // Create a title from the first user message
-        const newTitle = userMessage.content.length > 50 
-          ? userMessage.content.substring(0, 47) + '...' 
-          : userMessage.content;
-        
-        setChatTitle(newTitle);
-        
-        // Create a new conversation document
-        const docRef = await addDoc(collection(db, 'mainBibleTools_advancedChat'), {
+      if (isTooLarge({ messages, branches })) {
+        setError('This conversation is too long to save. Start a new conversation to keep saving your questions.');
+        return;
+      }
+
+      const isOpen = () => openConversationRef.current === saved;
+      // A new conversation, or one deleted since it was opened
+      const create = async (title) => {
+        saved.id = await createConversation({
           userId: currentUser.uid,
           userEmail: currentUser.email,
-          title: newTitle,
+          title,
           createdAt: serverTimestamp(),
           updatedAt: serverTimestamp(),
-          model: 'gpt-4o-mini',
-          messages: newMessages
+          model,
+          promptVersion,
+          messages,
+          branches,
+          perspective
         });
+        if (isOpen()) setCurrentConversationId(saved.id);
+        return saved.id;
+      };
+
+      // If this is the first message in a new conversation
+      if (!saved.id) {
+        // Create a title from the first user message
+        const [firstQuestion, firstAnswer] = messages;
+        const newTitle = firstQuestion.content.length > 50 
+          ? firstQuestion.content.substring(0, 47) + '...' 
+          : firstQuestion.content;
         
-        setCurrentConversationId(docRef.id);
-        console.log('Created new conversation with ID:', docRef.id);
-      } else {
-        // Get the existing conversation document
-        const conversationRef = doc(db, 'mainBibleTools_advancedChat', currentConversationId);
-        const conversationSnap = await getDoc(conversationRef);
+        if (isOpen()) setChatTitle(newTitle);
+        const id = await create(newTitle);
+        console.log('Created new conversation with ID:', id);
+        generateTitle(id, firstQuestion, firstAnswer);
+      } else if (await loadConversation(saved.id)) {
+        // The tree holds every message, so it replaces the saved one
+        await updateConversation(saved.id, {
+          messages,
+          branches,
+          model,
+          promptVersion,
+          perspective,
+          updatedAt: serverTimestamp()
+        });
         
-        if (conversationSnap.exists()) {
-          // Update the existing conversation with new messages
-          const existingData = conversationSnap.data();
-          const updatedMessages = [...(existingData.messages || []), ...newMessages];
-          
-          await updateDoc(conversationRef, {
-            messages: updatedMessages,
-            updatedAt: serverTimestamp()
-          });
-          
-          console.log('Updated conversation:', currentConversationId);
-        } else {
-          console.error('Conversation document not found');
-          // If the conversation was deleted, create a new one
-          const docRef = await addDoc(collection(db, 'mainBibleTools_advancedChat'), {
-            userId: currentUser.uid,
-            userEmail: currentUser.email,
-            title: chatTitle || 'Continued conversation',
-            createdAt: serverTimestamp(),
-            updatedAt: serverTimestamp(),
-            model: 'gpt-4o-mini',
-            messages: [...messages.map(msg => ({
-              role: msg.role,
-              content: msg.content,
-              timestamp: new Date().toISOString()
-            })), ...newMessages]
-          });
-          
-          setCurrentConversationId(docRef.id);
-          console.log('Created replacement conversation with ID:', docRef.id);
-        }
+        console.log('Updated conversation:', saved.id);
+      } else {
+        console.error('Conversation document not found');
+        // If the conversation was deleted, create a new one
+        const id = await create(chatTitle || 'Continued conversation');
+        console.log('Created replacement conversation with ID:', id);
       }
+      setHistoryVersion(version => version + 1);
     } catch (err) {
       console.error('Error saving chat to Firestore:', err);
       // Don't show this error to user as it's not critical to chat function
     }
   };
 
+  // Remember which branch is on screen; only the messages change, so the
+  // conversation keeps its place in the list
+  const saveSelectedBranch = (conversation) => {
+    const saved = openConversationRef.current;
+    saveQueueRef.current = saveQueueRef.current.then(async () => {
+      if (!currentUser || !saved.id) return;
+      try {
+        const branches = storedTree(conversation);
+        await updateConversation(saved.id, {
+          messages: branchMessages(branches),
+          branches
+        });
+      } catch (err) {
+        console.error('Error saving the selected branch:', err);
+      }
+    });
+  };
+
+  // Replace the provisional title of a new conversation (its first question,
+  // shortened) with one generated from the first exchange
+  const generateTitle = async (conversationId, userMessage, assistantMessage) => {
+    try {
+      const { data } = await api.post('/api/chat/title', {
+        messages: [
+          { role: 'user', content: userMessage.content },
+          { role: 'assistant', content: displayContent(assistantMessage) }
+        ]
+      });
+      if (await setGeneratedTitle(conversationId, data.title)) {
+        if (openConversationRef.current.id === conversationId) setChatTitle(data.title);
+        setHistoryVersion(version => version + 1);
+      }
+    } catch (err) {
+      // The provisional title stays
+      console.error('Failed to generate a conversation title:', err);
+    }
+  };
+
+  // Reopen a saved conversation, with its branches, sources and perspective
+  const resumeConversation = async (conversationId) => {
+    if (conversationId === currentConversationId) return;
+    abortControllerRef.current?.abort();
+    try {
+      const conversation = await loadConversation(conversationId);
+      if (!conversation) {
+        setError('That conversation no longer exists');
+        setHistoryVersion(version => version + 1);
+        return;
+      }
+      setError('');
+      setTree(readTree(conversation));
+      setEditingId(null);
+      setChatTitle(conversation.title || '');
+      openConversationRef.current = { id: conversation.id };
+      setCurrentConversationId(conversation.id);
+      if (conversation.perspective) setPerspective({ ...NO_PERSPECTIVE, ...conversation.perspective });
+    } catch (err) {
+      console.error('Failed to load conversation:', err);
+      setError('Could not open that conversation');
+    }
+  };
+
   // Handle verse reference click
   const handleVerseClick = (verseRef) => {
     setSelectedVerse(verseRef);
     setIsVerseModalOpen(true);
   };
 
+  // Stop the response that is currently streaming
+  const handleStop = () => {
+    abortControllerRef.current?.abort();
+  };
+
   // Reset conversation - use when starting a new chat
   const resetConversation = () => {
-    setMessages([]);
+    abortControllerRef.current?.abort();
+    setTree(EMPTY_TREE);
+    setEditingId(null);
     setChatTitle('');
+    openConversationRef.current = { id: null };
     setCurrentConversationId(null);
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    if (!input.trim()) return;
-
+  // Answer the question `questionId` of `conversation`. A question answered
+  // before gets a new answer beside the old one, which stays as another version.
+  const answerQuestion = async (conversation, questionId) => {
     // Don't try to send if server is offline
     if (serverStatus !== 'online') {
       setError('Cannot send message: server is offline');
@@ -196,129 +324,108 @@ const AdvancedChat = () => {
 
     // Reset any previous errors
     setError('');
-    
-    // Add user message to chat
-    const userMessage = { role: 'user', content: input };
-    setMessages(prev => [...prev, userMessage]);
+
+    // Citation numbers only mean something for the answer they came with
+    const path = pathTo(conversation, questionId);
+    const history = path.map(msg => ({ role: msg.role, content: displayContent(msg) }));
+
+    // An empty assistant message fills in as the answer streams
+    let updated = addMessage(conversation, { role: 'assistant', content: '', streaming: true }, questionId);
+    const answerId = updated.leafId;
+    setTree(updated);
     setIsLoading(true);
-    setInput('');
+
+    // Update the streaming answer; a no-op once the chat was reset
+    const updateStreamingMessage = (changes) => {
+      setTree(prev => (findMessage(prev, answerId)?.streaming ? updateMessage(prev, answerId, changes) : prev));
+    };
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
 
     try {
-      console.log('Sending chat request...');
-      const response = await axios.post(`${API_BASE_URL}/api/chat/advanced`, {
-        messages: [...messages, userMessage]
+      console.log('Sending streaming chat request...');
+      const result = await streamCompletion(`${API_BASE_URL}/api/chat/advanced/stream`, {
+        messages: history,
+        perspective,
+        summary: pathSummary(path)
+      }, {
+        signal: controller.signal,
+        onDelta: (delta, contentSoFar) => updateStreamingMessage({ content: contentSoFar })
       });
 
-      console.log('Response received:', response.data);
-      
-      // With axios, response.data is already parsed JSON
-      const assistantMessage = { role: 'assistant', content: response.data.message };
-      setMessages(prev => [...prev, assistantMessage]);
+      const assistantMessage = {
+        content: result.content,
+        sources: result.sources || [],
+        citations: result.citations || [],
+        referenceWarnings: result.referenceWarnings || [],
+        summary: result.context?.summary || null,
+        model: result.model || null,
+        promptVersion: result.promptVersion || null,
+        streaming: false
+      };
+      updateStreamingMessage(assistantMessage);
+      updated = updateMessage(updated, answerId, assistantMessage);
 
-      // Save chat history to Firestore
+      // Save chat history to Firestore only once the full answer has arrived
       if (currentUser) {
-        saveMessageToFirestore(userMessage, assistantMessage);
+        saveConversationToFirestore(updated);
       }
       
     } catch (error) {
-      console.error('Error in chat:', error);
-      setError(error.message || 'An unexpected error occurred');
-      setMessages(prev => [...prev, { 
-        role: 'assistant', 
-        content: 'Sorry, I encountered an error. Please try again later.' 
-      }]);
+      if (isAbortError(error)) {
+        // Keep what arrived so far; it is saved with the next answer, marked
+        // as stopped, and can be regenerated
+        console.log('Chat response stopped by user');
+        updateStreamingMessage({ streaming: false, stopped: true });
+      } else {
+        console.error('Error in chat:', error);
+        setError(error.message || 'An unexpected error occurred');
+        updateStreamingMessage({ 
+          content: 'Sorry, I encountered an error. Please try again later.',
+          streaming: false
+        });
+      }
     } finally {
+      abortControllerRef.current = null;
       setIsLoading(false);
     }
   };
 
-  // Process content to identify all verse references
-  const processContentWithVerseReferences = (content) => {
-    if (!content || typeof content !== 'string') return content;
-    
-    if (!containsVerseReferences(content)) {
-      return content;
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!input.trim()) return;
+
+    // Keep the question in the input while the server is offline
+    if (serverStatus !== 'online') {
+      setError('Cannot send message: server is offline');
+      return;
     }
 
-    const references = extractVerseReferences(content);
-    
-    // Sort references by length (descending) to handle overlapping references
-    const sortedReferences = [...references].sort((a, b) => b.length - a.length);
+    const conversation = addMessage(tree, { role: 'user', content: input });
+    setInput('');
+    answerQuestion(conversation, conversation.leafId);
+  };
 
-    // Store the matches for each reference to avoid double-processing
-    const matches = {};
+  // Send an edited question as a new version of it, in a branch of its own
+  const handleEditSubmit = (id, content) => {
+    setEditingId(null);
+    const conversation = addMessage(tree, { role: 'user', content }, findMessage(tree, id).parentId);
+    answerQuestion(conversation, conversation.leafId);
+  };
 
-    // First identify all references in the content 
-    sortedReferences.forEach(ref => {
-      // Escape special regex characters in the reference
-      const escapedRef = ref.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      
-      // Use more precise regex that requires word boundaries to avoid capturing preceding words
-      // This ensures we match "Genesis 3" but not include words like "in" before it
-      const regex = new RegExp(`(^|\\s|[;:.,>"'])(${escapedRef})\\b`, 'g');
-      
-      // Find all matches in the content
-      let match;
-      matches[ref] = [];
-      while ((match = regex.exec(content)) !== null) {
-        // The actual reference is in the second capturing group
-        const actualRef = match[2];
-        const startIndex = match.index + match[1].length; // Skip the preceding character/space
-        
-        matches[ref].push({
-          index: startIndex,
-          length: actualRef.length,
-          text: actualRef,
-          fullMatch: match[0],
-          beforeText: match[1]
-        });
-      }
-    });
-    
-    // No references found in the actual content
-    if (Object.values(matches).every(arr => arr.length === 0)) {
-      return content;
-    }
-    
-    // Process the content to replace references with clickable spans
-    // We'll build a new string character by character
-    let result = '';
-    let skipTo = 0;
-    
-    for (let i = 0; i < content.length; i++) {
-      // Skip if we've already processed this part
-      if (i < skipTo) continue;
-      
-      // Check if any reference starts at this position
-      let matched = false;
-      
-      for (const ref of sortedReferences) {
-        for (const match of matches[ref]) {
-          if (match.index === i) {
-            // Create a clickable span for this reference
-            const span = `<span class="verse-reference" data-verse="${ref}" onclick="(function(e) { var event = new CustomEvent('verse-click', { detail: { verse: '${ref}' } }); document.dispatchEvent(event); })(event)" style="color: #4f46e5; cursor: pointer; text-decoration: underline; font-weight: 500;">${match.text}</span>`;
-            result += span;
-            
-            // Skip the length of the reference
-            skipTo = i + match.length;
-            matched = true;
-            break;
-          }
-        }
-        if (matched) break;
-      }
-      
-      // If no reference matched at this position, just add the character
-      if (!matched && i >= skipTo) {
-        result += content[i];
-      }
-    }
-    
-    return result;
+  // Answer the question before an answer again
+  const handleRegenerate = (id) => {
+    const questionId = findMessage(tree, id).parentId;
+    answerQuestion(selectMessage(tree, questionId), questionId);
   };
 
-  // Replace the original renderMessageWithClickableVerses with the more robust processor
-  const renderMessageWithClickableVerses = processContentWithVerseReferences;
+  // Show another version of a message, with the latest branch after it
+  const handleSelectVersion = (id) => {
+    const conversation = selectBranch(tree, id);
+    setTree(conversation);
+    saveSelectedBranch(conversation);
+  };
 
   return (
     <div className="w-full h-full flex flex-col bg-white rounded-xl shadow-lg overflow-hidden">
@@ -348,11 +455,22 @@ const AdvancedChat = () => {
         </div>
       )}
       
-      {/* Chat header with reset button */}
-      {messages.length > 0 && (
+      {/* Chat header with the saved conversations toggle and reset button */}
+      {(messages.length > 0 || currentUser) && (
         <div className="px-4 py-2 bg-indigo-50 border-b border-gray-200 flex justify-between items-center">
-          <div className="text-sm text-indigo-800 font-medium truncate">
-            {chatTitle || 'Current conversation'}
+          <div className="flex items-center min-w-0">
+            {currentUser && (
+              <button
+                onClick={() => setShowHistory(shown => !shown)}
+                className="text-xs text-indigo-600 hover:text-indigo-800 bg-white px-2 py-1 mr-3 rounded border border-indigo-200 transition-colors"
+                aria-expanded={showHistory}
+              >
+                {showHistory ? 'Hide conversations' : 'Conversations'}
+              </button>
+            )}
+            <div className="text-sm text-indigo-800 font-medium truncate">
+              {chatTitle || (messages.length > 0 ? 'Current conversation' : 'New conversation')}
+            </div>
           </div>
           <button 
             onClick={resetConversation}
@@ -363,181 +481,246 @@ const AdvancedChat = () => {
         </div>
       )}
       
-      {/* Chat messages area */}
-      <div className="flex-1 p-4 overflow-y-auto bg-gray-50">
-        {messages.length === 0 ? (
-          <div className="flex flex-col items-center justify-center h-full text-center">
-            <div className="text-4xl mb-3">✨</div>
-            <p className="text-gray-500">Welcome to Advanced Bible Chat</p>
-            <p className="text-gray-400 text-sm mt-2">Try asking about theology, Bible history, or scripture analysis</p>
-          </div>
-        ) : (
-          <div className="space-y-4">
-            {messages.map((msg, index) => (
-              <div 
-                key={index} 
-                className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}
-              >
-                <div
-                  className={`max-w-[80%] px-4 py-3 rounded-lg 
-                    ${msg.role === 'user' 
-                      ? 'bg-indigo-600 text-white rounded-br-none' 
-                      : 'bg-blue-100 text-gray-800 rounded-bl-none'}`}
-                >
-                  {msg.role === 'assistant' ? (
-                    <div className="markdown-content">
-                      <ReactMarkdown 
-                        remarkPlugins={[remarkGfm]}
-                        components={{
-                          // Pre-process all text content to add verse reference markup
-                          p: ({node, ...props}) => {
-                            const rawContent = node.children
-                              .map(n => n.type === 'text' ? n.value : '')
-                              .join('');
+      <div className="flex-1 flex min-h-0">
+        {/* Saved conversations */}
+        {currentUser && showHistory && (
+          <aside className="w-64 flex-shrink-0 border-r border-gray-200 bg-white">
+            <ConversationList
+              currentId={currentConversationId}
+              onSelect={resumeConversation}
+              onRenamed={(id, title) => id === currentConversationId && setChatTitle(title)}
+              onDeleted={(id) => id === currentConversationId && resetConversation()}
+              refreshKey={historyVersion}
+            />
+          </aside>
+        )}
+
+        <div className="flex-1 flex flex-col min-w-0">
+          {/* Chat messages area */}
+          <div className="flex-1 p-4 overflow-y-auto bg-gray-50">
+            {messages.length === 0 ? (
+              <div className="flex flex-col items-center justify-center h-full text-center">
+                <div className="text-4xl mb-3">✨</div>
+                <p className="text-gray-500">Welcome to Advanced Bible Chat</p>
+                <p className="text-gray-400 text-sm mt-2">Try asking about theology, Bible history, or scripture analysis</p>
+              </div>
+            ) : (
+              <div className="space-y-4">
+                {messages.map((msg, index) => (
+                  <React.Fragment key={msg.id}>
+                    {contextSummary && index === contextSummary.covers && <CondensedNotice summary={contextSummary} />}
+                    <div 
+                      className={`flex flex-col ${msg.role === 'user' ? 'items-end' : 'items-start'}`}
+                    >
+                      <div
+                        className={`max-w-[80%] px-4 py-3 rounded-lg 
+                          ${msg.role === 'user' 
+                            ? 'bg-indigo-600 text-white rounded-br-none' 
+                            : 'bg-blue-100 text-gray-800 rounded-bl-none'}`}
+                      >
+                        {msg.role === 'assistant' && msg.streaming && !msg.content ? (
+                          <div className="flex space-x-2 py-1">
+                            <div className="h-2 w-2 bg-indigo-500 rounded-full animate-bounce"></div>
+                            <div className="h-2 w-2 bg-indigo-500 rounded-full animate-bounce delay-75"></div>
+                            <div className="h-2 w-2 bg-indigo-500 rounded-full animate-bounce delay-150"></div>
+                          </div>
+                        ) : msg.role === 'assistant' ? (
+                          <div className="markdown-content">
+                            <ReactMarkdown 
+                              remarkPlugins={[remarkGfm]}
+                              components={{
+                                // Pre-process all text content to add verse reference markup
+                                p: ({node, ...props}) => {
+                                  const rawContent = node.children
+                                    .map(n => n.type === 'text' ? n.value : '')
+                                    .join('');
                             
-                            const processedContent = renderMessageWithClickableVerses(rawContent);
-                            return <p dangerouslySetInnerHTML={{ __html: processedContent }} />;
-                          },
-                          li: ({node, ...props}) => {
-                            const rawContent = node.children
-                              .map(n => {
-                                if (n.type === 'text') return n.value;
-                                if (n.children) {
-                                  return n.children.map(child => child.type === 'text' ? child.value : '').join('');
-                                }
-                                return '';
-                              })
-                              .join('');
+                                  const processedContent = linkVerseReferences(rawContent);
+                                  return <p dangerouslySetInnerHTML={{ __html: processedContent }} />;
+                                },
+                                li: ({node, ...props}) => {
+                                  const rawContent = node.children
+                                    .map(n => {
+                                      if (n.type === 'text') return n.value;
+                                      if (n.children) {
+                                        return n.children.map(child => child.type === 'text' ? child.value : '').join('');
+                                      }
+                                      return '';
+                                    })
+                                    .join('');
                             
-                            const processedContent = renderMessageWithClickableVerses(rawContent);
-                            return <li dangerouslySetInnerHTML={{ __html: processedContent }} />;
-                          },
-                          a: ({node, href, children, ...props}) => {
-                            // Check if children or href contain verse references
-                            const rawContent = typeof children === 'string' 
-                              ? children 
-                              : Array.isArray(children) 
-                                ? children.map(child => typeof child === 'string' ? child : '').join('')
-                                : '';
+                                  const processedContent = linkVerseReferences(rawContent);
+                                  return <li dangerouslySetInnerHTML={{ __html: processedContent }} />;
+                                },
+                                a: ({node, href, children, ...props}) => {
+                                  // Check if children or href contain verse references
+                                  const rawContent = typeof children === 'string' 
+                                    ? children 
+                                    : Array.isArray(children) 
+                                      ? children.map(child => typeof child === 'string' ? child : '').join('')
+                                      : '';
                             
-                            // Process either the content or href for verse references
-                            const hasReferences = containsVerseReferences(rawContent) || containsVerseReferences(href);
+                                  // Process either the content or href for verse references
+                                  const hasReferences = containsVerseReferences(rawContent) || containsVerseReferences(href);
                             
-                            if (hasReferences) {
-                              const processedContent = renderMessageWithClickableVerses(rawContent || href);
-                              return <span dangerouslySetInnerHTML={{ __html: processedContent }} />;
-                            }
+                                  if (hasReferences) {
+                                    const processedContent = linkVerseReferences(rawContent || href);
+                                    return <span dangerouslySetInnerHTML={{ __html: processedContent }} />;
+                                  }
                             
-                            // Special case for hrefs that are verse references
-                            if (href && containsVerseReferences(href)) {
-                              const verseRef = extractVerseReferences(href)[0];
-                              return (
-                                <a 
-                                  href="#"
-                                  onClick={(e) => {
-                                    e.preventDefault();
-                                    handleVerseClick(verseRef);
-                                  }}
-                                  className="verse-reference"
-                                  data-verse={verseRef}
-                                >
-                                  {children}
-                                </a>
-                              );
-                            }
+                                  // Special case for hrefs that are verse references
+                                  if (href && containsVerseReferences(href)) {
+                                    const verseRef = extractVerseReferences(href)[0];
+                                    return (
+                                      <a 
+                                        href="#"
+                                        onClick={(e) => {
+                                          e.preventDefault();
+                                          handleVerseClick(verseRef);
+                                        }}
+                                        className="verse-reference"
+                                        data-verse={verseRef}
+                                      >
+                                        {children}
+                                      </a>
+                                    );
+                                  }
                             
-                            return <a href={href} {...props}>{children}</a>;
-                          },
-                          strong: ({node, children, ...props}) => {
-                            const rawContent = typeof children === 'string' 
-                              ? children 
-                              : Array.isArray(children) 
-                                ? children.map(child => typeof child === 'string' ? child : '').join('')
-                                : '';
+                                  return <a href={href} {...props}>{children}</a>;
+                                },
+                                strong: ({node, children, ...props}) => {
+                                  const rawContent = typeof children === 'string' 
+                                    ? children 
+                                    : Array.isArray(children) 
+                                      ? children.map(child => typeof child === 'string' ? child : '').join('')
+                                      : '';
                             
-                            if (containsVerseReferences(rawContent)) {
-                              const processedContent = renderMessageWithClickableVerses(rawContent);
-                              return <strong dangerouslySetInnerHTML={{ __html: processedContent }} />;
-                            }
-                            return <strong {...props}>{children}</strong>;
-                          },
-                          em: ({node, children, ...props}) => {
-                            const rawContent = typeof children === 'string' 
-                              ? children 
-                              : Array.isArray(children) 
-                                ? children.map(child => typeof child === 'string' ? child : '').join('')
-                                : '';
+                                  if (containsVerseReferences(rawContent)) {
+                                    const processedContent = linkVerseReferences(rawContent);
+                                    return <strong dangerouslySetInnerHTML={{ __html: processedContent }} />;
+                                  }
+                                  return <strong {...props}>{children}</strong>;
+                                },
+                                em: ({node, children, ...props}) => {
+                                  const rawContent = typeof children === 'string' 
+                                    ? children 
+                                    : Array.isArray(children) 
+                                      ? children.map(child => typeof child === 'string' ? child : '').join('')
+                                      : '';
                             
-                            if (containsVerseReferences(rawContent)) {
-                              const processedContent = renderMessageWithClickableVerses(rawContent);
-                              return <em dangerouslySetInnerHTML={{ __html: processedContent }} />;
-                            }
-                            return <em {...props}>{children}</em>;
-                          },
-                          // Process all text nodes for verse references
-                          text: ({node, ...props}) => {
-                            const rawContent = node.value;
-                            if (containsVerseReferences(rawContent)) {
-                              const processedContent = renderMessageWithClickableVerses(rawContent);
-                              return <span dangerouslySetInnerHTML={{ __html: processedContent }} />;
-                            }
-                            return <span {...props} />;
-                          }
-                        }}
-                      >
-                        {msg.content}
-                      </ReactMarkdown>
+                                  if (containsVerseReferences(rawContent)) {
+                                    const processedContent = linkVerseReferences(rawContent);
+                                    return <em dangerouslySetInnerHTML={{ __html: processedContent }} />;
+                                  }
+                                  return <em {...props}>{children}</em>;
+                                },
+                                // Process all text nodes for verse references
+                                text: ({node, ...props}) => {
+                                  const rawContent = node.value;
+                                  if (containsVerseReferences(rawContent)) {
+                                    const processedContent = linkVerseReferences(rawContent);
+                                    return <span dangerouslySetInnerHTML={{ __html: processedContent }} />;
+                                  }
+                                  return <span {...props} />;
+                                }
+                              }}
+                            >
+                              {displayContent(msg)}
+                            </ReactMarkdown>
+                            {msg.sources?.length > 0 && (
+                              <div className="mt-3 pt-2 border-t border-blue-200">
+                                <p className="text-xs text-gray-500 mb-1">Passages consulted</p>
+                                <div className="flex flex-wrap gap-1">
+                                  {msg.sources.map(source => {
+                                    const isCited = msg.citations?.some(citation => citation.id === source.id);
+                                    return (
+                                      <button
+                                        key={source.id}
+                                        onClick={() => handleVerseClick(source.reference)}
+                                        title={source.text}
+                                        className={`text-xs px-2 py-0.5 rounded-full border transition-colors ${isCited
+                                          ? 'bg-indigo-600 border-indigo-600 text-white hover:bg-indigo-700'
+                                          : 'bg-white border-indigo-200 text-indigo-700 hover:bg-indigo-50'}`}
+                                      >
+                                        {source.reference}
+                                      </button>
+                                    );
+                                  })}
+                                </div>
+                              </div>
+                            )}
+                            {msg.referenceWarnings?.length > 0 && (
+                              <p className="text-xs text-amber-700 mt-2">
+                                Check these references, which name verses that do not exist:{' '}
+                                {msg.referenceWarnings.map(warning => warning.reference).join(', ')}
+                              </p>
+                            )}
+                            {msg.stopped && (
+                              <p className="text-xs text-gray-500 italic mt-2">Response stopped</p>
+                            )}
+                          </div>
+                        ) : editingId === msg.id ? (
+                          <MessageEditForm
+                            initialValue={msg.content}
+                            onSubmit={(content) => handleEditSubmit(msg.id, content)}
+                            onCancel={() => setEditingId(null)}
+                          />
+                        ) : (
+                          msg.content
+                        )}
+                      </div>
+                      {!msg.streaming && editingId !== msg.id && (
+                        <BranchControls
+                          tree={tree}
+                          id={msg.id}
+                          onSelect={handleSelectVersion}
+                          onEdit={msg.role === 'user' ? () => setEditingId(msg.id) : undefined}
+                          onRegenerate={msg.role === 'assistant' ? () => handleRegenerate(msg.id) : undefined}
+                          disabled={isLoading}
+                        />
+                      )}
                     </div>
-                  ) : (
-                    msg.content
-                  )}
-                </div>
-              </div>
-            ))}
-            {isLoading && (
-              <div className="flex justify-start">
-                <div className="bg-blue-100 text-gray-500 rounded-lg px-4 py-3 rounded-bl-none max-w-[80%]">
-                  <div className="flex space-x-2">
-                    <div className="h-2 w-2 bg-indigo-500 rounded-full animate-bounce"></div>
-                    <div className="h-2 w-2 bg-indigo-500 rounded-full animate-bounce delay-75"></div>
-                    <div className="h-2 w-2 bg-indigo-500 rounded-full animate-bounce delay-150"></div>
-                  </div>
-                </div>
+                  </React.Fragment>
+                ))}
+                <div ref={messagesEndRef} />
               </div>
             )}
-            <div ref={messagesEndRef} />
           </div>
-        )}
-      </div>
       
-      {/* Input area */}
-      <div className="border-t border-gray-200 p-4 bg-white">
-        <form onSubmit={handleSubmit} className="flex space-x-2">
-          <input
-            type="text"
-            value={input}
-            onChange={(e) => setInput(e.target.value)}
-            className="flex-grow px-4 py-2 border border-gray-300 rounded-full focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
-            placeholder="Ask a more complex Bible question..."
-            disabled={isLoading || serverStatus !== 'online'}
-          />
-          <button
-            type="submit"
-            disabled={isLoading || !input.trim() || serverStatus !== 'online'}
-            className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-full disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
-          >
-            {isLoading ? (
-              <span className="flex items-center space-x-1">
-                <svg className="animate-spin h-4 w-4 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                </svg>
-              </span>
-            ) : (
-              <span>Send</span>
-            )}
-          </button>
-        </form>
+          {/* Input area */}
+          <div className="border-t border-gray-200 p-4 bg-white">
+            <div className="mb-2">
+              <PerspectiveSelect value={perspective} onChange={setPerspective} disabled={isLoading} />
+            </div>
+            <form onSubmit={handleSubmit} className="flex space-x-2">
+              <input
+                type="text"
+                value={input}
+                onChange={(e) => setInput(e.target.value)}
+                className="flex-grow px-4 py-2 border border-gray-300 rounded-full focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                placeholder="Ask a more complex Bible question..."
+                disabled={isLoading || serverStatus !== 'online'}
+              />
+              {isLoading ? (
+                <button
+                  type="button"
+                  onClick={handleStop}
+                  className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-full transition-colors duration-200"
+                >
+                  Stop
+                </button>
+              ) : (
+                <button
+                  type="submit"
+                  disabled={!input.trim() || serverStatus !== 'online'}
+                  className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-full disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+                >
+                  Send
+                </button>
+              )}
+            </form>
+          </div>
+        </div>
       </div>
       
       {/* Bible Verse Modal */}
@@ -1,6 +1,7 @@
 import React, { useState, useRef, useEffect } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
+import { apiFetch } from '../utils/apiClient';
 
 export default function BibleCommentary() {
   const [passageInput, setPassageInput] = useState('');
@@ -71,7 +72,7 @@ export default function BibleCommentary() {
     setError('');
 
     try {
-      const response = await fetch('/api/tools/bible-commentary', {
+      const response = await apiFetch('/api/tools/bible-commentary', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ passage: passageInput })
@@ -79,7 +80,7 @@ export default function BibleCommentary() {
 
       if (!response.ok) {
         const errorData = await response.json();
-        throw new Error(errorData.message || 'Error generating commentary');
+        throw new Error(errorData.error?.message || 'Error generating commentary');
       }
 
       const data = await response.json();
@@ -137,7 +138,7 @@ export default function BibleCommentary() {
     setError('');
 
     try {
-      const response = await fetch('/api/tools/bible-commentary', {
+      const response = await apiFetch('/api/tools/bible-commentary', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ 
@@ -148,7 +149,7 @@ export default function BibleCommentary() {
 
       if (!response.ok) {
         const errorData = await response.json();
-        throw new Error(errorData.message || 'Error processing follow-up question');
+        throw new Error(errorData.error?.message || 'Error processing follow-up question');
       }
 
       const data = await response.json();
@@ -4,6 +4,9 @@ import remarkGfm from 'remark-gfm';
 import { useAuth } from '../firebase/AuthContext';
 import { db } from '../firebase/config';
 import { collection, addDoc, serverTimestamp, updateDoc, doc, getDoc } from 'firebase/firestore';
+import { apiFetch } from '../utils/apiClient';
+import PerspectiveSelect from './common/PerspectiveSelect';
+import { NO_PERSPECTIVE } from '../utils/perspective';
 
 const Chat = () => {
   const [input, setInput] = useState('');
@@ -13,6 +16,7 @@ const Chat = () => {
   const [serverStatus, setServerStatus] = useState('checking');
   const [chatTitle, setChatTitle] = useState('');
   const [currentConversationId, setCurrentConversationId] = useState(null);
+  const [perspective, setPerspective] = useState(NO_PERSPECTIVE);
   const messagesEndRef = useRef(null);
   const { currentUser } = useAuth();
 
@@ -67,9 +71,13 @@ const Chat = () => {
         {
           role: 'assistant',
           content: assistantMessage.content,
+          model: assistantMessage.model,
+          promptVersion: assistantMessage.promptVersion,
           timestamp: new Date().toISOString()
         }
       ];
+      // The model and prompt behind the latest answer, as the server reported them
+      const { model, promptVersion } = assistantMessage;
 
       // If this is the first message in a new conversation
       if (!currentConversationId) {
@@ -87,8 +95,10 @@ const Chat = () => {
           title: newTitle,
           createdAt: serverTimestamp(),
           updatedAt: serverTimestamp(),
-          model: 'gpt-3.5-turbo',
-          messages: newMessages
+          model,
+          promptVersion,
+          messages: newMessages,
+          perspective
         });
         
         setCurrentConversationId(docRef.id);
@@ -105,6 +115,9 @@ const Chat = () => {
           
           await updateDoc(conversationRef, {
             messages: updatedMessages,
+            model,
+            promptVersion,
+            perspective,
             updatedAt: serverTimestamp()
           });
           
@@ -118,12 +131,15 @@ const Chat = () => {
             title: chatTitle || 'Continued conversation',
             createdAt: serverTimestamp(),
             updatedAt: serverTimestamp(),
-            model: 'gpt-3.5-turbo',
+            model,
+            promptVersion,
             messages: [...messages.map(msg => ({
               role: msg.role,
               content: msg.content,
+              ...(msg.model && { model: msg.model, promptVersion: msg.promptVersion }),
               timestamp: new Date().toISOString()
-            })), ...newMessages]
+            })), ...newMessages],
+            perspective
           });
           
           setCurrentConversationId(docRef.id);
@@ -164,13 +180,14 @@ const Chat = () => {
 
     try {
       console.log('Sending chat request...');
-      const response = await fetch('/api/chat', {
+      const response = await apiFetch('/api/chat', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          messages: [...messages, userMessage],
+          messages: [...messages, userMessage].map(({ role, content }) => ({ role, content })),
+          perspective,
         }),
       });
 
@@ -179,12 +196,17 @@ const Chat = () => {
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
         console.error('Error response:', errorData);
-        throw new Error(errorData.message || 'Failed to get response');
+        throw new Error(errorData.error?.message || 'Failed to get response');
       }
 
       const data = await response.json();
       console.log('Received response:', data);
-      const assistantMessage = { role: 'assistant', content: data.message };
+      const assistantMessage = {
+        role: 'assistant',
+        content: data.message,
+        model: data.model || null,
+        promptVersion: data.promptVersion || null
+      };
       setMessages(prev => [...prev, assistantMessage]);
 
       // Save chat history to Firestore
@@ -300,6 +322,9 @@ const Chat = () => {
       
       {/* Input area */}
       <div className="border-t border-gray-200 p-4 bg-white">
+        <div className="mb-2">
+          <PerspectiveSelect value={perspective} onChange={setPerspective} disabled={isLoading} />
+        </div>
         <form onSubmit={handleSubmit} className="flex space-x-2">
           <input
             type="text"
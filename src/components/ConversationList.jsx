@@ -0,0 +1,182 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../firebase/AuthContext';
+import {
+  deleteConversation,
+  listConversations,
+  matchesSearch,
+  pinConversation,
+  renameConversation
+} from '../utils/conversations';
+
+/**
+ * The signed-in user's saved Advanced Chat conversations, with search,
+ * rename, pin and delete. Reloads whenever `refreshKey` changes, such as after
+ * a conversation was saved or given a title.
+ * @param {Object} props
+ * @param {string|null} props.currentId - The open conversation, highlighted
+ * @param {Function} props.onSelect - Called with a conversation's id to resume it
+ * @param {Function} props.onRenamed - Called with (id, title) after a rename
+ * @param {Function} props.onDeleted - Called with a conversation's id after it was deleted
+ * @param {*} [props.refreshKey]
+ */
+const ConversationList = ({ currentId, onSelect, onRenamed, onDeleted, refreshKey }) => {
+  const [conversations, setConversations] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [search, setSearch] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editTitle, setEditTitle] = useState('');
+  const { currentUser } = useAuth();
+
+  useEffect(() => {
+    if (!currentUser) return;
+    let cancelled = false;
+
+    const load = async () => {
+      setIsLoading(true);
+      try {
+        const list = await listConversations(currentUser.uid);
+        if (!cancelled) {
+          setConversations(list);
+          setError('');
+        }
+      } catch (err) {
+        console.error('Failed to load conversations:', err);
+        if (!cancelled) setError('Could not load your conversations');
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUser, refreshKey]);
+
+  const startRename = (conversation) => {
+    setEditingId(conversation.id);
+    setEditTitle(conversation.title || '');
+  };
+
+  const saveRename = async (e) => {
+    e.preventDefault();
+    const id = editingId;
+    const title = editTitle.trim();
+    setEditingId(null);
+    if (!title) return;
+
+    setConversations(prev => prev.map(conversation => (conversation.id === id ? { ...conversation, title } : conversation)));
+    try {
+      await renameConversation(id, title);
+      onRenamed(id, title);
+    } catch (err) {
+      console.error('Failed to rename conversation:', err);
+      setError('Could not rename the conversation');
+    }
+  };
+
+  const togglePin = async (conversation) => {
+    const pinned = !conversation.pinned;
+    setConversations(prev => [...prev.map(other => (other.id === conversation.id ? { ...other, pinned } : other))]
+      .sort((a, b) => Number(Boolean(b.pinned)) - Number(Boolean(a.pinned))));
+    try {
+      await pinConversation(conversation.id, pinned);
+    } catch (err) {
+      console.error('Failed to pin conversation:', err);
+      setError('Could not pin the conversation');
+    }
+  };
+
+  const remove = async (conversation) => {
+    if (!window.confirm(`Delete "${conversation.title || 'Untitled conversation'}"? This cannot be undone.`)) return;
+    try {
+      await deleteConversation(conversation.id);
+      setConversations(prev => prev.filter(other => other.id !== conversation.id));
+      onDeleted(conversation.id);
+    } catch (err) {
+      console.error('Failed to delete conversation:', err);
+      setError('Could not delete the conversation');
+    }
+  };
+
+  if (!currentUser) return null;
+
+  const shown = conversations.filter(conversation => matchesSearch(conversation, search));
+
+  return (
+    <div className="flex flex-col h-full">
+      <div className="p-3 border-b border-gray-200">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search conversations..."
+          className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+        />
+      </div>
+
+      {error && <p className="px-3 py-2 text-xs text-red-600">{error}</p>}
+
+      <ul className="flex-1 overflow-y-auto">
+        {isLoading && conversations.length === 0 ? (
+          <li className="px-3 py-2 text-sm text-gray-500">Loading...</li>
+        ) : shown.length === 0 ? (
+          <li className="px-3 py-2 text-sm text-gray-500">
+            {search ? 'No conversations match your search' : 'No saved conversations yet'}
+          </li>
+        ) : shown.map(conversation => (
+          <li
+            key={conversation.id}
+            className={`group border-b border-gray-100 ${conversation.id === currentId ? 'bg-indigo-50' : 'hover:bg-gray-50'}`}
+          >
+            {editingId === conversation.id ? (
+              // Enter saves the new title, Escape keeps the old one
+              <form onSubmit={saveRename} className="p-2">
+                <input
+                  type="text"
+                  value={editTitle}
+                  onChange={(e) => setEditTitle(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Escape' && setEditingId(null)}
+                  maxLength={80}
+                  autoFocus
+                  className="w-full px-2 py-1 text-sm border border-indigo-300 rounded focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                />
+              </form>
+            ) : (
+              <div className="flex items-center">
+                <button
+                  onClick={() => onSelect(conversation.id)}
+                  className="flex-1 min-w-0 text-left px-3 py-2"
+                  title={conversation.preview || conversation.title}
+                >
+                  <span className="block text-sm text-gray-800 truncate">
+                    {conversation.pinned && <span className="mr-1" aria-label="Pinned">📌</span>}
+                    {conversation.title || 'Untitled conversation'}
+                  </span>
+                  <span className="block text-xs text-gray-400">
+                    {conversation.questions || 0} question{conversation.questions === 1 ? '' : 's'}
+                    {conversation.updatedAt?.toDate && ` · ${conversation.updatedAt.toDate().toLocaleDateString()}`}
+                  </span>
+                </button>
+                <div className="hidden group-hover:flex items-center pr-2 space-x-1 text-xs">
+                  <button onClick={() => togglePin(conversation)} className="text-gray-500 hover:text-indigo-700" title={conversation.pinned ? 'Unpin' : 'Pin'}>
+                    {conversation.pinned ? 'Unpin' : 'Pin'}
+                  </button>
+                  <button onClick={() => startRename(conversation)} className="text-gray-500 hover:text-indigo-700" title="Rename">
+                    Rename
+                  </button>
+                  <button onClick={() => remove(conversation)} className="text-gray-500 hover:text-red-600" title="Delete">
+                    Delete
+                  </button>
+                </div>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ConversationList;
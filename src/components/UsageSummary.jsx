@@ -0,0 +1,55 @@
+import { useState, useEffect } from 'react';
+import api, { onRequestComplete } from '../utils/apiClient';
+
+/**
+ * Today's remaining quota for the signed-in user, from GET /api/usage,
+ * refetched after every completed request to the API.
+ * @param {Object} props
+ * @param {any} [props.refreshKey] - Refetch whenever this value changes (e.g. the selected tool)
+ */
+const UsageSummary = ({ refreshKey }) => {
+  const [usage, setUsage] = useState(null);
+  // Counts completed requests, each of which may have used the quota
+  const [completedRequests, setCompletedRequests] = useState(0);
+
+  useEffect(() => onRequestComplete(() => setCompletedRequests(count => count + 1)), []);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchUsage = async () => {
+      try {
+        const response = await api.get('/api/usage');
+        if (!cancelled) setUsage(response.data);
+      } catch (err) {
+        // Usage is informational only; hide it if the request fails
+        console.error('Failed to load usage:', err);
+        if (!cancelled) setUsage(null);
+      }
+    };
+
+    fetchUsage();
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey, completedRequests]);
+
+  if (!usage) return null;
+
+  const { images, tools, chat } = usage.classes;
+  const parts = [
+    images.limit !== null && `${images.remaining} image${images.remaining === 1 ? '' : 's'} left today`,
+    tools.limit !== null && `${tools.remaining} tool requests left`,
+    chat.limit !== null && `${chat.remaining} chat messages left`
+  ].filter(Boolean);
+
+  if (parts.length === 0) return null;
+
+  return (
+    <p className="text-xs text-gray-500" title={`Quotas reset at ${new Date(usage.resetsAt).toLocaleString()}`}>
+      {parts.join(' · ')}
+    </p>
+  );
+};
+
+export default UsageSummary;
@@ -1,6 +1,7 @@
 import React, { useState, useRef, useEffect } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
+import { apiFetch } from '../utils/apiClient';
 
 export default function VerseAnalyzer() {
   const [verseInput, setVerseInput] = useState('');
@@ -71,7 +72,7 @@ export default function VerseAnalyzer() {
     setError('');
 
     try {
-      const response = await fetch('/api/tools/verse-analyzer', {
+      const response = await apiFetch('/api/tools/verse-analyzer', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ verse: verseInput })
@@ -79,7 +80,7 @@ export default function VerseAnalyzer() {
 
       if (!response.ok) {
         const errorData = await response.json();
-        throw new Error(errorData.message || 'Error analyzing verse');
+        throw new Error(errorData.error?.message || 'Error analyzing verse');
       }
 
       const data = await response.json();
@@ -137,7 +138,7 @@ export default function VerseAnalyzer() {
     setError('');
 
     try {
-      const response = await fetch('/api/tools/verse-analyzer', {
+      const response = await apiFetch('/api/tools/verse-analyzer', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ 
@@ -148,7 +149,7 @@ export default function VerseAnalyzer() {
 
       if (!response.ok) {
         const errorData = await response.json();
-        throw new Error(errorData.message || 'Error processing follow-up question');
+        throw new Error(errorData.error?.message || 'Error processing follow-up question');
       }
 
       const data = await response.json();
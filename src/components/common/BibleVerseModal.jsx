@@ -1,68 +1,144 @@
 import React, { useState, useEffect } from 'react';
-import axios from 'axios';
+import api from '../../utils/apiClient';
+import { useAuth } from '../../firebase/AuthContext';
+import { loadPreferences, savePreferences } from '../../utils/preferences';
+import RelatedVerses from './RelatedVerses';
+import { parseReference, chapterContext } from '../../../shared/scripture';
+
+// Most translations the server compares at once
+const MAX_TRANSLATIONS = 4;
+
+// Whether a verse lies in one of the ranges of the clicked reference
+const inRanges = (row, ranges) => ranges.some(({ book, start, end }) => {
+  if (row.book !== book) return false;
+  const after = row.chapter > start.chapter || (row.chapter === start.chapter && (start.verse === null || row.verse >= start.verse));
+  const before = row.chapter < end.chapter || (row.chapter === end.chapter && (end.verse === null || row.verse <= end.verse));
+  return after && before;
+});
 
 const BibleVerseModal = ({ isOpen, onClose, verseReference }) => {
-  const [verseContent, setVerseContent] = useState('');
+  const { currentUser } = useAuth();
+  const [available, setAvailable] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [showChapter, setShowChapter] = useState(false);
+  // The reference on show: the clicked one, or a related verse opened from it
+  const [current, setCurrent] = useState(verseReference);
+  const [passage, setPassage] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
-  
-  // Fetch verse content when reference changes
+
+  const reference = current ? parseReference(current) : null;
+  const context = reference ? chapterContext(reference.ranges) : null;
+  const query = showChapter && context ? context : current;
+
+  // Load the translations on offer and the user's saved choice the first time the modal opens
   useEffect(() => {
-    if (!isOpen || !verseReference) return;
-    
-    const fetchVerseContent = async () => {
+    if (!isOpen || selected) return;
+    let cancelled = false;
+
+    const loadTranslations = async () => {
+      try {
+        const [{ data }, saved] = await Promise.all([
+          api.get('/api/passages/translations'),
+          currentUser ? loadPreferences(currentUser.uid, 'verseModal').catch(() => ({})) : {}
+        ]);
+        if (cancelled) return;
+        const ids = data.translations.map(translation => translation.id);
+        const chosen = (saved.translations || []).filter(id => ids.includes(id));
+        setAvailable(data.translations);
+        setSelected(chosen.length ? chosen : [data.default]);
+      } catch (err) {
+        console.error('Failed to load translations:', err);
+        if (!cancelled) setError(err.response?.data?.error?.message || 'Failed to load translations');
+      }
+    };
+
+    loadTranslations();
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, selected, currentUser]);
+
+  // Start from the clicked passage each time a new reference is opened
+  useEffect(() => {
+    setCurrent(verseReference);
+    setShowChapter(false);
+  }, [verseReference]);
+
+  const openRelated = (related) => {
+    setCurrent(related);
+    setShowChapter(false);
+  };
+
+  // Fetch the passage in every chosen translation, aligned verse by verse
+  useEffect(() => {
+    if (!isOpen || !query || !selected) return;
+    let cancelled = false;
+
+    const fetchPassage = async () => {
       setIsLoading(true);
       setError('');
-      
+      setPassage(null);
+
       try {
-        // Format reference for API
-        const formattedRef = verseReference.replace(/\s+/g, '+');
-        
-        // Get ESV API key from environment
-        const esvApiKey = import.meta.env.VITE_ESV_API_KEY;
-        
-        if (!esvApiKey) {
-          throw new Error('ESV API key is not configured');
-        }
-        
-        // Make request to ESV API
-        const response = await axios.get(
-          `https://api.esv.org/v3/passage/text/?q=${formattedRef}&include-headings=false&include-footnotes=false&include-verse-numbers=true&include-short-copyright=false&include-passage-references=false`,
-          {
-            headers: {
-              'Authorization': `Token ${esvApiKey}`
-            }
-          }
-        );
-        
-        if (response.data && response.data.passages && response.data.passages.length > 0) {
-          setVerseContent(response.data.passages[0]);
-        } else {
-          setError('Verse not found');
-        }
+        const response = await api.get('/api/passages/parallel', {
+          params: { q: query, translations: selected.join(',') }
+        });
+        if (!cancelled) setPassage(response.data);
       } catch (err) {
         console.error('Error fetching Bible verse:', err);
-        setError(err.message || 'Failed to load verse');
+        if (!cancelled) setError(err.response?.data?.error?.message || 'Failed to load verse');
       } finally {
-        setIsLoading(false);
+        if (!cancelled) setIsLoading(false);
       }
     };
-    
-    fetchVerseContent();
-  }, [isOpen, verseReference]);
-  
+
+    fetchPassage();
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, query, selected]);
+
+  // Add or remove a translation, keeping at least one, and remember the choice
+  const toggleTranslation = (id) => {
+    const next = selected.includes(id)
+      ? selected.filter(other => other !== id)
+      : available.map(translation => translation.id).filter(other => other === id || selected.includes(other));
+    if (next.length === 0 || next.length > MAX_TRANSLATIONS) return;
+
+    setSelected(next);
+    if (currentUser) {
+      savePreferences(currentUser.uid, 'verseModal', { translations: next })
+        .catch(err => console.error('Failed to save translation choice:', err));
+    }
+  };
+
+  // Show the chapter with each verse number when the passage spans chapters or books
+  const spansChapters = passage && new Set(passage.rows.map(row => `${row.book}.${row.chapter}`)).size > 1;
+  const verseLabel = (row) => (spansChapters ? `${row.chapter}:${row.verse}` : row.verse);
+  // Verses of the clicked reference stand out when its chapter is shown around it
+  const highlighted = (row) => showChapter && reference && inRanges(row, reference.ranges);
+
+  const columns = passage ? passage.translations.filter(translation => !translation.error) : [];
+  const isParallel = columns.length > 1;
+
   // If modal is not open, don't render anything
   if (!isOpen) return null;
-  
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
-      <div className="bg-white rounded-lg shadow-xl max-w-md w-full max-h-[80vh] flex flex-col">
+      <div className={`bg-white rounded-lg shadow-xl w-full max-h-[80vh] flex flex-col ${selected && selected.length > 1 ? 'max-w-4xl' : 'max-w-md'}`}>
         {/* Header */}
         <div className="px-4 py-3 border-b border-gray-200 flex justify-between items-center">
           <h3 className="text-lg font-medium text-gray-800">
-            {verseReference}
+            {passage ? passage.reference : query}
+            {passage && (
+              <span className="ml-2 text-xs font-normal text-gray-500">
+                {columns.map(translation => translation.abbreviation).join(' · ')}
+              </span>
+            )}
           </h3>
-          <button 
+          <button
             onClick={onClose}
             className="text-gray-400 hover:text-gray-500 focus:outline-none"
           >
@@ -71,7 +147,29 @@ const BibleVerseModal = ({ isOpen, onClose, verseReference }) => {
             </svg>
           </button>
         </div>
-        
+
+        {/* Translation picker */}
+        {available.length > 1 && selected && (
+          <div className="px-4 py-2 border-b border-gray-200 flex flex-wrap items-center gap-3 text-sm text-gray-600">
+            <span>Translations:</span>
+            {available.map((translation) => (
+              <label key={translation.id} className="flex items-center" title={translation.name}>
+                <input
+                  type="checkbox"
+                  className="mr-1"
+                  checked={selected.includes(translation.id)}
+                  disabled={
+                    (selected.includes(translation.id) && selected.length === 1) ||
+                    (!selected.includes(translation.id) && selected.length >= MAX_TRANSLATIONS)
+                  }
+                  onChange={() => toggleTranslation(translation.id)}
+                />
+                {translation.abbreviation}
+              </label>
+            ))}
+          </div>
+        )}
+
         {/* Content */}
         <div className="px-4 py-3 flex-1 overflow-y-auto">
           {isLoading ? (
@@ -82,19 +180,97 @@ const BibleVerseModal = ({ isOpen, onClose, verseReference }) => {
             <div className="text-red-500 text-center py-4">
               {error}
             </div>
-          ) : (
+          ) : passage && (
             <div className="prose max-w-none">
-              <p className="whitespace-pre-wrap">{verseContent}</p>
-              <p className="text-xs text-gray-500 mt-4">
-                Scripture quotations marked "ESV" are from the ESV® Bible (The Holy Bible, English Standard Version®), 
-                copyright © 2001 by Crossway, a publishing ministry of Good News Publishers. Used by permission. All rights reserved.
-              </p>
+              {passage.translations.filter(translation => translation.error).map(translation => (
+                <p key={translation.id} className="text-xs text-amber-700">
+                  {translation.abbreviation}: {translation.error}
+                </p>
+              ))}
+
+              {isParallel ? (
+                <table className="w-full text-sm not-prose">
+                  <thead>
+                    <tr className="border-b border-gray-200">
+                      <th className="w-12"></th>
+                      {columns.map(translation => (
+                        <th key={translation.id} className="px-2 py-1 text-left font-semibold text-gray-700">
+                          {translation.abbreviation}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {passage.rows.map((row) => (
+                      <tr
+                        key={`${row.book}.${row.chapter}.${row.verse}`}
+                        className={`align-top border-b border-gray-100 ${highlighted(row) ? 'bg-yellow-50' : ''}`}
+                      >
+                        <td className="px-1 py-1 text-xs font-semibold text-indigo-600 whitespace-nowrap">
+                          {verseLabel(row)}
+                        </td>
+                        {columns.map(translation => (
+                          <td key={translation.id} className="px-2 py-1 text-gray-800">
+                            {row.texts[translation.id] ?? (
+                              <span className="text-gray-400" title={`Not in the ${translation.abbreviation}`}>—</span>
+                            )}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : columns.length === 1 && (
+                <p>
+                  {passage.rows.map((row, index) => (
+                    <React.Fragment key={`${row.book}.${row.chapter}.${row.verse}`}>
+                      {row.paragraph && index > 0 && <><br /><br /></>}
+                      <sup className="text-xs font-semibold text-indigo-600 mr-1">
+                        {verseLabel(row)}
+                      </sup>
+                      <span className={highlighted(row) ? 'bg-yellow-100' : undefined}>
+                        {row.texts[columns[0].id]}
+                      </span>{' '}
+                    </React.Fragment>
+                  ))}
+                </p>
+              )}
+
+              {columns.filter(translation => translation.copyright).map(translation => (
+                <p key={translation.id} className="text-xs text-gray-500 mt-4">{translation.copyright}</p>
+              ))}
             </div>
           )}
+
+          {!showChapter && reference && (
+            <RelatedVerses
+              reference={reference.label}
+              onSelect={openRelated}
+              className="mt-4 pt-3 border-t border-gray-200"
+            />
+          )}
         </div>
-        
+
         {/* Footer */}
-        <div className="px-4 py-3 border-t border-gray-200 flex justify-end">
+        <div className="px-4 py-3 border-t border-gray-200 flex justify-between">
+          <div>
+            {current !== verseReference && (
+              <button
+                onClick={() => openRelated(verseReference)}
+                className="px-4 py-2 text-indigo-600 rounded hover:bg-indigo-50 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              >
+                ← {verseReference}
+              </button>
+            )}
+            {context && context !== reference.label && (
+              <button
+                onClick={() => setShowChapter(!showChapter)}
+                className="px-4 py-2 text-indigo-600 rounded hover:bg-indigo-50 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              >
+                {showChapter ? `Back to ${reference.label}` : `Open ${context}`}
+              </button>
+            )}
+          </div>
           <button
             onClick={onClose}
             className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
@@ -107,4 +283,4 @@ const BibleVerseModal = ({ isOpen, onClose, verseReference }) => {
   );
 };
 
-export default BibleVerseModal; 
\ No newline at end of file
+export default BibleVerseModal;
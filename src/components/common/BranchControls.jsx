@@ -0,0 +1,61 @@
+import React from 'react';
+import { siblingsOf } from '../../utils/branches';
+
+const buttonClass = 'px-1 text-gray-500 hover:text-indigo-700 disabled:opacity-40 disabled:cursor-not-allowed';
+
+/**
+ * Controls under a message of a branching conversation (src/utils/branches.js):
+ * arrows between its versions when it has been regenerated or edited, and
+ * buttons to edit or regenerate it.
+ * @param {Object} props
+ * @param {Object} props.tree - The conversation
+ * @param {string} props.id - The message
+ * @param {Function} props.onSelect - Called with the id of the version to show
+ * @param {Function} [props.onEdit] - Shows an Edit button when given
+ * @param {Function} [props.onRegenerate] - Shows a Regenerate button when given
+ * @param {boolean} [props.disabled] - Disable the controls (e.g. while an answer is arriving)
+ */
+const BranchControls = ({ tree, id, onSelect, onEdit, onRegenerate, disabled = false }) => {
+  const versions = siblingsOf(tree, id);
+  const index = versions.findIndex(version => version.id === id);
+
+  return (
+    <div className="flex items-center gap-2 mt-1 text-xs text-gray-500">
+      {versions.length > 1 && (
+        <span className="flex items-center">
+          <button
+            type="button"
+            onClick={() => onSelect(versions[index - 1].id)}
+            disabled={disabled || index === 0}
+            className={buttonClass}
+            aria-label="Previous version"
+          >
+            ‹
+          </button>
+          <span>{index + 1} / {versions.length}</span>
+          <button
+            type="button"
+            onClick={() => onSelect(versions[index + 1].id)}
+            disabled={disabled || index === versions.length - 1}
+            className={buttonClass}
+            aria-label="Next version"
+          >
+            ›
+          </button>
+        </span>
+      )}
+      {onEdit && (
+        <button type="button" onClick={onEdit} disabled={disabled} className={buttonClass}>
+          Edit
+        </button>
+      )}
+      {onRegenerate && (
+        <button type="button" onClick={onRegenerate} disabled={disabled} className={buttonClass}>
+          Regenerate
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default BranchControls;
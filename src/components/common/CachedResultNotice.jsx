@@ -0,0 +1,26 @@
+import React from 'react';
+
+/**
+ * Notice shown when a tool result came from the server's shared response
+ * cache, with a button to ask for a freshly generated result instead.
+ * @param {Object} props
+ * @param {Function} props.onRegenerate - Called when the user asks for a new result
+ * @param {boolean} [props.disabled] - Disable the button (e.g. while loading)
+ */
+const CachedResultNotice = ({ onRegenerate, disabled = false }) => {
+  return (
+    <div className="flex items-center justify-between px-3 py-2 mb-4 bg-gray-50 border border-gray-200 rounded text-xs text-gray-600">
+      <span>This result was served from the cache of earlier requests.</span>
+      <button
+        type="button"
+        onClick={onRegenerate}
+        disabled={disabled}
+        className="ml-3 font-medium text-indigo-600 hover:text-indigo-800 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        Regenerate
+      </button>
+    </div>
+  );
+};
+
+export default CachedResultNotice;
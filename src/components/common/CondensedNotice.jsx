@@ -0,0 +1,19 @@
+import React from 'react';
+
+/**
+ * Marks where a long conversation was condensed: the messages above it are
+ * no longer sent to the model word for word, only the server's summary of
+ * them (server/llm/context.js), which can be expanded here.
+ * @param {Object} props
+ * @param {Object} props.summary - { content, covers } from the last answer's `context`
+ */
+const CondensedNotice = ({ summary }) => (
+  <details className="text-xs text-gray-500 border-y border-dashed border-gray-300 py-2">
+    <summary className="cursor-pointer select-none text-center">
+      The {summary.covers} earlier messages above have been condensed into a summary for the AI
+    </summary>
+    <p className="mt-2 whitespace-pre-wrap text-gray-600">{summary.content}</p>
+  </details>
+);
+
+export default CondensedNotice;
@@ -0,0 +1,22 @@
+import React from 'react';
+
+/**
+ * Verse text with the words a search matched marked, as returned by the
+ * concordance (server/bible/concordance.js).
+ * @param {Object} props
+ * @param {string} props.text - Verse text
+ * @param {number[][]} [props.highlights] - [start, end] offsets of the matched words, in order
+ */
+const HighlightedText = ({ text, highlights = [] }) => {
+  const parts = [];
+  let at = 0;
+  highlights.forEach(([start, end]) => {
+    if (start > at) parts.push(text.slice(at, start));
+    parts.push(<mark key={start} className="bg-yellow-200 rounded px-0.5">{text.slice(start, end)}</mark>);
+    at = end;
+  });
+  parts.push(text.slice(at));
+  return <span>{parts}</span>;
+};
+
+export default HighlightedText;
@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+
+/**
+ * Form for editing a question and sending it again, which starts a new
+ * branch of the conversation. Escape cancels.
+ * @param {Object} props
+ * @param {string} props.initialValue - The question as it was sent
+ * @param {Function} props.onSubmit - Called with the edited question
+ * @param {Function} props.onCancel
+ */
+const MessageEditForm = ({ initialValue, onSubmit, onCancel }) => {
+  const [value, setValue] = useState(initialValue);
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (value.trim()) onSubmit(value.trim());
+  };
+
+  return (
+    <form onSubmit={submit} className="w-full min-w-[16rem] sm:min-w-[24rem]">
+      <textarea
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        onKeyDown={(e) => e.key === 'Escape' && onCancel()}
+        rows={3}
+        autoFocus
+        className="w-full px-3 py-2 text-sm text-gray-800 border border-indigo-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+      />
+      <div className="flex justify-end gap-2 mt-1 text-xs">
+        <button type="button" onClick={onCancel} className="px-2 py-1 text-gray-600 hover:text-gray-800">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={!value.trim() || value.trim() === initialValue.trim()}
+          className="px-2 py-1 bg-indigo-600 hover:bg-indigo-700 text-white rounded disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Send
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default MessageEditForm;
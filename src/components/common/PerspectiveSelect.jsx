@@ -0,0 +1,102 @@
+import React, { useState, useEffect, useRef } from 'react';
+import api from '../../utils/apiClient';
+import { useAuth } from '../../firebase/AuthContext';
+import { loadPreferences, savePreferences } from '../../utils/preferences';
+
+/**
+ * Pickers for the persona answers are written in and the theological
+ * tradition passages are read from, as offered by the server
+ * (server/prompts/perspectives.js). The choice is saved in the user's settings
+ * and shared by the chat, the commentary and the verse analyzer, so the saved
+ * choice is loaded and passed to onChange when the pickers first appear.
+ * @param {Object} props
+ * @param {Object} props.value - { persona, tradition }, '' for none
+ * @param {Function} props.onChange - Called with the new { persona, tradition }
+ * @param {boolean} [props.disabled]
+ */
+const PerspectiveSelect = ({ value, onChange, disabled = false }) => {
+  const [options, setOptions] = useState(null);
+  const { currentUser } = useAuth();
+  // The latest onChange, called with the saved choice; the choices are loaded once per user
+  const onChangeRef = useRef(onChange);
+
+  useEffect(() => {
+    onChangeRef.current = onChange;
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const [{ data }, saved] = await Promise.all([
+          api.get('/api/perspectives'),
+          currentUser ? loadPreferences(currentUser.uid, 'perspective').catch(() => ({})) : {}
+        ]);
+        if (cancelled) return;
+        setOptions(data);
+        // Only choices the server still offers
+        onChangeRef.current({
+          persona: data.personas.some(persona => persona.id === saved.persona) ? saved.persona : '',
+          tradition: data.traditions.some(tradition => tradition.id === saved.tradition) ? saved.tradition : ''
+        });
+      } catch (err) {
+        console.error('Failed to load perspectives:', err);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUser]);
+
+  const change = (key, id) => {
+    const next = { ...value, [key]: id };
+    onChange(next);
+    if (currentUser) {
+      savePreferences(currentUser.uid, 'perspective', next)
+        .catch(err => console.error('Failed to save perspective:', err));
+    }
+  };
+
+  if (!options) return null;
+
+  const selectClass = 'px-2 py-1 bg-white border border-gray-300 rounded focus:outline-none focus:ring-indigo-500 focus:border-indigo-500';
+  const description = options.personas.find(persona => persona.id === value.persona)?.description;
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+      <label className="flex items-center" title={description}>
+        <span className="mr-2">Voice</span>
+        <select
+          value={value.persona}
+          onChange={(e) => change('persona', e.target.value)}
+          disabled={disabled}
+          className={selectClass}
+        >
+          <option value="">Default</option>
+          {options.personas.map(persona => (
+            <option key={persona.id} value={persona.id}>{persona.label}</option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center">
+        <span className="mr-2">Tradition</span>
+        <select
+          value={value.tradition}
+          onChange={(e) => change('tradition', e.target.value)}
+          disabled={disabled}
+          className={selectClass}
+        >
+          <option value="">None</option>
+          {options.traditions.map(tradition => (
+            <option key={tradition.id} value={tradition.id}>{tradition.label}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+export default PerspectiveSelect;
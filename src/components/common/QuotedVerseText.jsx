@@ -0,0 +1,37 @@
+import React from 'react';
+
+/**
+ * Text of a verse quoted in a study, as filled in by the server from a
+ * translation (see server/bible/quotes.js), with a note when the AI's own
+ * quotation differed or could not be checked.
+ * @param {Object} props
+ * @param {Object} props.quote - { text, quotedText, translation, textStatus }
+ * @param {string} [props.className] - Classes for the verse text
+ */
+const QuotedVerseText = ({ quote, className = 'italic mb-2' }) => {
+  const { text, quotedText, translation, textStatus } = quote;
+
+  return (
+    <>
+      <p className={className}>"{text}"</p>
+      {translation && (
+        <p className="text-xs text-gray-500 mb-2">
+          {translation}
+          {textStatus === 'verified' && ' · matches the AI quotation'}
+        </p>
+      )}
+      {textStatus === 'mismatch' && (
+        <p className="text-xs text-amber-700 mb-2">
+          The AI quoted this verse differently: <span className="italic">"{quotedText}"</span>
+        </p>
+      )}
+      {textStatus === 'unavailable' && (
+        <p className="text-xs text-amber-700 mb-2">
+          This is the AI&apos;s quotation; it could not be checked against a translation.
+        </p>
+      )}
+    </>
+  );
+};
+
+export default QuotedVerseText;
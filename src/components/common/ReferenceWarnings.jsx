@@ -0,0 +1,42 @@
+import React from 'react';
+
+// Warnings for one item of a result: its own path or anything inside it
+const warningsAt = (warnings, path) => {
+  if (!Array.isArray(warnings)) return [];
+  if (!path) return warnings;
+  return warnings.filter(warning => (
+    warning.path === path || warning.path.startsWith(`${path}.`) || warning.path.startsWith(`${path}[`)
+  ));
+};
+
+/**
+ * Scripture references in an AI result that name chapters or verses that do
+ * not exist, as reported by the server in `referenceWarnings`. Removed
+ * references were dropped from the result; the others are still shown in the
+ * text but are not linked.
+ * @param {Object} props
+ * @param {Object[]} [props.warnings] - The result's referenceWarnings
+ * @param {string} [props.path] - Only show warnings for this item, e.g. 'events[2]'
+ * @param {string} [props.className] - Extra classes for the list
+ */
+const ReferenceWarnings = ({ warnings, path, className = '' }) => {
+  const shown = warningsAt(warnings, path);
+  if (shown.length === 0) return null;
+
+  return (
+    <ul className={`mt-2 space-y-1 text-xs text-amber-700 ${className}`}>
+      {shown.map((warning, index) => (
+        <li key={`${warning.path}-${index}`} className="flex items-start">
+          <span className="mr-1" aria-hidden="true">⚠</span>
+          <span>
+            {warning.removed ? 'Removed ' : ''}
+            <span className="font-medium">{warning.reference}</span>
+            {`: ${warning.message}`}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default ReferenceWarnings;
@@ -0,0 +1,87 @@
+import { useState, useEffect } from 'react';
+import api from '../../utils/apiClient';
+
+/**
+ * Ranked cross-references of a passage from the server's cross-reference
+ * data (server/bible/cross-references.js), each quoted. Renders nothing when
+ * the reference cannot be read, such as verse text typed instead of a reference.
+ * The bundled data covers only a selection of verses, which the list says.
+ * @param {Object} props
+ * @param {string} props.reference - e.g. "John 3:16"
+ * @param {Function} props.onSelect - Called with a cross-reference's reference when it is clicked
+ * @param {number} [props.limit] - Most cross-references shown (default 10)
+ * @param {string} [props.className]
+ */
+const RelatedVerses = ({ reference, onSelect, limit = 10, className = '' }) => {
+  const [related, setRelated] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    if (!reference) return;
+    let cancelled = false;
+
+    const fetchRelated = async () => {
+      setIsLoading(true);
+      setRelated(null);
+      try {
+        const response = await api.get('/api/cross-references', { params: { q: reference, limit } });
+        if (!cancelled) setRelated(response.data);
+      } catch (err) {
+        // Unreadable references are expected here; anything else is worth a log
+        if (err.response?.status !== 400 && err.response?.status !== 404) {
+          console.error('Failed to load cross-references:', err);
+        }
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    fetchRelated();
+    return () => {
+      cancelled = true;
+    };
+  }, [reference, limit]);
+
+  if (!reference || (!isLoading && !related)) return null;
+
+  const coverageNote = related && !related.coverage?.complete
+    ? `Only ${related.coverage?.verses ?? 'a few'} frequently studied verses have cross-references here.`
+    : null;
+
+  return (
+    <div className={className}>
+      <h4 className="text-sm font-semibold text-gray-700 mb-2">Related verses</h4>
+      {isLoading ? (
+        <p className="text-xs text-gray-500">Loading cross-references...</p>
+      ) : related.results.length === 0 ? (
+        <p className="text-xs text-gray-500">
+          No cross-references are listed for {related.reference}.{coverageNote && ` ${coverageNote}`}
+        </p>
+      ) : (
+        <>
+          <ul className="space-y-2">
+            {related.results.map((entry) => (
+              <li key={entry.osis} className="text-sm">
+                <button
+                  onClick={() => onSelect(entry.reference)}
+                  className="font-medium text-indigo-600 hover:underline mr-2"
+                  title={entry.from.length > 1 || entry.from[0] !== related.reference ? `From ${entry.from.join(', ')}` : undefined}
+                >
+                  {entry.reference}
+                </button>
+                {entry.text && <span className="text-gray-700">{entry.text}</span>}
+              </li>
+            ))}
+          </ul>
+          <p className="text-xs text-gray-400 mt-2">
+            {related.source}{related.translation && `, quoted from the ${related.translation}`}
+            {related.total > related.results.length && ` · ${related.total - related.results.length} more not shown`}
+            {coverageNote && ` · ${coverageNote}`}
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RelatedVerses;
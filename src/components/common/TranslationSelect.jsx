@@ -0,0 +1,60 @@
+import React, { useState, useEffect, useRef } from 'react';
+import api from '../../utils/apiClient';
+
+/**
+ * Picker for the Bible translation a study quotes verses from. Lists the
+ * translations the server offers and selects the server's default until the
+ * user picks one.
+ * @param {Object} props
+ * @param {string} props.value - Translation id, or '' for the server's default
+ * @param {Function} props.onChange - Called with the chosen translation id
+ * @param {boolean} [props.disabled]
+ */
+const TranslationSelect = ({ value, onChange, disabled = false }) => {
+  const [translations, setTranslations] = useState([]);
+  // The latest props, read when the translations arrive; the list itself only needs loading once
+  const latest = useRef({ value, onChange });
+
+  useEffect(() => {
+    latest.current = { value, onChange };
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    api.get('/api/passages/translations')
+      .then(({ data }) => {
+        if (cancelled) return;
+        setTranslations(data.translations);
+        if (!latest.current.value) latest.current.onChange(data.default);
+      })
+      .catch((err) => console.error('Failed to load translations:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Nothing to choose between
+  if (translations.length < 2) return null;
+
+  return (
+    <label className="flex items-center text-sm text-gray-600">
+      <span className="mr-2">Quote verses from</span>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        className="px-2 py-1 bg-white border border-gray-300 rounded focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+      >
+        {translations.map((translation) => (
+          <option key={translation.id} value={translation.id}>
+            {translation.abbreviation}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default TranslationSelect;
@@ -1,43 +1,65 @@
-import { useState, useEffect, useRef } from 'react';
+import { Fragment, useState, useEffect, useRef } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import { useAuth } from '../../firebase/AuthContext';
 import { db } from '../../firebase/config';
 import { collection, addDoc, serverTimestamp, updateDoc, doc, getDoc, query, where, getDocs } from 'firebase/firestore';
 import BibleVerseModal from '../common/BibleVerseModal';
-import { extractVerseReferences, containsVerseReferences } from '../common/VerseReferenceParser';
+import { extractVerseReferences, containsVerseReferences, linkVerseReferences } from '../common/VerseReferenceParser';
+import { streamCompletion, isAbortError } from '../../utils/streamCompletion';
+import CachedResultNotice from '../common/CachedResultNotice';
+import PerspectiveSelect from '../common/PerspectiveSelect';
+import CondensedNotice from '../common/CondensedNotice';
+import BranchControls from '../common/BranchControls';
+import MessageEditForm from '../common/MessageEditForm';
+import { NO_PERSPECTIVE, samePerspective } from '../../utils/perspective';
+import {
+  EMPTY_TREE,
+  addMessage,
+  branchMessages,
+  findMessage,
+  pathSummary,
+  pathTo,
+  readTree,
+  selectBranch,
+  selectMessage,
+  storedTree,
+  treeFromMessages
+} from '../../utils/branches';
+import { TESTAMENTS, canonBooks, findBook } from '../../../shared/scripture';
 
 const BibleCommentary = () => {
   const [book, setBook] = useState('Genesis');
   const [chapter, setChapter] = useState('1');
   const [commentary, setCommentary] = useState('');
   const [followupQuestion, setFollowupQuestion] = useState('');
-  const [conversationHistory, setConversationHistory] = useState([]);
+  // The first request and answer, then the follow-ups, in branches (src/utils/branches.js)
+  const [thread, setThread] = useState(EMPTY_TREE);
+  const [editingId, setEditingId] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [serverStatus, setServerStatus] = useState('checking');
   const [currentConversationId, setCurrentConversationId] = useState(null);
+  const [streamingResponse, setStreamingResponse] = useState(null);
+  const [responseStopped, setResponseStopped] = useState(false);
+  const [isCached, setIsCached] = useState(false);
+  const [perspective, setPerspective] = useState(NO_PERSPECTIVE);
   const commentaryRef = useRef(null);
+  const abortControllerRef = useRef(null);
   const { currentUser } = useAuth();
+  const conversationHistory = pathTo(thread);
+  // Summary of the earliest follow-up messages once they outgrew the model's context
+  const contextSummary = pathSummary(conversationHistory);
   
   // Bible verse modal state
   const [isVerseModalOpen, setIsVerseModalOpen] = useState(false);
   const [selectedVerse, setSelectedVerse] = useState('');
 
-  // Bible books array for dropdown
-  const bibleBooks = [
-    "Genesis", "Exodus", "Leviticus", "Numbers", "Deuteronomy",
-    "Joshua", "Judges", "Ruth", "1 Samuel", "2 Samuel", "1 Kings", "2 Kings",
-    "1 Chronicles", "2 Chronicles", "Ezra", "Nehemiah", "Esther", "Job",
-    "Psalms", "Proverbs", "Ecclesiastes", "Song of Solomon", "Isaiah",
-    "Jeremiah", "Lamentations", "Ezekiel", "Daniel", "Hosea", "Joel", "Amos",
-    "Obadiah", "Jonah", "Micah", "Nahum", "Habakkuk", "Zephaniah", "Haggai",
-    "Zechariah", "Malachi", "Matthew", "Mark", "Luke", "John", "Acts",
-    "Romans", "1 Corinthians", "2 Corinthians", "Galatians", "Ephesians",
-    "Philippians", "Colossians", "1 Thessalonians", "2 Thessalonians",
-    "1 Timothy", "2 Timothy", "Titus", "Philemon", "Hebrews", "James",
-    "1 Peter", "2 Peter", "1 John", "2 John", "3 John", "Jude", "Revelation"
-  ];
+  // Books for the dropdown, grouped by testament
+  const bookGroups = Object.entries(TESTAMENTS).map(([testament, label]) => ({
+    label,
+    books: canonBooks().filter(entry => entry.testament === testament)
+  }));
 
   // Setup global verse click handler
   useEffect(() => {
@@ -70,92 +92,12 @@ const BibleCommentary = () => {
   // Auto-scroll to bottom when commentary or conversation history changes
   useEffect(() => {
     commentaryRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [commentary, conversationHistory]);
+  }, [commentary, thread]);
 
-  // Process content to identify and make verse references clickable
-  const processContentWithVerseReferences = (content) => {
-    if (!content || typeof content !== 'string') return content;
-    
-    if (!containsVerseReferences(content)) {
-      return content;
-    }
-
-    const references = extractVerseReferences(content);
-    
-    // Sort references by length (descending) to handle overlapping references
-    const sortedReferences = [...references].sort((a, b) => b.length - a.length);
-
-    // Store the matches for each reference to avoid double-processing
-    const matches = {};
-
-    // First identify all references in the content 
-    sortedReferences.forEach(ref => {
-      // Escape special regex characters in the reference
-      const escapedRef = ref.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      
-      // Use more precise regex that requires word boundaries to avoid capturing preceding words
-      // This ensures we match "Genesis 3" but not include words like "in" before it
-      const regex = new RegExp(`(^|\\s|[;:.,>"'])(${escapedRef})\\b`, 'g');
-      
-      // Find all matches in the content
-      let match;
-      matches[ref] = [];
-      while ((match = regex.exec(content)) !== null) {
-        // The actual reference is in the second capturing group
-        const actualRef = match[2];
-        const startIndex = match.index + match[1].length; // Skip the preceding character/space
-        
-        matches[ref].push({
-          index: startIndex,
-          length: actualRef.length,
-          text: actualRef,
-          fullMatch: match[0],
-          beforeText: match[1]
-        });
-      }
-    });
-    
-    // No references found in the actual content
-    if (Object.values(matches).every(arr => arr.length === 0)) {
-      return content;
-    }
-    
-    // Process the content to replace references with clickable spans
-    // We'll build a new string character by character
-    let result = '';
-    let skipTo = 0;
-    
-    for (let i = 0; i < content.length; i++) {
-      // Skip if we've already processed this part
-      if (i < skipTo) continue;
-      
-      // Check if any reference starts at this position
-      let matched = false;
-      
-      for (const ref of sortedReferences) {
-        for (const match of matches[ref]) {
-          if (match.index === i) {
-            // Create a clickable span for this reference
-            const span = `<span class="verse-reference" data-verse="${ref}" onclick="(function(e) { var event = new CustomEvent('verse-click', { detail: { verse: '${ref}' } }); document.dispatchEvent(event); })(event)" style="color: #4f46e5; cursor: pointer; text-decoration: underline; font-weight: 500;">${match.text}</span>`;
-            result += span;
-            
-            // Skip the length of the reference
-            skipTo = i + match.length;
-            matched = true;
-            break;
-          }
-        }
-        if (matched) break;
-      }
-      
-      // If no reference matched at this position, just add the character
-      if (!matched && i >= skipTo) {
-        result += content[i];
-      }
-    }
-    
-    return result;
-  };
+  // Cancel any in-flight response when leaving the page
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
 
   // Handle verse reference click
   const handleVerseClick = (verseRef) => {
@@ -191,7 +133,7 @@ const BibleCommentary = () => {
     checkServerHealth();
   }, []);
 
-  // Check if there's an existing commentary for this book/chapter in Firestore
+  // Check if there's an existing commentary for this book/chapter, written from the chosen perspective, in Firestore
   const findExistingCommentary = async (book, chapter) => {
     if (!currentUser) return null;
     
@@ -205,10 +147,9 @@ const BibleCommentary = () => {
       );
       
       const querySnapshot = await getDocs(q);
+      const doc = querySnapshot.docs.find(saved => samePerspective(saved.data().perspective, perspective));
       
-      if (!querySnapshot.empty) {
-        // Get the first matching document
-        const doc = querySnapshot.docs[0];
+      if (doc) {
         console.log('Found existing commentary for', book, chapter);
         return {
           id: doc.id,
@@ -224,19 +165,18 @@ const BibleCommentary = () => {
   };
 
   // Save conversation to Firestore
-  const saveConversationToFirestore = async (updatedHistory) => {
+  // `promptVersion` is the server prompt behind the first answer, and is saved with the
+  // perspective it was written from; follow-ups don't change either
+  const saveConversationToFirestore = async (conversation, promptVersion = null) => {
     try {
       if (!currentUser) {
         console.log('User not logged in, cannot save conversation history');
         return;
       }
 
-      // Format messages for storing
-      const formattedMessages = updatedHistory.map(msg => ({
-        role: msg.role,
-        content: msg.content,
-        timestamp: new Date().toISOString()
-      }));
+      // Every version of the follow-ups, and the branch on screen as plain messages
+      const branches = storedTree(conversation);
+      const formattedMessages = branchMessages(branches);
 
       // If this is a new conversation
       if (!currentConversationId) {
@@ -252,7 +192,10 @@ const BibleCommentary = () => {
           chapter,
           createdAt: serverTimestamp(),
           updatedAt: serverTimestamp(),
-          messages: formattedMessages
+          messages: formattedMessages,
+          branches,
+          promptVersion,
+          perspective
         });
         
         setCurrentConversationId(docRef.id);
@@ -266,6 +209,8 @@ const BibleCommentary = () => {
           // Update the existing conversation with new messages
           await updateDoc(conversationRef, {
             messages: formattedMessages,
+            branches,
+            ...(promptVersion && { promptVersion, perspective }),
             updatedAt: serverTimestamp()
           });
           
@@ -281,7 +226,10 @@ const BibleCommentary = () => {
             chapter,
             createdAt: serverTimestamp(),
             updatedAt: serverTimestamp(),
-            messages: formattedMessages
+            messages: formattedMessages,
+            branches,
+            promptVersion,
+            perspective
           });
           
           setCurrentConversationId(docRef.id);
@@ -296,13 +244,21 @@ const BibleCommentary = () => {
 
   // Reset conversation - use when selecting a new book/chapter
   const resetConversation = () => {
-    setConversationHistory([]);
+    setThread(EMPTY_TREE);
+    setEditingId(null);
     setCommentary('');
     setCurrentConversationId(null);
+    setResponseStopped(false);
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  // Stop the response that is currently streaming
+  const handleStop = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  // `regenerate` skips both the saved commentary and the server cache
+  const handleSubmit = async (e, { regenerate = false } = {}) => {
+    e?.preventDefault();
     
     // Don't try to send if server is offline
     if (serverStatus !== 'online') {
@@ -314,13 +270,20 @@ const BibleCommentary = () => {
     setError('');
     setIsLoading(true);
     setCommentary('');
+    setIsCached(false);
     
-    // Reset conversation when selecting a new chapter
-    resetConversation();
+    // Reset conversation when selecting a new chapter; a regenerated
+    // commentary replaces the saved conversation, so it keeps its id
+    if (regenerate) {
+      setThread(EMPTY_TREE);
+      setResponseStopped(false);
+    } else {
+      resetConversation();
+    }
 
     try {
       // First check if we have an existing commentary for this book/chapter
-      if (currentUser) {
+      if (currentUser && !regenerate) {
         const existingCommentary = await findExistingCommentary(book, chapter);
         
         if (existingCommentary && existingCommentary.messages && existingCommentary.messages.length >= 2) {
@@ -334,66 +297,62 @@ const BibleCommentary = () => {
           setCommentary(commentaryContent);
           
           // Set the conversation history
-          setConversationHistory(existingCommentary.messages.map(msg => ({
-            role: msg.role,
-            content: msg.content
-          })));
+          setThread(readTree(existingCommentary));
           
           setIsLoading(false);
           return;
         }
       }
       
-      // If no existing commentary is found, proceed with API request
-      console.log(`Fetching commentary for ${book} ${chapter}...`);
-      const response = await fetch('/api/tools/bible-commentary', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          book,
-          chapter,
-          conversationHistory: [] // Empty for initial request
-        }),
+      // If no existing commentary is found, stream it from the API
+      console.log(`Streaming commentary for ${book} ${chapter}...`);
+      const controller = new AbortController();
+      abortControllerRef.current = controller;
+
+      const result = await streamCompletion('/api/tools/bible-commentary/stream', {
+        book,
+        chapter,
+        perspective,
+        regenerate
+      }, {
+        signal: controller.signal,
+        onDelta: (delta, contentSoFar) => setCommentary(contentSoFar)
       });
 
-      console.log('Response status:', response.status);
-      
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        console.error('Error response:', errorData);
-        throw new Error(errorData.message || 'Failed to get commentary');
-      }
-
-      const data = await response.json();
-      console.log('Received commentary:', data);
-      setCommentary(data.commentary);
+      setCommentary(result.content);
+      setIsCached(Boolean(result.cached));
       
       // Add the initial request to conversation history
       const initialQuery = `Commentary on ${book} chapter ${chapter}`;
       const newHistory = [
         { role: 'user', content: initialQuery },
-        { role: 'assistant', content: data.commentary }
+        { role: 'assistant', content: result.content }
       ];
-      setConversationHistory(newHistory);
+      const newThread = treeFromMessages(newHistory);
+      setThread(newThread);
       
-      // Save to Firestore if user is logged in
+      // Save to Firestore only once the full commentary has arrived
       if (currentUser) {
-        saveConversationToFirestore(newHistory);
+        saveConversationToFirestore(newThread, result.promptVersion);
       }
     } catch (error) {
-      console.error('Error fetching commentary:', error);
-      setError(error.message || 'An unexpected error occurred');
+      if (isAbortError(error)) {
+        // Leave the partial commentary on screen, but don't save it
+        console.log('Commentary stopped by user');
+        setResponseStopped(true);
+      } else {
+        console.error('Error fetching commentary:', error);
+        setError(error.message || 'An unexpected error occurred');
+      }
     } finally {
+      abortControllerRef.current = null;
       setIsLoading(false);
     }
   };
 
-  const handleFollowupSubmit = async (e) => {
-    e.preventDefault();
-    if (!followupQuestion.trim()) return;
-
+  // Answer the follow-up question `questionId` of `conversation`. A question
+  // answered before gets a new answer beside the old one, which stays as another version.
+  const answerFollowup = async (conversation, questionId, { regenerating = false } = {}) => {
     // Don't try to send if server is offline
     if (serverStatus !== 'online') {
       setError('Cannot send follow-up: server is offline');
@@ -404,96 +363,118 @@ const BibleCommentary = () => {
     setError('');
     setIsLoading(true);
     
-    // Add user question to conversation history
-    const updatedHistory = [
-      ...conversationHistory,
-      { role: 'user', content: followupQuestion }
-    ];
-    setConversationHistory(updatedHistory);
-    setFollowupQuestion('');
+    // Show the conversation up to the question while the answer arrives
+    const previous = thread;
+    const updated = selectMessage(conversation, questionId);
+    const history = pathTo(updated);
+    setThread(updated);
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setStreamingResponse('');
 
     try {
-      console.log(`Sending follow-up question about ${book} ${chapter}...`);
-      const response = await fetch('/api/chat/advanced', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          messages: [
-            {
-              role: 'system',
-              content: `You are a Bible scholar and theological expert responding to questions about ${book} chapter ${chapter}. 
-              Provide helpful, insightful answers based on scripture and theological understanding. Use markdown formatting for clear sections.
-              Your responses should be educational, respectful of diverse interpretations, and spiritually insightful.`
-            },
-            ...updatedHistory
-          ]
-        }),
+      console.log(`Streaming follow-up question about ${book} ${chapter}...`);
+      const result = await streamCompletion('/api/chat/advanced/stream', {
+        messages: [
+          {
+            role: 'system',
+            content: `You are a Bible scholar and theological expert responding to questions about ${book} chapter ${chapter}. 
+            Provide helpful, insightful answers based on scripture and theological understanding. Use markdown formatting for clear sections.
+            Your responses should be educational, respectful of diverse interpretations, and spiritually insightful.`
+          },
+          ...history.map(({ role, content }) => ({ role, content }))
+        ],
+        perspective,
+        passage: `${book} ${chapter}`,
+        summary: pathSummary(history)
+      }, {
+        signal: controller.signal,
+        onDelta: (delta, contentSoFar) => setStreamingResponse(contentSoFar)
       });
-
-      console.log('Response status:', response.status);
-      
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        console.error('Error response:', errorData);
-        throw new Error(errorData.message || 'Failed to get response');
-      }
-
-      const data = await response.json();
-      console.log('Received follow-up response:', data);
       
       // Add the assistant's response to conversation history
-      const finalHistory = [
-        ...updatedHistory,
-        { role: 'assistant', content: data.message }
-      ];
-      setConversationHistory(finalHistory);
+      const answered = addMessage(updated, {
+        role: 'assistant',
+        content: result.content,
+        summary: result.context?.summary || null
+      }, questionId);
+      setThread(answered);
       
       // Save updated conversation to Firestore
       if (currentUser) {
-        saveConversationToFirestore(finalHistory);
+        saveConversationToFirestore(answered);
       }
     } catch (error) {
+      if (isAbortError(error)) {
+        // Cancelled: drop the unanswered question and give it back to the input
+        console.log('Follow-up response stopped by user');
+        setThread(previous);
+        if (!regenerating) setFollowupQuestion(findMessage(updated, questionId).content);
+        return;
+      }
+
       console.error('Error getting follow-up response:', error);
       setError(error.message || 'An unexpected error occurred');
       
       // Add error message to conversation
-      const finalHistory = [
-        ...updatedHistory,
-        { role: 'assistant', content: 'Sorry, I encountered an error. Please try again.' }
-      ];
-      setConversationHistory(finalHistory);
+      const answered = addMessage(updated, {
+        role: 'assistant',
+        content: 'Sorry, I encountered an error. Please try again.'
+      }, questionId);
+      setThread(answered);
       
       // Still save the conversation with the error message
       if (currentUser) {
-        saveConversationToFirestore(finalHistory);
+        saveConversationToFirestore(answered);
       }
     } finally {
+      abortControllerRef.current = null;
+      setStreamingResponse(null);
       setIsLoading(false);
     }
   };
 
+  const handleFollowupSubmit = (e) => {
+    e.preventDefault();
+    if (!followupQuestion.trim()) return;
+
+    // Keep the question in the input while the server is offline
+    if (serverStatus !== 'online') {
+      setError('Cannot send follow-up: server is offline');
+      return;
+    }
+
+    const conversation = addMessage(thread, { role: 'user', content: followupQuestion });
+    setFollowupQuestion('');
+    answerFollowup(conversation, conversation.leafId);
+  };
+
+  // Send an edited follow-up question as a new version of it, in a branch of its own
+  const handleEditSubmit = (id, content) => {
+    setEditingId(null);
+    const conversation = addMessage(thread, { role: 'user', content }, findMessage(thread, id).parentId);
+    answerFollowup(conversation, conversation.leafId);
+  };
+
+  // Answer the follow-up question before an answer again
+  const handleRegenerate = (id) => {
+    answerFollowup(thread, findMessage(thread, id).parentId, { regenerating: true });
+  };
+
+  // Show another version of a follow-up, with the latest branch after it
+  const handleSelectVersion = (id) => {
+    const conversation = selectBranch(thread, id);
+    setThread(conversation);
+    if (currentUser) {
+      saveConversationToFirestore(conversation);
+    }
+  };
+
   // Generate an array of chapter numbers based on the selected book
-  const getChapterCount = (book) => {
-    const chapterCounts = {
-      "Genesis": 50, "Exodus": 40, "Leviticus": 27, "Numbers": 36, "Deuteronomy": 34,
-      "Joshua": 24, "Judges": 21, "Ruth": 4, "1 Samuel": 31, "2 Samuel": 24, 
-      "1 Kings": 22, "2 Kings": 25, "1 Chronicles": 29, "2 Chronicles": 36, 
-      "Ezra": 10, "Nehemiah": 13, "Esther": 10, "Job": 42, "Psalms": 150, 
-      "Proverbs": 31, "Ecclesiastes": 12, "Song of Solomon": 8, "Isaiah": 66, 
-      "Jeremiah": 52, "Lamentations": 5, "Ezekiel": 48, "Daniel": 12, 
-      "Hosea": 14, "Joel": 3, "Amos": 9, "Obadiah": 1, "Jonah": 4, "Micah": 7, 
-      "Nahum": 3, "Habakkuk": 3, "Zephaniah": 3, "Haggai": 2, "Zechariah": 14, 
-      "Malachi": 4, "Matthew": 28, "Mark": 16, "Luke": 24, "John": 21, 
-      "Acts": 28, "Romans": 16, "1 Corinthians": 16, "2 Corinthians": 13, 
-      "Galatians": 6, "Ephesians": 6, "Philippians": 4, "Colossians": 4, 
-      "1 Thessalonians": 5, "2 Thessalonians": 3, "1 Timothy": 6, "2 Timothy": 4, 
-      "Titus": 3, "Philemon": 1, "Hebrews": 13, "James": 5, "1 Peter": 5, 
-      "2 Peter": 3, "1 John": 5, "2 John": 1, "3 John": 1, "Jude": 1, "Revelation": 22
-    };
-    
-    return Array.from({ length: chapterCounts[book] || 1 }, (_, i) => (i + 1).toString());
+  const getChapterCount = (bookName) => {
+    const entry = findBook(bookName);
+    return Array.from({ length: entry ? entry.chapters : 1 }, (_, i) => (i + 1).toString());
   };
 
   const chapters = getChapterCount(book);
@@ -544,10 +525,14 @@ const BibleCommentary = () => {
               className="block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
               disabled={isLoading}
             >
-              {bibleBooks.map((bookName) => (
-                <option key={bookName} value={bookName}>
-                  {bookName}
-                </option>
+              {bookGroups.map((group) => (
+                <optgroup key={group.label} label={group.label}>
+                  {group.books.map((entry) => (
+                    <option key={entry.id} value={entry.name}>
+                      {entry.name}
+                    </option>
+                  ))}
+                </optgroup>
               ))}
             </select>
           </div>
@@ -576,144 +561,186 @@ const BibleCommentary = () => {
           >
             {isLoading ? 'Loading...' : 'Get Commentary'}
           </button>
+
+          <div className="w-full">
+            <PerspectiveSelect value={perspective} onChange={setPerspective} disabled={isLoading} />
+          </div>
         </form>
       </div>
       
       {/* Commentary content area */}
       <div className="flex-1 p-4 h-[400px] overflow-y-auto" ref={commentaryRef}>
-        {isLoading && !hasConversation ? (
-          <div className="flex items-center justify-center h-full">
+        {isLoading && !hasConversation && !commentary ? (
+          <div className="flex flex-col items-center justify-center h-full">
             <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-700"></div>
+            <button
+              type="button"
+              onClick={handleStop}
+              className="mt-4 text-sm text-gray-600 hover:text-gray-800 underline"
+            >
+              Cancel
+            </button>
           </div>
         ) : hasConversation ? (
           <div className="prose max-w-none mb-4">
             <h2 className="text-2xl font-bold text-gray-800 mb-4">{book} {chapter}</h2>
+            {isCached && (
+              <CachedResultNotice onRegenerate={() => handleSubmit(null, { regenerate: true })} disabled={isLoading} />
+            )}
             
             <div className="space-y-6">
               {conversationHistory.map((msg, index) => (
-                <div key={index} className={`${msg.role === 'user' ? 'bg-blue-50 border-blue-100' : 'bg-gray-50 border-gray-100'} border rounded-lg p-4`}>
-                  <p className="text-xs text-gray-500 mb-1">
-                    {msg.role === 'user' ? 'You asked:' : 'Response:'}
-                  </p>
-                  {msg.role === 'assistant' ? (
-                    <div className="markdown-content">
-                      <ReactMarkdown 
-                        remarkPlugins={[remarkGfm]}
-                        components={{
-                          h1: ({node, ...props}) => <h1 className="text-xl font-bold mb-2" {...props} />,
-                          h2: ({node, ...props}) => <h2 className="text-lg font-bold mb-2" {...props} />,
-                          h3: ({node, ...props}) => <h3 className="text-md font-bold mb-1" {...props} />,
-                          p: ({node, ...props}) => {
-                            const rawContent = node.children
-                              .map(n => n.type === 'text' ? n.value : '')
-                              .join('');
-                            
-                            const processedContent = processContentWithVerseReferences(rawContent);
-                            return <p dangerouslySetInnerHTML={{ __html: processedContent }} className="mb-2" />;
-                          },
-                          ul: ({node, ...props}) => <ul className="list-disc pl-5 mb-2" {...props} />,
-                          ol: ({node, ...props}) => <ol className="list-decimal pl-5 mb-2" {...props} />,
-                          li: ({node, ...props}) => {
-                            const rawContent = node.children
-                              .map(n => {
-                                if (n.type === 'text') return n.value;
-                                if (n.children) {
-                                  return n.children.map(child => child.type === 'text' ? child.value : '').join('');
-                                }
-                                return '';
-                              })
-                              .join('');
-                            
-                            const processedContent = processContentWithVerseReferences(rawContent);
-                            return <li dangerouslySetInnerHTML={{ __html: processedContent }} className="mb-1" />;
-                          },
-                          a: ({node, href, children, ...props}) => {
-                            // Check if children or href contain verse references
-                            const rawContent = typeof children === 'string' 
-                              ? children 
-                              : Array.isArray(children) 
-                                ? children.map(child => typeof child === 'string' ? child : '').join('')
-                                : '';
-                            
-                            // Process either the content or href for verse references
-                            const hasReferences = containsVerseReferences(rawContent) || containsVerseReferences(href);
-                            
-                            if (hasReferences) {
-                              const processedContent = processContentWithVerseReferences(rawContent || href);
-                              return <span dangerouslySetInnerHTML={{ __html: processedContent }} />;
-                            }
-                            
-                            // Special case for hrefs that are verse references
-                            if (href && containsVerseReferences(href)) {
-                              const verseRef = extractVerseReferences(href)[0];
-                              return (
-                                <a 
-                                  href="#"
-                                  onClick={(e) => {
-                                    e.preventDefault();
-                                    handleVerseClick(verseRef);
-                                  }}
-                                  className="verse-reference text-blue-600 hover:underline"
-                                  data-verse={verseRef}
-                                >
-                                  {children}
-                                </a>
-                              );
-                            }
-                            
-                            return <a className="text-blue-600 hover:underline" href={href} {...props}>{children}</a>;
-                          },
-                          blockquote: ({node, ...props}) => <blockquote className="border-l-4 border-gray-300 pl-3 italic my-2" {...props} />,
-                          code: ({node, inline, ...props}) => 
-                            inline 
-                              ? <code className="bg-gray-100 text-sm rounded px-1 py-0.5" {...props} />
-                              : <pre className="bg-gray-100 p-2 rounded my-2 overflow-x-auto"><code {...props} /></pre>,
-                          // Add support for strong and em with verse references
-                          strong: ({node, children, ...props}) => {
-                            const rawContent = typeof children === 'string' 
-                              ? children 
-                              : Array.isArray(children) 
-                                ? children.map(child => typeof child === 'string' ? child : '').join('')
-                                : '';
-                            
-                            if (containsVerseReferences(rawContent)) {
-                              const processedContent = processContentWithVerseReferences(rawContent);
-                              return <strong dangerouslySetInnerHTML={{ __html: processedContent }} />;
-                            }
-                            return <strong {...props}>{children}</strong>;
-                          },
-                          em: ({node, children, ...props}) => {
-                            const rawContent = typeof children === 'string' 
-                              ? children 
-                              : Array.isArray(children) 
-                                ? children.map(child => typeof child === 'string' ? child : '').join('')
-                                : '';
-                            
-                            if (containsVerseReferences(rawContent)) {
-                              const processedContent = processContentWithVerseReferences(rawContent);
-                              return <em dangerouslySetInnerHTML={{ __html: processedContent }} />;
-                            }
-                            return <em {...props}>{children}</em>;
-                          },
-                        }}
-                      >
-                        {msg.content}
-                      </ReactMarkdown>
-                    </div>
-                  ) : (
-                    <p>{msg.content}</p>
-                  )}
-                </div>
+                <Fragment key={msg.id}>
+                  {contextSummary && index === contextSummary.covers && <CondensedNotice summary={contextSummary} />}
+                  <div className={`${msg.role === 'user' ? 'bg-blue-50 border-blue-100' : 'bg-gray-50 border-gray-100'} border rounded-lg p-4`}>
+                    <p className="text-xs text-gray-500 mb-1">
+                      {msg.role === 'user' ? 'You asked:' : 'Response:'}
+                    </p>
+                    {msg.role === 'assistant' ? (
+                      <div className="markdown-content">
+                        <ReactMarkdown 
+                          remarkPlugins={[remarkGfm]}
+                          components={{
+                            h1: ({node, ...props}) => <h1 className="text-xl font-bold mb-2" {...props} />,
+                            h2: ({node, ...props}) => <h2 className="text-lg font-bold mb-2" {...props} />,
+                            h3: ({node, ...props}) => <h3 className="text-md font-bold mb-1" {...props} />,
+                            p: ({node, ...props}) => {
+                              const rawContent = node.children
+                                .map(n => n.type === 'text' ? n.value : '')
+                                .join('');
+                              
+                              const processedContent = linkVerseReferences(rawContent);
+                              return <p dangerouslySetInnerHTML={{ __html: processedContent }} className="mb-2" />;
+                            },
+                            ul: ({node, ...props}) => <ul className="list-disc pl-5 mb-2" {...props} />,
+                            ol: ({node, ...props}) => <ol className="list-decimal pl-5 mb-2" {...props} />,
+                            li: ({node, ...props}) => {
+                              const rawContent = node.children
+                                .map(n => {
+                                  if (n.type === 'text') return n.value;
+                                  if (n.children) {
+                                    return n.children.map(child => child.type === 'text' ? child.value : '').join('');
+                                  }
+                                  return '';
+                                })
+                                .join('');
+                              
+                              const processedContent = linkVerseReferences(rawContent);
+                              return <li dangerouslySetInnerHTML={{ __html: processedContent }} className="mb-1" />;
+                            },
+                            a: ({node, href, children, ...props}) => {
+                              // Check if children or href contain verse references
+                              const rawContent = typeof children === 'string' 
+                                ? children 
+                                : Array.isArray(children) 
+                                  ? children.map(child => typeof child === 'string' ? child : '').join('')
+                                  : '';
+                              
+                              // Process either the content or href for verse references
+                              const hasReferences = containsVerseReferences(rawContent) || containsVerseReferences(href);
+                              
+                              if (hasReferences) {
+                                const processedContent = linkVerseReferences(rawContent || href);
+                                return <span dangerouslySetInnerHTML={{ __html: processedContent }} />;
+                              }
+                              
+                              // Special case for hrefs that are verse references
+                              if (href && containsVerseReferences(href)) {
+                                const verseRef = extractVerseReferences(href)[0];
+                                return (
+                                  <a 
+                                    href="#"
+                                    onClick={(e) => {
+                                      e.preventDefault();
+                                      handleVerseClick(verseRef);
+                                    }}
+                                    className="verse-reference text-blue-600 hover:underline"
+                                    data-verse={verseRef}
+                                  >
+                                    {children}
+                                  </a>
+                                );
+                              }
+                              
+                              return <a className="text-blue-600 hover:underline" href={href} {...props}>{children}</a>;
+                            },
+                            blockquote: ({node, ...props}) => <blockquote className="border-l-4 border-gray-300 pl-3 italic my-2" {...props} />,
+                            code: ({node, inline, ...props}) => 
+                              inline 
+                                ? <code className="bg-gray-100 text-sm rounded px-1 py-0.5" {...props} />
+                                : <pre className="bg-gray-100 p-2 rounded my-2 overflow-x-auto"><code {...props} /></pre>,
+                            // Add support for strong and em with verse references
+                            strong: ({node, children, ...props}) => {
+                              const rawContent = typeof children === 'string' 
+                                ? children 
+                                : Array.isArray(children) 
+                                  ? children.map(child => typeof child === 'string' ? child : '').join('')
+                                  : '';
+                              
+                              if (containsVerseReferences(rawContent)) {
+                                const processedContent = linkVerseReferences(rawContent);
+                                return <strong dangerouslySetInnerHTML={{ __html: processedContent }} />;
+                              }
+                              return <strong {...props}>{children}</strong>;
+                            },
+                            em: ({node, children, ...props}) => {
+                              const rawContent = typeof children === 'string' 
+                                ? children 
+                                : Array.isArray(children) 
+                                  ? children.map(child => typeof child === 'string' ? child : '').join('')
+                                  : '';
+                              
+                              if (containsVerseReferences(rawContent)) {
+                                const processedContent = linkVerseReferences(rawContent);
+                                return <em dangerouslySetInnerHTML={{ __html: processedContent }} />;
+                              }
+                              return <em {...props}>{children}</em>;
+                            },
+                          }}
+                        >
+                          {msg.content}
+                        </ReactMarkdown>
+                      </div>
+                    ) : editingId === msg.id ? (
+                      <MessageEditForm
+                        initialValue={msg.content}
+                        onSubmit={(content) => handleEditSubmit(msg.id, content)}
+                        onCancel={() => setEditingId(null)}
+                      />
+                    ) : (
+                      <p>{msg.content}</p>
+                    )}
+                    {/* The first request and answer are the tool's own; only follow-ups branch */}
+                    {index >= 2 && editingId !== msg.id && (
+                      <BranchControls
+                        tree={thread}
+                        id={msg.id}
+                        onSelect={handleSelectVersion}
+                        onEdit={msg.role === 'user' ? () => setEditingId(msg.id) : undefined}
+                        onRegenerate={msg.role === 'assistant' ? () => handleRegenerate(msg.id) : undefined}
+                        disabled={isLoading}
+                      />
+                    )}
+                  </div>
+                </Fragment>
               ))}
               
               {isLoading && (
                 <div className="bg-gray-50 border border-gray-100 rounded-lg p-4">
                   <p className="text-xs text-gray-500 mb-1">Response:</p>
-                  <div className="flex items-center space-x-2">
-                    <div className="h-2 w-2 bg-gray-500 rounded-full animate-bounce"></div>
-                    <div className="h-2 w-2 bg-gray-500 rounded-full animate-bounce delay-75"></div>
-                    <div className="h-2 w-2 bg-gray-500 rounded-full animate-bounce delay-150"></div>
-                  </div>
+                  {streamingResponse ? (
+                    <div className="markdown-content">
+                      <ReactMarkdown remarkPlugins={[remarkGfm]}>
+                        {streamingResponse}
+                      </ReactMarkdown>
+                    </div>
+                  ) : (
+                    <div className="flex items-center space-x-2">
+                      <div className="h-2 w-2 bg-gray-500 rounded-full animate-bounce"></div>
+                      <div className="h-2 w-2 bg-gray-500 rounded-full animate-bounce delay-75"></div>
+                      <div className="h-2 w-2 bg-gray-500 rounded-full animate-bounce delay-150"></div>
+                    </div>
+                  )}
                 </div>
               )}
             </div>
@@ -729,18 +756,23 @@ const BibleCommentary = () => {
                   className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
                   disabled={isLoading || serverStatus !== 'online'}
                 />
-                <button
-                  type="submit"
-                  disabled={isLoading || !followupQuestion.trim() || serverStatus !== 'online'}
-                  className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
-                >
-                  {isLoading ? (
-                    <svg className="animate-spin h-5 w-5" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                    </svg>
-                  ) : "Ask"}
-                </button>
+                {isLoading ? (
+                  <button
+                    type="button"
+                    onClick={handleStop}
+                    className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg transition-colors duration-200"
+                  >
+                    Stop
+                  </button>
+                ) : (
+                  <button
+                    type="submit"
+                    disabled={!followupQuestion.trim() || serverStatus !== 'online'}
+                    className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+                  >
+                    Ask
+                  </button>
+                )}
               </form>
             </div>
           </div>
@@ -759,7 +791,7 @@ const BibleCommentary = () => {
                       .map(n => n.type === 'text' ? n.value : '')
                       .join('');
                     
-                    const processedContent = processContentWithVerseReferences(rawContent);
+                    const processedContent = linkVerseReferences(rawContent);
                     return <p dangerouslySetInnerHTML={{ __html: processedContent }} className="mb-2" />;
                   },
                   ul: ({node, ...props}) => <ul className="list-disc pl-5 mb-2" {...props} />,
@@ -775,7 +807,7 @@ const BibleCommentary = () => {
                       })
                       .join('');
                     
-                    const processedContent = processContentWithVerseReferences(rawContent);
+                    const processedContent = linkVerseReferences(rawContent);
                     return <li dangerouslySetInnerHTML={{ __html: processedContent }} className="mb-1" />;
                   },
                   a: ({node, href, children, ...props}) => {
@@ -790,7 +822,7 @@ const BibleCommentary = () => {
                     const hasReferences = containsVerseReferences(rawContent) || containsVerseReferences(href);
                     
                     if (hasReferences) {
-                      const processedContent = processContentWithVerseReferences(rawContent || href);
+                      const processedContent = linkVerseReferences(rawContent || href);
                       return <span dangerouslySetInnerHTML={{ __html: processedContent }} />;
                     }
                     
@@ -828,7 +860,7 @@ const BibleCommentary = () => {
                         : '';
                     
                     if (containsVerseReferences(rawContent)) {
-                      const processedContent = processContentWithVerseReferences(rawContent);
+                      const processedContent = linkVerseReferences(rawContent);
                       return <strong dangerouslySetInnerHTML={{ __html: processedContent }} />;
                     }
                     return <strong {...props}>{children}</strong>;
@@ -841,7 +873,7 @@ const BibleCommentary = () => {
                         : '';
                     
                     if (containsVerseReferences(rawContent)) {
-                      const processedContent = processContentWithVerseReferences(rawContent);
+                      const processedContent = linkVerseReferences(rawContent);
                       return <em dangerouslySetInnerHTML={{ __html: processedContent }} />;
                     }
                     return <em {...props}>{children}</em>;
@@ -851,6 +883,18 @@ const BibleCommentary = () => {
                 {commentary}
               </ReactMarkdown>
             </div>
+            {isLoading && (
+              <button
+                type="button"
+                onClick={handleStop}
+                className="mt-2 text-sm text-gray-600 hover:text-gray-800 underline"
+              >
+                Stop
+              </button>
+            )}
+            {responseStopped && (
+              <p className="text-xs text-gray-500 italic mt-2">Commentary stopped before it finished and was not saved</p>
+            )}
           </div>
         ) : (
           <div className="flex flex-col items-center justify-center h-full text-center">
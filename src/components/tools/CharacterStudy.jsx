@@ -6,7 +6,12 @@ import { db } from '../../firebase/config';
 import { collection, addDoc, serverTimestamp, updateDoc, doc, getDoc, query, where, getDocs } from 'firebase/firestore';
 import axios from 'axios';
 import BibleVerseModal from '../common/BibleVerseModal';
-import { extractVerseReferences, containsVerseReferences } from '../common/VerseReferenceParser';
+import CachedResultNotice from '../common/CachedResultNotice';
+import ReferenceWarnings from '../common/ReferenceWarnings';
+import TranslationSelect from '../common/TranslationSelect';
+import QuotedVerseText from '../common/QuotedVerseText';
+import { containsVerseReferences, linkVerseReferences } from '../common/VerseReferenceParser';
+import api from '../../utils/apiClient';
 
 const CharacterStudy = () => {
   const [characterQuery, setCharacterQuery] = useState('');
@@ -14,9 +19,11 @@ const CharacterStudy = () => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [serverStatus, setServerStatus] = useState('checking');
+  const [isCached, setIsCached] = useState(false);
   const [currentStudyId, setCurrentStudyId] = useState(null);
   const [savedStudies, setSavedStudies] = useState([]);
   const [activeTab, setActiveTab] = useState('biography');
+  const [translation, setTranslation] = useState('');
   // Bible verse modal state
   const [isVerseModalOpen, setIsVerseModalOpen] = useState(false);
   const [selectedVerse, setSelectedVerse] = useState('');
@@ -58,90 +65,6 @@ const CharacterStudy = () => {
     };
   }, []);
 
-  // Process content to identify and make verse references clickable
-  const processContentWithVerseReferences = (content) => {
-    if (!content || typeof content !== 'string') return content;
-    
-    if (!containsVerseReferences(content)) {
-      return content;
-    }
-
-    const references = extractVerseReferences(content);
-    
-    // Sort references by length (descending) to handle overlapping references
-    const sortedReferences = [...references].sort((a, b) => b.length - a.length);
-
-    // Store the matches for each reference to avoid double-processing
-    const matches = {};
-
-    // First identify all references in the content 
-    sortedReferences.forEach(ref => {
-      // Escape special regex characters in the reference
-      const escapedRef = ref.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      
-      // Use more precise regex that requires word boundaries to avoid capturing preceding words
-      const regex = new RegExp(`(^|\\s|[;:.,>"'])(${escapedRef})\\b`, 'g');
-      
-      // Find all matches in the content
-      let match;
-      matches[ref] = [];
-      while ((match = regex.exec(content)) !== null) {
-        // The actual reference is in the second capturing group
-        const actualRef = match[2];
-        const startIndex = match.index + match[1].length; // Skip the preceding character/space
-        
-        matches[ref].push({
-          index: startIndex,
-          length: actualRef.length,
-          text: actualRef,
-          fullMatch: match[0],
-          beforeText: match[1]
-        });
-      }
-    });
-    
-    // No references found in the actual content
-    if (Object.values(matches).every(arr => arr.length === 0)) {
-      return content;
-    }
-    
-    // Process the content to replace references with clickable spans
-    // We'll build a new string character by character
-    let result = '';
-    let skipTo = 0;
-    
-    for (let i = 0; i < content.length; i++) {
-      // Skip if we've already processed this part
-      if (i < skipTo) continue;
-      
-      // Check if any reference starts at this position
-      let matched = false;
-      
-      for (const ref of sortedReferences) {
-        for (const match of matches[ref]) {
-          if (match.index === i) {
-            // Create a clickable span for this reference
-            const span = `<span class="verse-reference" data-verse="${ref}" onclick="(function(e) { var event = new CustomEvent('verse-click', { detail: { verse: '${ref}' } }); document.dispatchEvent(event); })(event)" style="color: #4f46e5; cursor: pointer; text-decoration: underline; font-weight: 500;">${match.text}</span>`;
-            result += span;
-            
-            // Skip the length of the reference
-            skipTo = i + match.length;
-            matched = true;
-            break;
-          }
-        }
-        if (matched) break;
-      }
-      
-      // If no reference matched at this position, just add the character
-      if (!matched && i >= skipTo) {
-        result += content[i];
-      }
-    }
-    
-    return result;
-  };
-
   // Handle verse reference click
   const handleVerseClick = (verseRef) => {
     setSelectedVerse(verseRef);
@@ -213,7 +136,7 @@ const CharacterStudy = () => {
   };
 
   // Save character study to Firestore
-  const saveStudyToFirestore = async (data) => {
+  const saveStudyToFirestore = async (data, promptVersion = null) => {
     try {
       if (!currentUser) {
         console.log('User not logged in, cannot save character study');
@@ -229,6 +152,7 @@ const CharacterStudy = () => {
           query: characterQuery,
           characterName: data.character?.name || 'Unknown Character',
           characterData: data,
+          promptVersion,
           createdAt: serverTimestamp(),
           updatedAt: serverTimestamp()
         });
@@ -244,6 +168,7 @@ const CharacterStudy = () => {
           // Update the existing document
           await updateDoc(studyRef, {
             characterData: data,
+            promptVersion,
             updatedAt: serverTimestamp()
           });
           
@@ -257,6 +182,7 @@ const CharacterStudy = () => {
             query: characterQuery,
             characterName: data.character?.name || 'Unknown Character',
             characterData: data,
+            promptVersion,
             createdAt: serverTimestamp(),
             updatedAt: serverTimestamp()
           });
@@ -313,6 +239,20 @@ const CharacterStudy = () => {
     setCurrentStudyId(study.id);
   };
 
+  // Quote the study's key verses from another translation
+  const changeTranslation = async (id) => {
+    setTranslation(id);
+    if (!characterData?.verses?.length) return;
+
+    try {
+      const response = await api.post('/api/passages/quotes', { quotes: characterData.verses, translation: id });
+      setCharacterData(data => ({ ...data, verses: response.data.quotes }));
+    } catch (err) {
+      console.error('Failed to quote verses from another translation:', err);
+      setError(err.response?.data?.error?.message || 'Failed to load the verses in that translation');
+    }
+  };
+
   // Reset current study
   const resetStudy = () => {
     setCharacterData(null);
@@ -320,8 +260,9 @@ const CharacterStudy = () => {
   };
 
   // Handle form submission
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  // `regenerate` skips both the saved study and the server cache
+  const handleSubmit = async (e, { regenerate = false } = {}) => {
+    e?.preventDefault();
     if (!characterQuery.trim()) return;
 
     // Don't try to send if server is offline
@@ -334,13 +275,16 @@ const CharacterStudy = () => {
     setError('');
     setIsLoading(true);
     setCharacterData(null);
+    setIsCached(false);
     
-    // Reset current study
-    resetStudy();
+    // Reset current study (a regenerated study replaces the saved one)
+    if (!regenerate) {
+      resetStudy();
+    }
 
     try {
       // First check if we have an existing study for this query
-      if (currentUser) {
+      if (currentUser && !regenerate) {
         const existingStudy = await findExistingStudy(characterQuery);
         
         if (existingStudy && existingStudy.characterData) {
@@ -359,8 +303,10 @@ const CharacterStudy = () => {
       
       // If no existing study is found, proceed with API request
       console.log(`Generating character study for: ${characterQuery}`);
-      const response = await axios.post('/api/tools/character-study', {
-        query: characterQuery
+      const response = await api.post('/api/tools/character-study', {
+        query: characterQuery,
+        translation: translation || undefined,
+        regenerate
       });
       
       console.log('Response received:', response.status, response.statusText);
@@ -369,17 +315,19 @@ const CharacterStudy = () => {
         throw new Error('Invalid response format from server');
       }
       
-      setCharacterData(response.data);
+      const { cached, promptVersion, ...data } = response.data;
+      setCharacterData(data);
+      setIsCached(Boolean(cached));
       
       // Save to Firestore if user is logged in
       if (currentUser) {
-        saveStudyToFirestore(response.data);
+        saveStudyToFirestore(data, promptVersion);
       }
     } catch (error) {
       console.error('Character study generation error:', error);
       if (error.response) {
         console.error('Error response:', error.response.status, error.response.data);
-        setError(error.response.data?.message || 'Failed to generate character study. Server error.');
+        setError(error.response.data?.error?.message || 'Failed to generate character study. Server error.');
       } else if (error.request) {
         console.error('No response received:', error.request);
         setError('Failed to reach the server. Please try again later.');
@@ -401,7 +349,7 @@ const CharacterStudy = () => {
           <li key={index} className="flex items-start">
             <span className="mr-2 text-indigo-500">{icon}</span>
             {containsVerseReferences(item) ? (
-              <span dangerouslySetInnerHTML={{ __html: processContentWithVerseReferences(item) }} />
+              <span dangerouslySetInnerHTML={{ __html: linkVerseReferences(item) }} />
             ) : (
               <span>{item}</span>
             )}
@@ -418,18 +366,19 @@ const CharacterStudy = () => {
         <h3 className="font-bold text-lg mb-2">{event.title}</h3>
         <p className="mb-2">
           {containsVerseReferences(event.description) ? (
-            <span dangerouslySetInnerHTML={{ __html: processContentWithVerseReferences(event.description) }} />
+            <span dangerouslySetInnerHTML={{ __html: linkVerseReferences(event.description) }} />
           ) : (
             event.description
           )}
         </p>
         <p className="text-sm text-indigo-600">
           {containsVerseReferences(event.reference) ? (
-            <span dangerouslySetInnerHTML={{ __html: processContentWithVerseReferences(event.reference) }} />
+            <span dangerouslySetInnerHTML={{ __html: linkVerseReferences(event.reference) }} />
           ) : (
             event.reference
           )}
         </p>
+        <ReferenceWarnings warnings={characterData.referenceWarnings} path={`biography.keyEvents[${index}]`} />
       </div>
     );
   };
@@ -446,18 +395,19 @@ const CharacterStudy = () => {
         </div>
         <p className="mb-2">
           {containsVerseReferences(relationship.description) ? (
-            <span dangerouslySetInnerHTML={{ __html: processContentWithVerseReferences(relationship.description) }} />
+            <span dangerouslySetInnerHTML={{ __html: linkVerseReferences(relationship.description) }} />
           ) : (
             relationship.description
           )}
         </p>
         <p className="text-sm text-indigo-600">
           {containsVerseReferences(relationship.reference) ? (
-            <span dangerouslySetInnerHTML={{ __html: processContentWithVerseReferences(relationship.reference) }} />
+            <span dangerouslySetInnerHTML={{ __html: linkVerseReferences(relationship.reference) }} />
           ) : (
             relationship.reference
           )}
         </p>
+        <ReferenceWarnings warnings={characterData.referenceWarnings} path={`relationships[${index}]`} />
       </div>
     );
   };
@@ -475,10 +425,10 @@ const CharacterStudy = () => {
             {verse.reference}
           </span>
         </div>
-        <p className="italic mb-2">"{verse.text}"</p>
+        <QuotedVerseText quote={verse} />
         <p className="text-sm">
           {containsVerseReferences(verse.significance) ? (
-            <span dangerouslySetInnerHTML={{ __html: processContentWithVerseReferences(verse.significance) }} />
+            <span dangerouslySetInnerHTML={{ __html: linkVerseReferences(verse.significance) }} />
           ) : (
             verse.significance
           )}
@@ -527,7 +477,11 @@ const CharacterStudy = () => {
       case 'verses':
         return (
           <div>
-            <h3 className="text-lg font-medium text-gray-800 mb-2">Key Verses</h3>
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+              <h3 className="text-lg font-medium text-gray-800">Key Verses</h3>
+              <TranslationSelect value={translation} onChange={changeTranslation} disabled={isLoading} />
+            </div>
+            <ReferenceWarnings warnings={characterData.referenceWarnings} path="verses" className="mb-4" />
             {characterData.verses?.map(renderVerse) || 
               <p className="text-gray-500 italic">No verses listed</p>
             }
@@ -705,6 +659,9 @@ const CharacterStudy = () => {
             </div>
           ) : characterData ? (
             <div>
+              {isCached && (
+                <CachedResultNotice onRegenerate={() => handleSubmit(null, { regenerate: true })} disabled={isLoading} />
+              )}
               {/* Character header */}
               <div className="bg-indigo-50 p-4 rounded-lg mb-6">
                 <h2 className="text-2xl font-bold text-indigo-800 mb-1">
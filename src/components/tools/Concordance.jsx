@@ -0,0 +1,235 @@
+import React, { useState } from 'react';
+import BibleVerseModal from '../common/BibleVerseModal';
+import HighlightedText from '../common/HighlightedText';
+import api from '../../utils/apiClient';
+import { TESTAMENTS, canonBooks } from '../../../shared/scripture';
+
+const PAGE_SIZE = 50;
+
+const EXAMPLES = ['"living water"', 'believ*', 'faith OR hope', 'love -hate', 'shepherd NEAR/5 sheep'];
+
+const Concordance = () => {
+  const [queryInput, setQueryInput] = useState('');
+  const [book, setBook] = useState('');
+  const [testament, setTestament] = useState('');
+  const [results, setResults] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [selectedVerse, setSelectedVerse] = useState('');
+  const [isVerseModalOpen, setIsVerseModalOpen] = useState(false);
+
+  const bookGroups = Object.entries(TESTAMENTS).map(([id, label]) => ({
+    label,
+    books: canonBooks().filter(entry => entry.testament === id)
+  }));
+
+  const search = async ({ query = queryInput, filters = { book, testament }, offset = 0 } = {}) => {
+    if (!query.trim()) return;
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const response = await api.get('/api/concordance', {
+        params: {
+          q: query,
+          book: filters.book || undefined,
+          testament: filters.testament || undefined,
+          limit: PAGE_SIZE,
+          offset
+        }
+      });
+      setResults(response.data);
+    } catch (err) {
+      console.error('Concordance search failed:', err);
+      setError(err.response?.data?.error?.message || 'Search failed');
+      setResults(null);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    search();
+  };
+
+  // Narrow the current search to one book, or back to all of them
+  const filterByBook = (id) => {
+    setBook(id);
+    search({ query: results.query, filters: { book: id, testament } });
+  };
+
+  const openVerse = (reference) => {
+    setSelectedVerse(reference);
+    setIsVerseModalOpen(true);
+  };
+
+  const lastShown = results ? Math.min(results.offset + results.results.length, results.total) : 0;
+
+  return (
+    <div className="w-full flex flex-col bg-white rounded-xl shadow-lg overflow-hidden">
+      {error && (
+        <div className="px-4 py-2 bg-red-100 border-l-4 border-red-500 text-red-700 text-sm">
+          <span className="font-bold">Error:</span> {error}
+        </div>
+      )}
+
+      {/* Search form */}
+      <div className="p-4 bg-gray-50 border-b">
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <div>
+            <label htmlFor="concordance-query" className="block text-sm font-medium text-gray-700 mb-1">
+              Search the Bible text
+            </label>
+            <input
+              id="concordance-query"
+              type="text"
+              value={queryInput}
+              onChange={(e) => setQueryInput(e.target.value)}
+              placeholder='Example: "living water" or shepherd NEAR/5 sheep'
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+              disabled={isLoading}
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              Use quotes for phrases, * for word endings, OR, - to leave a word out, and NEAR/n for words close together. Try{' '}
+              {EXAMPLES.map((example, index) => (
+                <React.Fragment key={example}>
+                  {index > 0 && ', '}
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setQueryInput(example);
+                      search({ query: example });
+                    }}
+                    className="font-mono text-indigo-600 hover:underline"
+                  >
+                    {example}
+                  </button>
+                </React.Fragment>
+              ))}
+              .
+            </p>
+          </div>
+
+          <div className="flex flex-col sm:flex-row gap-3">
+            <select
+              value={testament}
+              onChange={(e) => setTestament(e.target.value)}
+              className="px-3 py-2 bg-white border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+              disabled={isLoading}
+            >
+              <option value="">Whole Bible</option>
+              {Object.entries(TESTAMENTS).map(([id, label]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+            <select
+              value={book}
+              onChange={(e) => setBook(e.target.value)}
+              className="px-3 py-2 bg-white border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+              disabled={isLoading}
+            >
+              <option value="">All books</option>
+              {bookGroups.map((group) => (
+                <optgroup key={group.label} label={group.label}>
+                  {group.books.map((entry) => (
+                    <option key={entry.id} value={entry.id}>{entry.name}</option>
+                  ))}
+                </optgroup>
+              ))}
+            </select>
+            <button
+              type="submit"
+              disabled={isLoading || !queryInput.trim()}
+              className="sm:ml-auto px-4 py-2 bg-indigo-600 text-white rounded-md shadow-sm hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isLoading ? 'Searching...' : 'Search'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {/* Results */}
+      <div className="flex-1 p-4 overflow-y-auto">
+        {isLoading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-indigo-600"></div>
+          </div>
+        ) : results && (
+          <div>
+            <p className="text-sm text-gray-600 mb-3">
+              {results.total === 0
+                ? `No verses in the ${results.translation} match ${results.query}.`
+                : `${results.total} ${results.total === 1 ? 'verse' : 'verses'} in the ${results.translation} match ${results.query}. Showing ${results.offset + 1}-${lastShown}.`}
+            </p>
+
+            {/* Hits per book */}
+            {(results.books.length > 1 || book) && (
+              <div className="flex flex-wrap gap-2 mb-4">
+                {book && (
+                  <button
+                    onClick={() => filterByBook('')}
+                    className="px-2 py-1 text-xs rounded-full bg-indigo-600 text-white hover:bg-indigo-700"
+                  >
+                    All books ✕
+                  </button>
+                )}
+                {results.books.map((entry) => (
+                  <button
+                    key={entry.book}
+                    onClick={() => filterByBook(entry.book)}
+                    className="px-2 py-1 text-xs rounded-full bg-gray-100 text-gray-700 hover:bg-indigo-100"
+                  >
+                    {entry.name} <span className="text-gray-500">{entry.count}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <ul className="divide-y divide-gray-100">
+              {results.results.map((verse) => (
+                <li key={verse.osis} className="py-2 text-sm">
+                  <button
+                    onClick={() => openVerse(verse.reference)}
+                    className="font-semibold text-indigo-600 hover:underline mr-2"
+                  >
+                    {verse.reference}
+                  </button>
+                  <HighlightedText text={verse.text} highlights={verse.highlights} />
+                </li>
+              ))}
+            </ul>
+
+            {/* Paging */}
+            {results.total > results.limit && (
+              <div className="flex justify-between mt-4">
+                <button
+                  onClick={() => search({ query: results.query, offset: Math.max(results.offset - results.limit, 0) })}
+                  disabled={results.offset === 0}
+                  className="px-3 py-1 text-sm border border-gray-300 rounded disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <button
+                  onClick={() => search({ query: results.query, offset: results.offset + results.limit })}
+                  disabled={lastShown >= results.total}
+                  className="px-3 py-1 text-sm border border-gray-300 rounded disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      <BibleVerseModal
+        isOpen={isVerseModalOpen}
+        onClose={() => setIsVerseModalOpen(false)}
+        verseReference={selectedVerse}
+      />
+    </div>
+  );
+};
+
+export default Concordance;
@@ -6,6 +6,7 @@ import { db, storage } from '../../firebase/config';
 import { collection, addDoc, serverTimestamp, updateDoc, doc, getDoc, query as firestoreQuery, where, getDocs } from 'firebase/firestore';
 import { ref, uploadString, getDownloadURL } from 'firebase/storage';
 import axios from 'axios';
+import api, { apiFetch } from '../../utils/apiClient';
 
 const Images = () => {
   const [activeTab, setActiveTab] = useState('generate'); // 'generate' or 'edit'
@@ -113,7 +114,7 @@ const Images = () => {
         });
       } else {
         // For URLs, we'll use the server as a proxy to avoid CORS issues
-        const response = await fetch('/api/proxy-image', {
+        const response = await apiFetch('/api/proxy-image', {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
@@ -145,7 +146,7 @@ const Images = () => {
   };
 
   // Save results to Firestore
-  const saveImageToFirestore = async (imageUrl, prompt) => {
+  const saveImageToFirestore = async (imageUrl, prompt, promptVersion = null) => {
     try {
       if (!currentUser) {
         console.log('User not logged in, cannot save image');
@@ -160,6 +161,7 @@ const Images = () => {
           userEmail: currentUser.email,
           prompt: prompt,
           imageUrl: imageUrl,
+          promptVersion,
           createdAt: serverTimestamp(),
           updatedAt: serverTimestamp()
         });
@@ -175,6 +177,7 @@ const Images = () => {
           // Update the existing document
           await updateDoc(imageRef, {
             imageUrl: imageUrl,
+            promptVersion,
             updatedAt: serverTimestamp()
           });
           
@@ -187,6 +190,7 @@ const Images = () => {
             userEmail: currentUser.email,
             prompt: prompt,
             imageUrl: imageUrl,
+            promptVersion,
             createdAt: serverTimestamp(),
             updatedAt: serverTimestamp()
           });
@@ -269,7 +273,7 @@ const Images = () => {
 
     try {
       console.log(`Generating image for prompt: "${imagePrompt}"`);
-      const response = await axios.post('/api/tools/biblical-image', {
+      const response = await api.post('/api/tools/biblical-image', {
         prompt: imagePrompt
       });
       
@@ -285,14 +289,14 @@ const Images = () => {
       if (currentUser) {
         const storedImageUrl = await saveImageToStorage(response.data.image, imagePrompt);
         if (storedImageUrl) {
-          saveImageToFirestore(storedImageUrl, imagePrompt);
+          saveImageToFirestore(storedImageUrl, imagePrompt, response.data.promptVersion);
         }
       }
     } catch (error) {
       console.error('Image generation error:', error);
       if (error.response) {
         console.error('Error response:', error.response.status, error.response.data);
-        setError(error.response.data?.message || 'Failed to generate image. Server error.');
+        setError(error.response.data?.error?.message || 'Failed to generate image. Server error.');
       } else if (error.request) {
         console.error('No response received:', error.request);
         setError('Failed to reach the server. Please try again later.');
@@ -352,7 +356,7 @@ const Images = () => {
       if (uploadedImage && uploadedImage.startsWith('http')) {
         try {
           console.log('Converting URL to data URL for editing');
-          const proxyResponse = await axios.post('/api/proxy-image', {
+          const proxyResponse = await api.post('/api/proxy-image', {
             imageUrl: uploadedImage
           });
           
@@ -368,7 +372,7 @@ const Images = () => {
         }
       }
       
-      const response = await axios.post('/api/tools/edit-biblical-image', {
+      const response = await api.post('/api/tools/edit-biblical-image', {
         prompt: editPrompt,
         imageData: processedImageData,
         maskData: uploadedMask
@@ -386,14 +390,14 @@ const Images = () => {
       if (currentUser) {
         const storedImageUrl = await saveImageToStorage(response.data.image, editPrompt);
         if (storedImageUrl) {
-          saveImageToFirestore(storedImageUrl, `Edited: ${editPrompt}`);
+          saveImageToFirestore(storedImageUrl, `Edited: ${editPrompt}`, response.data.promptVersion);
         }
       }
     } catch (error) {
       console.error('Image edit error:', error);
       if (error.response) {
         console.error('Error response:', error.response.status, error.response.data);
-        setError(error.response.data?.message || 'Failed to edit image. Server error.');
+        setError(error.response.data?.error?.message || 'Failed to edit image. Server error.');
       } else if (error.request) {
         console.error('No response received:', error.request);
         setError('Failed to reach the server. Please try again later.');
@@ -429,7 +433,7 @@ const Images = () => {
       setIsLoading(true);
       
       // Use our proxy to get the image data
-      fetch('/api/proxy-image', {
+      apiFetch('/api/proxy-image', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
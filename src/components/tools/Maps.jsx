@@ -5,8 +5,11 @@ import { useAuth } from '../../firebase/AuthContext';
 import { db } from '../../firebase/config';
 import { collection, addDoc, serverTimestamp, updateDoc, doc, getDoc, query as firestoreQuery, where, getDocs } from 'firebase/firestore';
 import axios from 'axios';
+import CachedResultNotice from '../common/CachedResultNotice';
+import ReferenceWarnings from '../common/ReferenceWarnings';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
+import api from '../../utils/apiClient';
 
 // Fix Leaflet icon issue
 delete L.Icon.Default.prototype._getIconUrl;
@@ -23,6 +26,7 @@ const Maps = () => {
   const [error, setError] = useState('');
   const [serverStatus, setServerStatus] = useState('checking');
   const [currentMapId, setCurrentMapId] = useState(null);
+  const [isCached, setIsCached] = useState(false);
   const [selectedLocation, setSelectedLocation] = useState(null);
   const mapRef = useRef(null);
   const resultsRef = useRef(null);
@@ -107,7 +111,7 @@ const Maps = () => {
   };
 
   // Save results to Firestore
-  const saveMapToFirestore = async (data, query) => {
+  const saveMapToFirestore = async (data, query, promptVersion = null) => {
     try {
       if (!currentUser) {
         console.log('User not logged in, cannot save map');
@@ -123,6 +127,7 @@ const Maps = () => {
           query: query,
           title: data.title,
           mapData: data,
+          promptVersion,
           createdAt: serverTimestamp(),
           updatedAt: serverTimestamp()
         });
@@ -138,6 +143,7 @@ const Maps = () => {
           // Update the existing document
           await updateDoc(mapRef, {
             mapData: data,
+            promptVersion,
             updatedAt: serverTimestamp()
           });
           
@@ -151,6 +157,7 @@ const Maps = () => {
             query: query,
             title: data.title,
             mapData: data,
+            promptVersion,
             createdAt: serverTimestamp(),
             updatedAt: serverTimestamp()
           });
@@ -288,19 +295,19 @@ const Maps = () => {
       
       // If no existing map is found, proceed with API request
       console.log(`Generating map for: ${queryInput}`);
-      const response = await axios.post('/api/maps', {
+      const response = await api.post('/api/maps', {
         query: queryInput
       });
 
       console.log('Response status:', response.status);
       
-      const data = response.data;
+      const { promptVersion, ...data } = response.data;
       console.log('Received map data:', data);
       setMapData(data);
       
       // Save to Firestore if user is logged in
       if (currentUser) {
-        saveMapToFirestore(data, queryInput);
+        saveMapToFirestore(data, queryInput, promptVersion);
       }
     } catch (error) {
       console.error('Error generating map:', error);
@@ -358,7 +365,7 @@ const Maps = () => {
     }
   };
 
-  const saveMapToFirestoreInUserCollection = async () => {
+  const saveMapToFirestoreInUserCollection = async (promptVersion = null) => {
     if (!currentUser || !mapData) return;
     
     try {
@@ -368,6 +375,7 @@ const Maps = () => {
         title,
         query: mapInput,
         locations: mapData.locations,
+        promptVersion,
         createdAt: serverTimestamp(),
         userId: currentUser.uid
       };
@@ -415,8 +423,9 @@ const Maps = () => {
     }
   };
 
-  const handleMapSubmit = async (e) => {
-    e.preventDefault();
+  // `regenerate` asks the server for a new map instead of a cached one
+  const handleMapSubmit = async (e, { regenerate = false } = {}) => {
+    e?.preventDefault();
     
     if (!mapInput.trim() || serverStatus !== 'online') {
       return;
@@ -425,11 +434,13 @@ const Maps = () => {
     setIsLoading(true);
     setError('');
     setMapData(null); // Clear previous map data
+    setIsCached(false);
     
     try {
       console.log(`Generating map for query: "${mapInput}"`);
-      const response = await axios.post('/api/maps', {
-        query: mapInput
+      const response = await api.post('/api/maps', {
+        query: mapInput,
+        regenerate
       });
       
       console.log('Response received:', response.status, response.statusText);
@@ -439,7 +450,9 @@ const Maps = () => {
         throw new Error('Invalid response format from server');
       }
       
-      setMapData(response.data);
+      const { cached, promptVersion, ...data } = response.data;
+      setMapData(data);
+      setIsCached(Boolean(cached));
       setCurrentSavedMapId(null);
       
       // Initialize map after data is set
@@ -451,7 +464,7 @@ const Maps = () => {
       
       if (currentUser) {
         try {
-          const savedId = await saveMapToFirestoreInUserCollection();
+          const savedId = await saveMapToFirestoreInUserCollection(promptVersion);
           setCurrentSavedMapId(savedId);
           fetchSavedMaps();
         } catch (error) {
@@ -462,7 +475,7 @@ const Maps = () => {
       console.error("Map generation error:", error);
       if (error.response) {
         console.error("Error response:", error.response.status, error.response.data);
-        setError(error.response.data?.message || "Failed to generate map data. Server error.");
+        setError(error.response.data?.error?.message || "Failed to generate map data. Server error.");
       } else if (error.request) {
         console.error("No response received:", error.request);
         setError("Failed to reach the server. Please try again later.");
@@ -592,6 +605,9 @@ const Maps = () => {
               ></div>
               
               <div className="p-4">
+                {isCached && (
+                  <CachedResultNotice onRegenerate={() => handleMapSubmit(null, { regenerate: true })} disabled={isLoading} />
+                )}
                 <h2 className="text-xl font-semibold mb-4">Results</h2>
                 
                 <div className="space-y-4">
@@ -624,6 +640,7 @@ const Maps = () => {
                             </ul>
                           </div>
                         )}
+                        <ReferenceWarnings warnings={mapData.referenceWarnings} path={`locations[${index}]`} />
                         {location.coordinates && (
                           <div className="mt-2 text-xs text-gray-500">
                             Coordinates: {location.coordinates.latitude}, {location.coordinates.longitude}
@@ -6,7 +6,12 @@ import { db } from '../../firebase/config';
 import { collection, addDoc, serverTimestamp, updateDoc, doc, getDoc, query, where, getDocs } from 'firebase/firestore';
 import axios from 'axios';
 import BibleVerseModal from '../common/BibleVerseModal';
-import { extractVerseReferences, containsVerseReferences } from '../common/VerseReferenceParser';
+import CachedResultNotice from '../common/CachedResultNotice';
+import ReferenceWarnings from '../common/ReferenceWarnings';
+import TranslationSelect from '../common/TranslationSelect';
+import QuotedVerseText from '../common/QuotedVerseText';
+import { containsVerseReferences, linkVerseReferences } from '../common/VerseReferenceParser';
+import api from '../../utils/apiClient';
 
 const PersonalStudy = () => {
   const [studyQuery, setStudyQuery] = useState('');
@@ -14,10 +19,12 @@ const PersonalStudy = () => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [serverStatus, setServerStatus] = useState('checking');
+  const [isCached, setIsCached] = useState(false);
   const [currentStudyId, setCurrentStudyId] = useState(null);
   const [savedStudies, setSavedStudies] = useState([]);
   const [activeTab, setActiveTab] = useState('overview');
   const [activeSession, setActiveSession] = useState(0);
+  const [translation, setTranslation] = useState('');
   // Bible verse modal state
   const [isVerseModalOpen, setIsVerseModalOpen] = useState(false);
   const [selectedVerse, setSelectedVerse] = useState('');
@@ -59,90 +66,6 @@ const PersonalStudy = () => {
     };
   }, []);
 
-  // Process content to identify and make verse references clickable
-  const processContentWithVerseReferences = (content) => {
-    if (!content || typeof content !== 'string') return content;
-    
-    if (!containsVerseReferences(content)) {
-      return content;
-    }
-
-    const references = extractVerseReferences(content);
-    
-    // Sort references by length (descending) to handle overlapping references
-    const sortedReferences = [...references].sort((a, b) => b.length - a.length);
-
-    // Store the matches for each reference to avoid double-processing
-    const matches = {};
-
-    // First identify all references in the content 
-    sortedReferences.forEach(ref => {
-      // Escape special regex characters in the reference
-      const escapedRef = ref.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      
-      // Use more precise regex that requires word boundaries to avoid capturing preceding words
-      const regex = new RegExp(`(^|\\s|[;:.,>"'])(${escapedRef})\\b`, 'g');
-      
-      // Find all matches in the content
-      let match;
-      matches[ref] = [];
-      while ((match = regex.exec(content)) !== null) {
-        // The actual reference is in the second capturing group
-        const actualRef = match[2];
-        const startIndex = match.index + match[1].length; // Skip the preceding character/space
-        
-        matches[ref].push({
-          index: startIndex,
-          length: actualRef.length,
-          text: actualRef,
-          fullMatch: match[0],
-          beforeText: match[1]
-        });
-      }
-    });
-    
-    // No references found in the actual content
-    if (Object.values(matches).every(arr => arr.length === 0)) {
-      return content;
-    }
-    
-    // Process the content to replace references with clickable spans
-    // We'll build a new string character by character
-    let result = '';
-    let skipTo = 0;
-    
-    for (let i = 0; i < content.length; i++) {
-      // Skip if we've already processed this part
-      if (i < skipTo) continue;
-      
-      // Check if any reference starts at this position
-      let matched = false;
-      
-      for (const ref of sortedReferences) {
-        for (const match of matches[ref]) {
-          if (match.index === i) {
-            // Create a clickable span for this reference
-            const span = `<span class="verse-reference" data-verse="${ref}" onclick="(function(e) { var event = new CustomEvent('verse-click', { detail: { verse: '${ref}' } }); document.dispatchEvent(event); })(event)" style="color: #4f46e5; cursor: pointer; text-decoration: underline; font-weight: 500;">${match.text}</span>`;
-            result += span;
-            
-            // Skip the length of the reference
-            skipTo = i + match.length;
-            matched = true;
-            break;
-          }
-        }
-        if (matched) break;
-      }
-      
-      // If no reference matched at this position, just add the character
-      if (!matched && i >= skipTo) {
-        result += content[i];
-      }
-    }
-    
-    return result;
-  };
-
   // Handle verse reference click
   const handleVerseClick = (verseRef) => {
     setSelectedVerse(verseRef);
@@ -214,7 +137,7 @@ const PersonalStudy = () => {
   };
 
   // Save study plan to Firestore
-  const saveStudyToFirestore = async (data) => {
+  const saveStudyToFirestore = async (data, promptVersion = null) => {
     try {
       if (!currentUser) {
         console.log('User not logged in, cannot save study plan');
@@ -230,6 +153,7 @@ const PersonalStudy = () => {
           query: studyQuery,
           studyTitle: data.studyPlan?.title || 'Untitled Study',
           studyPlanData: data,
+          promptVersion,
           createdAt: serverTimestamp(),
           updatedAt: serverTimestamp()
         });
@@ -245,6 +169,7 @@ const PersonalStudy = () => {
           // Update the existing document
           await updateDoc(studyRef, {
             studyPlanData: data,
+            promptVersion,
             updatedAt: serverTimestamp()
           });
           
@@ -258,6 +183,7 @@ const PersonalStudy = () => {
             query: studyQuery,
             studyTitle: data.studyPlan?.title || 'Untitled Study',
             studyPlanData: data,
+            promptVersion,
             createdAt: serverTimestamp(),
             updatedAt: serverTimestamp()
           });
@@ -316,6 +242,20 @@ const PersonalStudy = () => {
     setActiveSession(0);
   };
 
+  // Quote the memory verses from another translation
+  const changeTranslation = async (id) => {
+    setTranslation(id);
+    if (!studyPlanData?.memoryVerses?.length) return;
+
+    try {
+      const response = await api.post('/api/passages/quotes', { quotes: studyPlanData.memoryVerses, translation: id });
+      setStudyPlanData(data => ({ ...data, memoryVerses: response.data.quotes }));
+    } catch (err) {
+      console.error('Failed to quote verses from another translation:', err);
+      setError(err.response?.data?.error?.message || 'Failed to load the verses in that translation');
+    }
+  };
+
   // Reset current study
   const resetStudy = () => {
     setStudyPlanData(null);
@@ -325,8 +265,9 @@ const PersonalStudy = () => {
   };
 
   // Handle form submission
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  // `regenerate` skips both the saved study and the server cache
+  const handleSubmit = async (e, { regenerate = false } = {}) => {
+    e?.preventDefault();
     if (!studyQuery.trim()) return;
 
     // Don't try to send if server is offline
@@ -339,13 +280,16 @@ const PersonalStudy = () => {
     setError('');
     setIsLoading(true);
     setStudyPlanData(null);
+    setIsCached(false);
     
-    // Reset current study
-    resetStudy();
+    // Reset current study (a regenerated study replaces the saved one)
+    if (!regenerate) {
+      resetStudy();
+    }
 
     try {
       // First check if we have an existing study for this query
-      if (currentUser) {
+      if (currentUser && !regenerate) {
         const existingStudy = await findExistingStudy(studyQuery);
         
         if (existingStudy && existingStudy.studyPlanData) {
@@ -364,8 +308,10 @@ const PersonalStudy = () => {
       
       // If no existing study is found, proceed with API request
       console.log(`Generating study plan for: ${studyQuery}`);
-      const response = await axios.post('/api/tools/personal-study', {
-        query: studyQuery
+      const response = await api.post('/api/tools/personal-study', {
+        query: studyQuery,
+        translation: translation || undefined,
+        regenerate
       });
       
       console.log('Response received:', response.status, response.statusText);
@@ -374,17 +320,19 @@ const PersonalStudy = () => {
         throw new Error('Invalid response format from server');
       }
       
-      setStudyPlanData(response.data);
+      const { cached, promptVersion, ...data } = response.data;
+      setStudyPlanData(data);
+      setIsCached(Boolean(cached));
       
       // Save to Firestore if user is logged in
       if (currentUser) {
-        saveStudyToFirestore(response.data);
+        saveStudyToFirestore(data, promptVersion);
       }
     } catch (error) {
       console.error('Study plan generation error:', error);
       if (error.response) {
         console.error('Error response:', error.response.status, error.response.data);
-        setError(error.response.data?.message || 'Failed to generate study plan. Server error.');
+        setError(error.response.data?.error?.message || 'Failed to generate study plan. Server error.');
       } else if (error.request) {
         console.error('No response received:', error.request);
         setError('Failed to reach the server. Please try again later.');
@@ -435,7 +383,7 @@ const PersonalStudy = () => {
           <li key={index} className="flex items-start">
             <span className="mr-2 text-indigo-500 mt-1">{icon}</span>
             {containsVerseReferences(item) ? (
-              <span dangerouslySetInnerHTML={{ __html: processContentWithVerseReferences(item) }} />
+              <span dangerouslySetInnerHTML={{ __html: linkVerseReferences(item) }} />
             ) : (
               <span>{item}</span>
             )}
@@ -458,12 +406,14 @@ const PersonalStudy = () => {
             {verse.reference}
           </span>
         </p>
-        <p className="text-center italic mb-3">"{verse.text}"</p>
+        <div className="text-center mb-3">
+          <QuotedVerseText quote={verse} />
+        </div>
         {verse.reason && (
           <p className="text-sm text-gray-700 mt-2">
             <span className="font-medium">Why memorize this:</span> {' '}
             {containsVerseReferences(verse.reason) ? (
-              <span dangerouslySetInnerHTML={{ __html: processContentWithVerseReferences(verse.reason) }} />
+              <span dangerouslySetInnerHTML={{ __html: linkVerseReferences(verse.reason) }} />
             ) : (
               verse.reason
             )}
@@ -557,7 +507,7 @@ const PersonalStudy = () => {
         </div>
         <div className="pl-8">
           {containsVerseReferences(activity.description) ? (
-            <p dangerouslySetInnerHTML={{ __html: processContentWithVerseReferences(activity.description) }} />
+            <p dangerouslySetInnerHTML={{ __html: linkVerseReferences(activity.description) }} />
           ) : (
             <p>{activity.description}</p>
           )}
@@ -587,6 +537,7 @@ const PersonalStudy = () => {
             <div>
               <h3 className="text-lg font-medium text-gray-800 mb-2">Main Scriptures</h3>
               {renderList(studyPlanData.studyPlan?.mainScriptures, '📖')}
+              <ReferenceWarnings warnings={studyPlanData.referenceWarnings} path="studyPlan.mainScriptures" />
             </div>
             
             <div>
@@ -637,6 +588,7 @@ const PersonalStudy = () => {
               <div>
                 <h4 className="text-lg font-medium text-gray-800 mb-2">Scripture Passages</h4>
                 {renderList(session.scriptures, '📖')}
+                <ReferenceWarnings warnings={studyPlanData.referenceWarnings} path={`sessions[${activeSession}]`} />
               </div>
               
               <div>
@@ -664,7 +616,11 @@ const PersonalStudy = () => {
       case 'memory':
         return (
           <div>
-            <h3 className="text-lg font-medium text-gray-800 mb-4">Memory Verses</h3>
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+              <h3 className="text-lg font-medium text-gray-800">Memory Verses</h3>
+              <TranslationSelect value={translation} onChange={changeTranslation} disabled={isLoading} />
+            </div>
+            <ReferenceWarnings warnings={studyPlanData.referenceWarnings} path="memoryVerses" className="mb-4" />
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               {studyPlanData.memoryVerses?.map(renderMemoryVerse) || 
                 <p className="text-gray-500 italic">No memory verses specified</p>
@@ -826,6 +782,9 @@ const PersonalStudy = () => {
             </div>
           ) : studyPlanData ? (
             <div>
+              {isCached && (
+                <CachedResultNotice onRegenerate={() => handleSubmit(null, { regenerate: true })} disabled={isLoading} />
+              )}
               {/* Study plan header */}
               <div className="bg-indigo-50 p-4 rounded-lg mb-6">
                 <h2 className="text-2xl font-bold text-indigo-800 mb-1">
@@ -16,19 +16,30 @@ import {
 } from "firebase/firestore";
 import axios from "axios";
 import BibleVerseModal from '../common/BibleVerseModal';
-import { extractVerseReferences, containsVerseReferences } from '../common/VerseReferenceParser';
+import CachedResultNotice from '../common/CachedResultNotice';
+import ReferenceWarnings from '../common/ReferenceWarnings';
+import HighlightedText from '../common/HighlightedText';
+import { containsVerseReferences, linkVerseReferences } from '../common/VerseReferenceParser';
+import api from "../../utils/apiClient";
 
 /**
  * ThemeThread component
  * Displays a "theme thread" – a JSON object returned by the /api/tools/theme-thread endpoint.
- * Expected JSON shape:
+ * The occurrences and timeline come from searching the Bible text for the
+ * model's search terms (server/bible/themes.js). Expected JSON shape:
  * {
  *   theme: string,
  *   summary: string,
- *   occurrences: [ { ref, book, chapter, verse } ],
- *   timeline: [ { book, start, end, density } ],
- *   memoryAids: [ string ]
+ *   searchTerms: [ { query, note, count, error } ],
+ *   occurrences: [ { ref, osis, book, chapter, verse, text, highlights } ],
+ *   totalOccurrences: number,
+ *   timeline: [ { book, start, end, density } ],  // density = matching verses in the book
+ *   translation: string,
+ *   memoryAids: [ string ],
+ *   referenceWarnings: [ { path, reference, message, removed } ]
  * }
+ * Threads saved before the search existed have no searchTerms, and their
+ * occurrences have no text.
  */
 const ThemeThread = () => {
   /* --------------------------------------------------
@@ -40,6 +51,7 @@ const ThemeThread = () => {
   const [error, setError] = useState("");
   const [serverStatus, setServerStatus] = useState("checking");
   const [currentThreadId, setCurrentThreadId] = useState(null);
+  const [isCached, setIsCached] = useState(false);
   const [savedThreads, setSavedThreads] = useState([]);
   const [activeTab, setActiveTab] = useState("summary");
   // Bible verse modal state
@@ -108,90 +120,6 @@ const ThemeThread = () => {
   /* --------------------------------------------------
    * Verse reference handling
    * -------------------------------------------------- */
-  // Process content to identify and make verse references clickable
-  const processContentWithVerseReferences = (content) => {
-    if (!content || typeof content !== 'string') return content;
-    
-    if (!containsVerseReferences(content)) {
-      return content;
-    }
-
-    const references = extractVerseReferences(content);
-    
-    // Sort references by length (descending) to handle overlapping references
-    const sortedReferences = [...references].sort((a, b) => b.length - a.length);
-
-    // Store the matches for each reference to avoid double-processing
-    const matches = {};
-
-    // First identify all references in the content 
-    sortedReferences.forEach(ref => {
-      // Escape special regex characters in the reference
-      const escapedRef = ref.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      
-      // Use more precise regex that requires word boundaries to avoid capturing preceding words
-      const regex = new RegExp(`(^|\\s|[;:.,>"'])(${escapedRef})\\b`, 'g');
-      
-      // Find all matches in the content
-      let match;
-      matches[ref] = [];
-      while ((match = regex.exec(content)) !== null) {
-        // The actual reference is in the second capturing group
-        const actualRef = match[2];
-        const startIndex = match.index + match[1].length; // Skip the preceding character/space
-        
-        matches[ref].push({
-          index: startIndex,
-          length: actualRef.length,
-          text: actualRef,
-          fullMatch: match[0],
-          beforeText: match[1]
-        });
-      }
-    });
-    
-    // No references found in the actual content
-    if (Object.values(matches).every(arr => arr.length === 0)) {
-      return content;
-    }
-    
-    // Process the content to replace references with clickable spans
-    // We'll build a new string character by character
-    let result = '';
-    let skipTo = 0;
-    
-    for (let i = 0; i < content.length; i++) {
-      // Skip if we've already processed this part
-      if (i < skipTo) continue;
-      
-      // Check if any reference starts at this position
-      let matched = false;
-      
-      for (const ref of sortedReferences) {
-        for (const match of matches[ref]) {
-          if (match.index === i) {
-            // Create a clickable span for this reference
-            const span = `<span class="verse-reference" data-verse="${ref}" onclick="(function(e) { var event = new CustomEvent('verse-click', { detail: { verse: '${ref}' } }); document.dispatchEvent(event); })(event)" style="color: #4f46e5; cursor: pointer; text-decoration: underline; font-weight: 500;">${match.text}</span>`;
-            result += span;
-            
-            // Skip the length of the reference
-            skipTo = i + match.length;
-            matched = true;
-            break;
-          }
-        }
-        if (matched) break;
-      }
-      
-      // If no reference matched at this position, just add the character
-      if (!matched && i >= skipTo) {
-        result += content[i];
-      }
-    }
-    
-    return result;
-  };
-
   // Handle verse reference click
   const handleVerseClick = (verseRef) => {
     setSelectedVerse(verseRef);
@@ -217,7 +145,7 @@ const ThemeThread = () => {
     }
   };
 
-  const persistThread = async (data) => {
+  const persistThread = async (data, promptVersion = null) => {
     if (!currentUser) return;
     try {
       if (!currentThreadId) {
@@ -227,6 +155,7 @@ const ThemeThread = () => {
           userEmail: currentUser.email,
           theme: data.theme,
           threadData: data,
+          promptVersion,
           createdAt: serverTimestamp(),
           updatedAt: serverTimestamp(),
         });
@@ -235,7 +164,7 @@ const ThemeThread = () => {
         const ref = doc(db, "mainBibleTools_themeThreads", currentThreadId);
         const snap = await getDoc(ref);
         if (snap.exists()) {
-          await updateDoc(ref, { threadData: data, updatedAt: serverTimestamp() });
+          await updateDoc(ref, { threadData: data, promptVersion, updatedAt: serverTimestamp() });
         }
       }
       fetchSavedThreads();
@@ -270,7 +199,7 @@ const ThemeThread = () => {
         {items.map((it, idx) => (
           <li key={idx} className="pl-2">
             {containsVerseReferences(it) ? (
-              <span dangerouslySetInnerHTML={{ __html: processContentWithVerseReferences(it) }} />
+              <span dangerouslySetInnerHTML={{ __html: linkVerseReferences(it) }} />
             ) : (
               it
             )}
@@ -280,19 +209,66 @@ const ThemeThread = () => {
     );
   };
 
+  // The searches behind the thread, with the verses each one found
+  const renderSearchTerms = () => {
+    if (!threadData?.searchTerms?.length) return null;
+    return (
+      <div className="mb-4">
+        <p className="text-xs text-gray-500 mb-2">
+          Found by searching the {threadData.translation || "Bible"} text for:
+        </p>
+        <div className="flex flex-wrap gap-2">
+          {threadData.searchTerms.map((term) => (
+            <span
+              key={term.query}
+              title={term.error || term.note}
+              className={`px-2 py-1 text-xs rounded-full ${term.error ? "bg-amber-50 text-amber-700" : "bg-gray-100 text-gray-700"}`}
+            >
+              <span className="font-mono">{term.query}</span>{" "}
+              <span className="text-gray-500">{term.error ? "⚠" : term.count}</span>
+            </span>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
   const renderOccurrences = () => {
-    if (!threadData?.occurrences?.length) return <p>No occurrences found.</p>;
+    if (!threadData?.occurrences?.length) {
+      return (
+        <>
+          {renderSearchTerms()}
+          <p>No occurrences found.</p>
+          <ReferenceWarnings warnings={threadData?.referenceWarnings} path="occurrences" />
+        </>
+      );
+    }
+    const total = threadData.totalOccurrences || threadData.occurrences.length;
     return (
       <div className="space-y-1">
+        {renderSearchTerms()}
+        <ReferenceWarnings warnings={threadData.referenceWarnings} path="occurrences" className="mb-2" />
+        {total > threadData.occurrences.length && (
+          <p className="text-xs text-gray-500 mb-2">
+            Showing the first {threadData.occurrences.length} of {total} verses. Search for the terms in the Concordance to see them all.
+          </p>
+        )}
         {threadData.occurrences.map((o, i) => (
-          <div key={i} className="border-b py-1 text-sm">
+          <div key={o.osis || i} className="border-b py-1 text-sm">
             <span 
               className="font-medium cursor-pointer verse-reference" 
               data-verse={o.ref}
               onClick={() => handleVerseClick(o.ref)}
             >
               {o.ref}
-            </span> – {o.book} {o.chapter}:{o.verse}
+            </span>
+            {o.text ? (
+              <span className="ml-2 text-gray-700">
+                <HighlightedText text={o.text} highlights={o.highlights} />
+              </span>
+            ) : (
+              <> – {o.book} {o.chapter}:{o.verse}</>
+            )}
           </div>
         ))}
       </div>
@@ -303,21 +279,32 @@ const ThemeThread = () => {
     if (!threadData?.timeline?.length) return <p>No timeline data.</p>;
   
     const totalRefs = threadData.timeline.reduce((sum, t) => sum + t.density, 0);
+    // Bars are scaled to the busiest book; searched threads show verse counts
+    const maxDensity = Math.max(...threadData.timeline.map((t) => t.density));
+    const searched = Boolean(threadData.searchTerms);
   
     return (
       <div className="space-y-2">
+        {searched && (
+          <p className="text-xs text-gray-500 mb-2">
+            Verses per book containing the search terms, {totalRefs} in all.
+          </p>
+        )}
         {threadData.timeline.map((t, i) => {
           const pct = totalRefs ? (t.density / totalRefs) * 100 : 0;
+          const width = maxDensity ? (t.density / maxDensity) * 100 : 0;
           return (
             <div key={i} className="flex items-center space-x-2 text-sm">
-              <span className="w-32 font-medium">{t.book}</span>
+              <span className="w-32 font-medium" title={`Chapters ${t.start}-${t.end}`}>{t.book}</span>
               <div className="flex-1 bg-gray-100 rounded h-2">
                 <div
                   className="bg-indigo-500 h-2 rounded"
-                  style={{ width: `${Math.min(pct, 100)}%` }}
+                  style={{ width: `${Math.min(searched ? width : pct, 100)}%` }}
                 />
               </div>
-              <span className="w-24 text-right">{pct.toFixed(0)}%</span>
+              <span className="w-24 text-right">
+                {searched ? `${t.density} ${t.density === 1 ? "verse" : "verses"}` : `${pct.toFixed(0)}%`}
+              </span>
             </div>
           );
         })}
@@ -335,16 +322,20 @@ const ThemeThread = () => {
     setActiveTab("summary");
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  // `regenerate` skips both the saved thread and the server cache
+  const handleSubmit = async (e, { regenerate = false } = {}) => {
+    e?.preventDefault();
     if (!themeQuery.trim() || serverStatus !== "online") return;
     setError("");
     setIsLoading(true);
-    resetThread();
+    setIsCached(false);
+    // A regenerated thread replaces the saved one
+    if (regenerate) setThreadData(null);
+    else resetThread();
 
     try {
       // Check Firestore cache first
-      if (currentUser) {
+      if (currentUser && !regenerate) {
         const existing = await findExistingThread(themeQuery.trim());
         if (existing) {
           setCurrentThreadId(existing.id);
@@ -355,13 +346,15 @@ const ThemeThread = () => {
       }
 
       // API request
-      const res = await axios.post("/api/tools/theme-thread", { theme: themeQuery.trim() });
+      const res = await api.post("/api/tools/theme-thread", { theme: themeQuery.trim(), regenerate });
       if (!res.data) throw new Error("Invalid response from server");
-      setThreadData(res.data);
-      if (currentUser) persistThread(res.data);
+      const { cached, promptVersion, ...data } = res.data;
+      setThreadData(data);
+      setIsCached(Boolean(cached));
+      if (currentUser) persistThread(data, promptVersion);
     } catch (err) {
       console.error(err);
-      setError(err.response?.data?.error || err.message || "Request failed");
+      setError(err.response?.data?.error?.message || err.message || "Request failed");
     } finally {
       setIsLoading(false);
     }
@@ -385,7 +378,7 @@ const ThemeThread = () => {
                     .join('');
                   
                   if (containsVerseReferences(rawContent)) {
-                    const processedContent = processContentWithVerseReferences(rawContent);
+                    const processedContent = linkVerseReferences(rawContent);
                     return <p dangerouslySetInnerHTML={{ __html: processedContent }} />;
                   }
                   return <p {...props} />;
@@ -396,7 +389,7 @@ const ThemeThread = () => {
                     .join('');
                   
                   if (containsVerseReferences(rawContent)) {
-                    const processedContent = processContentWithVerseReferences(rawContent);
+                    const processedContent = linkVerseReferences(rawContent);
                     return <li dangerouslySetInnerHTML={{ __html: processedContent }} />;
                   }
                   return <li {...props} />;
@@ -405,6 +398,7 @@ const ThemeThread = () => {
             >
               {threadData.summary}
             </ReactMarkdown>
+            <ReferenceWarnings warnings={threadData.referenceWarnings} path="summary" />
           </div>
         );
       case "occurrences":
@@ -423,7 +417,7 @@ const ThemeThread = () => {
                     .join('');
                   
                   if (containsVerseReferences(rawContent)) {
-                    const processedContent = processContentWithVerseReferences(rawContent);
+                    const processedContent = linkVerseReferences(rawContent);
                     return <p dangerouslySetInnerHTML={{ __html: processedContent }} />;
                   }
                   return <p {...props} />;
@@ -434,7 +428,7 @@ const ThemeThread = () => {
                     .join('');
                   
                   if (containsVerseReferences(rawContent)) {
-                    const processedContent = processContentWithVerseReferences(rawContent);
+                    const processedContent = linkVerseReferences(rawContent);
                     return <li dangerouslySetInnerHTML={{ __html: processedContent }} />;
                   }
                   return <li {...props} />;
@@ -443,6 +437,7 @@ const ThemeThread = () => {
             >
               {threadData.memoryAids.join('\n\n')}
             </ReactMarkdown>
+            <ReferenceWarnings warnings={threadData.referenceWarnings} path="memoryAids" />
           </div>
         );
       default:
@@ -542,6 +537,9 @@ const ThemeThread = () => {
             </div>
           ) : threadData ? (
             <div>
+              {isCached && (
+                <CachedResultNotice onRegenerate={() => handleSubmit(null, { regenerate: true })} disabled={isLoading} />
+              )}
               <div className="bg-indigo-50 p-4 rounded-lg mb-4">
                 <h2 className="text-2xl font-bold text-indigo-800">
                   {threadData.theme}
@@ -4,6 +4,9 @@ import remarkGfm from 'remark-gfm';
 import { useAuth } from '../../firebase/AuthContext';
 import { db, storage } from '../../firebase/config';
 import { collection, addDoc, serverTimestamp, updateDoc, doc, getDoc, query as firestoreQuery, where, getDocs } from 'firebase/firestore';
+import CachedResultNotice from '../common/CachedResultNotice';
+import ReferenceWarnings from '../common/ReferenceWarnings';
+import { apiFetch } from '../../utils/apiClient';
 
 const Timeline = () => {
   const [queryInput, setQueryInput] = useState('');
@@ -12,6 +15,7 @@ const Timeline = () => {
   const [error, setError] = useState('');
   const [serverStatus, setServerStatus] = useState('checking');
   const [currentTimelineId, setCurrentTimelineId] = useState(null);
+  const [isCached, setIsCached] = useState(false);
   const resultsRef = useRef(null);
   const { currentUser } = useAuth();
 
@@ -82,7 +86,7 @@ const Timeline = () => {
   };
 
   // Save results to Firestore
-  const saveTimelineToFirestore = async (data, query) => {
+  const saveTimelineToFirestore = async (data, query, promptVersion = null) => {
     try {
       if (!currentUser) {
         console.log('User not logged in, cannot save timeline');
@@ -98,6 +102,7 @@ const Timeline = () => {
           query: query,
           title: data.title,
           timelineData: data,
+          promptVersion,
           createdAt: serverTimestamp(),
           updatedAt: serverTimestamp()
         });
@@ -113,6 +118,7 @@ const Timeline = () => {
           // Update the existing document
           await updateDoc(timelineRef, {
             timelineData: data,
+            promptVersion,
             updatedAt: serverTimestamp()
           });
           
@@ -126,6 +132,7 @@ const Timeline = () => {
             query: query,
             title: data.title,
             timelineData: data,
+            promptVersion,
             createdAt: serverTimestamp(),
             updatedAt: serverTimestamp()
           });
@@ -146,8 +153,9 @@ const Timeline = () => {
     setCurrentTimelineId(null);
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  // `regenerate` skips both the saved timeline and the server cache
+  const handleSubmit = async (e, { regenerate = false } = {}) => {
+    e?.preventDefault();
     if (!queryInput.trim()) return;
 
     // Don't try to send if server is offline
@@ -160,13 +168,16 @@ const Timeline = () => {
     setError('');
     setIsLoading(true);
     setTimelineData(null);
+    setIsCached(false);
     
-    // Reset current timeline
-    resetTimeline();
+    // Reset current timeline (a regenerated timeline replaces the saved one)
+    if (!regenerate) {
+      resetTimeline();
+    }
 
     try {
       // First check if we have an existing timeline for this query
-      if (currentUser) {
+      if (currentUser && !regenerate) {
         const existingTimeline = await findExistingTimeline(queryInput);
         
         if (existingTimeline && existingTimeline.timelineData) {
@@ -185,13 +196,14 @@ const Timeline = () => {
       
       // If no existing timeline is found, proceed with API request
       console.log(`Generating timeline for: ${queryInput}`);
-      const response = await fetch('/api/tools/timeline', {
+      const response = await apiFetch('/api/tools/timeline', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          query: queryInput
+          query: queryInput,
+          regenerate
         }),
       });
 
@@ -200,16 +212,17 @@ const Timeline = () => {
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
         console.error('Error response:', errorData);
-        throw new Error(errorData.message || 'Failed to generate timeline');
+        throw new Error(errorData.error?.message || 'Failed to generate timeline');
       }
 
-      const data = await response.json();
+      const { cached, promptVersion, ...data } = await response.json();
       console.log('Received timeline data:', data);
       setTimelineData(data);
+      setIsCached(Boolean(cached));
       
       // Save to Firestore if user is logged in
       if (currentUser) {
-        saveTimelineToFirestore(data, queryInput);
+        saveTimelineToFirestore(data, queryInput, promptVersion);
       }
     } catch (error) {
       console.error('Error generating timeline:', error);
@@ -243,6 +256,7 @@ const Timeline = () => {
               <span className="text-sm text-blue-600">{event.scripture}</span>
             </div>
           )}
+          <ReferenceWarnings warnings={timelineData.referenceWarnings} path={`events[${index}]`} />
         </div>
       </div>
     );
@@ -314,6 +328,9 @@ const Timeline = () => {
           </div>
         ) : timelineData ? (
           <div className="prose max-w-none">
+            {isCached && (
+              <CachedResultNotice onRegenerate={() => handleSubmit(null, { regenerate: true })} disabled={isLoading} />
+            )}
             <h1 className="text-2xl font-bold text-center text-gray-800 mb-4">{timelineData.title}</h1>
             {timelineData.description && (
               <div className="mb-8 text-center text-gray-600 max-w-2xl mx-auto">
@@ -1,26 +1,67 @@
-import { useState, useEffect, useRef } from 'react';
+import { Fragment, useState, useEffect, useRef } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import { useAuth } from '../../firebase/AuthContext';
 import { db } from '../../firebase/config';
 import { collection, addDoc, serverTimestamp, updateDoc, doc, getDoc, query, where, getDocs } from 'firebase/firestore';
+import { streamCompletion, isAbortError } from '../../utils/streamCompletion';
+import CachedResultNotice from '../common/CachedResultNotice';
+import RelatedVerses from '../common/RelatedVerses';
+import BibleVerseModal from '../common/BibleVerseModal';
+import PerspectiveSelect from '../common/PerspectiveSelect';
+import CondensedNotice from '../common/CondensedNotice';
+import BranchControls from '../common/BranchControls';
+import MessageEditForm from '../common/MessageEditForm';
+import { NO_PERSPECTIVE, samePerspective } from '../../utils/perspective';
+import {
+  EMPTY_TREE,
+  addMessage,
+  branchMessages,
+  findMessage,
+  pathSummary,
+  pathTo,
+  readTree,
+  selectBranch,
+  selectMessage,
+  storedTree,
+  treeFromMessages
+} from '../../utils/branches';
 
 const VerseAnalyzer = () => {
   const [verseInput, setVerseInput] = useState('');
   const [analysis, setAnalysis] = useState('');
   const [followupQuestion, setFollowupQuestion] = useState('');
-  const [conversationHistory, setConversationHistory] = useState([]);
+  // The first request and answer, then the follow-ups, in branches (src/utils/branches.js)
+  const [thread, setThread] = useState(EMPTY_TREE);
+  const [editingId, setEditingId] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [serverStatus, setServerStatus] = useState('checking');
   const [currentConversationId, setCurrentConversationId] = useState(null);
+  const [streamingResponse, setStreamingResponse] = useState(null);
+  const [responseStopped, setResponseStopped] = useState(false);
+  const [isCached, setIsCached] = useState(false);
+  const [perspective, setPerspective] = useState(NO_PERSPECTIVE);
+  // The verse the analysis is for; the input may have changed since
+  const [analyzedVerse, setAnalyzedVerse] = useState('');
+  const [selectedVerse, setSelectedVerse] = useState('');
+  const [isVerseModalOpen, setIsVerseModalOpen] = useState(false);
   const analysisRef = useRef(null);
+  const abortControllerRef = useRef(null);
   const { currentUser } = useAuth();
+  const conversationHistory = pathTo(thread);
+  // Summary of the earliest follow-up messages once they outgrew the model's context
+  const contextSummary = pathSummary(conversationHistory);
 
   // Auto-scroll to bottom when analysis or conversation history changes
   useEffect(() => {
     analysisRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [analysis, conversationHistory]);
+  }, [analysis, thread]);
+
+  // Cancel any in-flight response when leaving the page
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
 
   // Check if the server is running when the component mounts
   useEffect(() => {
@@ -51,19 +92,18 @@ const VerseAnalyzer = () => {
   }, []);
 
   // Save conversation to Firestore
-  const saveConversationToFirestore = async (updatedHistory) => {
+  // `promptVersion` is the server prompt behind the first answer, and is saved with the
+  // perspective it was written from; follow-ups don't change either
+  const saveConversationToFirestore = async (conversation, promptVersion = null) => {
     try {
       if (!currentUser) {
         console.log('User not logged in, cannot save conversation history');
         return;
       }
 
-      // Format messages for storing
-      const formattedMessages = updatedHistory.map(msg => ({
-        role: msg.role,
-        content: msg.content,
-        timestamp: new Date().toISOString()
-      }));
+      // Every version of the follow-ups, and the branch on screen as plain messages
+      const branches = storedTree(conversation);
+      const formattedMessages = branchMessages(branches);
 
       // If this is a new conversation
       if (!currentConversationId) {
@@ -80,7 +120,10 @@ const VerseAnalyzer = () => {
           verse: verseInput,
           createdAt: serverTimestamp(),
           updatedAt: serverTimestamp(),
-          messages: formattedMessages
+          messages: formattedMessages,
+          branches,
+          promptVersion,
+          perspective
         });
         
         setCurrentConversationId(docRef.id);
@@ -94,6 +137,8 @@ const VerseAnalyzer = () => {
           // Update the existing conversation with new messages
           await updateDoc(conversationRef, {
             messages: formattedMessages,
+            branches,
+            ...(promptVersion && { promptVersion, perspective }),
             updatedAt: serverTimestamp()
           });
           
@@ -108,7 +153,10 @@ const VerseAnalyzer = () => {
             verse: verseInput,
             createdAt: serverTimestamp(),
             updatedAt: serverTimestamp(),
-            messages: formattedMessages
+            messages: formattedMessages,
+            branches,
+            promptVersion,
+            perspective
           });
           
           setCurrentConversationId(docRef.id);
@@ -123,12 +171,19 @@ const VerseAnalyzer = () => {
 
   // Reset conversation - use when analyzing a new verse
   const resetConversation = () => {
-    setConversationHistory([]);
+    setThread(EMPTY_TREE);
+    setEditingId(null);
     setAnalysis('');
     setCurrentConversationId(null);
+    setResponseStopped(false);
   };
 
-  // Check if there's an existing analysis for this verse in Firestore
+  // Stop the response that is currently streaming
+  const handleStop = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  // Check if there's an existing analysis for this verse, written from the chosen perspective, in Firestore
   const findExistingAnalysis = async (verse) => {
     if (!currentUser) return null;
     
@@ -141,10 +196,9 @@ const VerseAnalyzer = () => {
       );
       
       const querySnapshot = await getDocs(q);
+      const doc = querySnapshot.docs.find(saved => samePerspective(saved.data().perspective, perspective));
       
-      if (!querySnapshot.empty) {
-        // Get the first matching document
-        const doc = querySnapshot.docs[0];
+      if (doc) {
         console.log('Found existing analysis for verse:', verse);
         return {
           id: doc.id,
@@ -159,8 +213,9 @@ const VerseAnalyzer = () => {
     }
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  // `regenerate` skips both the saved analysis and the server cache
+  const handleSubmit = async (e, { regenerate = false } = {}) => {
+    e?.preventDefault();
     if (!verseInput.trim()) return;
 
     // Don't try to send if server is offline
@@ -173,13 +228,21 @@ const VerseAnalyzer = () => {
     setError('');
     setIsLoading(true);
     setAnalysis('');
+    setIsCached(false);
+    setAnalyzedVerse(verseInput.trim());
     
-    // Clear any previous conversation when analyzing a new verse
-    resetConversation();
+    // Clear any previous conversation when analyzing a new verse; a
+    // regenerated analysis replaces the saved conversation, so it keeps its id
+    if (regenerate) {
+      setThread(EMPTY_TREE);
+      setResponseStopped(false);
+    } else {
+      resetConversation();
+    }
 
     try {
       // First check if we have an existing analysis for this verse
-      if (currentUser) {
+      if (currentUser && !regenerate) {
         const existingAnalysis = await findExistingAnalysis(verseInput);
         
         if (existingAnalysis && existingAnalysis.messages && existingAnalysis.messages.length >= 2) {
@@ -193,63 +256,60 @@ const VerseAnalyzer = () => {
           setAnalysis(analysisContent);
           
           // Set the conversation history
-          setConversationHistory(existingAnalysis.messages.map(msg => ({
-            role: msg.role,
-            content: msg.content
-          })));
+          setThread(readTree(existingAnalysis));
           
           setIsLoading(false);
           return;
         }
       }
       
-      // If no existing analysis is found, proceed with API request
+      // If no existing analysis is found, stream it from the API
       console.log(`Analyzing verse: ${verseInput}`);
-      const response = await fetch('/api/tools/verse-analyzer', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          verse: verseInput
-        }),
-      });
+      const controller = new AbortController();
+      abortControllerRef.current = controller;
 
-      console.log('Response status:', response.status);
-      
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        console.error('Error response:', errorData);
-        throw new Error(errorData.message || 'Failed to analyze verse');
-      }
+      const result = await streamCompletion('/api/tools/verse-analyzer/stream', {
+        verse: verseInput,
+        perspective,
+        regenerate
+      }, {
+        signal: controller.signal,
+        onDelta: (delta, contentSoFar) => setAnalysis(contentSoFar)
+      });
 
-      const data = await response.json();
-      console.log('Received analysis:', data);
-      setAnalysis(data.analysis);
+      setAnalysis(result.content);
+      setIsCached(Boolean(result.cached));
       
       // Add the initial request to conversation history
       const newHistory = [
         { role: 'user', content: `Analyze this verse: ${verseInput}` },
-        { role: 'assistant', content: data.analysis }
+        { role: 'assistant', content: result.content }
       ];
-      setConversationHistory(newHistory);
+      const newThread = treeFromMessages(newHistory);
+      setThread(newThread);
       
-      // Save to Firestore if user is logged in
+      // Save to Firestore only once the full analysis has arrived
       if (currentUser) {
-        saveConversationToFirestore(newHistory);
+        saveConversationToFirestore(newThread, result.promptVersion);
       }
     } catch (error) {
-      console.error('Error analyzing verse:', error);
-      setError(error.message || 'An unexpected error occurred');
+      if (isAbortError(error)) {
+        // Leave the partial analysis on screen, but don't save it
+        console.log('Analysis stopped by user');
+        setResponseStopped(true);
+      } else {
+        console.error('Error analyzing verse:', error);
+        setError(error.message || 'An unexpected error occurred');
+      }
     } finally {
+      abortControllerRef.current = null;
       setIsLoading(false);
     }
   };
 
-  const handleFollowupSubmit = async (e) => {
-    e.preventDefault();
-    if (!followupQuestion.trim()) return;
-
+  // Answer the follow-up question `questionId` of `conversation`. A question
+  // answered before gets a new answer beside the old one, which stays as another version.
+  const answerFollowup = async (conversation, questionId, { regenerating = false } = {}) => {
     // Don't try to send if server is offline
     if (serverStatus !== 'online') {
       setError('Cannot send follow-up: server is offline');
@@ -260,80 +320,130 @@ const VerseAnalyzer = () => {
     setError('');
     setIsLoading(true);
     
-    // Add user question to conversation history
-    const updatedHistory = [
-      ...conversationHistory,
-      { role: 'user', content: followupQuestion }
-    ];
-    setConversationHistory(updatedHistory);
-    setFollowupQuestion('');
+    // Show the conversation up to the question while the answer arrives
+    const previous = thread;
+    const updated = selectMessage(conversation, questionId);
+    const history = pathTo(updated);
+    setThread(updated);
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setStreamingResponse('');
 
     try {
-      console.log(`Sending follow-up question about verse: ${verseInput}...`);
-      const response = await fetch('/api/chat/advanced', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          messages: [
-            {
-              role: 'system',
-              content: `You are a Bible scholar specializing in detailed verse analysis. The user has asked about this verse: "${verseInput}".
-              Provide helpful, insightful answers to follow-up questions about this verse, its meaning, context, and applications.
-              Use markdown formatting for clear sections. Your responses should be educational, insightful, and respectful of various 
-              interpretations.`
-            },
-            ...updatedHistory
-          ]
-        }),
+      console.log(`Streaming follow-up question about verse: ${verseInput}...`);
+      const result = await streamCompletion('/api/chat/advanced/stream', {
+        messages: [
+          {
+            role: 'system',
+            content: `You are a Bible scholar specializing in detailed verse analysis. The user has asked about this verse: "${verseInput}".
+            Provide helpful, insightful answers to follow-up questions about this verse, its meaning, context, and applications.
+            Use markdown formatting for clear sections. Your responses should be educational, insightful, and respectful of various 
+            interpretations.`
+          },
+          ...history.map(({ role, content }) => ({ role, content }))
+        ],
+        perspective,
+        passage: analyzedVerse,
+        summary: pathSummary(history)
+      }, {
+        signal: controller.signal,
+        onDelta: (delta, contentSoFar) => setStreamingResponse(contentSoFar)
       });
-
-      console.log('Response status:', response.status);
-      
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        console.error('Error response:', errorData);
-        throw new Error(errorData.message || 'Failed to get response');
-      }
-
-      const data = await response.json();
-      console.log('Received follow-up response:', data);
       
       // Add the assistant's response to conversation history
-      const finalHistory = [
-        ...updatedHistory,
-        { role: 'assistant', content: data.message }
-      ];
-      setConversationHistory(finalHistory);
+      const answered = addMessage(updated, {
+        role: 'assistant',
+        content: result.content,
+        summary: result.context?.summary || null
+      }, questionId);
+      setThread(answered);
       
       // Save updated conversation to Firestore
       if (currentUser) {
-        saveConversationToFirestore(finalHistory);
+        saveConversationToFirestore(answered);
       }
     } catch (error) {
+      if (isAbortError(error)) {
+        // Cancelled: drop the unanswered question and give it back to the input
+        console.log('Follow-up response stopped by user');
+        setThread(previous);
+        if (!regenerating) setFollowupQuestion(findMessage(updated, questionId).content);
+        return;
+      }
+
       console.error('Error getting follow-up response:', error);
       setError(error.message || 'An unexpected error occurred');
       
       // Add error message to conversation
-      const finalHistory = [
-        ...updatedHistory,
-        { role: 'assistant', content: 'Sorry, I encountered an error. Please try again.' }
-      ];
-      setConversationHistory(finalHistory);
+      const answered = addMessage(updated, {
+        role: 'assistant',
+        content: 'Sorry, I encountered an error. Please try again.'
+      }, questionId);
+      setThread(answered);
       
       // Still save the conversation with the error message
       if (currentUser) {
-        saveConversationToFirestore(finalHistory);
+        saveConversationToFirestore(answered);
       }
     } finally {
+      abortControllerRef.current = null;
+      setStreamingResponse(null);
       setIsLoading(false);
     }
   };
 
+  const handleFollowupSubmit = (e) => {
+    e.preventDefault();
+    if (!followupQuestion.trim()) return;
+
+    // Keep the question in the input while the server is offline
+    if (serverStatus !== 'online') {
+      setError('Cannot send follow-up: server is offline');
+      return;
+    }
+
+    const conversation = addMessage(thread, { role: 'user', content: followupQuestion });
+    setFollowupQuestion('');
+    answerFollowup(conversation, conversation.leafId);
+  };
+
+  // Send an edited follow-up question as a new version of it, in a branch of its own
+  const handleEditSubmit = (id, content) => {
+    setEditingId(null);
+    const conversation = addMessage(thread, { role: 'user', content }, findMessage(thread, id).parentId);
+    answerFollowup(conversation, conversation.leafId);
+  };
+
+  // Answer the follow-up question before an answer again
+  const handleRegenerate = (id) => {
+    answerFollowup(thread, findMessage(thread, id).parentId, { regenerating: true });
+  };
+
+  // Show another version of a follow-up, with the latest branch after it
+  const handleSelectVersion = (id) => {
+    const conversation = selectBranch(thread, id);
+    setThread(conversation);
+    if (currentUser) {
+      saveConversationToFirestore(conversation);
+    }
+  };
+
   // Determine if we're showing initial analysis or follow-up conversation
   const hasConversation = conversationHistory.length > 0;
 
+  // Cross-references from the server's database, shown under the analysis
+  const relatedVerses = (
+    <RelatedVerses
+      reference={analyzedVerse}
+      onSelect={(reference) => {
+        setSelectedVerse(reference);
+        setIsVerseModalOpen(true);
+      }}
+      className="not-prose mt-6 p-4 bg-gray-50 border border-gray-100 rounded-lg"
+    />
+  );
+
   return (
     <div className="w-full flex flex-col bg-white rounded-xl shadow-lg overflow-hidden">
       {/* Status indicators */}
@@ -379,6 +489,8 @@ const VerseAnalyzer = () => {
               You can enter the full verse text or just the reference (e.g., "John 3:16").
             </p>
           </div>
+
+          <PerspectiveSelect value={perspective} onChange={setPerspective} disabled={isLoading} />
           
           <button
             type="submit"
@@ -392,9 +504,16 @@ const VerseAnalyzer = () => {
       
       {/* Analysis content area */}
       <div className="flex-1 p-4 h-[400px] overflow-y-auto" ref={analysisRef}>
-        {isLoading && !hasConversation ? (
-          <div className="flex items-center justify-center h-full">
+        {isLoading && !hasConversation && !analysis ? (
+          <div className="flex flex-col items-center justify-center h-full">
             <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-700"></div>
+            <button
+              type="button"
+              onClick={handleStop}
+              className="mt-4 text-sm text-gray-600 hover:text-gray-800 underline"
+            >
+              Cancel
+            </button>
           </div>
         ) : hasConversation ? (
           <div className="prose max-w-none mb-4">
@@ -402,54 +521,87 @@ const VerseAnalyzer = () => {
             <div className="bg-purple-50 p-3 rounded border border-purple-100 mb-4">
               <p className="font-medium text-purple-800">{verseInput}</p>
             </div>
+            {isCached && (
+              <CachedResultNotice onRegenerate={() => handleSubmit(null, { regenerate: true })} disabled={isLoading} />
+            )}
             
             <div className="space-y-6">
               {conversationHistory.map((msg, index) => (
-                <div key={index} className={`${msg.role === 'user' ? 'bg-purple-50 border-purple-100' : 'bg-gray-50 border-gray-100'} border rounded-lg p-4`}>
-                  <p className="text-xs text-gray-500 mb-1">
-                    {msg.role === 'user' ? 'You asked:' : 'Response:'}
-                  </p>
-                  {msg.role === 'assistant' ? (
-                    <div className="markdown-content">
-                      <ReactMarkdown 
-                        remarkPlugins={[remarkGfm]}
-                        components={{
-                          h1: ({node, ...props}) => <h1 className="text-xl font-bold mb-2" {...props} />,
-                          h2: ({node, ...props}) => <h2 className="text-lg font-bold mb-2" {...props} />,
-                          h3: ({node, ...props}) => <h3 className="text-md font-bold mb-1" {...props} />,
-                          p: ({node, ...props}) => <p className="mb-2" {...props} />,
-                          ul: ({node, ...props}) => <ul className="list-disc pl-5 mb-2" {...props} />,
-                          ol: ({node, ...props}) => <ol className="list-decimal pl-5 mb-2" {...props} />,
-                          li: ({node, ...props}) => <li className="mb-1" {...props} />,
-                          a: ({node, ...props}) => <a className="text-purple-600 hover:underline" {...props} />,
-                          blockquote: ({node, ...props}) => <blockquote className="border-l-4 border-gray-300 pl-3 italic my-2" {...props} />,
-                          code: ({node, inline, ...props}) => 
-                            inline 
-                              ? <code className="bg-gray-100 text-sm rounded px-1 py-0.5" {...props} />
-                              : <pre className="bg-gray-100 p-2 rounded my-2 overflow-x-auto"><code {...props} /></pre>
-                        }}
-                      >
-                        {msg.content}
-                      </ReactMarkdown>
-                    </div>
-                  ) : (
-                    <p>{msg.content}</p>
-                  )}
-                </div>
+                <Fragment key={msg.id}>
+                  {contextSummary && index === contextSummary.covers && <CondensedNotice summary={contextSummary} />}
+                  <div className={`${msg.role === 'user' ? 'bg-purple-50 border-purple-100' : 'bg-gray-50 border-gray-100'} border rounded-lg p-4`}>
+                    <p className="text-xs text-gray-500 mb-1">
+                      {msg.role === 'user' ? 'You asked:' : 'Response:'}
+                    </p>
+                    {msg.role === 'assistant' ? (
+                      <div className="markdown-content">
+                        <ReactMarkdown 
+                          remarkPlugins={[remarkGfm]}
+                          components={{
+                            h1: ({node, ...props}) => <h1 className="text-xl font-bold mb-2" {...props} />,
+                            h2: ({node, ...props}) => <h2 className="text-lg font-bold mb-2" {...props} />,
+                            h3: ({node, ...props}) => <h3 className="text-md font-bold mb-1" {...props} />,
+                            p: ({node, ...props}) => <p className="mb-2" {...props} />,
+                            ul: ({node, ...props}) => <ul className="list-disc pl-5 mb-2" {...props} />,
+                            ol: ({node, ...props}) => <ol className="list-decimal pl-5 mb-2" {...props} />,
+                            li: ({node, ...props}) => <li className="mb-1" {...props} />,
+                            a: ({node, ...props}) => <a className="text-purple-600 hover:underline" {...props} />,
+                            blockquote: ({node, ...props}) => <blockquote className="border-l-4 border-gray-300 pl-3 italic my-2" {...props} />,
+                            code: ({node, inline, ...props}) => 
+                              inline 
+                                ? <code className="bg-gray-100 text-sm rounded px-1 py-0.5" {...props} />
+                                : <pre className="bg-gray-100 p-2 rounded my-2 overflow-x-auto"><code {...props} /></pre>
+                          }}
+                        >
+                          {msg.content}
+                        </ReactMarkdown>
+                      </div>
+                    ) : editingId === msg.id ? (
+                      <MessageEditForm
+                        initialValue={msg.content}
+                        onSubmit={(content) => handleEditSubmit(msg.id, content)}
+                        onCancel={() => setEditingId(null)}
+                      />
+                    ) : (
+                      <p>{msg.content}</p>
+                    )}
+                    {/* The first request and answer are the tool's own; only follow-ups branch */}
+                    {index >= 2 && editingId !== msg.id && (
+                      <BranchControls
+                        tree={thread}
+                        id={msg.id}
+                        onSelect={handleSelectVersion}
+                        onEdit={msg.role === 'user' ? () => setEditingId(msg.id) : undefined}
+                        onRegenerate={msg.role === 'assistant' ? () => handleRegenerate(msg.id) : undefined}
+                        disabled={isLoading}
+                      />
+                    )}
+                  </div>
+                </Fragment>
               ))}
               
               {isLoading && (
                 <div className="bg-gray-50 border border-gray-100 rounded-lg p-4">
                   <p className="text-xs text-gray-500 mb-1">Response:</p>
-                  <div className="flex items-center space-x-2">
-                    <div className="h-2 w-2 bg-gray-500 rounded-full animate-bounce"></div>
-                    <div className="h-2 w-2 bg-gray-500 rounded-full animate-bounce delay-75"></div>
-                    <div className="h-2 w-2 bg-gray-500 rounded-full animate-bounce delay-150"></div>
-                  </div>
+                  {streamingResponse ? (
+                    <div className="markdown-content">
+                      <ReactMarkdown remarkPlugins={[remarkGfm]}>
+                        {streamingResponse}
+                      </ReactMarkdown>
+                    </div>
+                  ) : (
+                    <div className="flex items-center space-x-2">
+                      <div className="h-2 w-2 bg-gray-500 rounded-full animate-bounce"></div>
+                      <div className="h-2 w-2 bg-gray-500 rounded-full animate-bounce delay-75"></div>
+                      <div className="h-2 w-2 bg-gray-500 rounded-full animate-bounce delay-150"></div>
+                    </div>
+                  )}
                 </div>
               )}
             </div>
             
+            {relatedVerses}
+
             {/* Follow-up question input */}
             <div className="mt-6 pt-4 border-t border-gray-200">
               <form onSubmit={handleFollowupSubmit} className="flex space-x-2">
@@ -461,18 +613,23 @@ const VerseAnalyzer = () => {
                   className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
                   disabled={isLoading || serverStatus !== 'online'}
                 />
-                <button
-                  type="submit"
-                  disabled={isLoading || !followupQuestion.trim() || serverStatus !== 'online'}
-                  className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
-                >
-                  {isLoading ? (
-                    <svg className="animate-spin h-5 w-5" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                    </svg>
-                  ) : "Ask"}
-                </button>
+                {isLoading ? (
+                  <button
+                    type="button"
+                    onClick={handleStop}
+                    className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg transition-colors duration-200"
+                  >
+                    Stop
+                  </button>
+                ) : (
+                  <button
+                    type="submit"
+                    disabled={!followupQuestion.trim() || serverStatus !== 'online'}
+                    className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+                  >
+                    Ask
+                  </button>
+                )}
               </form>
             </div>
           </div>
@@ -504,6 +661,19 @@ const VerseAnalyzer = () => {
                 {analysis}
               </ReactMarkdown>
             </div>
+            {isLoading && (
+              <button
+                type="button"
+                onClick={handleStop}
+                className="mt-2 text-sm text-gray-600 hover:text-gray-800 underline"
+              >
+                Stop
+              </button>
+            )}
+            {responseStopped && (
+              <p className="text-xs text-gray-500 italic mt-2">Analysis stopped before it finished and was not saved</p>
+            )}
+            {relatedVerses}
           </div>
         ) : (
           <div className="flex flex-col items-center justify-center h-full text-center">
@@ -513,6 +683,12 @@ const VerseAnalyzer = () => {
           </div>
         )}
       </div>
+
+      <BibleVerseModal
+        isOpen={isVerseModalOpen}
+        onClose={() => setIsVerseModalOpen(false)}
+        verseReference={selectedVerse}
+      />
     </div>
   );
 };
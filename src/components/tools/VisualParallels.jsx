@@ -6,7 +6,10 @@ import { db, storage } from '../../firebase/config';
 import { collection, addDoc, serverTimestamp, updateDoc, doc, getDoc, query as firestoreQuery, where, getDocs } from 'firebase/firestore';
 import { ref, uploadString, getDownloadURL } from 'firebase/storage';
 import BibleVerseModal from '../common/BibleVerseModal';
-import { extractVerseReferences, containsVerseReferences } from '../common/VerseReferenceParser';
+import CachedResultNotice from '../common/CachedResultNotice';
+import ReferenceWarnings from '../common/ReferenceWarnings';
+import { containsVerseReferences, linkVerseReferences } from '../common/VerseReferenceParser';
+import { apiFetch } from '../../utils/apiClient';
 
 const VisualParallels = () => {
   const [queryInput, setQueryInput] = useState('');
@@ -15,6 +18,7 @@ const VisualParallels = () => {
   const [error, setError] = useState('');
   const [serverStatus, setServerStatus] = useState('checking');
   const [currentParallelId, setCurrentParallelId] = useState(null);
+  const [isCached, setIsCached] = useState(false);
   const [generatedImage, setGeneratedImage] = useState(null);
   const [isGeneratingImage, setIsGeneratingImage] = useState(false);
   const [imagePrompt, setImagePrompt] = useState('');
@@ -60,90 +64,6 @@ const VisualParallels = () => {
     };
   }, []);
 
-  // Process content to identify and make verse references clickable
-  const processContentWithVerseReferences = (content) => {
-    if (!content || typeof content !== 'string') return content;
-    
-    if (!containsVerseReferences(content)) {
-      return content;
-    }
-
-    const references = extractVerseReferences(content);
-    
-    // Sort references by length (descending) to handle overlapping references
-    const sortedReferences = [...references].sort((a, b) => b.length - a.length);
-
-    // Store the matches for each reference to avoid double-processing
-    const matches = {};
-
-    // First identify all references in the content 
-    sortedReferences.forEach(ref => {
-      // Escape special regex characters in the reference
-      const escapedRef = ref.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      
-      // Use more precise regex that requires word boundaries to avoid capturing preceding words
-      const regex = new RegExp(`(^|\\s|[;:.,>"'])(${escapedRef})\\b`, 'g');
-      
-      // Find all matches in the content
-      let match;
-      matches[ref] = [];
-      while ((match = regex.exec(content)) !== null) {
-        // The actual reference is in the second capturing group
-        const actualRef = match[2];
-        const startIndex = match.index + match[1].length; // Skip the preceding character/space
-        
-        matches[ref].push({
-          index: startIndex,
-          length: actualRef.length,
-          text: actualRef,
-          fullMatch: match[0],
-          beforeText: match[1]
-        });
-      }
-    });
-    
-    // No references found in the actual content
-    if (Object.values(matches).every(arr => arr.length === 0)) {
-      return content;
-    }
-    
-    // Process the content to replace references with clickable spans
-    // We'll build a new string character by character
-    let result = '';
-    let skipTo = 0;
-    
-    for (let i = 0; i < content.length; i++) {
-      // Skip if we've already processed this part
-      if (i < skipTo) continue;
-      
-      // Check if any reference starts at this position
-      let matched = false;
-      
-      for (const ref of sortedReferences) {
-        for (const match of matches[ref]) {
-          if (match.index === i) {
-            // Create a clickable span for this reference
-            const span = `<span class="verse-reference" data-verse="${ref}" onclick="(function(e) { var event = new CustomEvent('verse-click', { detail: { verse: '${ref}' } }); document.dispatchEvent(event); })(event)" style="color: #4f46e5; cursor: pointer; text-decoration: underline; font-weight: 500;">${match.text}</span>`;
-            result += span;
-            
-            // Skip the length of the reference
-            skipTo = i + match.length;
-            matched = true;
-            break;
-          }
-        }
-        if (matched) break;
-      }
-      
-      // If no reference matched at this position, just add the character
-      if (!matched && i >= skipTo) {
-        result += content[i];
-      }
-    }
-    
-    return result;
-  };
-
   // Handle verse reference click
   const handleVerseClick = (verseRef) => {
     setSelectedVerse(verseRef);
@@ -277,7 +197,7 @@ const VisualParallels = () => {
         });
       } else {
         // For URLs, we'll use the server as a proxy to avoid CORS issues
-        const response = await fetch('/api/proxy-image', {
+        const response = await apiFetch('/api/proxy-image', {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
@@ -309,7 +229,7 @@ const VisualParallels = () => {
   };
 
   // Save results to Firestore
-  const saveParallelToFirestore = async (data, query, imageData = null, imageFormat = null) => {
+  const saveParallelToFirestore = async (data, query, imageData = null, imageFormat = null, promptVersion = null) => {
     try {
       if (!currentUser) {
         console.log('User not logged in, cannot save parallel');
@@ -325,6 +245,7 @@ const VisualParallels = () => {
           query: query,
           title: data.title,
           parallelData: data,
+          promptVersion,
           generatedImage: imageData,
           storedImageUrl: storedImageUrl,
           imageFormat: imageFormat,
@@ -358,6 +279,11 @@ const VisualParallels = () => {
           if (storedImageUrl) {
             updateData.storedImageUrl = storedImageUrl;
           }
+
+          // Image-only updates keep the prompt version of the original study
+          if (promptVersion) {
+            updateData.promptVersion = promptVersion;
+          }
           
           await updateDoc(parallelRef, updateData);
           
@@ -371,6 +297,7 @@ const VisualParallels = () => {
             query: query,
             title: data.title,
             parallelData: data,
+            promptVersion,
             generatedImage: imageData,
             storedImageUrl: storedImageUrl,
             imageFormat: imageFormat,
@@ -396,7 +323,7 @@ const VisualParallels = () => {
     setError('');
     
     try {
-      const response = await fetch('/api/tools/generate-parallel-image', {
+      const response = await apiFetch('/api/tools/generate-parallel-image', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -408,7 +335,7 @@ const VisualParallels = () => {
       
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.message || 'Failed to generate image');
+        throw new Error(errorData.error?.message || 'Failed to generate image');
       }
       
       const data = await response.json();
@@ -436,6 +363,7 @@ const VisualParallels = () => {
                 generatedImage: data.image,
                 storedImageUrl: imageUrl,
                 imageFormat: data.format || 'unknown',
+                imagePromptVersion: data.promptVersion || null,
                 updatedAt: serverTimestamp()
               });
               console.log('Updated Firestore with image URL');
@@ -469,8 +397,9 @@ const VisualParallels = () => {
     setStoredImageUrl(null);
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  // `regenerate` skips both the saved parallel and the server cache
+  const handleSubmit = async (e, { regenerate = false } = {}) => {
+    e?.preventDefault();
     if (!queryInput.trim()) return;
 
     // Don't try to send if server is offline
@@ -486,13 +415,16 @@ const VisualParallels = () => {
     setGeneratedImage(null);
     setImagePrompt('');
     setStoredImageUrl(null);
+    setIsCached(false);
     
-    // Reset current parallel
-    resetParallel();
+    // Reset current parallel (a regenerated parallel replaces the saved one)
+    if (!regenerate) {
+      resetParallel();
+    }
 
     try {
       // First check if we have an existing parallel for this query
-      if (currentUser) {
+      if (currentUser && !regenerate) {
         const existingParallel = await findExistingParallel(queryInput);
         
         if (existingParallel && existingParallel.parallelData) {
@@ -521,13 +453,14 @@ const VisualParallels = () => {
       
       // If no existing parallel is found, proceed with API request
       console.log(`Generating visual parallel for: ${queryInput}`);
-      const response = await fetch('/api/tools/visual-parallels', {
+      const response = await apiFetch('/api/tools/visual-parallels', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          query: queryInput
+          query: queryInput,
+          regenerate
         }),
       });
 
@@ -536,16 +469,17 @@ const VisualParallels = () => {
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
         console.error('Error response:', errorData);
-        throw new Error(errorData.message || 'Failed to generate visual parallel');
+        throw new Error(errorData.error?.message || 'Failed to generate visual parallel');
       }
 
-      const data = await response.json();
+      const { cached, promptVersion, ...data } = await response.json();
       console.log('Received visual parallel data:', data);
       setParallelData(data);
+      setIsCached(Boolean(cached));
       
       // Save to Firestore if user is logged in
       if (currentUser) {
-        saveParallelToFirestore(data, queryInput);
+        saveParallelToFirestore(data, queryInput, null, null, promptVersion);
       }
     } catch (error) {
       console.error('Error generating visual parallel:', error);
@@ -560,7 +494,7 @@ const VisualParallels = () => {
     if (!content || typeof content !== 'string') return null;
 
     // Process content for verse references
-    const processedContent = processContentWithVerseReferences(content);
+    const processedContent = linkVerseReferences(content);
     
     return (
       <div dangerouslySetInnerHTML={{ __html: processedContent }} />
@@ -649,6 +583,9 @@ const VisualParallels = () => {
           </div>
         ) : parallelData ? (
           <div className="prose max-w-none">
+            {isCached && (
+              <CachedResultNotice onRegenerate={() => handleSubmit(null, { regenerate: true })} disabled={isLoading} />
+            )}
             <h1 className="text-2xl font-bold text-center text-gray-800 mb-4">{parallelData.title}</h1>
             <p className="text-center text-gray-600 mb-8">{parallelData.summary}</p>
             
@@ -701,11 +638,12 @@ const VisualParallels = () => {
                 <h3 className="text-lg font-semibold mb-2">{parallelData.elementA.name}</h3>
                 <p className={`text-sm mb-4 ${parallelData.elementA.testament === "Old" ? "text-amber-800" : "text-blue-800"}`}>
                   {containsVerseReferences(parallelData.elementA.reference) ? (
-                    <span dangerouslySetInnerHTML={{ __html: processContentWithVerseReferences(parallelData.elementA.reference) }} />
+                    <span dangerouslySetInnerHTML={{ __html: linkVerseReferences(parallelData.elementA.reference) }} />
                   ) : (
                     parallelData.elementA.reference
                   )}
                 </p>
+                <ReferenceWarnings warnings={parallelData.referenceWarnings} path="elementA" className="mb-4" />
                 
                 <div className="mb-4">
                   <h4 className={`font-semibold ${parallelData.elementA.testament === "Old" ? "text-amber-700" : "text-blue-700"}`}>
@@ -733,7 +671,7 @@ const VisualParallels = () => {
                     {parallelData.elementA.keyVerses.map((verse, index) => (
                       <li key={index} className="mb-1">
                         {containsVerseReferences(verse) ? (
-                          <span dangerouslySetInnerHTML={{ __html: processContentWithVerseReferences(verse) }} />
+                          <span dangerouslySetInnerHTML={{ __html: linkVerseReferences(verse) }} />
                         ) : (
                           verse
                         )}
@@ -764,11 +702,12 @@ const VisualParallels = () => {
                 <h3 className="text-lg font-semibold mb-2">{parallelData.elementB.name}</h3>
                 <p className={`text-sm mb-4 ${parallelData.elementB.testament === "Old" ? "text-amber-800" : "text-blue-800"}`}>
                   {containsVerseReferences(parallelData.elementB.reference) ? (
-                    <span dangerouslySetInnerHTML={{ __html: processContentWithVerseReferences(parallelData.elementB.reference) }} />
+                    <span dangerouslySetInnerHTML={{ __html: linkVerseReferences(parallelData.elementB.reference) }} />
                   ) : (
                     parallelData.elementB.reference
                   )}
                 </p>
+                <ReferenceWarnings warnings={parallelData.referenceWarnings} path="elementB" className="mb-4" />
                 
                 <div className="mb-4">
                   <h4 className={`font-semibold ${parallelData.elementB.testament === "Old" ? "text-amber-700" : "text-blue-700"}`}>
@@ -796,7 +735,7 @@ const VisualParallels = () => {
                     {parallelData.elementB.keyVerses.map((verse, index) => (
                       <li key={index} className="mb-1">
                         {containsVerseReferences(verse) ? (
-                          <span dangerouslySetInnerHTML={{ __html: processContentWithVerseReferences(verse) }} />
+                          <span dangerouslySetInnerHTML={{ __html: linkVerseReferences(verse) }} />
                         ) : (
                           verse
                         )}
@@ -0,0 +1,403 @@
+import React, { useState, useEffect } from 'react';
+import BibleVerseModal from '../common/BibleVerseModal';
+import api from '../../utils/apiClient';
+
+const PAGE_SIZE = 50;
+
+const EXAMPLES = ['Genesis 1:1', 'Deuteronomy 6:4-5', 'Psalm 23:1', 'Isaiah 7:14', 'John 1:1', 'John 3:16'];
+// Shown instead of New Testament examples when the server has no Greek text
+const OLD_TESTAMENT_EXAMPLES = EXAMPLES.filter(example => !example.startsWith('John'));
+
+const NO_GREEK_TEXT = 'New Testament word study is not available: this server has no tagged Greek New Testament. ' +
+  'Old Testament passages can be studied in Hebrew, and Greek words can still be looked up by Strong\'s number (e.g. G26).';
+
+const errorMessage = (err, fallback) => err.response?.data?.error?.message || fallback;
+
+// Hebrew and Aramaic read right to left, Greek left to right
+const directionOf = (language) => (language === 'greek' ? 'ltr' : 'rtl');
+
+/**
+ * Original-language word study: the Hebrew words of an Old Testament passage
+ * or the Greek words of a New Testament one, with their lemma, Strong's
+ * number, morphology and gloss, and for a chosen lemma its dictionary entry
+ * and other occurrences. The Greek text is there only when the server has
+ * MorphGNT, and the tool says plainly when it is not; Greek entries can
+ * always be looked up by Strong's number.
+ * @param {Object} props
+ * @param {Function} [props.onAskChat] - Called with a question about the chosen lemma
+ */
+const WordStudy = ({ onAskChat }) => {
+  const [passageInput, setPassageInput] = useState('');
+  const [strongInput, setStrongInput] = useState('');
+  const [study, setStudy] = useState(null);
+  const [translationText, setTranslationText] = useState(null);
+  const [selectedWord, setSelectedWord] = useState(null);
+  const [entry, setEntry] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isEntryLoading, setIsEntryLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [selectedVerse, setSelectedVerse] = useState('');
+  const [isVerseModalOpen, setIsVerseModalOpen] = useState(false);
+  // null until the server says; false when New Testament passages cannot be studied
+  const [hasGreekText, setHasGreekText] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    api.get('/api/word-study/texts')
+      .then((response) => {
+        if (!cancelled) setHasGreekText(response.data.newTestament);
+      })
+      .catch((err) => console.error('Failed to load word study texts:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const loadPassage = async (query = passageInput) => {
+    if (!query.trim()) return;
+    setIsLoading(true);
+    setError('');
+    setSelectedWord(null);
+    setEntry(null);
+
+    try {
+      const response = await api.get('/api/word-study', { params: { q: query } });
+      setStudy(response.data);
+
+      // The English alongside, numbered the same way; missing when the translation cannot be fetched
+      try {
+        const passage = await api.get('/api/passages', { params: { q: response.data.reference } });
+        setTranslationText(passage.data);
+      } catch {
+        setTranslationText(null);
+      }
+    } catch (err) {
+      if (err.response?.data?.error?.code === 'NO_ORIGINAL_TEXT') {
+        // Shown by the notice above the forms
+        setHasGreekText(false);
+      } else {
+        console.error('Word study failed:', err);
+        setError(errorMessage(err, 'Word study failed'));
+      }
+      setStudy(null);
+      setTranslationText(null);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const loadEntry = async (strong, offset = 0) => {
+    setIsEntryLoading(true);
+    setError('');
+
+    try {
+      const response = await api.get(`/api/lexicon/${encodeURIComponent(strong)}`, {
+        params: { limit: PAGE_SIZE, offset }
+      });
+      setEntry(response.data);
+    } catch (err) {
+      console.error('Lexicon lookup failed:', err);
+      setError(errorMessage(err, 'Lexicon lookup failed'));
+      setEntry(null);
+    } finally {
+      setIsEntryLoading(false);
+    }
+  };
+
+  const handlePassageSubmit = (e) => {
+    e.preventDefault();
+    loadPassage();
+  };
+
+  const handleStrongSubmit = (e) => {
+    e.preventDefault();
+    if (!strongInput.trim()) return;
+    setSelectedWord(null);
+    loadEntry(strongInput.trim());
+  };
+
+  const selectWord = (verse, word) => {
+    setSelectedWord({ ...word, reference: verse.reference });
+    if (word.strong) loadEntry(word.strong);
+    else setEntry(null);
+  };
+
+  const openVerse = (reference) => {
+    setSelectedVerse(reference);
+    setIsVerseModalOpen(true);
+  };
+
+  const askChat = () => {
+    const language = entry.language === 'greek' ? 'Greek' : 'Hebrew';
+    const word = [entry.lemma, entry.transliteration && `(${entry.transliteration})`].filter(Boolean).join(' ');
+    const usedIn = selectedWord ? ` as it is used in ${selectedWord.reference}` : '';
+    onAskChat(
+      `Explain the ${language} word ${word}, Strong's ${entry.strong} ("${entry.gloss}")${usedIn}. ` +
+      'What does it mean, and how is it used elsewhere in the Bible?'
+    );
+  };
+
+  const occurrences = entry && entry.occurrences;
+  const lastShown = occurrences ? Math.min(occurrences.offset + occurrences.results.length, occurrences.total) : 0;
+
+  return (
+    <div className="w-full flex flex-col bg-white rounded-xl shadow-lg overflow-hidden">
+      {error && (
+        <div className="px-4 py-2 bg-red-100 border-l-4 border-red-500 text-red-700 text-sm">
+          <span className="font-bold">Error:</span> {error}
+        </div>
+      )}
+
+      {hasGreekText === false && (
+        <div className="px-4 py-2 bg-amber-50 border-l-4 border-amber-400 text-amber-800 text-sm">
+          {NO_GREEK_TEXT}
+        </div>
+      )}
+
+      {/* Lookup forms */}
+      <div className="p-4 bg-gray-50 border-b space-y-3">
+        <form onSubmit={handlePassageSubmit} className="flex flex-col sm:flex-row gap-2">
+          <div className="flex-1">
+            <label htmlFor="word-study-passage" className="block text-sm font-medium text-gray-700 mb-1">
+              {hasGreekText === false
+                ? 'Study the Hebrew of an Old Testament passage (up to 5 verses)'
+                : 'Study the Hebrew or Greek of a passage (up to 5 verses)'}
+            </label>
+            <input
+              id="word-study-passage"
+              type="text"
+              value={passageInput}
+              onChange={(e) => setPassageInput(e.target.value)}
+              placeholder="Example: Genesis 1:1"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+              disabled={isLoading}
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={isLoading || !passageInput.trim()}
+            className="sm:self-end px-4 py-2 bg-indigo-600 text-white rounded-md shadow-sm hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isLoading ? 'Loading...' : 'Study'}
+          </button>
+        </form>
+        <p className="text-xs text-gray-500">
+          Try{' '}
+          {(hasGreekText === false ? OLD_TESTAMENT_EXAMPLES : EXAMPLES).map((example, index) => (
+            <React.Fragment key={example}>
+              {index > 0 && ', '}
+              <button
+                type="button"
+                onClick={() => {
+                  setPassageInput(example);
+                  loadPassage(example);
+                }}
+                className="text-indigo-600 hover:underline"
+              >
+                {example}
+              </button>
+            </React.Fragment>
+          ))}
+          . Verses are numbered as in the KJV; a psalm&apos;s title is part of its verse 1.
+        </p>
+
+        <form onSubmit={handleStrongSubmit} className="flex gap-2 items-center">
+          <label htmlFor="word-study-strong" className="text-sm text-gray-700">
+            Or look up a Strong&apos;s number
+          </label>
+          <input
+            id="word-study-strong"
+            type="text"
+            value={strongInput}
+            onChange={(e) => setStrongInput(e.target.value)}
+            placeholder="H7225 or G26"
+            className="w-32 px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+            disabled={isEntryLoading}
+          />
+          <button
+            type="submit"
+            disabled={isEntryLoading || !strongInput.trim()}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-100 disabled:opacity-50"
+          >
+            Look up
+          </button>
+        </form>
+      </div>
+
+      <div className="flex-1 p-4 overflow-y-auto space-y-6">
+        {isLoading && (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-indigo-600"></div>
+          </div>
+        )}
+
+        {/* The words of each verse */}
+        {!isLoading && study && study.verses.map((verse) => {
+          const english = translationText && translationText.verses.find(
+            (line) => line.book === verse.book && line.chapter === verse.chapter && line.verse === verse.verse
+          );
+          return (
+            <section key={verse.osis}>
+              <button
+                onClick={() => openVerse(verse.reference)}
+                className="font-semibold text-indigo-600 hover:underline"
+              >
+                {verse.reference}
+              </button>
+              {english && (
+                <p className="text-sm text-gray-600 mt-1">
+                  {english.text} <span className="text-xs text-gray-400">({translationText.translation.abbreviation})</span>
+                </p>
+              )}
+              <div dir={directionOf(verse.words[0]?.language)} className="flex flex-wrap gap-2 mt-3">
+                {verse.words.map((word) => (
+                  <button
+                    key={word.position}
+                    onClick={() => selectWord(verse, word)}
+                    className={`px-3 py-2 rounded-lg border text-center ${
+                      selectedWord && selectedWord.reference === verse.reference && selectedWord.position === word.position
+                        ? 'border-indigo-400 bg-indigo-50'
+                        : 'border-gray-200 hover:bg-gray-50'
+                    }`}
+                  >
+                    <span className="block text-2xl leading-relaxed">{word.text}</span>
+                    <span dir="ltr" className="block text-xs italic text-gray-600">{word.transliteration}</span>
+                    <span dir="ltr" className="block text-xs text-gray-800">
+                      {[...word.prefixes.map((prefix) => prefix.gloss), word.gloss].filter(Boolean).join(' + ')}
+                    </span>
+                    <span dir="ltr" className="block text-[10px] text-gray-400">
+                      {word.strong}{word.language === 'aramaic' && ' · Aramaic'}
+                    </span>
+                  </button>
+                ))}
+              </div>
+            </section>
+          );
+        })}
+
+        {/* The chosen lemma */}
+        {isEntryLoading && (
+          <div className="flex items-center justify-center h-16">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+          </div>
+        )}
+
+        {!isEntryLoading && selectedWord && !selectedWord.strong && (
+          <p className="text-sm text-gray-600">
+            {selectedWord.text} has no Strong&apos;s number. Its parts: {selectedWord.morphology.parts.join('; ')}.
+          </p>
+        )}
+
+        {!isEntryLoading && entry && (
+          <section className="border border-gray-200 rounded-lg p-4">
+            <div className="flex flex-wrap items-baseline gap-3">
+              <span className="text-3xl" dir={directionOf(entry.language)}>{entry.lemma}</span>
+              <span className="italic text-gray-700">{entry.transliteration}</span>
+              {entry.pronunciation && <span className="text-sm text-gray-500">{entry.pronunciation}</span>}
+              <span className="text-sm font-mono text-gray-500">{entry.strong}</span>
+              {onAskChat && (
+                <button
+                  onClick={askChat}
+                  className="ml-auto px-3 py-1 text-sm bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
+                >
+                  Ask the chat about this word
+                </button>
+              )}
+            </div>
+
+            <dl className="mt-3 grid grid-cols-1 sm:grid-cols-[8rem_1fr] gap-x-4 gap-y-2 text-sm">
+              {selectedWord && selectedWord.strong === entry.strong && (
+                <>
+                  <dt className="font-medium text-gray-700">In {selectedWord.reference}</dt>
+                  <dd className="text-gray-800">
+                    <span dir={directionOf(selectedWord.language)} className="mr-2">{selectedWord.segments.join(' · ')}</span>
+                    {selectedWord.morphology.parts.join('; ')}
+                    <span className="ml-2 font-mono text-xs text-gray-400">{selectedWord.morphology.code}</span>
+                  </dd>
+                </>
+              )}
+              <dt className="font-medium text-gray-700">Definition</dt>
+              <dd className="text-gray-800">{entry.definition}</dd>
+              {entry.kjvUsage && (
+                <>
+                  <dt className="font-medium text-gray-700">KJV renders it</dt>
+                  <dd className="text-gray-800">{entry.kjvUsage}</dd>
+                </>
+              )}
+              {entry.derivation && (
+                <>
+                  <dt className="font-medium text-gray-700">Derivation</dt>
+                  <dd className="text-gray-800">{entry.derivation}</dd>
+                </>
+              )}
+            </dl>
+
+            {/* Other verses using the lemma */}
+            {occurrences ? (
+              <div className="mt-4">
+                <h3 className="font-semibold text-gray-800">
+                  {occurrences.total} {occurrences.total === 1 ? 'verse uses' : 'verses use'} {entry.strong}
+                  {occurrences.total > 0 && (
+                    <span className="font-normal text-sm text-gray-500"> · showing {occurrences.offset + 1}-{lastShown}</span>
+                  )}
+                </h3>
+                {occurrences.books.length > 1 && (
+                  <div className="flex flex-wrap gap-2 my-2">
+                    {occurrences.books.map((book) => (
+                      <span key={book.book} className="px-2 py-1 text-xs rounded-full bg-gray-100 text-gray-700">
+                        {book.name} <span className="text-gray-500">{book.count}</span>
+                      </span>
+                    ))}
+                  </div>
+                )}
+                <ul className="divide-y divide-gray-100">
+                  {occurrences.results.map((verse) => (
+                    <li key={verse.osis} className="py-1 text-sm flex justify-between gap-4">
+                      <button
+                        onClick={() => openVerse(verse.reference)}
+                        className="text-indigo-600 hover:underline"
+                      >
+                        {verse.reference}
+                      </button>
+                      <span dir={directionOf(entry.language)} className="text-lg text-gray-800">{verse.forms.join(' · ')}</span>
+                    </li>
+                  ))}
+                </ul>
+                {occurrences.total > occurrences.limit && (
+                  <div className="flex justify-between mt-3">
+                    <button
+                      onClick={() => loadEntry(entry.strong, Math.max(occurrences.offset - occurrences.limit, 0))}
+                      disabled={occurrences.offset === 0}
+                      className="px-3 py-1 text-sm border border-gray-300 rounded disabled:opacity-50"
+                    >
+                      Previous
+                    </button>
+                    <button
+                      onClick={() => loadEntry(entry.strong, occurrences.offset + occurrences.limit)}
+                      disabled={lastShown >= occurrences.total}
+                      className="px-3 py-1 text-sm border border-gray-300 rounded disabled:opacity-50"
+                    >
+                      Next
+                    </button>
+                  </div>
+                )}
+              </div>
+            ) : (
+              <p className="mt-4 text-sm text-gray-500">
+                Occurrences of Greek words are listed only when the server has the Greek New Testament (MorphGNT).
+              </p>
+            )}
+          </section>
+        )}
+      </div>
+
+      <BibleVerseModal
+        isOpen={isVerseModalOpen}
+        onClose={() => setIsVerseModalOpen(false)}
+        verseReference={selectedVerse}
+      />
+    </div>
+  );
+};
+
+export default WordStudy;
@@ -0,0 +1,169 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import api from '../utils/apiClient';
+
+const formatCost = (cost) => `$${cost.toFixed(cost < 1 ? 4 : 2)}`;
+const formatNumber = (value) => value.toLocaleString();
+
+// YYYY-MM-DD for a date `daysAgo` days before today (UTC, matching the ledger)
+const isoDay = (daysAgo = 0) => new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+/**
+ * One table of the report, e.g. spend per tool or per day.
+ * @param {Object} props
+ * @param {string} props.title - Table heading
+ * @param {string} props.label - Heading of the first column
+ * @param {string} props.field - Row field shown in the first column
+ * @param {Object[]} props.rows - Report rows
+ */
+const ReportTable = ({ title, label, field, rows }) => (
+  <div className="bg-white shadow rounded-lg p-4 mb-6 overflow-x-auto">
+    <h2 className="text-lg font-semibold text-gray-800 mb-3">{title}</h2>
+    {rows.length === 0 ? (
+      <p className="text-sm text-gray-500">No AI calls in this period.</p>
+    ) : (
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500 border-b">
+            <th className="py-2 pr-4 font-medium">{label}</th>
+            <th className="py-2 pr-4 font-medium text-right">Calls</th>
+            <th className="py-2 pr-4 font-medium text-right">Errors</th>
+            <th className="py-2 pr-4 font-medium text-right">Prompt tokens</th>
+            <th className="py-2 pr-4 font-medium text-right">Completion tokens</th>
+            <th className="py-2 pr-4 font-medium text-right">Images</th>
+            <th className="py-2 pr-4 font-medium text-right">Avg latency</th>
+            <th className="py-2 font-medium text-right">Est. cost</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row[field]} className="border-b last:border-0">
+              <td className="py-2 pr-4 text-gray-800 break-all">{row[field]}</td>
+              <td className="py-2 pr-4 text-right">{formatNumber(row.calls)}</td>
+              <td className="py-2 pr-4 text-right">{formatNumber(row.errors)}</td>
+              <td className="py-2 pr-4 text-right">{formatNumber(row.promptTokens)}</td>
+              <td className="py-2 pr-4 text-right">{formatNumber(row.completionTokens)}</td>
+              <td className="py-2 pr-4 text-right">{formatNumber(row.images)}</td>
+              <td className="py-2 pr-4 text-right">{formatNumber(row.avgLatencyMs)} ms</td>
+              <td className="py-2 text-right font-medium">{formatCost(row.cost)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </div>
+);
+
+const AdminUsage = () => {
+  const navigate = useNavigate();
+  const [from, setFrom] = useState(isoDay(29));
+  const [to, setTo] = useState(isoDay());
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchReport = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const response = await api.get('/api/admin/usage-report', { params: { from, to } });
+        if (!cancelled) setReport(response.data);
+      } catch (err) {
+        console.error('Failed to load usage report:', err);
+        if (!cancelled) {
+          setReport(null);
+          setError(err.response?.data?.error?.message || 'Failed to load the usage report');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchReport();
+    return () => {
+      cancelled = true;
+    };
+  }, [from, to]);
+
+  const totals = report?.totals;
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <header className="bg-white shadow">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex items-center">
+          <button
+            onClick={() => navigate('/dashboard')}
+            className="mr-4 text-gray-500 hover:text-gray-700"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+            </svg>
+          </button>
+          <h1 className="text-2xl font-bold text-gray-800">AI Usage and Spend</h1>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        <div className="flex flex-wrap items-end gap-4 mb-6">
+          <label className="text-sm text-gray-700">
+            From
+            <input
+              type="date"
+              value={from}
+              max={to}
+              onChange={(e) => setFrom(e.target.value)}
+              className="block mt-1 p-2 border border-gray-300 rounded"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            To
+            <input
+              type="date"
+              value={to}
+              min={from}
+              onChange={(e) => setTo(e.target.value)}
+              className="block mt-1 p-2 border border-gray-300 rounded"
+            />
+          </label>
+          {loading && <span className="text-sm text-gray-500">Loading…</span>}
+        </div>
+
+        {error && <div className="mb-4 p-3 bg-red-100 text-red-700 rounded">{error}</div>}
+
+        {totals && (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+              {[
+                ['Estimated cost', formatCost(totals.cost)],
+                ['AI calls', formatNumber(totals.calls)],
+                ['Tokens', formatNumber(totals.promptTokens + totals.completionTokens)],
+                ['Images', formatNumber(totals.images)]
+              ].map(([label, value]) => (
+                <div key={label} className="bg-white shadow rounded-lg p-4">
+                  <p className="text-xs text-gray-500">{label}</p>
+                  <p className="text-xl font-semibold text-gray-800">{value}</p>
+                </div>
+              ))}
+            </div>
+
+            {totals.unpricedCalls > 0 && (
+              <p className="mb-4 text-xs text-gray-500">
+                {totals.unpricedCalls} calls used models without a known price and are not included in the estimated cost.
+              </p>
+            )}
+
+            <ReportTable title="Spend by tool" label="Tool" field="tool" rows={report.byTool} />
+            <ReportTable title="Spend by day" label="Day" field="day" rows={report.byDay} />
+            <ReportTable title="Spend by model" label="Model" field="model" rows={report.byModel} />
+            <ReportTable title="Top users" label="User" field="uid" rows={report.byUser} />
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default AdminUsage;
@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../firebase/AuthContext';
 import BibleCommentary from '../components/tools/BibleCommentary';
 import VerseAnalyzer from '../components/tools/VerseAnalyzer';
@@ -11,13 +11,19 @@ import CharacterStudy from '../components/tools/CharacterStudy';
 import PersonalStudy from '../components/tools/PersonalStudy';
 import AdvancedChat from '../components/AdvancedChat';
 import ThemeThread from '../components/tools/ThemeThread';
+import Concordance from '../components/tools/Concordance';
+import WordStudy from '../components/tools/WordStudy';
+import UsageSummary from '../components/UsageSummary';
 
 const Dashboard = () => {
   const [error, setError] = useState('');
   const [selectedTool, setSelectedTool] = useState('chat');
   const { currentUser, logout } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
   const [showMore, setShowMore] = useState(false);
+  // A question another tool hands to the chat (the standalone tool pages pass it in the location state)
+  const [chatDraft, setChatDraft] = useState(() => location.state?.chatDraft ? { text: location.state.chatDraft } : null);
 
   /* -----------------------------------------
      Auth
@@ -45,7 +51,9 @@ const Dashboard = () => {
     { id: 'timeline', name: 'Biblical Timeline', description: 'Generate visual timelines of biblical events, characters, and periods', icon: '📅', color: 'amber' },
     { id: 'maps', name: 'Biblical Maps', description: 'Explore locations and geography mentioned in the Bible', icon: '🗺️', color: 'amber' },
     { id: 'images', name: 'Biblical Images', description: 'Generate visual representations of biblical scenes and concepts', icon: '🖼️', color: 'purple' },
-    { id: 'theme-thread', name: 'Theme Thread', description: 'View the theme thread of the Bible', icon: '🧵', color: 'green' }
+    { id: 'theme-thread', name: 'Theme Thread', description: 'View the theme thread of the Bible', icon: '🧵', color: 'green' },
+    { id: 'concordance', name: 'Concordance', description: 'Search every verse of the Bible for words and phrases', icon: '🔎', color: 'blue' },
+    { id: 'word-study', name: 'Word Study', description: 'Study the Hebrew words of a verse with their Strong\'s entries', icon: '🔤', color: 'teal' }
   ];
 
   const quickTools = tools.slice(0, 3);
@@ -66,6 +74,12 @@ const Dashboard = () => {
     return map[tool.color] || { bg: 'bg-gray-50', text: 'text-gray-700', active: 'bg-gray-200 border-gray-300' };
   };
 
+  /* Send a question to the chat for the user to review and send */
+  const askChat = (text) => {
+    setChatDraft({ text });
+    setSelectedTool('chat');
+  };
+
   /* Render the proper component */
   const renderSelectedTool = () => {
     switch (selectedTool) {
@@ -87,9 +101,13 @@ const Dashboard = () => {
         return <Images />;
       case 'theme-thread':
         return <ThemeThread />;
+      case 'concordance':
+        return <Concordance />;
+      case 'word-study':
+        return <WordStudy onAskChat={askChat} />;
       case 'chat':
       default:
-        return <AdvancedChat />;
+        return <AdvancedChat draft={chatDraft} />;
     }
   };
 
@@ -104,6 +122,9 @@ const Dashboard = () => {
           <div className="flex flex-col sm:flex-row items-start sm:items-center gap-1 w-full">
             <h1 className="text-xl sm:text-2xl font-bold text-gray-800">Bible Study Tools</h1>
             <p className="text-xs sm:text-sm text-gray-500 sm:ml-3 break-all">Logged in as: {currentUser?.email}</p>
+            <div className="sm:ml-auto sm:mr-4">
+              <UsageSummary refreshKey={selectedTool} />
+            </div>
           </div>
           <button onClick={handleLogout} className="w-full sm:w-auto bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded font-medium text-sm">
             Logout
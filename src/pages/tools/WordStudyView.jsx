@@ -0,0 +1,67 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../firebase/AuthContext';
+import WordStudy from '../../components/tools/WordStudy';
+
+const WordStudyView = () => {
+  const [error, setError] = useState('');
+  const { logout } = useAuth();
+  const navigate = useNavigate();
+
+  const handleLogout = async () => {
+    setError('');
+    
+    try {
+      await logout();
+      navigate('/');
+    } catch {
+      setError('Failed to log out');
+    }
+  };
+
+  const navigateToDashboard = () => {
+    navigate('/dashboard');
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <header className="bg-white shadow">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex justify-between items-center">
+          <div className="flex items-center">
+            <button
+              onClick={navigateToDashboard}
+              className="mr-4 text-gray-500 hover:text-gray-700"
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+              </svg>
+            </button>
+            <h1 className="text-2xl font-bold text-gray-800">Word Study</h1>
+          </div>
+          <button 
+            onClick={handleLogout}
+            className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded font-medium"
+          >
+            Logout
+          </button>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        {error && <div className="mb-4 p-3 bg-red-100 text-red-700 rounded">{error}</div>}
+        
+        <div className="bg-white shadow rounded-lg overflow-hidden">
+          <div className="p-6">
+            <p className="text-gray-600 mb-6">
+              See the Hebrew behind each word of an Old Testament verse: its lemma, Strong&apos;s number, grammar and meaning, and where else the Bible uses it. Look up Greek words by Strong&apos;s number.
+            </p>
+            
+            <WordStudy onAskChat={(text) => navigate('/dashboard', { state: { chatDraft: text } })} />
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default WordStudyView; 
\ No newline at end of file
@@ -0,0 +1,88 @@
+/**
+ * Authenticated HTTP clients for the app's own API. Every /api route except
+ * the health check requires the signed-in user's Firebase ID token.
+ */
+import axios from 'axios';
+import { auth } from '../firebase/config';
+
+/**
+ * Authorization header carrying the current user's ID token. Firebase caches
+ * the token and refreshes it shortly before it expires.
+ * @returns {Promise<Object>} - Headers to merge into a request (empty when signed out)
+ */
+export const getAuthHeaders = async () => {
+  const user = auth.currentUser;
+  if (!user) return {};
+
+  const token = await user.getIdToken();
+  return { Authorization: `Bearer ${token}` };
+};
+
+// Told after each POST to the API completes; POSTs are the requests that use the quota
+const completionListeners = new Set();
+
+/**
+ * Be told whenever a POST to the API completes, e.g. to refresh the quota left
+ * @param {Function} listener - Called with no arguments
+ * @returns {Function} - Stops telling the listener
+ */
+export const onRequestComplete = (listener) => {
+  completionListeners.add(listener);
+  return () => completionListeners.delete(listener);
+};
+
+/**
+ * Tell the listeners a POST completed; streamCompletion calls it when a stream ends
+ */
+export const notifyRequestComplete = () => {
+  completionListeners.forEach(listener => listener());
+};
+
+const isPost = (method) => String(method || 'GET').toUpperCase() === 'POST';
+
+/**
+ * Drop-in replacement for fetch() that adds the Authorization header
+ * @param {string} url - Request URL, e.g. '/api/tools/timeline'
+ * @param {Object} [options] - Standard fetch options
+ * @returns {Promise<Response>} - The fetch response
+ */
+export const apiFetch = async (url, options = {}) => {
+  const authHeaders = await getAuthHeaders();
+  // A stream is still running when its response arrives
+  const isStream = options.headers?.Accept === 'text/event-stream';
+  try {
+    return await fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        ...authHeaders
+      }
+    });
+  } finally {
+    if (isPost(options.method) && !isStream) notifyRequestComplete();
+  }
+};
+
+// Axios instance that adds the Authorization header to every request
+export const api = axios.create();
+
+api.interceptors.request.use(async (config) => {
+  const authHeaders = await getAuthHeaders();
+  Object.entries(authHeaders).forEach(([name, value]) => {
+    config.headers.set(name, value);
+  });
+  return config;
+});
+
+api.interceptors.response.use(
+  (response) => {
+    if (isPost(response.config.method)) notifyRequestComplete();
+    return response;
+  },
+  (error) => {
+    if (isPost(error.config?.method)) notifyRequestComplete();
+    return Promise.reject(error);
+  }
+);
+
+export default api;
@@ -0,0 +1,146 @@
+/**
+ * Branching conversations. Regenerating an answer or editing a question adds
+ * a sibling instead of replacing the message, so a conversation is a tree:
+ * { nodes: [{ id, parentId, role, content, timestamp, ... }], leafId }, with
+ * nodes in the order they were added and `leafId` the last message of the
+ * branch on screen. The tree is stored as is in Firestore, as `branches`,
+ * beside the on-screen branch as `messages`, which older readers expect.
+ */
+
+export const EMPTY_TREE = { nodes: [], leafId: null };
+
+// Fields that only matter while an answer is arriving
+const TRANSIENT = ['streaming'];
+
+/**
+ * Add a message to a conversation and show the branch it ends
+ * @param {Object} tree
+ * @param {Object} message - { role, content, ... }
+ * @param {string|null} [parentId] - The message it follows; the current last message by default
+ * @returns {Object} - The new tree, whose `leafId` is the added message
+ */
+export const addMessage = (tree, message, parentId = tree.leafId) => {
+  const id = String(tree.nodes.length + 1);
+  const node = { timestamp: new Date().toISOString(), ...message, id, parentId };
+  return { nodes: [...tree.nodes, node], leafId: id };
+};
+
+/**
+ * Change the fields of one message
+ * @param {Object} tree
+ * @param {string} id
+ * @param {Object} changes
+ * @returns {Object} - The new tree
+ */
+export const updateMessage = (tree, id, changes) => ({
+  ...tree,
+  nodes: tree.nodes.map(node => (node.id === id ? { ...node, ...changes } : node))
+});
+
+/**
+ * A message of the conversation
+ * @param {Object} tree
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+export const findMessage = (tree, id) => tree.nodes.find(node => node.id === id);
+
+/**
+ * The messages from the start of the conversation to a message
+ * @param {Object} tree
+ * @param {string|null} [id] - The current last message by default
+ * @returns {Object[]} - Oldest first
+ */
+export const pathTo = (tree, id = tree.leafId) => {
+  const path = [];
+  for (let node = id && findMessage(tree, id); node; node = node.parentId && findMessage(tree, node.parentId)) {
+    path.unshift(node);
+  }
+  return path;
+};
+
+/**
+ * The versions of a message: itself and the other messages after the same parent
+ * @param {Object} tree
+ * @param {string} id
+ * @returns {Object[]} - Oldest first
+ */
+export const siblingsOf = (tree, id) => {
+  const node = findMessage(tree, id);
+  return node ? tree.nodes.filter(other => other.parentId === node.parentId) : [];
+};
+
+/**
+ * Show the branch through a message, following its newest replies to the end
+ * @param {Object} tree
+ * @param {string} id
+ * @returns {Object} - The new tree
+ */
+export const selectBranch = (tree, id) => {
+  let leafId = id;
+  for (;;) {
+    const replies = tree.nodes.filter(node => node.parentId === leafId);
+    if (replies.length === 0) return { ...tree, leafId };
+    leafId = replies[replies.length - 1].id;
+  }
+};
+
+/**
+ * Show the conversation up to a message, without what follows it; used before
+ * answering that message again
+ * @param {Object} tree
+ * @param {string} id
+ * @returns {Object} - The new tree
+ */
+export const selectMessage = (tree, id) => ({ ...tree, leafId: id });
+
+/**
+ * A conversation without branches
+ * @param {Object[]} messages - [{ role, content, ... }], oldest first
+ * @returns {Object}
+ */
+export const treeFromMessages = (messages) => messages.reduce((tree, message) => addMessage(tree, message), EMPTY_TREE);
+
+/**
+ * The conversation of a saved document: its `branches`, or, for documents
+ * saved before conversations could branch, its `messages`
+ * @param {Object} saved - Firestore document data
+ * @returns {Object}
+ */
+export const readTree = (saved) => (saved.branches?.nodes?.length
+  ? { nodes: saved.branches.nodes, leafId: saved.branches.leafId }
+  : treeFromMessages(saved.messages || []));
+
+/**
+ * A conversation as Firestore stores it: without the fields of answers still
+ * arriving and without undefined fields, which Firestore rejects
+ * @param {Object} tree
+ * @returns {Object}
+ */
+export const storedTree = (tree) => ({
+  nodes: tree.nodes.map(node => Object.fromEntries(
+    Object.entries(node).filter(([key, value]) => value !== undefined && !TRANSIENT.includes(key))
+  )),
+  leafId: tree.leafId
+});
+
+/**
+ * The messages of the branch on screen without their place in the tree, as
+ * saved in `messages`
+ * @param {Object} tree - Usually from storedTree
+ * @returns {Object[]} - [{ role, content, timestamp, ... }], oldest first
+ */
+export const branchMessages = (tree) => pathTo(tree).map(node => Object.fromEntries(
+  Object.entries(node).filter(([key]) => key !== 'id' && key !== 'parentId')
+));
+
+/**
+ * The context summary the server returned with the last answer of a branch
+ * (server/llm/context.js), to send back with the next question on it
+ * @param {Object[]} path - From pathTo
+ * @returns {Object|null} - { content, covers }, or null when the branch was not condensed
+ */
+export const pathSummary = (path) => {
+  const answers = path.filter(node => node.role === 'assistant');
+  return answers[answers.length - 1]?.summary || null;
+};
@@ -0,0 +1,189 @@
+/**
+ * Saved Advanced Chat conversations, one document per conversation in
+ * mainBibleTools_advancedChat: { userId, title, titleEdited, pinned, messages,
+ * branches, perspective, model, promptVersion, createdAt, updatedAt },
+ * `messages` being the branch on screen and `branches` every version
+ * (src/utils/branches.js). The list of conversations reads a small entry per
+ * conversation from mainBibleTools_advancedChatList instead, under the same id:
+ * { userId, title, pinned, updatedAt, preview, questions, searchText }. Both
+ * are written together, so the helpers here are the only writers. Lists are
+ * sorted here rather than in the query, so Firestore needs no composite index
+ * for them.
+ */
+import { collection, doc, getDoc, getDocs, query, where, writeBatch } from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { loadPreferences, savePreferences } from './preferences';
+
+export const CONVERSATIONS = 'mainBibleTools_advancedChat';
+const CONVERSATION_LIST = 'mainBibleTools_advancedChatList';
+
+// Firestore refuses documents over 1 MiB; this leaves room for its own overhead
+const MAX_CONVERSATION_BYTES = 1000000;
+// Characters of the first question shown in the list
+const PREVIEW_LENGTH = 120;
+// Characters of the questions kept for searching the list
+const SEARCH_TEXT_LENGTH = 2000;
+// Writes in one batch, under Firestore's limit of 500
+const BATCH_SIZE = 400;
+
+const conversationDoc = (id) => doc(db, CONVERSATIONS, id);
+const listDoc = (id) => doc(db, CONVERSATION_LIST, id);
+
+// A timestamp still being written counts as now
+const millis = (timestamp) => (timestamp?.toMillis ? timestamp.toMillis() : Date.now());
+
+// The list entry's view of a conversation's messages
+const describeMessages = (messages) => {
+  const questions = messages.filter(message => message.role === 'user').map(message => String(message.content));
+  return {
+    preview: (questions[0] || '').slice(0, PREVIEW_LENGTH),
+    questions: questions.length,
+    searchText: questions.join('\n').slice(0, SEARCH_TEXT_LENGTH)
+  };
+};
+
+// The list entry of a saved conversation
+const listEntry = (conversation) => ({
+  userId: conversation.userId,
+  title: conversation.title || '',
+  pinned: Boolean(conversation.pinned),
+  updatedAt: conversation.updatedAt || null,
+  ...describeMessages(conversation.messages || [])
+});
+
+/**
+ * Whether a conversation is too large for Firestore to save
+ * @param {Object} data - The fields to save
+ * @returns {boolean}
+ */
+export const isTooLarge = (data) => new TextEncoder().encode(JSON.stringify(data)).length > MAX_CONVERSATION_BYTES;
+
+/**
+ * Save a new conversation and its list entry
+ * @param {Object} data - Every field of the conversation, including `userId` and `messages`
+ * @returns {Promise<string>} - The new conversation's id
+ */
+export const createConversation = async (data) => {
+  const saved = doc(collection(db, CONVERSATIONS));
+  const batch = writeBatch(db);
+  batch.set(saved, data);
+  batch.set(listDoc(saved.id), listEntry(data));
+  await batch.commit();
+  return saved.id;
+};
+
+/**
+ * Change fields of a conversation and keep its list entry up to date
+ * @param {string} id - Conversation id
+ * @param {Object} changes - Changed fields; `messages` and `updatedAt` reach the list
+ * @returns {Promise<void>}
+ */
+export const updateConversation = (id, changes) => {
+  const batch = writeBatch(db);
+  batch.update(conversationDoc(id), changes);
+  batch.set(listDoc(id), {
+    ...(changes.messages && describeMessages(changes.messages)),
+    ...(changes.updatedAt && { updatedAt: changes.updatedAt }),
+    ...(changes.title !== undefined && { title: changes.title }),
+    ...(changes.pinned !== undefined && { pinned: changes.pinned })
+  }, { merge: true });
+  return batch.commit();
+};
+
+// Give conversations saved before the list entries existed an entry, once per user
+const listSavedConversations = async (uid) => {
+  const snapshot = await getDocs(query(collection(db, CONVERSATIONS), where('userId', '==', uid)));
+  const entries = snapshot.docs.map(saved => ({ id: saved.id, ...listEntry(saved.data()) }));
+  for (let start = 0; start < entries.length; start += BATCH_SIZE) {
+    const batch = writeBatch(db);
+    entries.slice(start, start + BATCH_SIZE).forEach(({ id, ...entry }) => batch.set(listDoc(id), entry));
+    await batch.commit();
+  }
+  await savePreferences(uid, 'conversationList', { listed: true });
+  return entries;
+};
+
+/**
+ * A user's conversations as list entries: pinned first, then the most recently updated
+ * @param {string} uid - Firebase user id
+ * @returns {Promise<Object[]>} - [{ id, title, pinned, updatedAt, preview, questions, searchText }]
+ */
+export const listConversations = async (uid) => {
+  const [snapshot, settings] = await Promise.all([
+    getDocs(query(collection(db, CONVERSATION_LIST), where('userId', '==', uid))),
+    loadPreferences(uid, 'conversationList')
+  ]);
+  const entries = settings.listed
+    ? snapshot.docs.map(saved => ({ id: saved.id, ...saved.data() }))
+    : await listSavedConversations(uid);
+  return entries
+    .sort((a, b) => Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) || millis(b.updatedAt) - millis(a.updatedAt));
+};
+
+/**
+ * Load one conversation
+ * @param {string} id - Conversation id
+ * @returns {Promise<Object|null>} - The conversation, or null if it was deleted
+ */
+export const loadConversation = async (id) => {
+  const snapshot = await getDoc(conversationDoc(id));
+  return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+};
+
+/**
+ * Rename a conversation with a title the user typed
+ * @param {string} id - Conversation id
+ * @param {string} title
+ * @returns {Promise<void>}
+ */
+export const renameConversation = (id, title) => updateConversation(id, { title, titleEdited: true });
+
+/**
+ * Give a conversation a generated title, unless the user has renamed it
+ * @param {string} id - Conversation id
+ * @param {string} title
+ * @returns {Promise<boolean>} - Whether the title was used
+ */
+export const setGeneratedTitle = async (id, title) => {
+  const conversation = await loadConversation(id);
+  if (!conversation || conversation.titleEdited) return false;
+  await updateConversation(id, { title });
+  return true;
+};
+
+/**
+ * Pin a conversation to the top of the list, or unpin it. Its position among
+ * the others does not change, so `updatedAt` is left alone.
+ * @param {string} id - Conversation id
+ * @param {boolean} pinned
+ * @returns {Promise<void>}
+ */
+export const pinConversation = (id, pinned) => updateConversation(id, { pinned });
+
+/**
+ * Delete a conversation
+ * @param {string} id - Conversation id
+ * @returns {Promise<void>}
+ */
+export const deleteConversation = (id) => {
+  const batch = writeBatch(db);
+  batch.delete(conversationDoc(id));
+  batch.delete(listDoc(id));
+  return batch.commit();
+};
+
+/**
+ * Whether a list entry matches a search: every word of the search appears
+ * in its title or in its questions, ignoring case
+ * @param {Object} conversation - From listConversations
+ * @param {string} search
+ * @returns {boolean}
+ */
+export const matchesSearch = (conversation, search) => {
+  const words = search.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return true;
+  const text = [conversation.title, conversation.searchText || '']
+    .join('\n')
+    .toLowerCase();
+  return words.every(word => text.includes(word));
+};
@@ -38,7 +38,3 @@ console.log('Firebase config:', {
   databaseURL: firebaseConfig.databaseURL ? 'SET' : 'NOT SET',
   measurementId: firebaseConfig.measurementId ? 'SET' : 'NOT SET'
 });
-
-// Other API keys
-export const openAiApiKey = import.meta.env.REACT_APP_OPENAI_API_KEY;
-export const esvApiKey = import.meta.env.REACT_APP_ESV_API_KEY; 
\ No newline at end of file
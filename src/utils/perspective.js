@@ -0,0 +1,19 @@
+/**
+ * The persona and tradition lens a user has chosen for the chat, commentary
+ * and verse analysis (see components/common/PerspectiveSelect.jsx). Ids are
+ * those of server/prompts/perspectives.js, '' for none.
+ */
+
+// No persona and no tradition lens: each tool's own voice
+export const NO_PERSPECTIVE = { persona: '', tradition: '' };
+
+/**
+ * Whether a saved study was written from a perspective. Studies saved before
+ * perspectives existed have none.
+ * @param {Object} [saved] - { persona, tradition } stored with the study
+ * @param {Object} perspective - The current choice
+ * @returns {boolean}
+ */
+export const samePerspective = (saved, perspective) => {
+  return (saved?.persona || '') === perspective.persona && (saved?.tradition || '') === perspective.tradition;
+};
@@ -0,0 +1,35 @@
+/**
+ * Per-user settings stored in Firestore, one document per user in
+ * mainBibleTools_settings keyed by their uid. Settings are grouped by the
+ * feature that owns them, e.g. { verseModal: { translations: ['kjv', 'esv'] } }.
+ */
+import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { db } from '../firebase/config';
+
+const settingsDoc = (uid) => doc(db, 'mainBibleTools_settings', uid);
+
+/**
+ * Load one feature's settings for a user
+ * @param {string} uid - Firebase user id
+ * @param {string} key - Feature name, e.g. 'verseModal'
+ * @returns {Promise<Object>} - The saved settings, or {} when there are none
+ */
+export const loadPreferences = async (uid, key) => {
+  const snapshot = await getDoc(settingsDoc(uid));
+  return (snapshot.exists() && snapshot.data()[key]) || {};
+};
+
+/**
+ * Save one feature's settings for a user, keeping the other features' settings
+ * @param {string} uid - Firebase user id
+ * @param {string} key - Feature name, e.g. 'verseModal'
+ * @param {Object} changes - Settings to merge into the saved ones
+ * @returns {Promise<void>}
+ */
+export const savePreferences = (uid, key, changes) => {
+  return setDoc(
+    settingsDoc(uid),
+    { userId: uid, [key]: changes, updatedAt: serverTimestamp() },
+    { merge: true }
+  );
+};
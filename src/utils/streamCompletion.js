@@ -0,0 +1,99 @@
+/**
+ * Client for the Server-Sent Events endpoints (the `/stream` routes in server/routes)
+ */
+import { apiFetch, notifyRequestComplete } from './apiClient';
+
+// Parse one SSE block ("event: x\ndata: {...}") into its name and JSON payload
+const parseEvent = (block) => {
+  let event = 'message';
+  const dataLines = [];
+
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  }
+
+  return { event, data: dataLines.length ? JSON.parse(dataLines.join('\n')) : {} };
+};
+
+// Read a stream to its `done` event (see streamCompletion)
+const readStream = async (url, body, { onDelta, signal }) => {
+  const response = await apiFetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream'
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error?.message || `Request failed with status ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split('\n\n');
+    // The last block may be incomplete; keep it for the next read
+    buffer = blocks.pop();
+
+    for (const block of blocks) {
+      if (!block.trim()) continue;
+      const { event, data } = parseEvent(block);
+
+      if (event === 'delta') {
+        content += data.content;
+        if (onDelta) onDelta(data.content, content);
+      } else if (event === 'done') {
+        return { ...data, content: data.content ?? content };
+      } else if (event === 'error') {
+        throw new Error(data.error?.message || 'Streaming failed');
+      }
+    }
+  }
+
+  throw new Error('The response ended before it was complete');
+};
+
+/**
+ * POST to a streaming endpoint and report the text as it arrives
+ * @param {string} url - Streaming endpoint, e.g. '/api/chat/advanced/stream'
+ * @param {Object} body - JSON request body
+ * @param {Object} [options]
+ * @param {Function} [options.onDelta] - Called with (delta, contentSoFar) for every chunk
+ * @param {AbortSignal} [options.signal] - Aborting cancels the request and the upstream completion
+ * @returns {Promise<Object>} - Final { content, model, usage } once the stream completes
+ */
+export const streamCompletion = async (url, body, options = {}) => {
+  try {
+    return await readStream(url, body, options);
+  } finally {
+    // The quota changes when a stream ends, not when its response arrives
+    notifyRequestComplete();
+  }
+};
+
+/**
+ * Check whether an error came from aborting a request (e.g. the user pressed Stop)
+ * @param {Error} error - Error thrown by streamCompletion
+ * @returns {boolean} - True if the request was cancelled
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+export default {
+  streamCompletion,
+  isAbortError
+};
@@ -17,8 +17,6 @@ export default defineConfig(({ mode }) => {
     'VITE_FIREBASE_APP_ID': env.VITE_FIREBASE_APP_ID,
     'VITE_FIREBASE_DATABASE_URL': env.VITE_FIREBASE_DATABASE_URL,
     'VITE_FIREBASE_MEASUREMENT_ID': env.VITE_FIREBASE_MEASUREMENT_ID,
-    'VITE_OPENAI_API_KEY': env.VITE_OPENAI_API_KEY,
-    'VITE_ESV_API_KEY': env.VITE_ESV_API_KEY,
     // Also provide REACT_APP_ versions
     'REACT_APP_FIREBASE_API_KEY': env.VITE_FIREBASE_API_KEY,
     'REACT_APP_FIREBASE_AUTH_DOMAIN': env.VITE_FIREBASE_AUTH_DOMAIN,
@@ -28,8 +26,6 @@ export default defineConfig(({ mode }) => {
     'REACT_APP_FIREBASE_APP_ID': env.VITE_FIREBASE_APP_ID,
     'REACT_APP_FIREBASE_DATABASE_URL': env.VITE_FIREBASE_DATABASE_URL,
     'REACT_APP_FIREBASE_MEASUREMENT_ID': env.VITE_FIREBASE_MEASUREMENT_ID,
-    'REACT_APP_OPENAI_API_KEY': env.VITE_OPENAI_API_KEY,
-    'REACT_APP_ESV_API_KEY': env.VITE_ESV_API_KEY
   }
   
   return {
@@ -53,8 +49,6 @@ export default defineConfig(({ mode }) => {
       'import.meta.env.VITE_FIREBASE_APP_ID': JSON.stringify(env.VITE_FIREBASE_APP_ID),
       'import.meta.env.VITE_FIREBASE_DATABASE_URL': JSON.stringify(env.VITE_FIREBASE_DATABASE_URL),
       'import.meta.env.VITE_FIREBASE_MEASUREMENT_ID': JSON.stringify(env.VITE_FIREBASE_MEASUREMENT_ID),
-      'import.meta.env.VITE_OPENAI_API_KEY': JSON.stringify(env.VITE_OPENAI_API_KEY),
-      'import.meta.env.VITE_ESV_API_KEY': JSON.stringify(env.VITE_ESV_API_KEY),
       // Also provide REACT_APP_ versions
       'import.meta.env.REACT_APP_FIREBASE_API_KEY': JSON.stringify(env.VITE_FIREBASE_API_KEY),
       'import.meta.env.REACT_APP_FIREBASE_AUTH_DOMAIN': JSON.stringify(env.VITE_FIREBASE_AUTH_DOMAIN),
@@ -64,8 +58,6 @@ export default defineConfig(({ mode }) => {
       'import.meta.env.REACT_APP_FIREBASE_APP_ID': JSON.stringify(env.VITE_FIREBASE_APP_ID),
       'import.meta.env.REACT_APP_FIREBASE_DATABASE_URL': JSON.stringify(env.VITE_FIREBASE_DATABASE_URL),
       'import.meta.env.REACT_APP_FIREBASE_MEASUREMENT_ID': JSON.stringify(env.VITE_FIREBASE_MEASUREMENT_ID),
-      'import.meta.env.REACT_APP_OPENAI_API_KEY': JSON.stringify(env.VITE_OPENAI_API_KEY),
-      'import.meta.env.REACT_APP_ESV_API_KEY': JSON.stringify(env.VITE_ESV_API_KEY)
     }
   }
 })